@@ -0,0 +1,209 @@
+const axios = require('axios');
+const { MerkleTree } = require('./merkleTree');
+
+/**
+ * AntiEntropy — background repair of replicas that drifted apart.
+ *
+ * The coordinator tells each broker which replica sets it belongs to: the
+ * ring ranges the set owns and its members. Every interval this broker
+ * compares its Merkle tree for each set with the members that come after it
+ * in the set (so every pair is compared by exactly one side):
+ *
+ *   1. exchange roots — equal roots mean the pair is in sync
+ *   2. walk down the tree, fetching only the children of differing nodes
+ *   3. exchange item digests for the differing leaves
+ *   4. push entries where ours are newer, pull entries where theirs are
+ *
+ * Only keys that differ ever cross the network.
+ *
+ * catchUp() runs the same exchange against every other member of the given
+ * sets; the coordinator uses it to bring a recovered node back in sync.
+ */
+class AntiEntropy {
+  constructor({ nodeId, depth = 10, intervalMs = 60000, historySize = 20, collectItems, dataVersion, exportEntries, applyEntries }) {
+    this.nodeId = nodeId;
+    this.depth = depth;
+    this.intervalMs = intervalMs;
+    this.historySize = historySize;
+
+    // collectItems(ranges) → [{ id, position, digest, version?, timestamp }]
+    this.collectItems = collectItems;
+    // dataVersion() changes whenever local data changes (invalidates cached trees)
+    this.dataVersion = dataVersion;
+    // exportEntries(ids) → full entries; applyEntries(entries, from) → count applied
+    this.exportEntries = exportEntries;
+    this.applyEntries = applyEntries;
+
+    // [{ ranges, members: [{ node, url }] }] — pushed by the coordinator
+    this.replicaSets = [];
+    this.assignedAt = null;
+    this.history = [];
+    this.running = false;
+    this._trees = new Map();
+    this._intervalId = null;
+  }
+
+  start() {
+    this._intervalId = setInterval(() => this.run(), this.intervalMs);
+    this._intervalId.unref();
+  }
+
+  stop() {
+    if (this._intervalId) clearInterval(this._intervalId);
+  }
+
+  setAssignment(replicaSets) {
+    this.replicaSets = replicaSets;
+    this.assignedAt = new Date().toISOString();
+    this._trees.clear();
+  }
+
+  // ─── Tree over the given ranges, rebuilt only after local data changed ─────
+  tree(ranges) {
+    const id = JSON.stringify(ranges);
+    const version = this.dataVersion();
+    const cached = this._trees.get(id);
+    if (cached && cached.version === version) return cached.tree;
+
+    const tree = new MerkleTree(this.collectItems(ranges), this.depth);
+    this._trees.set(id, { version, tree });
+    return tree;
+  }
+
+  // ─── One scheduled pass over every assigned replica set ─────────────────────
+  async run() {
+    return this._pass('scheduled', this.replicaSets, selfIndex => (_, i) => i > selfIndex);
+  }
+
+  // ─── Sync with every other member of the given sets (after a recovery) ──────
+  async catchUp(replicaSets) {
+    return this._pass('catch_up', replicaSets, selfIndex => (_, i) => i !== selfIndex);
+  }
+
+  async _pass(type, replicaSets, peerFilter) {
+    if (this.running) return null;
+    this.running = true;
+
+    const report = {
+      type,
+      startedAt: new Date().toISOString(),
+      durationMs: 0,
+      replicaSets: replicaSets.length,
+      peersCompared: 0,
+      peersInSync: 0,
+      keysPushed: 0,
+      keysPulled: 0,
+      keysRepaired: 0,
+      errors: [],
+    };
+    const started = Date.now();
+
+    try {
+      for (const set of replicaSets) {
+        const selfIndex = set.members.findIndex(m => m.node === this.nodeId);
+        if (selfIndex === -1) continue;
+
+        for (const peer of set.members.filter(peerFilter(selfIndex))) {
+          try {
+            const result = await this._syncPair(set.ranges, peer);
+            report.peersCompared++;
+            if (result.inSync) report.peersInSync++;
+            report.keysPushed += result.pushed;
+            report.keysPulled += result.pulled;
+          } catch (err) {
+            report.errors.push({ peer: peer.node, error: err.message });
+          }
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    report.keysRepaired = report.keysPushed + report.keysPulled;
+    report.durationMs = Date.now() - started;
+    this.history.unshift(report);
+    this.history.length = Math.min(this.history.length, this.historySize);
+
+    if (report.keysRepaired > 0 || report.errors.length > 0) {
+      console.log(`[${this.nodeId}] Anti-entropy (${type}): compared ${report.peersCompared} peer(s), repaired ${report.keysRepaired} key(s), ${report.errors.length} error(s)`);
+    }
+    return report;
+  }
+
+  async _syncPair(ranges, peer) {
+    const body = { ranges, depth: this.depth };
+    const local = this.tree(ranges);
+
+    // 1. Roots
+    const { data: remoteRoot } = await axios.post(`${peer.url}/merkle/root`, body, { timeout: 5000 });
+    if (remoteRoot.root === local.root()) return { inSync: true, pushed: 0, pulled: 0 };
+
+    // 2. Descend through differing subtrees only
+    let differing = [0];
+    for (let level = 1; level <= this.depth && differing.length > 0; level++) {
+      const children = differing.flatMap(i => [2 * i, 2 * i + 1]);
+      const { data } = await axios.post(`${peer.url}/merkle/nodes`, { ...body, level, indices: children }, { timeout: 5000 });
+      const mine = local.nodes(level, children);
+      differing = children.filter(i => data.hashes[i] !== mine[i]);
+    }
+
+    // 3. Compare item digests in the differing leaves
+    const { data: remote } = await axios.post(`${peer.url}/merkle/items`, { ...body, leaves: differing }, { timeout: 5000 });
+    const theirs = new Map(remote.items.map(item => [item.id, item]));
+    const ours = new Map(local.leafItems(differing).map(item => [item.id, item]));
+
+    const toPush = [];
+    const toPull = [];
+    for (const [id, item] of ours) {
+      const other = theirs.get(id);
+      if (!other || (other.digest !== item.digest && isNewer(item, other))) toPush.push(id);
+    }
+    for (const [id, item] of theirs) {
+      const mine = ours.get(id);
+      if (!mine || (mine.digest !== item.digest && isNewer(item, mine))) toPull.push(id);
+    }
+
+    // 4. Ship only the differing entries, in both directions
+    let pushed = 0;
+    if (toPush.length > 0) {
+      const { data } = await axios.post(`${peer.url}/repair`, {
+        entries: this.exportEntries(toPush),
+        repairedFrom: this.nodeId,
+        source: 'anti_entropy',
+      }, { timeout: 10000 });
+      pushed = data.applied;
+    }
+
+    let pulled = 0;
+    if (toPull.length > 0) {
+      const { data } = await axios.post(`${peer.url}/merkle/export`, { ids: toPull }, { timeout: 10000 });
+      pulled = this.applyEntries(data.entries, peer.node);
+    }
+
+    return { inSync: false, pushed, pulled };
+  }
+
+  getStatus() {
+    return {
+      node: this.nodeId,
+      intervalMs: this.intervalMs,
+      depth: this.depth,
+      assignedAt: this.assignedAt,
+      replicaSets: this.replicaSets.map(s => ({ members: s.members.map(m => m.node), rangeCount: s.ranges.length })),
+      running: this.running,
+      lastRun: this.history[0] || null,
+      history: this.history,
+    };
+  }
+}
+
+// Versioned items (keys) compare by version; partition messages by timestamp
+function isNewer(a, b) {
+  if (a.version && b.version) {
+    if (a.version.epoch !== b.version.epoch) return a.version.epoch > b.version.epoch;
+    if (a.version.counter !== b.version.counter) return a.version.counter > b.version.counter;
+  }
+  return a.timestamp > b.timestamp;
+}
+
+module.exports = AntiEntropy;
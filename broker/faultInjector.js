@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+const FAULT_TYPES = ['latency', 'error', 'drop_replication', 'unhealthy'];
+
+class FaultError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * FaultInjector — faults a broker fakes on purpose, for failover drills and
+ * the chaos runner. Each fault is one of:
+ *
+ *   { type: 'latency', delayMs, jitterMs?, paths? }        — incoming requests wait delayMs (+ up to jitterMs)
+ *   { type: 'error', rate?, status?, paths? }              — a share (rate, default 1) of them fail with status (503)
+ *   { type: 'drop_replication', peers: [url, …], rate? }   — /replicate calls to those peers are lost on the way
+ *   { type: 'unhealthy' }                                  — /health answers 503
+ *
+ * paths limits a fault to requests whose path starts with one of them.
+ * durationMs (optional) removes the fault after that long. Faults only live
+ * in memory: a restart clears them.
+ */
+class FaultInjector {
+  constructor({ random = Math.random, onInject = () => {} } = {}) {
+    this.random = random;
+    // onInject(fault) — called each time a fault takes effect
+    this.onInject = onInject;
+
+    // faultId → fault
+    this.faults = new Map();
+  }
+
+  add(spec) {
+    const fault = { id: crypto.randomBytes(4).toString('hex'), ...FaultInjector.validate(spec), createdAt: new Date().toISOString() };
+    if (spec.durationMs !== undefined) fault.expiresAt = new Date(Date.now() + spec.durationMs).toISOString();
+    this.faults.set(fault.id, fault);
+    return fault;
+  }
+
+  remove(faultId) {
+    return this.faults.delete(faultId);
+  }
+
+  clear() {
+    const count = this.faults.size;
+    this.faults.clear();
+    return count;
+  }
+
+  list() {
+    const now = Date.now();
+    for (const [faultId, fault] of this.faults) {
+      if (fault.expiresAt && Date.parse(fault.expiresAt) <= now) this.faults.delete(faultId);
+    }
+    return [...this.faults.values()];
+  }
+
+  // ─── What to do with an incoming request: { delayMs, error: fault | null } ─
+  forRequest(path) {
+    let delayMs = 0;
+    let error = null;
+    for (const fault of this.list()) {
+      if (fault.paths && !fault.paths.some(prefix => path.startsWith(prefix))) continue;
+      if (fault.type === 'latency') {
+        delayMs += fault.delayMs + Math.floor(this.random() * fault.jitterMs);
+        this.onInject(fault);
+      } else if (fault.type === 'error' && !error && this.random() < fault.rate) {
+        error = fault;
+        this.onInject(fault);
+      }
+    }
+    return { delayMs, error };
+  }
+
+  // ─── The fault dropping an outgoing call, or null ──────────────────────────
+  dropsCall(url) {
+    const { origin, pathname } = new URL(url);
+    if (pathname !== '/replicate') return null;
+    const fault = this.list().find(f => f.type === 'drop_replication' && f.peers.includes(origin) && this.random() < f.rate);
+    if (fault) this.onInject(fault);
+    return fault || null;
+  }
+
+  unhealthy() {
+    const fault = this.list().find(f => f.type === 'unhealthy');
+    if (fault) this.onInject(fault);
+    return fault || null;
+  }
+
+  // ─── The fault's own fields, with defaults; throws FaultError(400) ─────────
+  static validate(spec) {
+    const { type, durationMs, paths } = spec || {};
+    if (!FAULT_TYPES.includes(type)) throw new FaultError(`type must be one of ${FAULT_TYPES.join(', ')}`, 400);
+    if (durationMs !== undefined && !(Number.isInteger(durationMs) && durationMs > 0)) {
+      throw new FaultError('durationMs must be a positive integer', 400);
+    }
+    if (paths !== undefined && (!Array.isArray(paths) || paths.some(p => typeof p !== 'string' || !p.startsWith('/')))) {
+      throw new FaultError('paths must be an array of path prefixes starting with /', 400);
+    }
+    const scope = paths ? { paths } : {};
+
+    switch (type) {
+      case 'latency': {
+        const { delayMs, jitterMs = 0 } = spec;
+        if (!Number.isInteger(delayMs) || delayMs < 0) throw new FaultError('delayMs must be a non-negative integer', 400);
+        if (!Number.isInteger(jitterMs) || jitterMs < 0) throw new FaultError('jitterMs must be a non-negative integer', 400);
+        return { type, delayMs, jitterMs, ...scope };
+      }
+
+      case 'error': {
+        const { rate = 1, status = 503 } = spec;
+        return { type, rate: validRate(rate), status: validStatus(status), ...scope };
+      }
+
+      case 'drop_replication': {
+        const { peers, rate = 1 } = spec;
+        if (!Array.isArray(peers) || peers.length === 0) throw new FaultError('peers must be a non-empty array of broker URLs', 400);
+        const origins = peers.map(peer => {
+          try {
+            return new URL(peer).origin;
+          } catch {
+            throw new FaultError(`Invalid peer URL "${peer}"`, 400);
+          }
+        });
+        return { type, peers: origins, rate: validRate(rate) };
+      }
+
+      case 'unhealthy':
+        return { type };
+    }
+  }
+}
+
+function validRate(rate) {
+  if (typeof rate !== 'number' || !(rate > 0 && rate <= 1)) throw new FaultError('rate must be a number in (0, 1]', 400);
+  return rate;
+}
+
+function validStatus(status) {
+  if (!Number.isInteger(status) || status < 400 || status > 599) throw new FaultError('status must be an HTTP error status (400-599)', 400);
+  return status;
+}
+
+module.exports = { FaultInjector, FaultError };
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+const HASH_SPACE = Math.pow(2, 32);
+const EMPTY = '';
+
+// Must match HashRing.hash in coordinator/hashRing.js so that "the ranges a
+// node owns" means the same thing on both sides.
+function ringPosition(key) {
+  const hex = crypto.createHash('sha256').update(key).digest('hex');
+  return parseInt(hex.substring(0, 8), 16) % HASH_SPACE;
+}
+
+// Ranges are { start, end } arcs covering (start, end]; start >= end wraps
+function inRanges(position, ranges) {
+  return ranges.some(({ start, end }) =>
+    start < end ? position > start && position <= end : position > start || position <= end
+  );
+}
+
+function sha(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * MerkleTree — hash tree over a set of items, bucketed by ring position.
+ *
+ * The hash space is split into 2^depth equal leaves. Each leaf hashes the
+ * (id, digest) pairs of the items whose position falls in it; each inner node
+ * hashes its two children. Two nodes holding the same items produce identical
+ * trees, so comparing roots and then only the differing subtrees narrows a
+ * difference down to a handful of leaves without shipping the data itself.
+ *
+ * items: [{ id, position, digest, ... }]
+ */
+class MerkleTree {
+  constructor(items, depth = 10) {
+    this.depth = depth;
+    this.leafCount = Math.pow(2, depth);
+
+    // leaf index → items, sorted by id so the hash is order-independent
+    this.leaves = new Map();
+    for (const item of items) {
+      const leaf = Math.floor((item.position / HASH_SPACE) * this.leafCount);
+      if (!this.leaves.has(leaf)) this.leaves.set(leaf, []);
+      this.leaves.get(leaf).push(item);
+    }
+    for (const bucket of this.leaves.values()) bucket.sort((a, b) => (a.id < b.id ? -1 : 1));
+
+    this.itemCount = items.length;
+    this.levels = this._build();
+  }
+
+  // levels[0] is [root]; levels[depth] holds the leaf hashes
+  _build() {
+    const leafHashes = new Array(this.leafCount).fill(EMPTY);
+    for (const [leaf, bucket] of this.leaves) {
+      leafHashes[leaf] = sha(bucket.map(item => `${item.id}:${item.digest}`).join('|'));
+    }
+
+    const levels = [leafHashes];
+    while (levels[0].length > 1) {
+      const below = levels[0];
+      const above = [];
+      for (let i = 0; i < below.length; i += 2) {
+        const [left, right] = [below[i], below[i + 1]];
+        above.push(left === EMPTY && right === EMPTY ? EMPTY : sha(left + right));
+      }
+      levels.unshift(above);
+    }
+    return levels;
+  }
+
+  root() {
+    return this.levels[0][0];
+  }
+
+  // Hashes of the given node indices at one level of the tree
+  nodes(level, indices) {
+    const result = {};
+    for (const i of indices) result[i] = this.levels[level][i];
+    return result;
+  }
+
+  // Items stored under the given leaves
+  leafItems(leafIndices) {
+    return leafIndices.flatMap(leaf => this.leaves.get(leaf) || []);
+  }
+}
+
+module.exports = { MerkleTree, ringPosition, inRanges, sha };
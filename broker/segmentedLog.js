@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SegmentedLog — durable append-only record log split into segment files.
+ *
+ * Records are written as one JSON document per line. Each segment file is
+ * named after the sequence number of its first record
+ * (00000000000000000042.log) so segments replay in order by filename.
+ * When the active segment grows past segmentMaxBytes a new one is rolled.
+ *
+ * fsync modes:
+ *   always   — fsync after every append (slowest, survives power loss)
+ *   interval — fsync the active segment every fsyncIntervalMs
+ *   never    — leave flushing to the OS page cache
+ */
+class SegmentedLog {
+  constructor({ dir, segmentMaxBytes = 16 * 1024 * 1024, fsync = 'interval', fsyncIntervalMs = 1000, onFlushError = () => {} }) {
+    if (!['always', 'interval', 'never'].includes(fsync)) {
+      throw new Error(`Unknown fsync mode "${fsync}" (expected always, interval or never)`);
+    }
+
+    this.dir = dir;
+    this.segmentMaxBytes = segmentMaxBytes;
+    this.fsync = fsync;
+    this.fsyncIntervalMs = fsyncIntervalMs;
+    this.onFlushError = onFlushError;
+
+    // [{ baseSeq, file, bytes }] in replay order; the last one is active
+    this.segments = [];
+    this.nextSeq = 0;
+    this._fd = null;
+    this._dirty = false;
+    this._intervalId = null;
+  }
+
+  // ─── Open the log and return every record on disk, in order ────────────────
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const files = fs.readdirSync(this.dir)
+      .filter(f => /^\d{20}\.log$/.test(f))
+      .sort();
+
+    const records = [];
+    let truncatedBytes = 0;
+
+    for (const [i, file] of files.entries()) {
+      const filePath = path.join(this.dir, file);
+      const content = fs.readFileSync(filePath, 'utf8');
+      let validBytes = 0;
+
+      for (const line of content.split('\n')) {
+        if (!line) {
+          validBytes += 1;
+          continue;
+        }
+        try {
+          const record = JSON.parse(line);
+          records.push(record);
+          this.nextSeq = record.seq + 1;
+          validBytes += Buffer.byteLength(line) + 1;
+        } catch {
+          // A torn write can only be the tail of the last segment — drop it
+          if (i !== files.length - 1) {
+            throw new Error(`Corrupt record in sealed segment ${file}`);
+          }
+          break;
+        }
+      }
+
+      validBytes = Math.min(validBytes, Buffer.byteLength(content));
+      if (validBytes < Buffer.byteLength(content)) {
+        truncatedBytes += Buffer.byteLength(content) - validBytes;
+        fs.truncateSync(filePath, validBytes);
+      }
+
+      this.segments.push({ baseSeq: parseInt(file, 10), file: filePath, bytes: validBytes });
+    }
+
+    if (this.segments.length === 0) {
+      this._roll();
+    } else {
+      this._fd = fs.openSync(this.segments[this.segments.length - 1].file, 'a');
+    }
+
+    if (this.fsync === 'interval') {
+      // A failed fsync stays dirty and is retried on the next tick
+      this._intervalId = setInterval(() => {
+        try {
+          this.flush();
+        } catch (err) {
+          this.onFlushError(err);
+        }
+      }, this.fsyncIntervalMs);
+      this._intervalId.unref();
+    }
+
+    this.recovery = {
+      segments: this.segments.length,
+      records: records.length,
+      truncatedBytes,
+    };
+    return records;
+  }
+
+  // ─── Append a record; returns it with its assigned sequence number ─────────
+  // Throws when the disk refuses the write (ENOSPC, EIO, …). The record is
+  // then not in the log — a partial line is cut off again — and the next
+  // append reuses its sequence number.
+  append(record) {
+    const stored = { seq: this.nextSeq, ...record };
+    const line = JSON.stringify(stored) + '\n';
+    const bytes = Buffer.byteLength(line);
+
+    // No open segment means the last roll failed: try again
+    const active = this.segments[this.segments.length - 1];
+    if (this._fd === null || (active.bytes > 0 && active.bytes + bytes > this.segmentMaxBytes)) {
+      this._roll(stored.seq);
+    }
+
+    const segment = this.segments[this.segments.length - 1];
+    try {
+      fs.writeSync(this._fd, line);
+      if (this.fsync === 'always') fs.fsyncSync(this._fd);
+    } catch (err) {
+      try {
+        fs.ftruncateSync(this._fd, segment.bytes);
+      } catch {
+        // Replay drops a torn tail of the last segment all the same
+      }
+      throw err;
+    }
+
+    segment.bytes += bytes;
+    this.nextSeq++;
+    if (this.fsync !== 'always') this._dirty = true;
+    return stored;
+  }
+
+  // ─── Force buffered writes of the active segment to disk ───────────────────
+  flush() {
+    if (this._fd === null || !this._dirty) return;
+    fs.fsyncSync(this._fd);
+    this._dirty = false;
+  }
+
+  close() {
+    if (this._intervalId) clearInterval(this._intervalId);
+    if (this._fd !== null) {
+      this.flush();
+      fs.closeSync(this._fd);
+      this._fd = null;
+    }
+  }
+
+  getStats() {
+    return {
+      dir: this.dir,
+      fsync: this.fsync,
+      segmentMaxBytes: this.segmentMaxBytes,
+      segmentCount: this.segments.length,
+      totalBytes: this.segments.reduce((sum, s) => sum + s.bytes, 0),
+      nextSeq: this.nextSeq,
+    };
+  }
+
+  // ─── Seal the active segment and start a new one ───────────────────────────
+  _roll(baseSeq = this.nextSeq) {
+    if (this._fd !== null) {
+      fs.fsyncSync(this._fd);
+      this._closeActive();
+    }
+
+    const file = path.join(this.dir, `${String(baseSeq).padStart(20, '0')}.log`);
+    this._fd = fs.openSync(file, 'a');
+    this._dirty = false;
+    this.segments.push({ baseSeq, file, bytes: 0 });
+  }
+
+  _closeActive() {
+    const fd = this._fd;
+    this._fd = null;
+    this._dirty = false;
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = SegmentedLog;
@@ -1,88 +1,1439 @@
 const express = require('express');
 const axios = require('axios');
+const crypto = require('crypto');
+const SegmentedLog = require('./segmentedLog');
+const AntiEntropy = require('./antiEntropy');
+const Metrics = require('../shared/metrics');
+const Tracer = require('../shared/tracing');
+const { ringPosition, inRanges, sha } = require('./merkleTree');
+const { FaultInjector, FaultError } = require('./faultInjector');
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 
 const NODE_ID = process.env.NODE_ID || 'node-unknown';
-const PORT = 5000;
+const PORT = parseInt(process.env.PORT || '5000');
+
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+// Served as Prometheus text from GET /metrics. Gauges over stored data are
+// computed at scrape time (see the collect functions near /metrics).
+const metrics = new Metrics({ defaultLabels: { node: NODE_ID } });
+app.use(metrics.httpMiddleware());
+
+const storedMessages = metrics.counter('stored_messages_total', 'Messages stored on this broker, by role (primary | replica) and kind (key | topic)');
+const readMessages = metrics.counter('read_messages_total', 'Messages returned by /fetch and /read, by kind (key | topic)');
+const replicationRequests = metrics.counter('replication_requests_total', 'Replication calls to each peer, by result (success | failed | fenced)');
+const replicatedEntries = metrics.counter('replicated_entries_total', 'Entries sent to each peer, by result (success | failed | fenced)');
+const replicationDuration = metrics.histogram('replication_duration_seconds', 'Latency of replication calls to each peer');
+const hintEvents = metrics.counter('hints_total', 'Hinted-handoff writes per peer, by outcome (stored | delivered | discarded)');
+const injectedFaults = metrics.counter('injected_faults_total', 'Requests and calls affected by an injected fault, by type');
+
+// ─── Tracing ──────────────────────────────────────────────────────────────────
+// Requests join the caller's trace (traceparent header); replication calls
+// made while handling them carry it on to the replicas
+const tracer = new Tracer({
+  serviceName: 'broker',
+  instanceId: NODE_ID,
+  maxTraces: parseInt(process.env.TRACE_BUFFER_SIZE || '1000'),
+});
+app.use(tracer.httpMiddleware({ ignore: [/^\/health$/, /^\/metrics$/, /^\/trace\//] }));
+tracer.instrument(axios);
+
+// ─── Cluster Authentication ───────────────────────────────────────────────────
+// Only the coordinators and the other brokers may call a broker: with
+// CLUSTER_TOKEN set, every request but health checks and scrapes has to
+// carry it, and this node sends it on its own calls to its peers. Without it
+// the broker must not be reachable from outside the cluster network.
+const CLUSTER_TOKEN = process.env.CLUSTER_TOKEN || '';
+if (!CLUSTER_TOKEN) console.log(`[${NODE_ID}] ⚠️  CLUSTER_TOKEN is not set — anyone who can reach this broker can write to it`);
+if (CLUSTER_TOKEN) axios.defaults.headers.common['X-Cluster-Token'] = CLUSTER_TOKEN;
+const CLUSTER_TOKEN_HASH = crypto.createHash('sha256').update(CLUSTER_TOKEN).digest();
+
+app.use((req, res, next) => {
+  if (!CLUSTER_TOKEN || req.path === '/health' || req.path === '/metrics') return next();
+  const token = req.get('X-Cluster-Token') || '';
+  if (crypto.timingSafeEqual(crypto.createHash('sha256').update(token).digest(), CLUSTER_TOKEN_HASH)) return next();
+  res.status(401).json({ success: false, error: 'Cluster token required' });
+});
+
+// ─── Fault Injection ──────────────────────────────────────────────────────────
+// With FAULT_INJECTION=true, POST /faults makes this broker slow, failing,
+// unhealthy or cut off from some replicas on purpose (see FaultInjector).
+const FAULT_INJECTION = (process.env.FAULT_INJECTION || 'false') === 'true';
+if (FAULT_INJECTION && !CLUSTER_TOKEN) throw new Error('FAULT_INJECTION needs CLUSTER_TOKEN — without it anyone could inject faults');
+const faults = new FaultInjector({ onInject: fault => injectedFaults.inc({ type: fault.type }) });
+
+if (FAULT_INJECTION) {
+  app.use(async (req, res, next) => {
+    if (req.path.startsWith('/faults') || req.path === '/metrics') return next();
+    const { delayMs, error } = faults.forRequest(req.path);
+    if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+    if (error) return res.status(error.status).json({ success: false, node: NODE_ID, injected: true, error: `Injected fault ${error.id}` });
+    next();
+  });
+
+  // A dropped call fails the way an unreachable peer does: without a response
+  axios.interceptors.request.use(config => {
+    const fault = faults.dropsCall(new URL(config.url, config.baseURL).href);
+    if (fault) throw Object.assign(new Error(`Call to ${config.url} dropped by injected fault ${fault.id}`), { code: 'EFAULTINJECTED' });
+    return config;
+  });
+}
 
 // ─── In-Memory State ──────────────────────────────────────────────────────────
-const messageStore = {};   // { key: { payload, timestamp } }
-const replicationLog = []; // audit trail of all replication events
+// Rebuilt from the on-disk log at startup; every mutation goes through persist()
+const messageStore = {};   // { key: { payload, version, timestamp, expiresAt? } }
+const partitions = {};     // { "topic/partition": { topic, partition, logStartOffset, nextOffset, messages: [] } }
+const replicationLog = []; // audit trail of recent replication events (payloads left out)
+const REPLICATION_LOG_MAX_ENTRIES = parseInt(process.env.REPLICATION_LOG_MAX_ENTRIES || '10000');
+
+// Hinted handoff: replica writes that could not be delivered, kept until the
+// target comes back. { hintId: { id, target, request, createdAt, attempts } }
+const hints = new Map();
+
+// Highest leadership epoch this node has seen. The coordinator issues a new
+// epoch with every promotion; writes carrying an older one come from a
+// deposed primary (or coordinator) and are fenced off. Keyed entries are
+// versioned as { epoch, counter } so copies written under a newer leader
+// always win over ones from an older leader.
+let epoch = 0;
+
+// Idempotent producers: the last PRODUCER_DEDUP_WINDOW sequence numbers each
+// producer wrote to each key / partition, with where they were stored.
+// Rebuilt from the log like everything else and also kept by replicas (the
+// sequence travels with replication), so a promoted replica still
+// recognises retries. "producerId|target" → Map(sequence → { offset } | { version })
+const PRODUCER_DEDUP_WINDOW = parseInt(process.env.PRODUCER_DEDUP_WINDOW || '100');
+const producerSequences = new Map();
+
+// Transactions this node takes part in (two-phase commit driven by the
+// coordinator). Topic entries are appended at prepare and stay invisible to
+// read_committed readers until the commit marker arrives; keyed entries are
+// staged and only written at commit. Keys staged by a prepared transaction
+// are locked against other transactions.
+// txnId → { state: 'prepared' | 'committed' | 'aborted', staged, applied: Set(index), updatedAt }
+const transactions = new Map();
+const txnLocks = new Map(); // key → txnId
+
+// Copies of partition messages refused because this node already holds a
+// different message at that offset. An offset is written once; a second,
+// different message for it means two primaries handed out the same offset.
+// "topic/partition/offset|digest of the refused copy" → offset_conflict event
+const offsetConflicts = new Map();
+
+// Retention policies per topic, pushed by the coordinator:
+// { topic: { retentionMs?, retentionMessages?, retentionBytes?, cleanupPolicy? } }
+// and what the cleaner removed since the log began
+let retentionPolicies = {};
+const reclaimed = { keysExpired: 0, messagesDeleted: 0, messagesCompacted: 0, bytesReclaimed: 0 };
+
+// ─── Durable Storage ──────────────────────────────────────────────────────────
+// DATA_DIR holds the segmented append-only log of replication events.
+// FSYNC_MODE: always | interval | never (see segmentedLog.js)
+const storage = new SegmentedLog({
+  dir: process.env.DATA_DIR || './data',
+  segmentMaxBytes: parseInt(process.env.SEGMENT_MAX_BYTES || String(16 * 1024 * 1024)),
+  fsync: process.env.FSYNC_MODE || 'interval',
+  fsyncIntervalMs: parseInt(process.env.FSYNC_INTERVAL_MS || '1000'),
+  onFlushError: err => log(`FAILED to fsync the log: ${err.message}`),
+});
 
 // ─── Helper ───────────────────────────────────────────────────────────────────
 function log(msg) {
-  console.log(`[${NODE_ID}] ${new Date().toISOString()} - ${msg}`);
+  const traceId = tracer.currentTraceId();
+  console.log(`[${NODE_ID}] ${new Date().toISOString()}${traceId ? ` [trace ${traceId}]` : ''} - ${msg}`);
 }
 
-// ─── Routes ───────────────────────────────────────────────────────────────────
+// Express 4 does not catch rejected promises: async routes pass their errors
+// on to the error handler at the end of the routes
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+function payloadBytes(payload) {
+  return Buffer.byteLength(JSON.stringify(payload ?? null));
+}
+
+// Keyed messages produced with a TTL stop being served once it passes
+function isExpired(entry, now = Date.now()) {
+  return entry?.expiresAt !== undefined && Date.parse(entry.expiresAt) <= now;
+}
+
+function getPartition(topic, partition) {
+  const id = `${topic}/${partition}`;
+  if (!partitions[id]) partitions[id] = { topic, partition, logStartOffset: 0, nextOffset: 0, messages: [] };
+  return partitions[id];
+}
+
+// What makes two copies of a partition message the same message (the
+// Merkle digest of anti-entropy covers the same fields)
+function messageDigest({ key, payload, timestamp }) {
+  return sha(JSON.stringify([key, payload, timestamp]));
+}
+
+// The message at this offset of a partition, if this node holds it
+function messageAt(topic, partition, offset) {
+  return partitions[`${topic}/${partition}`]?.messages.find(m => m.offset === offset);
+}
+
+// Place a message at its offset. Replicas may receive offsets out of order
+// (or again after a failover), so keep the array sorted. An offset is never
+// overwritten: callers check for conflicts first, and a re-delivery of a
+// message already held leaves it as it is.
+function putPartitionMessage(event, role) {
+  const partitionLog = getPartition(event.topic, event.partition);
+  // Already removed by retention here; a late copy must not bring it back
+  if (event.offset < partitionLog.logStartOffset) return;
+
+  const message = {
+    offset: event.offset,
+    key: event.key,
+    payload: event.payload,
+    timestamp: event.timestamp,
+    role,
+    ...(event.txnId !== undefined && { txnId: event.txnId, txnIndex: event.txnIndex }),
+    ...(event.schemaVersion !== undefined && { schemaVersion: event.schemaVersion }),
+  };
+
+  if (event.offset >= partitionLog.nextOffset) {
+    partitionLog.messages.push(message);
+    partitionLog.nextOffset = event.offset + 1;
+    return;
+  }
+
+  const idx = partitionLog.messages.findIndex(m => m.offset >= event.offset);
+  if (idx === -1) {
+    partitionLog.messages.push(message);
+  } else if (partitionLog.messages[idx].offset !== event.offset) {
+    partitionLog.messages.splice(idx, 0, message);
+  }
+}
+
+// ─── Write Acknowledgement ────────────────────────────────────────────────────
+// acks=0 / acks=1 : only the local write is needed (0 = caller doesn't wait)
+// acks=quorum     : a majority of all copies, the primary's included
+// acks=all        : the primary and every replica
+const ACK_LEVELS = ['0', '1', 'quorum', 'all'];
+const DEFAULT_ACK_TIMEOUT_MS = parseInt(process.env.ACK_TIMEOUT_MS || '5000');
+const REPLICATION_TIMEOUT_MS = parseInt(process.env.REPLICATION_TIMEOUT_MS || '10000');
+
+// ─── Hinted Handoff ───────────────────────────────────────────────────────────
+// MAX_HINTS caps how many undelivered writes are kept; HINT_REPLAY_INTERVAL_MS
+// is how often this node retries them on its own (the coordinator also asks
+// for a replay as soon as it sees the target recover).
+const MAX_HINTS = parseInt(process.env.MAX_HINTS || '10000');
+const HINT_REPLAY_INTERVAL_MS = parseInt(process.env.HINT_REPLAY_INTERVAL_MS || '30000');
+
+function requiredReplicaAcks(acks, replicaCount) {
+  if (acks === 'quorum') return Math.floor((replicaCount + 1) / 2);
+  if (acks === 'all') return replicaCount;
+  return 0;
+}
+
+// Resolves true once `required` replicas succeeded, false as soon as that is
+// impossible or timeoutMs passes. Replication keeps running in the background.
+function waitForAcks(replications, required, timeoutMs) {
+  return new Promise(resolve => {
+    if (required === 0) return resolve(true);
+
+    let succeeded = 0;
+    let settled = 0;
+    const timer = setTimeout(() => resolve(false), timeoutMs);
+
+    for (const replication of replications) {
+      replication.then(result => {
+        settled++;
+        if (result.status === 'success') succeeded++;
+
+        if (succeeded >= required) {
+          clearTimeout(timer);
+          resolve(true);
+        } else if (succeeded + (replications.length - settled) < required) {
+          clearTimeout(timer);
+          resolve(false);
+        }
+      });
+    }
+  });
+}
+
+// ─── Versions ─────────────────────────────────────────────────────────────────
+// Entries written before versioning existed count as the oldest version.
+const ZERO_VERSION = { epoch: 0, counter: 0 };
+
+function compareVersions(a = ZERO_VERSION, b = ZERO_VERSION) {
+  if (a.epoch !== b.epoch) return a.epoch - b.epoch;
+  return a.counter - b.counter;
+}
+
+// Never go below the epoch of the copy we already hold, or the new write
+// would lose to the copy it replaces
+function nextVersion(key) {
+  const current = messageStore[key]?.version || ZERO_VERSION;
+  return { epoch: Math.max(epoch, current.epoch), counter: current.counter + 1 };
+}
+
+// A copy received from another node only replaces a strictly older one
+function isNewerThanStored(key, version) {
+  const entry = messageStore[key];
+  return !entry || compareVersions(version, entry.version) > 0;
+}
+
+// ─── Producer Sequences ───────────────────────────────────────────────────────
+function sequenceTarget({ key, topic, partition }) {
+  return topic !== undefined ? `${topic}/${partition}` : `key:${key}`;
+}
+
+// Where an earlier write with this producer sequence was stored, if it was
+function findSequence(producerId, sequence, entry) {
+  return producerSequences.get(`${producerId}|${sequenceTarget(entry)}`)?.get(sequence);
+}
+
+// A sequence below everything in a full window is too old to tell apart from
+// a new write
+function isSequenceTooOld(producerId, sequence, entry) {
+  const window = producerSequences.get(`${producerId}|${sequenceTarget(entry)}`);
+  return window !== undefined && window.size >= PRODUCER_DEDUP_WINDOW && sequence < Math.min(...window.keys());
+}
+
+function recordSequence(event) {
+  const id = `${event.producerId}|${sequenceTarget(event)}`;
+  if (!producerSequences.has(id)) producerSequences.set(id, new Map());
+
+  const window = producerSequences.get(id);
+  window.set(event.sequence, event.topic !== undefined ? { offset: event.offset } : { version: event.version || ZERO_VERSION });
+  while (window.size > PRODUCER_DEDUP_WINDOW) {
+    window.delete(Math.min(...window.keys()));
+  }
+}
+
+// Apply a logged event to the in-memory state (used both live and on replay)
+function applyEvent(event) {
+  if ((event.event === 'stored_as_primary' || event.event === 'stored_as_replica') && event.producerId !== undefined) {
+    recordSequence(event);
+  }
+  // A replica can see a transaction's messages before hearing of the transaction
+  if (event.txnId !== undefined && !transactions.has(event.txnId)) {
+    transactions.set(event.txnId, { state: 'prepared', prepared: false, staged: [], applied: new Set(), updatedAt: event.timestamp });
+  }
+
+  switch (event.event) {
+    case 'stored_as_primary':
+      if (event.topic !== undefined) {
+        putPartitionMessage(event, 'primary');
+        break;
+      }
+      messageStore[event.key] = {
+        payload: event.payload,
+        version: event.version || ZERO_VERSION,
+        timestamp: event.timestamp,
+        expiresAt: event.expiresAt,
+        role: 'primary',
+      };
+      break;
+    case 'stored_as_replica':
+      if (event.topic !== undefined) {
+        putPartitionMessage(event, 'replica');
+        break;
+      }
+      messageStore[event.key] = {
+        payload: event.payload,
+        version: event.version || ZERO_VERSION,
+        timestamp: event.timestamp,
+        expiresAt: event.expiresAt,
+        role: 'replica',
+        replicaOf: event.receivedFrom,
+      };
+      break;
+    case 'read_repaired':
+    case 'anti_entropy_repaired':
+      // Repairs only fill offsets this node does not hold
+      if (event.topic !== undefined) {
+        putPartitionMessage(event, 'replica');
+        break;
+      }
+      // Keep this node's role for the key; only the value and version change
+      messageStore[event.key] = {
+        ...messageStore[event.key],
+        payload: event.payload,
+        version: event.version,
+        timestamp: event.timestamp,
+        expiresAt: event.expiresAt,
+        role: messageStore[event.key]?.role || 'replica',
+      };
+      break;
+    case 'promoted_to_primary':
+      epoch = event.epoch ?? epoch + 1;
+      break;
+    case 'epoch_advanced':
+      epoch = Math.max(epoch, event.epoch);
+      return;
+    case 'fenced_write_reverted':
+      if (event.producerId !== undefined) {
+        producerSequences.get(`${event.producerId}|${sequenceTarget(event)}`)?.delete(event.sequence);
+      }
+      if (event.topic !== undefined) {
+        const partitionLog = getPartition(event.topic, event.partition);
+        partitionLog.messages = partitionLog.messages.filter(m => m.offset !== event.offset);
+        if (partitionLog.nextOffset === event.offset + 1) partitionLog.nextOffset = event.offset;
+      } else if (event.previous) {
+        messageStore[event.key] = event.previous;
+      } else {
+        delete messageStore[event.key];
+      }
+      break;
+    case 'txn_prepared':
+      Object.assign(transactions.get(event.txnId), { prepared: true, staged: event.staged });
+      for (const { key } of event.staged) txnLocks.set(key, event.txnId);
+      break;
+    case 'txn_committed':
+    case 'txn_aborted': {
+      const txn = transactions.get(event.txnId);
+      txn.state = event.event === 'txn_committed' ? 'committed' : 'aborted';
+      txn.updatedAt = event.timestamp;
+      for (const index of event.applied || []) txn.applied.add(index);
+      for (const { key } of txn.staged) {
+        if (txnLocks.get(key) === event.txnId) txnLocks.delete(key);
+      }
+      txn.staged = [];
+      break;
+    }
+    case 'offset_conflict':
+      offsetConflicts.set(`${event.topic}/${event.partition}/${event.offset}|${event.refusedDigest}`, event);
+      break;
+    case 'retention_policies_updated':
+      retentionPolicies = event.policies;
+      break;
+    case 'keys_expired':
+      for (const key of event.keys) {
+        if (!messageStore[key]) continue;
+        reclaimed.keysExpired++;
+        reclaimed.bytesReclaimed += payloadBytes(messageStore[key].payload);
+        delete messageStore[key];
+      }
+      break;
+    case 'retention_applied': {
+      const partitionLog = getPartition(event.topic, event.partition);
+      const compacted = new Set(event.compacted);
+      partitionLog.logStartOffset = Math.max(partitionLog.logStartOffset, event.logStartOffset);
+      partitionLog.messages = partitionLog.messages.filter(m => {
+        const deleted = m.offset < partitionLog.logStartOffset;
+        if (!deleted && !compacted.has(m.offset)) return true;
+        if (deleted) reclaimed.messagesDeleted++;
+        else reclaimed.messagesCompacted++;
+        reclaimed.bytesReclaimed += payloadBytes(m.payload);
+        return false;
+      });
+      break;
+    }
+    // Hints have their own view (/hints) and are not part of the replication log
+    case 'hint_stored':
+      hints.set(event.hint.id, { ...event.hint, attempts: 0 });
+      return;
+    case 'hint_delivered':
+    case 'hint_discarded':
+      hints.delete(event.hintId);
+      return;
+    case 'replication_completed': {
+      // Attach results to the primary write they belong to; not a log entry itself
+      const entry = replicationLog.findLast(e => e.seq === event.ref);
+      if (entry) entry.replicationResults = event.replicationResults;
+      return;
+    }
+  }
+  // The data itself lives in messageStore / partitions; the audit trail only
+  // keeps the size of each payload and the most recent entries
+  if (event.payload === undefined) {
+    replicationLog.push(event);
+  } else {
+    const { payload, ...entry } = event;
+    replicationLog.push({ ...entry, payloadBytes: payloadBytes(payload) });
+  }
+  if (replicationLog.length > REPLICATION_LOG_MAX_ENTRIES) replicationLog.shift();
+}
+
+// A write the disk refused (ENOSPC, EIO, …). The event was not applied, so
+// the request that needed it fails with 503 and the broker keeps serving.
+class StorageError extends Error {
+  constructor(message, status = 503) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Write an event to disk first, then apply it
+function persist(event) {
+  let stored;
+  try {
+    stored = storage.append(event);
+  } catch (err) {
+    log(`FAILED to write ${event.event} to the log: ${err.message}`);
+    throw new StorageError(`Could not write to the log: ${err.code || err.message}`);
+  }
+  applyEvent(stored);
+  return stored;
+}
+
+// ─── Epoch Fencing ────────────────────────────────────────────────────────────
+// A write is accepted when it carries an epoch at least as new as ours; a
+// newer epoch is adopted on the way. Writes without an epoch are only
+// accepted until the first one was issued. Hint replays carry the epoch of
+// the original write and are checked like it. Rejections are logged so
+// split-brain attempts show up in /log.
+function checkEpoch(requestEpoch, op, from, target) {
+  const missing = requestEpoch === undefined || requestEpoch === null;
+  if (missing && epoch === 0) return true;
+
+  if (missing || requestEpoch < epoch) {
+    persist({
+      event: 'stale_epoch_rejected',
+      op,
+      from,
+      target,
+      requestEpoch: missing ? null : requestEpoch,
+      currentEpoch: epoch,
+      timestamp: new Date().toISOString(),
+    });
+    log(`FENCED ${op} of ${target} from ${from}: ${missing ? 'no epoch' : `epoch ${requestEpoch}`} < ${epoch}`);
+    return false;
+  }
+
+  if (requestEpoch > epoch) advanceEpoch(requestEpoch, `${op} from ${from}`);
+  return true;
+}
+
+function advanceEpoch(newEpoch, source) {
+  persist({ event: 'epoch_advanced', epoch: newEpoch, source, timestamp: new Date().toISOString() });
+  log(`Epoch advanced to ${epoch} (${source})`);
+}
+
+function staleEpochResponse(res, requestEpoch) {
+  return res.status(409).json({
+    success: false,
+    staleEpoch: true,
+    node: NODE_ID,
+    epoch,
+    error: `${requestEpoch === undefined || requestEpoch === null ? 'Missing epoch' : `Stale epoch ${requestEpoch}`} (this node is at epoch ${epoch})`,
+  });
+}
+
+// ─── Offset Conflicts ─────────────────────────────────────────────────────────
+// A copy that differs from the message already at its offset is refused,
+// never applied. Each distinct conflict is recorded once (anti-entropy would
+// otherwise report it on every pass) and listed by /log.
+function isSameMessage(existing, entry) {
+  return messageDigest(existing) === messageDigest(entry);
+}
+
+function refuseConflictingMessage(entry, existing, from, op) {
+  const { topic, partition, offset } = entry;
+  const refusedDigest = messageDigest(entry);
+  if (offsetConflicts.has(`${topic}/${partition}/${offset}|${refusedDigest}`)) return;
+
+  persist({
+    event: 'offset_conflict',
+    op,
+    from,
+    topic,
+    partition,
+    offset,
+    heldDigest: messageDigest(existing),
+    refusedDigest,
+    timestamp: new Date().toISOString(),
+  });
+  log(`CONFLICT at ${topic}/${partition} offset=${offset}: refused a different message from ${from} (${op})`);
+}
+
+// ─── Recovery ─────────────────────────────────────────────────────────────────
+const recoveryStartedAt = Date.now();
+for (const event of storage.open()) applyEvent(event);
 
-// Called by coordinator to store a message as PRIMARY
-app.post('/store', async (req, res) => {
-  const { key, payload, replicateTo = [] } = req.body;
+const recovery = {
+  ...storage.recovery,
+  recoveredKeys: Object.keys(messageStore).length,
+  recoveredPartitions: Object.keys(partitions).length,
+  recoveredLogEntries: replicationLog.length,
+  durationMs: Date.now() - recoveryStartedAt,
+  recoveredAt: new Date().toISOString(),
+};
+log(`Recovered ${recovery.recoveredKeys} keys from ${recovery.records} records in ${recovery.segments} segment(s)`);
+if (hints.size > 0) log(`Recovered ${hints.size} pending hint(s)`);
 
-  if (!key || payload === undefined) {
-    return res.status(400).json({ error: 'key and payload are required' });
+// ─── Hinted Handoff ───────────────────────────────────────────────────────────
+// Only unavailability is worth a hint; a replica that answered with a 4xx
+// rejected the write and would reject the replay too.
+function isUnavailable(err) {
+  return !err.response || err.response.status >= 500;
+}
+
+// request is the write's own /replicate body, original epoch included
+function storeHint(target, request) {
+  if (hints.size >= MAX_HINTS) {
+    log(`Hint store full (${MAX_HINTS}), dropping hint for ${target}`);
+    return null;
   }
 
-  // 1. Save locally
-  messageStore[key] = { payload, timestamp: new Date().toISOString(), role: 'primary' };
-  log(`Stored PRIMARY key="${key}"`);
+  const hint = { id: crypto.randomUUID(), target, request, createdAt: new Date().toISOString() };
+  persist({ event: 'hint_stored', hint, timestamp: hint.createdAt });
+  hintEvents.inc({ peer: target, outcome: 'stored' });
+  log(`Stored HINT for ${target} (${hints.size} pending)`);
+  return hint.id;
+}
+
+// Deliver pending hints to one target, oldest first. Stops at the first
+// unavailability so the remaining hints keep their order.
+const replaysInProgress = new Set();
+
+async function replayHints(target) {
+  if (replaysInProgress.has(target)) {
+    return { target, inProgress: true, remaining: [...hints.values()].filter(h => h.target === target).length };
+  }
+  replaysInProgress.add(target);
+
+  try {
+    return await deliverHints(target);
+  } finally {
+    replaysInProgress.delete(target);
+  }
+}
 
-  // 2. Replicate to replica nodes
-  const replicationResults = [];
-  for (const replicaUrl of replicateTo) {
+async function deliverHints(target) {
+  const pending = [...hints.values()].filter(h => h.target === target);
+  const result = { target, delivered: 0, discarded: 0, remaining: 0 };
+
+  for (const hint of pending) {
+    hint.attempts++;
     try {
-      await axios.post(`${replicaUrl}/replicate`, { key, payload, primaryNode: NODE_ID });
-      replicationResults.push({ node: replicaUrl, status: 'success' });
-      log(`Replicated key="${key}" to ${replicaUrl}`);
+      await axios.post(`${target}/replicate`, { ...hint.request, hinted: true }, { timeout: REPLICATION_TIMEOUT_MS });
+      persist({ event: 'hint_delivered', hintId: hint.id, target, timestamp: new Date().toISOString() });
+      hintEvents.inc({ peer: target, outcome: 'delivered' });
+      result.delivered++;
     } catch (err) {
-      replicationResults.push({ node: replicaUrl, status: 'failed', error: err.message });
-      log(`FAILED to replicate key="${key}" to ${replicaUrl}: ${err.message}`);
+      if (isUnavailable(err)) break;
+      persist({ event: 'hint_discarded', hintId: hint.id, target, reason: err.message, timestamp: new Date().toISOString() });
+      hintEvents.inc({ peer: target, outcome: 'discarded' });
+      result.discarded++;
+    }
+  }
+
+  result.remaining = [...hints.values()].filter(h => h.target === target).length;
+  if (result.delivered + result.discarded > 0) {
+    log(`Replayed hints to ${target}: ${result.delivered} delivered, ${result.discarded} discarded, ${result.remaining} remaining`);
+  }
+  return result;
+}
+
+function hintTargets() {
+  return [...new Set([...hints.values()].map(h => h.target))];
+}
+
+setInterval(async () => {
+  for (const target of hintTargets()) {
+    await replayHints(target).catch(err => log(`Hint replay to ${target} failed: ${err.message}`));
+  }
+}, HINT_REPLAY_INTERVAL_MS).unref();
+
+// ─── Repair & Anti-Entropy ────────────────────────────────────────────────────
+// Every key and partition message as a Merkle item, positioned on the ring
+// by its routing key (the key itself, or "<topic>-<partition>")
+function collectItems(ranges) {
+  const items = [];
+
+  const now = Date.now();
+  for (const [key, entry] of Object.entries(messageStore)) {
+    if (isExpired(entry, now)) continue;
+    const position = ringPosition(key);
+    if (!inRanges(position, ranges)) continue;
+    items.push({
+      id: `key:${key}`,
+      position,
+      digest: sha(JSON.stringify([entry.version, entry.payload])),
+      version: entry.version,
+      timestamp: entry.timestamp,
+    });
+  }
+
+  for (const partitionLog of Object.values(partitions)) {
+    const { topic, partition, messages } = partitionLog;
+    const position = ringPosition(`${topic}-${partition}`);
+    if (!inRanges(position, ranges)) continue;
+    for (const m of messages) {
+      if (isPastRetention(m, partitionLog, now)) continue;
+      items.push({
+        id: `msg:${topic}/${partition}/${m.offset}`,
+        position,
+        digest: sha(JSON.stringify([m.key, m.payload, m.timestamp])),
+        timestamp: m.timestamp,
+      });
+    }
+  }
+
+  return items;
+}
+
+// Full entries for Merkle item ids, in the shape /repair accepts
+function exportEntries(ids) {
+  const entries = [];
+  for (const id of ids) {
+    if (id.startsWith('key:')) {
+      const key = id.slice(4);
+      const entry = messageStore[key];
+      if (entry) entries.push({ key, payload: entry.payload, version: entry.version, timestamp: entry.timestamp, expiresAt: entry.expiresAt });
+    } else if (id.startsWith('msg:')) {
+      const [, topic, partition, offset] = id.match(/^msg:(.+)\/(\d+)\/(\d+)$/);
+      const message = partitions[`${topic}/${partition}`]?.messages.find(m => m.offset === Number(offset));
+      if (message) {
+        entries.push({
+          topic,
+          partition: Number(partition),
+          offset: message.offset,
+          key: message.key,
+          payload: message.payload,
+          timestamp: message.timestamp,
+          ...(message.txnId !== undefined && { txnId: message.txnId, txnIndex: message.txnIndex }),
+          ...(message.schemaVersion !== undefined && { schemaVersion: message.schemaVersion }),
+        });
+      }
+    }
+  }
+  return entries;
+}
+
+// Apply repaired entries that are newer than (or missing from) local state.
+// Partition messages only fill offsets missing here; see Offset Conflicts.
+function applyEntries(entries, repairedFrom, source) {
+  const event = source === 'anti_entropy' ? 'anti_entropy_repaired' : 'read_repaired';
+  let applied = 0;
+
+  for (const entry of entries) {
+    if (entry.topic !== undefined) {
+      const partitionLog = partitions[`${entry.topic}/${entry.partition}`];
+      const existing = messageAt(entry.topic, entry.partition, entry.offset);
+      if (existing) {
+        if (!isSameMessage(existing, entry)) refuseConflictingMessage(entry, existing, repairedFrom, source);
+        continue;
+      }
+      // The sender has not run its cleaner yet; this node already removed it
+      if (partitionLog && (isPastRetention(entry, partitionLog) || isCompactedAway(entry, partitionLog))) continue;
+    } else if (isExpired(entry) || !isNewerThanStored(entry.key, entry.version)) {
+      continue;
+    }
+
+    persist({
+      event,
+      key: entry.key,
+      ...(entry.topic !== undefined
+        ? { topic: entry.topic, partition: entry.partition, offset: entry.offset }
+        : { version: entry.version, ...(entry.expiresAt && { expiresAt: entry.expiresAt }) }),
+      ...(entry.txnId !== undefined && { txnId: entry.txnId, txnIndex: entry.txnIndex }),
+      ...(entry.schemaVersion !== undefined && { schemaVersion: entry.schemaVersion }),
+      payload: entry.payload,
+      repairedFrom,
+      timestamp: entry.timestamp || new Date().toISOString(),
+    });
+    applied++;
+
+    const target = entry.topic !== undefined ? `${entry.topic}/${entry.partition} offset=${entry.offset}` : `key="${entry.key}"`;
+    log(`${source === 'anti_entropy' ? 'ANTI-ENTROPY' : 'READ'}-REPAIRED ${target} (from ${repairedFrom})`);
+  }
+
+  return applied;
+}
+
+const antiEntropy = new AntiEntropy({
+  nodeId: NODE_ID,
+  depth: parseInt(process.env.MERKLE_DEPTH || '10'),
+  intervalMs: parseInt(process.env.ANTI_ENTROPY_INTERVAL_MS || '60000'),
+  collectItems,
+  dataVersion: () => storage.nextSeq,
+  exportEntries,
+  applyEntries: (entries, from) => applyEntries(entries, from, 'anti_entropy'),
+});
+antiEntropy.start();
+
+// ─── Retention ────────────────────────────────────────────────────────────────
+// Every RETENTION_INTERVAL_MS each broker cleans its own copies: keys past
+// their TTL are dropped, and each partition of a topic with a policy has its
+// log start moved forward (retentionMs / retentionMessages / retentionBytes)
+// and, with cleanupPolicy=compact, keeps only the latest committed message per
+// key. The rules only use what replication copies verbatim — offsets, keys and
+// the primary's timestamps — so every replica reaches the same result on its
+// own. Messages of undecided transactions are never compacted.
+const RETENTION_INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS || '60000');
+const retention = { runs: 0, lastRunAt: null, lastReport: null };
+
+// Would the retention limits remove this message? Anti-entropy leaves such
+// messages out so a peer that cleaned up earlier is not handed them back.
+function isPastRetention(message, partitionLog, now = Date.now()) {
+  if (message.offset < partitionLog.logStartOffset) return true;
+  const policy = retentionPolicies[partitionLog.topic];
+  if (!policy) return false;
+  if (policy.retentionMs && Date.parse(message.timestamp) < now - policy.retentionMs) return true;
+  return Boolean(policy.retentionMessages) && message.offset < partitionLog.nextOffset - policy.retentionMessages;
+}
+
+function isCompactedAway(message, partitionLog) {
+  if (retentionPolicies[partitionLog.topic]?.cleanupPolicy !== 'compact' || message.key == null) return false;
+  return partitionLog.messages.some(m => m.key === message.key && m.offset > message.offset && [undefined, 'committed'].includes(txnStateOf(m)));
+}
+
+// New log start offset and the offsets compaction removes, for one partition
+function planRetention(partitionLog, policy, now) {
+  const { messages, nextOffset } = partitionLog;
+  let logStartOffset = partitionLog.logStartOffset;
+
+  if (policy.retentionMs) {
+    const firstKept = messages.find(m => Date.parse(m.timestamp) >= now - policy.retentionMs);
+    logStartOffset = Math.max(logStartOffset, firstKept ? firstKept.offset : nextOffset);
+  }
+  if (policy.retentionMessages) {
+    logStartOffset = Math.max(logStartOffset, nextOffset - policy.retentionMessages);
+  }
+  if (policy.retentionBytes) {
+    let bytes = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      bytes += payloadBytes(messages[i].payload);
+      if (bytes > policy.retentionBytes) {
+        logStartOffset = Math.max(logStartOffset, messages[i].offset + 1);
+        break;
+      }
+    }
+  }
+
+  const compacted = [];
+  if (policy.cleanupPolicy === 'compact') {
+    const kept = messages.filter(m => m.offset >= logStartOffset);
+    const latest = new Map();
+    for (const m of kept) {
+      if (m.key != null && txnStateOf(m) !== 'prepared' && txnStateOf(m) !== 'aborted') latest.set(m.key, m.offset);
     }
+    for (const m of kept) {
+      const state = txnStateOf(m);
+      if (state === 'aborted' || (m.key != null && state !== 'prepared' && latest.get(m.key) !== m.offset)) {
+        compacted.push(m.offset);
+      }
+    }
+  }
+
+  return { logStartOffset, compacted };
+}
+
+function runRetention() {
+  const now = Date.now();
+  const before = { ...reclaimed };
+
+  const expired = Object.keys(messageStore).filter(key => isExpired(messageStore[key], now));
+  if (expired.length > 0) {
+    persist({ event: 'keys_expired', keys: expired, timestamp: new Date(now).toISOString() });
+  }
+
+  for (const partitionLog of Object.values(partitions)) {
+    const policy = retentionPolicies[partitionLog.topic];
+    if (!policy) continue;
+
+    const { logStartOffset, compacted } = planRetention(partitionLog, policy, now);
+    if (logStartOffset === partitionLog.logStartOffset && compacted.length === 0) continue;
+    persist({
+      event: 'retention_applied',
+      topic: partitionLog.topic,
+      partition: partitionLog.partition,
+      logStartOffset,
+      compacted,
+      policy,
+      timestamp: new Date(now).toISOString(),
+    });
+  }
+
+  const report = Object.fromEntries(Object.keys(reclaimed).map(k => [k, reclaimed[k] - before[k]]));
+  retention.runs++;
+  retention.lastRunAt = new Date(now).toISOString();
+  retention.lastReport = report;
+  if (report.keysExpired + report.messagesDeleted + report.messagesCompacted > 0) {
+    log(`Retention: expired ${report.keysExpired} key(s), deleted ${report.messagesDeleted} and compacted ${report.messagesCompacted} message(s), reclaimed ${report.bytesReclaimed} bytes`);
+  }
+  return report;
+}
+
+setInterval(() => {
+  try {
+    runRetention();
+  } catch (err) {
+    log(`Retention run failed: ${err.message}`);
+  }
+}, RETENTION_INTERVAL_MS).unref();
+
+// ─── Primary Writes ───────────────────────────────────────────────────────────
+// Shared by single and batched /store. Every entry is saved locally first,
+// then replicated with one /replicate call per replica carrying all the
+// entries that replica holds a copy of.
+function invalidStoreEntry({ key, payload, topic, partition, producerId, sequence, ttlMs }) {
+  if (topic !== undefined) {
+    if (!Number.isInteger(partition) || partition < 0 || payload === undefined) return 'topic, partition and payload are required';
+    if (ttlMs !== undefined) return 'ttlMs only applies to keyed messages (topics use retentionMs)';
+  } else if (!key || payload === undefined) {
+    return 'key and payload are required';
+  }
+  if (ttlMs !== undefined && (!Number.isInteger(ttlMs) || ttlMs < 1)) {
+    return 'ttlMs must be a positive integer';
+  }
+  if (producerId !== undefined && (!Number.isInteger(sequence) || sequence < 0)) {
+    return 'sequence must be a non-negative integer when producerId is set';
   }
+  return null;
+}
+
+function describeTarget({ key, topic, partition }) {
+  return topic !== undefined ? `${topic}/${partition}` : `key="${key}"`;
+}
+
+// Save an entry as primary (durably, before anything is replicated). A retry
+// of a producer sequence already stored is not written again.
+function storeLocally({ key, payload, topic, partition, replicateTo = [], producerId, sequence, txnId, txnIndex, schemaVersion, ttlMs }) {
+  const target = describeTarget({ key, topic, partition });
+  const idempotent = producerId !== undefined;
 
-  // 3. Add to replication log
-  replicationLog.push({
+  const original = idempotent && findSequence(producerId, sequence, { key, topic, partition });
+  if (original) {
+    log(`DUPLICATE ${target} from producer ${producerId} seq=${sequence} — already stored${topic !== undefined ? ` at offset=${original.offset}` : ''}`);
+    return { duplicate: true, key, topic, partition, target, original, replicateTo, replications: [], replicationResults: [] };
+  }
+
+  const previous = topic === undefined ? messageStore[key] : undefined;
+  const stored = persist({
     event: 'stored_as_primary',
     key,
+    ...(topic !== undefined
+      ? { topic, partition, offset: getPartition(topic, partition).nextOffset }
+      : { version: nextVersion(key), ...(ttlMs !== undefined && { expiresAt: new Date(Date.now() + ttlMs).toISOString() }) }),
     payload,
+    ...(idempotent && { producerId, sequence }),
+    ...(txnId !== undefined && { txnId, txnIndex }),
+    ...(schemaVersion !== undefined && { schemaVersion }),
     replicatedTo: replicateTo,
-    replicationResults,
+    replicationResults: [],
     timestamp: new Date().toISOString(),
   });
+  log(`Stored PRIMARY ${target}${topic !== undefined ? ` offset=${stored.offset}` : ` version=${stored.version.epoch}.${stored.version.counter}`}`);
+  storedMessages.inc({ role: 'primary', kind: topic !== undefined ? 'topic' : 'key' });
 
-  res.status(201).json({
-    success: true,
+  return {
+    key,
+    topic,
+    partition,
+    target,
+    previous,
+    stored,
+    replicateTo,
+    replicationResults: replicateTo.map(node => ({ node, status: 'pending' })),
+    replications: [],
+    fenced: false,
+    startedAt: Date.now(),
+    request: {
+      key,
+      topic,
+      partition,
+      offset: stored.offset,
+      version: stored.version,
+      payload,
+      timestamp: stored.timestamp,
+      expiresAt: stored.expiresAt,
+      ...(idempotent && { producerId, sequence }),
+      ...(txnId !== undefined && { txnId, txnIndex }),
+      ...(schemaVersion !== undefined && { schemaVersion }),
+      primaryNode: NODE_ID,
+      epoch,
+    },
+  };
+}
+
+// A replica that knows a newer epoch means this node was deposed: undo the
+// local write and drop its hints so it never spreads through catch-up
+function revertFencedWrite(write, replicaUrl, replicaEpoch) {
+  if (write.fenced) return;
+  write.fenced = true;
+
+  if (replicaEpoch > epoch) advanceEpoch(replicaEpoch, `fenced by ${replicaUrl}`);
+  const { key, topic, partition, stored, previous } = write;
+  persist({
+    event: 'fenced_write_reverted',
+    ref: stored.seq,
+    key,
+    ...(topic !== undefined ? { topic, partition, offset: stored.offset } : { previous }),
+    ...(stored.producerId !== undefined && { producerId: stored.producerId, sequence: stored.sequence }),
+    fencedBy: replicaUrl,
+    timestamp: new Date().toISOString(),
+  });
+  for (const result of write.replicationResults) {
+    if (!result.hintId) continue;
+    persist({ event: 'hint_discarded', hintId: result.hintId, target: result.node, reason: 'write fenced', timestamp: new Date().toISOString() });
+  }
+  log(`Reverted FENCED write of ${write.target} — a newer primary exists`);
+}
+
+// Send every write to its replicas, one request per replica. Each write gets
+// one promise per replica in write.replications, resolving to that replica's result.
+function replicateWrites(writes) {
+  writes = writes.filter(write => !write.duplicate);
+
+  const byReplica = new Map();
+  for (const write of writes) {
+    for (const replicaUrl of write.replicateTo) {
+      if (!byReplica.has(replicaUrl)) byReplica.set(replicaUrl, []);
+      byReplica.get(replicaUrl).push(write);
+    }
+  }
+
+  for (const [replicaUrl, group] of byReplica) {
+    const body = group.length === 1
+      ? group[0].request
+      : { entries: group.map(w => w.request), primaryNode: NODE_ID, epoch };
+    const what = group.length === 1 ? group[0].target : `${group.length} entries`;
+    const setResult = (write, result) => {
+      const i = write.replicateTo.indexOf(replicaUrl);
+      write.replicationResults[i] = { node: replicaUrl, ...result, latencyMs: Date.now() - write.startedAt };
+      return write.replicationResults[i];
+    };
+
+    const stopTimer = replicationDuration.startTimer({ peer: replicaUrl });
+    const count = (result) => {
+      stopTimer();
+      replicationRequests.inc({ peer: replicaUrl, result });
+      replicatedEntries.inc({ peer: replicaUrl, result }, group.length);
+    };
+
+    const call = axios.post(`${replicaUrl}/replicate`, body, { timeout: REPLICATION_TIMEOUT_MS })
+      .then(() => {
+        count('success');
+        for (const write of group) setResult(write, { status: 'success' });
+        log(`Replicated ${what} to ${replicaUrl}`);
+      })
+      .catch(err => {
+        count(err.response?.data?.staleEpoch ? 'fenced' : 'failed');
+        if (err.response?.data?.staleEpoch) {
+          // A newer primary exists; this node has been deposed
+          log(`Replication of ${what} to ${replicaUrl} FENCED — replica is at epoch ${err.response.data.epoch}`);
+          for (const write of group) {
+            setResult(write, { status: 'fenced', error: err.response.data.error });
+            revertFencedWrite(write, replicaUrl, err.response.data.epoch);
+          }
+          return;
+        }
+
+        if (err.response?.data?.offsetConflict) {
+          // Not retried: the replica holds another message at that offset.
+          // A batch answers per entry; the entries it did store count as copies.
+          const { error, results } = err.response.data;
+          log(`Replication of ${what} to ${replicaUrl} REFUSED — ${error}`);
+          group.forEach((write, i) => {
+            const entry = results?.[i] || err.response.data;
+            setResult(write, entry.offsetConflict ? { status: 'conflict', error: entry.error } : { status: 'success' });
+          });
+          return;
+        }
+
+        log(`FAILED to replicate ${what} to ${replicaUrl}: ${err.message}`);
+        for (const write of group) {
+          const result = setResult(write, { status: 'failed', error: err.message });
+          if (isUnavailable(err) && !write.fenced) {
+            result.hintId = storeHint(replicaUrl, write.request);
+          }
+        }
+      })
+      // The outcome is set above; only recording it (hint, revert) can fail
+      .catch(err => log(`Could not record the replication of ${what} to ${replicaUrl}: ${err.message}`));
+
+    for (const write of group) {
+      write.replications.push(call.then(() => write.replicationResults[write.replicateTo.indexOf(replicaUrl)]));
+    }
+  }
+
+  // Record each write's replication outcome once every replica answered
+  for (const write of writes) {
+    Promise.all(write.replications).then(() => persist({
+      event: 'replication_completed',
+      ref: write.stored.seq,
+      key: write.key,
+      replicationResults: write.replicationResults,
+      timestamp: new Date().toISOString(),
+    })).catch(err => log(`Could not record the replication results of ${write.target}: ${err.message}`));
+  }
+}
+
+// Wait for as many replica acknowledgements as the ack level requires
+async function awaitAcks(write, acks, ackTimeoutMs) {
+  if (write.duplicate) {
+    const { key, topic, partition, original } = write;
+    return { success: true, duplicate: true, node: NODE_ID, role: 'primary', key, ...(topic !== undefined && { topic, partition }), ...original, acks };
+  }
+
+  const requiredReplicas = requiredReplicaAcks(acks, write.replicateTo.length);
+  const satisfied = await waitForAcks(write.replications, requiredReplicas, ackTimeoutMs);
+
+  const acknowledged = 1 + write.replicationResults.filter(r => r.status === 'success').length;
+  const timedOut = !satisfied && Date.now() - write.startedAt >= ackTimeoutMs;
+  const snapshot = write.replicationResults.map(r =>
+    r.status === 'pending' && timedOut ? { ...r, status: 'timeout' } : { ...r }
+  );
+
+  const { key, topic, partition, stored } = write;
+  const body = {
     node: NODE_ID,
     role: 'primary',
     key,
-    replicatedTo: replicateTo,
-    replicationResults,
-  });
-});
+    ...(topic !== undefined ? { topic, partition, offset: stored.offset } : { version: stored.version, expiresAt: stored.expiresAt }),
+    acks,
+    requiredAcks: 1 + requiredReplicas,
+    acknowledged,
+    replicatedTo: write.replicateTo,
+    replicationResults: snapshot,
+  };
 
-// Called by PRIMARY broker to store a replica copy
-app.post('/replicate', (req, res) => {
-  const { key, payload, primaryNode } = req.body;
+  if (!satisfied) {
+    log(`Ack level acks=${acks} NOT met for ${write.target}: ${acknowledged}/${1 + requiredReplicas} copies`);
+    return {
+      success: false,
+      error: `Not enough replicas acknowledged the write (${acknowledged}/${1 + requiredReplicas} copies, acks=${acks})`,
+      ...body,
+    };
+  }
+  return { success: true, ...body };
+}
+
+// ─── Replica Writes ───────────────────────────────────────────────────────────
+function invalidReplicaEntry({ key, payload, topic, partition, offset }) {
+  if (topic !== undefined) {
+    if (!Number.isInteger(partition) || !Number.isInteger(offset) || payload === undefined) return 'topic, partition, offset and payload are required';
+  } else if (!key || payload === undefined) {
+    return 'key and payload are required';
+  }
+  return null;
+}
 
-  if (!key || payload === undefined) {
-    return res.status(400).json({ error: 'key and payload are required' });
+// Store one replica copy; returns the per-entry response
+function storeReplica({ key, payload, topic, partition, offset, version, timestamp, expiresAt, producerId, sequence, txnId, txnIndex, schemaVersion }, primaryNode, hinted) {
+  // Re-delivery of a message already held is a no-op; a different message at
+  // the same offset is refused
+  if (topic !== undefined) {
+    const existing = messageAt(topic, partition, offset);
+    if (existing && isSameMessage(existing, { key, payload, timestamp })) {
+      return { success: true, node: NODE_ID, role: 'replica', topic, partition, offset, applied: false };
+    }
+    if (existing) {
+      refuseConflictingMessage({ topic, partition, offset, key, payload, timestamp }, existing, primaryNode, 'replicate');
+      return {
+        success: false,
+        offsetConflict: true,
+        node: NODE_ID,
+        role: 'replica',
+        topic,
+        partition,
+        offset,
+        error: `Offset ${offset} of ${topic}/${partition} already holds a different message`,
+      };
+    }
   }
 
-  messageStore[key] = { payload, timestamp: new Date().toISOString(), role: 'replica', replicaOf: primaryNode };
-  log(`Stored REPLICA key="${key}" (primary: ${primaryNode})`);
+  // Out-of-order delivery: a newer copy is already here, so this one is a no-op
+  if (topic === undefined && !isNewerThanStored(key, version)) {
+    log(`Ignored REPLICA key="${key}" — already have version ${JSON.stringify(messageStore[key].version)}`);
+    return { success: true, node: NODE_ID, role: 'replica', key, applied: false, version: messageStore[key].version };
+  }
 
-  replicationLog.push({
+  persist({
     event: 'stored_as_replica',
     key,
+    ...(topic !== undefined ? { topic, partition, offset } : { version: version || ZERO_VERSION, ...(expiresAt && { expiresAt }) }),
     payload,
+    ...(producerId !== undefined && { producerId, sequence }),
+    ...(txnId !== undefined && { txnId, txnIndex }),
+    ...(schemaVersion !== undefined && { schemaVersion }),
     receivedFrom: primaryNode,
+    ...(hinted && { hinted }),
+    timestamp: timestamp || new Date().toISOString(),
+  });
+  storedMessages.inc({ role: 'replica', kind: topic !== undefined ? 'topic' : 'key' });
+
+  const via = hinted ? ', via hinted handoff' : '';
+  if (topic !== undefined) {
+    log(`Stored REPLICA ${topic}/${partition} offset=${offset} (primary: ${primaryNode}${via})`);
+    return { success: true, node: NODE_ID, role: 'replica', topic, partition, offset, applied: true };
+  }
+
+  log(`Stored REPLICA key="${key}" (primary: ${primaryNode}${via})`);
+  return { success: true, node: NODE_ID, role: 'replica', key, applied: true, version: messageStore[key].version };
+}
+
+// ─── Transactions ─────────────────────────────────────────────────────────────
+// Partition messages written by a transaction carry its id; their state is
+// looked up here, so a commit or abort marker flips every copy at once.
+// Unknown transactions count as undecided.
+function txnStateOf(message) {
+  if (message.txnId === undefined) return undefined;
+  return transactions.get(message.txnId)?.state || 'prepared';
+}
+
+function withTxnState(message) {
+  return message.txnId === undefined ? message : { ...message, txnState: txnStateOf(message) };
+}
+
+// Was this transaction entry already appended to its partition here?
+function hasTxnMessage(txnId, { topic, partition, index }) {
+  return partitions[`${topic}/${partition}`]?.messages.some(m => m.txnId === txnId && m.txnIndex === index) || false;
+}
+
+function invalidTxnEntries(entries) {
+  for (const [i, entry] of entries.entries()) {
+    const error = Number.isInteger(entry.index) ? invalidStoreEntry(entry) : 'index must be an integer';
+    if (error) return `entries[${i}]: ${error}`;
+  }
+  return null;
+}
+
+// ─── Routes ───────────────────────────────────────────────────────────────────
+
+// Called by coordinator to store a message as PRIMARY.
+// With a topic the message is appended to the partition at the next offset;
+// without one it is stored under its key. A batch is sent as
+// { entries: [{ key, payload, topic?, partition?, replicateTo }], acks, ... }
+// and answered with per-entry results (201 if every entry met its ack level,
+// 207 otherwise).
+app.post('/store', asyncRoute(async (req, res) => {
+  const { entries, acks = '1', ackTimeoutMs = DEFAULT_ACK_TIMEOUT_MS, epoch: requestEpoch } = req.body;
+  const batch = Array.isArray(entries);
+  const items = batch ? entries : [req.body];
+
+  if (!ACK_LEVELS.includes(String(acks))) {
+    return res.status(400).json({ error: `acks must be one of ${ACK_LEVELS.join(', ')}` });
+  }
+  if (items.length === 0) {
+    return res.status(400).json({ error: 'entries must not be empty' });
+  }
+  for (const [i, item] of items.entries()) {
+    const error = invalidStoreEntry(item);
+    if (error) return res.status(400).json({ error: batch ? `entries[${i}]: ${error}` : error });
+  }
+  for (const [i, item] of items.entries()) {
+    if (item.producerId !== undefined && isSequenceTooOld(item.producerId, item.sequence, item)) {
+      const error = `sequence ${item.sequence} of producer ${item.producerId} is older than the dedup window`;
+      return res.status(409).json({ sequenceTooOld: true, error: batch ? `entries[${i}]: ${error}` : error });
+    }
+  }
+
+  // 0. The coordinator must know about the latest promotion
+  const target = batch ? `batch of ${items.length}` : describeTarget(items[0]);
+  if (!checkEpoch(requestEpoch, 'store', 'coordinator', target)) {
+    return staleEpochResponse(res, requestEpoch);
+  }
+
+  // 1. Save locally, 2. replicate, 3. wait for the ack level on every entry.
+  // A disk error stops a batch at that entry; the ones saved before it are
+  // still replicated and answered for.
+  const writes = [];
+  let storageError = null;
+  for (const item of items) {
+    try {
+      writes.push(storeLocally(item));
+    } catch (err) {
+      if (!batch || writes.length === 0 || !(err instanceof StorageError)) throw err;
+      storageError = err;
+      break;
+    }
+  }
+  replicateWrites(writes);
+  const results = await Promise.all(writes.map(write => awaitAcks(write, String(acks), ackTimeoutMs)));
+
+  if (!batch) {
+    return res.status(results[0].success ? 201 : 503).json(results[0]);
+  }
+  for (const { key, topic, partition } of items.slice(writes.length)) {
+    results.push({ success: false, node: NODE_ID, role: 'primary', key, ...(topic !== undefined && { topic, partition }), error: storageError.message });
+  }
+
+  const failed = results.filter(r => !r.success).length;
+  log(`Stored batch of ${results.length} as PRIMARY${failed > 0 ? ` — ${failed} below acks=${acks}` : ''}`);
+  res.status(failed === 0 ? 201 : 207).json({ success: failed === 0, node: NODE_ID, acks: String(acks), results });
+}));
+
+// Called by PRIMARY broker to store a replica copy, or a batch of them as
+// { entries: [...], primaryNode, epoch }
+app.post('/replicate', (req, res) => {
+  const { entries, primaryNode, hinted = false, epoch: requestEpoch } = req.body;
+  const batch = Array.isArray(entries);
+  const items = batch ? entries : [req.body];
+
+  for (const [i, item] of items.entries()) {
+    const error = invalidReplicaEntry(item);
+    if (error) return res.status(400).json({ error: batch ? `entries[${i}]: ${error}` : error });
+  }
+
+  // Hint replays carry the epoch of the original write: one from before a
+  // promotion is refused (and discarded by the sender) like a live write
+  const target = batch ? `batch of ${items.length}` : describeTarget(items[0]) + (items[0].topic !== undefined ? ` offset=${items[0].offset}` : '');
+  if (!checkEpoch(requestEpoch, hinted ? 'hint_replay' : 'replicate', primaryNode, target)) {
+    return staleEpochResponse(res, requestEpoch);
+  }
+
+  // A refused offset fails the whole call, so the primary does not count it
+  // as a copy; the other entries of a batch are stored all the same
+  const results = items.map(item => storeReplica(item, primaryNode, hinted));
+  const conflicts = results.filter(r => r.offsetConflict).length;
+  if (!batch) return res.status(conflicts > 0 ? 409 : 200).json(results[0]);
+  res.status(conflicts > 0 ? 409 : 200).json({
+    success: conflicts === 0,
+    node: NODE_ID,
+    role: 'replica',
+    ...(conflicts > 0 && { offsetConflict: true, error: `${conflicts} entr${conflicts === 1 ? 'y' : 'ies'} conflict with messages already held` }),
+    results,
+  });
+});
+
+// Called by coordinator: phase one of a transaction. Topic entries are
+// appended (undecided) and replicated to the ack level; keyed entries are
+// staged and locked until the outcome arrives. Body:
+// { txnId, entries: [{ index, key, payload, topic?, partition?, replicateTo }], acks, ackTimeoutMs, epoch }
+app.post('/txn/prepare', asyncRoute(async (req, res) => {
+  const { txnId, entries, acks = '1', ackTimeoutMs = DEFAULT_ACK_TIMEOUT_MS, epoch: requestEpoch } = req.body;
+
+  if (!txnId || !Array.isArray(entries) || entries.length === 0) {
+    return res.status(400).json({ error: 'txnId and a non-empty entries array are required' });
+  }
+  if (!ACK_LEVELS.includes(String(acks))) {
+    return res.status(400).json({ error: `acks must be one of ${ACK_LEVELS.join(', ')}` });
+  }
+  const invalid = invalidTxnEntries(entries);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  if (!checkEpoch(requestEpoch, 'txn_prepare', 'coordinator', `transaction ${txnId}`)) {
+    return staleEpochResponse(res, requestEpoch);
+  }
+
+  const existing = transactions.get(txnId);
+  if (existing?.state === 'aborted') {
+    return res.status(409).json({ aborted: true, error: `Transaction ${txnId} was already aborted` });
+  }
+  if (existing?.prepared || existing?.state === 'committed') {
+    return res.json({ success: true, node: NODE_ID, txnId, state: existing.state, prepared: true });
+  }
+
+  const keyed = entries.filter(entry => entry.topic === undefined);
+  const locked = keyed.find(({ key }) => txnLocks.has(key) && txnLocks.get(key) !== txnId);
+  if (locked) {
+    const heldBy = txnLocks.get(locked.key);
+    log(`Transaction ${txnId} CONFLICT on key="${locked.key}" (locked by ${heldBy})`);
+    return res.status(409).json({ conflict: true, key: locked.key, heldBy, error: `key "${locked.key}" is locked by transaction ${heldBy}` });
+  }
+
+  persist({
+    event: 'txn_prepared',
+    txnId,
+    staged: keyed.map(({ index, key }) => ({ index, key })),
     timestamp: new Date().toISOString(),
   });
 
-  res.json({ success: true, node: NODE_ID, role: 'replica', key });
+  const writes = entries
+    .filter(entry => entry.topic !== undefined)
+    .map(({ index, topic, partition, key, payload, schemaVersion, replicateTo }) =>
+      storeLocally({ key, payload, topic, partition, replicateTo, txnId, txnIndex: index, schemaVersion }));
+  replicateWrites(writes);
+  const results = await Promise.all(writes.map(write => awaitAcks(write, String(acks), ackTimeoutMs)));
+
+  const prepared = results.every(r => r.success);
+  log(`Transaction ${txnId} ${prepared ? 'PREPARED' : 'NOT prepared'}: ${writes.length} appended, ${keyed.length} staged`);
+  res.status(prepared ? 200 : 503).json({
+    success: prepared,
+    node: NODE_ID,
+    txnId,
+    prepared,
+    staged: keyed.length,
+    results: results.map((result, i) => ({ index: writes[i].request.txnIndex, ...result })),
+  });
+}));
+
+// Called by coordinator once a transaction is committed, on every node that
+// holds a copy of it, with the entries this node is now primary for. Topic
+// entries not here yet (their old primary failed over) are appended now;
+// keyed entries are written like any other primary write. Retries only
+// write what is still missing.
+app.post('/txn/commit', (req, res) => {
+  const { txnId, entries = [] } = req.body;
+
+  if (!txnId || !Array.isArray(entries)) {
+    return res.status(400).json({ error: 'txnId and an entries array are required' });
+  }
+  const invalid = invalidTxnEntries(entries);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const txn = transactions.get(txnId);
+  if (txn?.state === 'aborted') {
+    return res.status(409).json({ aborted: true, error: `Transaction ${txnId} was already aborted` });
+  }
+
+  const writes = entries
+    .filter(entry => entry.topic !== undefined ? !hasTxnMessage(txnId, entry) : !txn?.applied.has(entry.index))
+    .map(({ index, topic, partition, key, payload, schemaVersion, replicateTo }) =>
+      storeLocally({ key, payload, topic, partition, replicateTo, txnId, txnIndex: index, schemaVersion }));
+  replicateWrites(writes);
+
+  if (txn?.state !== 'committed' || writes.length > 0) {
+    persist({
+      event: 'txn_committed',
+      txnId,
+      applied: entries.filter(entry => entry.topic === undefined).map(entry => entry.index),
+      timestamp: new Date().toISOString(),
+    });
+    log(`Transaction ${txnId} COMMITTED (${writes.length} entr${writes.length === 1 ? 'y' : 'ies'} written)`);
+  }
+
+  res.json({
+    success: true,
+    node: NODE_ID,
+    txnId,
+    state: 'committed',
+    written: writes.map(({ request, topic, partition, key, stored }) => ({
+      index: request.txnIndex,
+      ...(topic !== undefined ? { topic, partition, offset: stored.offset } : { key, version: stored.version }),
+    })),
+  });
+});
+
+// Called by coordinator once a transaction is aborted, on every node that
+// holds a copy: its messages stay in the log but are hidden from
+// read_committed readers, and staged keys are dropped and unlocked
+app.post('/txn/abort', (req, res) => {
+  const { txnId } = req.body;
+  if (!txnId) return res.status(400).json({ error: 'txnId is required' });
+
+  const txn = transactions.get(txnId);
+  if (txn?.state === 'committed') {
+    return res.status(409).json({ committed: true, error: `Transaction ${txnId} was already committed` });
+  }
+  if (txn?.state !== 'aborted') {
+    persist({ event: 'txn_aborted', txnId, timestamp: new Date().toISOString() });
+    log(`Transaction ${txnId} ABORTED`);
+  }
+  res.json({ success: true, node: NODE_ID, txnId, state: 'aborted' });
+});
+
+// Called by coordinator after a quorum read found this node's copy stale or
+// missing, and by peers during anti-entropy. Accepts one entry in the body or
+// a batch as { entries: [...] }; only strictly newer data is applied.
+app.post('/repair', (req, res) => {
+  const { entries, repairedFrom, source = 'read_repair' } = req.body;
+
+  if (Array.isArray(entries)) {
+    const applied = applyEntries(entries, repairedFrom, source);
+    return res.json({ success: true, node: NODE_ID, received: entries.length, applied });
+  }
+
+  const { key, payload, version } = req.body;
+  if (!key || payload === undefined || !version) {
+    return res.status(400).json({ error: 'key, payload and version are required' });
+  }
+
+  // A skipped entry may leave nothing stored under the key (it expired, or
+  // was a partition message)
+  const applied = applyEntries([req.body], repairedFrom, source) === 1;
+  res.json({ success: true, node: NODE_ID, key, applied, version: messageStore[key]?.version ?? null });
 });
 
 // Called by coordinator to fetch a message (for consumer)
@@ -93,26 +1444,178 @@ app.get('/fetch/:key', (req, res) => {
   if (!entry) {
     return res.status(404).json({ success: false, node: NODE_ID, key, reason: 'not_found' });
   }
+  if (isExpired(entry)) {
+    return res.status(404).json({ success: false, node: NODE_ID, key, reason: 'expired' });
+  }
 
+  readMessages.inc({ kind: 'key' });
   res.json({ success: true, node: NODE_ID, key, ...entry });
 });
 
+// Called by coordinator to fetch several keys at once (batch consume)
+app.post('/fetch', (req, res) => {
+  const { keys } = req.body;
+  if (!Array.isArray(keys)) {
+    return res.status(400).json({ error: 'keys must be an array' });
+  }
+
+  const entries = {};
+  for (const key of keys) {
+    if (messageStore[key] && !isExpired(messageStore[key])) entries[key] = messageStore[key];
+  }
+  readMessages.inc({ kind: 'key' }, Object.keys(entries).length);
+  res.json({ success: true, node: NODE_ID, entries, missing: keys.filter(key => !entries[key]) });
+});
+
+// Called by coordinator to read a range of a topic partition (for consumer).
+// isolation=read_committed stops at the first message of an undecided
+// transaction (nextOffset is then that message's offset) and leaves out
+// aborted ones, listing their offsets in abortedOffsets.
+app.get('/read/:topic/:partition', (req, res) => {
+  const { topic } = req.params;
+  const partition = Number(req.params.partition);
+  const offset = Number(req.query.offset ?? 0);
+  const limit = Number(req.query.limit ?? 100);
+  const isolation = req.query.isolation || 'read_uncommitted';
+
+  if (!['read_uncommitted', 'read_committed'].includes(isolation)) {
+    return res.status(400).json({ error: 'isolation must be "read_uncommitted" or "read_committed"' });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'offset must be a non-negative integer' });
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
+
+  // nextOffset is where the next read picks up: the end of the log, or just
+  // past the last message this read went through when it stopped early
+  const partitionLog = partitions[`${topic}/${partition}`];
+  const from = partitionLog ? partitionLog.messages.filter(m => m.offset >= offset) : [];
+  let nextOffset = partitionLog ? partitionLog.nextOffset : 0;
+  let messages = [];
+  const abortedOffsets = [];
+
+  if (isolation === 'read_uncommitted') {
+    messages = from.slice(0, limit).map(withTxnState);
+    if (from.length > limit) nextOffset = messages[limit - 1].offset + 1;
+  } else {
+    for (const [i, message] of from.entries()) {
+      const state = txnStateOf(message);
+      if (state === 'prepared') {
+        nextOffset = message.offset;
+        break;
+      }
+      if (messages.length === limit) {
+        // Skipped aborted messages count as read too
+        nextOffset = from[i - 1].offset + 1;
+        break;
+      }
+      if (state === 'aborted') abortedOffsets.push(message.offset);
+      else messages.push(withTxnState(message));
+    }
+  }
+
+  readMessages.inc({ kind: 'topic' }, messages.length);
+  res.json({
+    success: true,
+    node: NODE_ID,
+    topic,
+    partition,
+    isolation,
+    messages,
+    ...(isolation === 'read_committed' && { abortedOffsets }),
+    nextOffset,
+  });
+});
+
 // Called by coordinator's health monitor
 app.get('/health', (req, res) => {
+  const fault = faults.unhealthy();
+  if (fault) {
+    return res.status(503).json({ status: 'unhealthy', node: NODE_ID, injected: true, fault: fault.id, timestamp: new Date().toISOString() });
+  }
   res.json({
     status: 'healthy',
     node: NODE_ID,
+    epoch,
     messageCount: Object.keys(messageStore).length,
     timestamp: new Date().toISOString(),
   });
 });
 
+// ─── Metrics over stored state, computed at scrape time ──────────────────────
+metrics.gauge('messages', 'Messages held on this broker, by kind (key | topic)', {
+  collect: () => [
+    [{ kind: 'key' }, Object.keys(messageStore).length],
+    [{ kind: 'topic' }, Object.values(partitions).reduce((sum, p) => sum + p.messages.length, 0)],
+  ],
+});
+metrics.gauge('payload_bytes', 'Payload bytes held on this broker, by kind (key | topic)', {
+  collect: () => [
+    [{ kind: 'key' }, Object.values(messageStore).reduce((sum, e) => sum + payloadBytes(e.payload), 0)],
+    [{ kind: 'topic' }, Object.values(partitions).reduce((sum, p) => sum + p.messages.reduce((s, m) => s + payloadBytes(m.payload), 0), 0)],
+  ],
+});
+metrics.gauge('log_bytes', 'Size of the on-disk event log in bytes', { collect: () => [[{}, storage.getStats().totalBytes]] });
+metrics.gauge('log_segments', 'Segment files of the on-disk event log', { collect: () => [[{}, storage.getStats().segmentCount]] });
+metrics.gauge('offset_conflicts', 'Distinct copies of partition messages refused for conflicting with the message held at their offset', {
+  collect: () => [[{}, offsetConflicts.size]],
+});
+metrics.gauge('epoch', 'Highest leadership epoch this broker has seen', { collect: () => [[{}, epoch]] });
+// Writes a replica has not received yet are exactly the hints held for it
+metrics.gauge('replica_lag_messages', 'Writes waiting in hinted handoff, per peer', {
+  collect: () => hintTargets().map(peer => [{ peer }, [...hints.values()].filter(h => h.target === peer).length]),
+});
+metrics.gauge('replica_lag_seconds', 'Age of the oldest write waiting in hinted handoff, per peer', {
+  collect: () => hintTargets().map(peer => {
+    const oldest = Math.min(...[...hints.values()].filter(h => h.target === peer).map(h => Date.parse(h.createdAt)));
+    return [{ peer }, (Date.now() - oldest) / 1000];
+  }),
+});
+metrics.gauge('open_transactions', 'Transactions prepared here and not decided yet', {
+  collect: () => [[{}, [...transactions.values()].filter(t => t.state === 'prepared').length]],
+});
+metrics.counter('retention_removed_total', 'Entries removed by retention, by reason (expired | deleted | compacted)', {
+  collect: () => [
+    [{ reason: 'expired' }, reclaimed.keysExpired],
+    [{ reason: 'deleted' }, reclaimed.messagesDeleted],
+    [{ reason: 'compacted' }, reclaimed.messagesCompacted],
+  ],
+});
+metrics.counter('retention_reclaimed_bytes_total', 'Payload bytes removed by retention', { collect: () => [[{}, reclaimed.bytesReclaimed]] });
+
+// Called by Prometheus
+app.get('/metrics', asyncRoute(async (req, res) => {
+  res.set('Content-Type', Metrics.CONTENT_TYPE).send(await metrics.render());
+}));
+
+// Called by the coordinator's GET /trace/:id — this node's spans of a trace, as OTLP/JSON
+app.get('/trace/:id', (req, res) => {
+  res.json(tracer.export(req.params.id.toLowerCase()));
+});
+
+// Called by the coordinator's partitioning simulation: stored keys (no
+// payloads) and the message count of every partition
+app.get('/keys', (req, res) => {
+  res.json({
+    keys: Object.keys(messageStore).filter(key => !isExpired(messageStore[key])),
+    partitions: Object.fromEntries(Object.entries(partitions).map(([id, p]) => [id, p.messages.length])),
+  });
+});
+
 // Show everything stored on this node (for debugging/visualization)
 app.get('/messages', (req, res) => {
   res.json({
     node: NODE_ID,
     messageCount: Object.keys(messageStore).length,
+    recovery,
+    storage: storage.getStats(),
+    retention: { ...retention, reclaimed },
     messages: messageStore,
+    partitions: Object.fromEntries(
+      Object.entries(partitions).map(([id, p]) => [id, { logStartOffset: p.logStartOffset, nextOffset: p.nextOffset, messageCount: p.messages.length }])
+    ),
   });
 });
 
@@ -120,30 +1623,235 @@ app.get('/messages', (req, res) => {
 app.get('/log', (req, res) => {
   const primaryEntries = replicationLog.filter(e => e.event === 'stored_as_primary');
   const replicaEntries = replicationLog.filter(e => e.event === 'stored_as_replica');
+  const repairEntries = replicationLog.filter(e => e.event === 'read_repaired');
+  const antiEntropyEntries = replicationLog.filter(e => e.event === 'anti_entropy_repaired');
+  const fencedEntries = replicationLog.filter(e => e.event === 'stale_epoch_rejected');
+  const revertedEntries = replicationLog.filter(e => e.event === 'fenced_write_reverted');
+  const conflictEntries = [...offsetConflicts.values()];
 
   res.json({
     node: NODE_ID,
     summary: {
       totalPrimaryKeys: primaryEntries.length,
       totalReplicaKeys: replicaEntries.length,
+      totalReadRepairs: repairEntries.length,
+      totalAntiEntropyRepairs: antiEntropyEntries.length,
+      totalStaleEpochRejections: fencedEntries.length,
+      totalFencedWritesReverted: revertedEntries.length,
+      totalOffsetConflicts: conflictEntries.length,
+      trackedProducerSequences: producerSequences.size,
+      openTransactions: [...transactions.values()].filter(t => t.state === 'prepared').length,
+      lockedKeys: txnLocks.size,
     },
+    epoch,
+    recovery,
     storedAsPrimary: primaryEntries,
     storedAsReplica: replicaEntries,
+    readRepaired: repairEntries,
+    antiEntropyRepaired: antiEntropyEntries,
+    staleEpochRejected: fencedEntries,
+    fencedWritesReverted: revertedEntries,
+    offsetConflicts: conflictEntries,
   });
 });
 
-// Mark node as writable primary (called during failover promotion)
+// ─── Merkle tree exchange (called by peers during anti-entropy) ───────────────
+app.post('/merkle/root', (req, res) => {
+  const tree = antiEntropy.tree(req.body.ranges);
+  res.json({ node: NODE_ID, root: tree.root(), itemCount: tree.itemCount });
+});
+
+app.post('/merkle/nodes', (req, res) => {
+  const { ranges, level, indices } = req.body;
+  res.json({ node: NODE_ID, level, hashes: antiEntropy.tree(ranges).nodes(level, indices) });
+});
+
+app.post('/merkle/items', (req, res) => {
+  const { ranges, leaves } = req.body;
+  const items = antiEntropy.tree(ranges).leafItems(leaves)
+    .map(({ id, digest, version, timestamp }) => ({ id, digest, version, timestamp }));
+  res.json({ node: NODE_ID, items });
+});
+
+app.post('/merkle/export', (req, res) => {
+  res.json({ node: NODE_ID, entries: exportEntries(req.body.ids || []) });
+});
+
+// Replica sets this node belongs to, pushed by the coordinator
+app.put('/anti-entropy/assignment', (req, res) => {
+  const { replicaSets } = req.body;
+  if (!Array.isArray(replicaSets)) {
+    return res.status(400).json({ error: 'replicaSets must be an array' });
+  }
+  antiEntropy.setAssignment(replicaSets);
+  res.json({ success: true, node: NODE_ID, replicaSets: replicaSets.length });
+});
+
+app.get('/anti-entropy/status', (req, res) => {
+  res.json(antiEntropy.getStatus());
+});
+
+// Run an anti-entropy pass now and return its report
+app.post('/anti-entropy/run', asyncRoute(async (req, res) => {
+  const report = await antiEntropy.run();
+  if (!report) return res.status(409).json({ error: 'An anti-entropy run is already in progress' });
+  res.json({ node: NODE_ID, report });
+}));
+
+// Called by coordinator after this node recovered: sync with every healthy
+// member of each replica set it belongs to before it takes traffic again
+app.post('/catch-up', asyncRoute(async (req, res) => {
+  const { replicaSets } = req.body;
+  if (!Array.isArray(replicaSets)) {
+    return res.status(400).json({ error: 'replicaSets must be an array' });
+  }
+
+  log(`Catching up with ${replicaSets.length} replica set(s)`);
+  const report = await antiEntropy.catchUp(replicaSets);
+  if (!report) return res.status(409).json({ error: 'An anti-entropy run is already in progress' });
+
+  log(`Catch-up done: pulled ${report.keysPulled}, pushed ${report.keysPushed}, ${report.errors.length} error(s)`);
+  res.json({ node: NODE_ID, report });
+}));
+
+// Retention policies of every topic that has one, pushed by the coordinator
+app.put('/retention/policies', (req, res) => {
+  const { topics } = req.body;
+  if (!topics || typeof topics !== 'object' || Array.isArray(topics)) {
+    return res.status(400).json({ error: 'topics must be an object of topic → policy' });
+  }
+
+  if (JSON.stringify(topics) !== JSON.stringify(retentionPolicies)) {
+    persist({ event: 'retention_policies_updated', policies: topics, timestamp: new Date().toISOString() });
+    log(`Retention policies updated for ${Object.keys(topics).length} topic(s)`);
+  }
+  res.json({ success: true, node: NODE_ID, topics: Object.keys(retentionPolicies).length });
+});
+
+app.get('/retention/status', (req, res) => {
+  res.json({ node: NODE_ID, intervalMs: RETENTION_INTERVAL_MS, policies: retentionPolicies, ...retention, reclaimed });
+});
+
+// Run the cleaner now and return what it removed
+app.post('/retention/run', (req, res) => {
+  res.json({ node: NODE_ID, report: runRetention(), reclaimed });
+});
+
+// Pending hinted-handoff writes, grouped by the replica they are waiting for
+app.get('/hints', (req, res) => {
+  const byTarget = {};
+  for (const hint of hints.values()) {
+    if (!byTarget[hint.target]) byTarget[hint.target] = { pending: 0, oldest: hint.createdAt, hints: [] };
+    const group = byTarget[hint.target];
+    group.pending++;
+    if (hint.createdAt < group.oldest) group.oldest = hint.createdAt;
+    group.hints.push({
+      id: hint.id,
+      key: hint.request.key,
+      topic: hint.request.topic,
+      partition: hint.request.partition,
+      offset: hint.request.offset,
+      createdAt: hint.createdAt,
+      attempts: hint.attempts,
+    });
+  }
+
+  res.json({ node: NODE_ID, totalPending: hints.size, targets: byTarget });
+});
+
+// Drain pending hints to one target (body: { target }) or to every target
+app.post('/hints/replay', asyncRoute(async (req, res) => {
+  const { target } = req.body || {};
+  const targets = target ? [target] : hintTargets();
+
+  const results = [];
+  for (const t of targets) results.push(await replayHints(t));
+
+  res.json({ node: NODE_ID, results, totalPending: hints.size });
+}));
+
+// Mark node as writable primary (called during failover promotion and
+// failback) under the epoch the coordinator issued for it
 app.post('/promote', (req, res) => {
-  log('Promoted to PRIMARY (failover)');
-  // All replica entries become primary entries in the log
-  replicationLog.push({
+  const newEpoch = req.body.epoch ?? epoch + 1;
+  if (newEpoch < epoch) return staleEpochResponse(res, newEpoch);
+
+  // All replica entries become primary entries in the log; writes from now on
+  // carry the new epoch so they supersede anything the old primary wrote
+  persist({
     event: 'promoted_to_primary',
+    epoch: newEpoch,
     timestamp: new Date().toISOString(),
   });
-  res.json({ success: true, node: NODE_ID, message: 'Node promoted to primary' });
+  log(`Promoted to PRIMARY (failover), epoch ${epoch}`);
+  res.json({ success: true, node: NODE_ID, epoch, message: 'Node promoted to primary' });
+});
+
+// Adopt a newer epoch without becoming primary (sent to every other broker
+// after a promotion, so they refuse writes from the deposed primary)
+app.post('/fence', (req, res) => {
+  const { epoch: newEpoch } = req.body;
+  if (!Number.isInteger(newEpoch)) return res.status(400).json({ error: 'epoch must be an integer' });
+  if (newEpoch < epoch) return staleEpochResponse(res, newEpoch);
+
+  if (newEpoch > epoch) advanceEpoch(newEpoch, 'fence from coordinator');
+  res.json({ success: true, node: NODE_ID, epoch });
+});
+
+// ─── Fault Injection (called by operators and the chaos runner) ──────────────
+app.use('/faults', (req, res, next) => {
+  if (FAULT_INJECTION) return next();
+  res.status(403).json({ success: false, error: 'Fault injection is disabled on this broker (set FAULT_INJECTION=true)' });
+});
+
+app.get('/faults', (req, res) => {
+  res.json({ node: NODE_ID, faults: faults.list() });
+});
+
+// Body: { type, durationMs?, ...type-specific fields } — see faultInjector.js
+app.post('/faults', (req, res) => {
+  try {
+    const fault = faults.add(req.body);
+    const { id, type, createdAt, expiresAt, ...settings } = fault;
+    log(`Injected FAULT ${id}: ${type} ${JSON.stringify(settings)}${expiresAt ? ` until ${expiresAt}` : ''}`);
+    res.status(201).json({ success: true, node: NODE_ID, fault });
+  } catch (err) {
+    if (!(err instanceof FaultError)) throw err;
+    res.status(err.status).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/faults/:id', (req, res) => {
+  if (!faults.remove(req.params.id)) return res.status(404).json({ success: false, error: `Unknown fault ${req.params.id}` });
+  log(`Cleared FAULT ${req.params.id}`);
+  res.json({ success: true, node: NODE_ID, removed: 1 });
+});
+
+app.delete('/faults', (req, res) => {
+  const removed = faults.clear();
+  if (removed > 0) log(`Cleared ${removed} FAULT(s)`);
+  res.json({ success: true, node: NODE_ID, removed });
+});
+
+// ─── Errors ───────────────────────────────────────────────────────────────────
+// Anything a route threw: a StorageError answers 503, body-parser errors
+// keep their 4xx, the rest is a 500
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (!err.status) log(`${req.method} ${req.path} FAILED: ${err.stack}`);
+  res.status(err.status || 500).json({ success: false, node: NODE_ID, error: err.message });
 });
 
 // ─── Start ────────────────────────────────────────────────────────────────────
 app.listen(PORT, () => {
   log(`Broker node listening on port ${PORT}`);
 });
+
+// Flush the active segment before the container stops
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    log(`Received ${signal}, closing storage`);
+    storage.close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { startBroker, UNREACHABLE } = require('./helpers/broker');
+
+// A peer that accepts connections and never answers
+async function silentPeer(t) {
+  const sockets = new Set();
+  const server = net.createServer(socket => sockets.add(socket));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.close();
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('acks=all waits for every replica to store its copy', async (t) => {
+  const [primary, replica] = await Promise.all([startBroker(t), startBroker(t, { nodeId: 'node-2' })]);
+
+  const res = await primary.http.post('/store', { key: 'a', payload: 1, replicateTo: [replica.url], acks: 'all' });
+  assert.equal(res.status, 201);
+  assert.deepEqual([res.data.acknowledged, res.data.requiredAcks], [2, 2]);
+  assert.deepEqual(res.data.replicationResults.map(r => r.status), ['success']);
+
+  // The copy is there as soon as the primary answered
+  assert.equal((await replica.http.get('/fetch/a')).data.payload, 1);
+});
+
+test('acks=quorum needs a majority of the copies', async (t) => {
+  const [primary, replica] = await Promise.all([startBroker(t), startBroker(t, { nodeId: 'node-2' })]);
+
+  const met = await primary.http.post('/store', { key: 'a', payload: 1, replicateTo: [replica.url, UNREACHABLE], acks: 'quorum' });
+  assert.equal(met.status, 201);
+  assert.deepEqual([met.data.acknowledged, met.data.requiredAcks], [2, 2]);
+
+  const missed = await primary.http.post('/store', { key: 'b', payload: 1, replicateTo: [UNREACHABLE], acks: 'quorum' });
+  assert.equal(missed.status, 503);
+  assert.equal(missed.data.success, false);
+  assert.match(missed.data.error, /Not enough replicas acknowledged the write \(1\/2 copies, acks=quorum\)/);
+  assert.equal(missed.data.replicationResults[0].status, 'failed');
+
+  // The local copy is kept either way
+  assert.equal((await primary.http.get('/fetch/b')).data.payload, 1);
+});
+
+test('acks=0 and acks=1 only need the local write', async (t) => {
+  const primary = await startBroker(t);
+  for (const acks of ['0', '1']) {
+    const res = await primary.http.post('/store', { key: `k${acks}`, payload: 1, replicateTo: [UNREACHABLE], acks });
+    assert.equal(res.status, 201, `acks=${acks}`);
+    assert.deepEqual([res.data.acknowledged, res.data.requiredAcks], [1, 1]);
+  }
+});
+
+test('a replica that does not answer in ackTimeoutMs counts as timed out', async (t) => {
+  const primary = await startBroker(t);
+  const silent = await silentPeer(t);
+
+  const started = Date.now();
+  const res = await primary.http.post('/store', { key: 'a', payload: 1, replicateTo: [silent], acks: 'all', ackTimeoutMs: 300 });
+  assert.equal(res.status, 503);
+  assert.deepEqual(res.data.replicationResults.map(r => r.status), ['timeout']);
+  assert.ok(Date.now() - started < 3000);
+});
+
+test('refuses an unknown ack level', async (t) => {
+  const primary = await startBroker(t);
+  const res = await primary.http.post('/store', { key: 'a', payload: 1, acks: 'some' });
+  assert.equal(res.status, 400);
+  assert.equal((await primary.http.get('/fetch/a')).status, 404);
+});
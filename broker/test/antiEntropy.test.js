@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBroker, UNREACHABLE } = require('./helpers/broker');
+
+// start === end covers the whole ring
+const WHOLE_RING = [{ start: 0, end: 0 }];
+
+function assign(broker, members) {
+  return broker.http.put('/anti-entropy/assignment', {
+    replicaSets: [{ ranges: WHOLE_RING, members: members.map(({ nodeId, url }) => ({ node: nodeId, url })) }],
+  });
+}
+
+test('a pass pushes and pulls exactly the entries that differ', async (t) => {
+  const [a, b] = await Promise.all([startBroker(t), startBroker(t, { nodeId: 'node-2' })]);
+  for (let i = 0; i < 20; i++) await a.http.post('/store', { key: `a-${i}`, payload: i });
+  for (let i = 0; i < 5; i++) await b.http.post('/store', { key: `b-${i}`, payload: i });
+  await b.http.post('/store', { topic: 'orders', partition: 0, key: 'o-1', payload: 'x' });
+  await a.http.post('/repair', { key: 'shared', payload: 'new', version: { epoch: 0, counter: 5 }, repairedFrom: 'test' });
+  await b.http.post('/repair', { key: 'shared', payload: 'old', version: { epoch: 0, counter: 2 }, repairedFrom: 'test' });
+
+  // Only the member listed first compares with the ones after it
+  await assign(a, [a, b]);
+  await assign(b, [a, b]);
+  const idle = await b.http.post('/anti-entropy/run');
+  assert.equal(idle.data.report.peersCompared, 0);
+
+  const { data } = await a.http.post('/anti-entropy/run');
+  assert.deepEqual(
+    [data.report.peersCompared, data.report.keysPushed, data.report.keysPulled, data.report.errors],
+    [1, 21, 6, []],
+  );
+
+  assert.equal((await b.http.get('/fetch/a-7')).data.payload, 7);
+  assert.equal((await b.http.get('/fetch/shared')).data.payload, 'new');
+  assert.equal((await a.http.get('/fetch/b-3')).data.payload, 3);
+  assert.deepEqual((await a.http.get('/read/orders/0')).data.messages.map(m => m.payload), ['x']);
+
+  const again = await a.http.post('/anti-entropy/run');
+  assert.deepEqual([again.data.report.peersInSync, again.data.report.keysRepaired], [1, 0]);
+  assert.equal((await a.http.get('/anti-entropy/status')).data.history.length, 2);
+});
+
+test('an unreachable peer is reported, not fatal', async (t) => {
+  const a = await startBroker(t);
+  await a.http.post('/store', { key: 'k', payload: 1 });
+  await assign(a, [a, { nodeId: 'node-2', url: UNREACHABLE }]);
+
+  const { data } = await a.http.post('/anti-entropy/run');
+  assert.deepEqual(data.report.errors.map(e => e.peer), ['node-2']);
+  assert.equal(data.report.peersCompared, 0);
+  assert.equal((await a.http.get('/health')).status, 200);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBroker, UNREACHABLE } = require('./helpers/broker');
+
+test('stores a batch of keyed and topic entries and replicates it', async (t) => {
+  const [primary, replica] = await Promise.all([startBroker(t), startBroker(t, { nodeId: 'node-2' })]);
+
+  const res = await primary.http.post('/store', {
+    entries: [
+      { key: 'a', payload: 1, replicateTo: [replica.url] },
+      { topic: 'orders', partition: 0, key: 'o', payload: 'm0', replicateTo: [replica.url] },
+      { topic: 'orders', partition: 0, key: 'o', payload: 'm1', replicateTo: [replica.url] },
+    ],
+    acks: 'all',
+  });
+  assert.equal(res.status, 201);
+  assert.equal(res.data.success, true);
+  assert.deepEqual(res.data.results.map(r => r.offset), [undefined, 0, 1]);
+  assert.ok(res.data.results.every(r => r.success && r.acknowledged === 2));
+
+  assert.equal((await replica.http.get('/fetch/a')).data.payload, 1);
+  assert.deepEqual((await replica.http.get('/read/orders/0')).data.messages.map(m => m.payload), ['m0', 'm1']);
+  assert.equal((await replica.http.get('/log')).data.summary.totalReplicaKeys, 3);
+});
+
+test('answers 207 with per-entry results when some entries miss their ack level', async (t) => {
+  const [primary, replica] = await Promise.all([startBroker(t), startBroker(t, { nodeId: 'node-2' })]);
+
+  const res = await primary.http.post('/store', {
+    entries: [
+      { key: 'a', payload: 1, replicateTo: [replica.url] },
+      { key: 'b', payload: 1, replicateTo: [UNREACHABLE] },
+    ],
+    acks: 'all',
+  });
+  assert.equal(res.status, 207);
+  assert.equal(res.data.success, false);
+  assert.deepEqual(res.data.results.map(r => [r.key, r.success]), [['a', true], ['b', false]]);
+  assert.match(res.data.results[1].error, /Not enough replicas acknowledged/);
+
+  // Both are kept locally either way
+  const fetched = await primary.http.post('/fetch', { keys: ['a', 'b'] });
+  assert.deepEqual(Object.keys(fetched.data.entries), ['a', 'b']);
+});
+
+test('refuses the whole batch when one entry is invalid', async (t) => {
+  const broker = await startBroker(t);
+
+  const invalid = await broker.http.post('/store', { entries: [{ key: 'a', payload: 1 }, { topic: 'orders', payload: 1 }] });
+  assert.deepEqual([invalid.status, invalid.data.error], [400, 'entries[1]: topic, partition and payload are required']);
+  assert.equal((await broker.http.get('/fetch/a')).status, 404);
+
+  assert.equal((await broker.http.post('/store', { entries: [] })).status, 400);
+});
+
+test('fetches several keys at once and lists the missing ones', async (t) => {
+  const broker = await startBroker(t);
+  await broker.http.post('/store', { entries: [{ key: 'a', payload: 1 }, { key: 'b', payload: 2 }, { key: 'gone', payload: 3, ttlMs: 1 }] });
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  const res = await broker.http.post('/fetch', { keys: ['a', 'b', 'c', 'gone'] });
+  assert.equal(res.status, 200);
+  assert.deepEqual(Object.fromEntries(Object.entries(res.data.entries).map(([key, entry]) => [key, entry.payload])), { a: 1, b: 2 });
+  assert.deepEqual(res.data.missing, ['c', 'gone']);
+
+  assert.equal((await broker.http.post('/fetch', { keys: 'a' })).status, 400);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBroker, waitFor } = require('./helpers/broker');
+
+test('refuses writes from before the latest promotion', async (t) => {
+  const broker = await startBroker(t);
+  assert.equal((await broker.http.post('/store', { key: 'a', payload: 1 })).status, 201);
+
+  const promoted = await broker.http.post('/promote', { epoch: 3 });
+  assert.deepEqual([promoted.status, promoted.data.epoch], [200, 3]);
+
+  for (const body of [{ key: 'a', payload: 2 }, { key: 'a', payload: 2, epoch: 2 }]) {
+    const res = await broker.http.post('/store', body);
+    assert.equal(res.status, 409);
+    assert.deepEqual([res.data.staleEpoch, res.data.epoch], [true, 3]);
+  }
+  const replica = await broker.http.post('/replicate', { key: 'a', payload: 2, primaryNode: 'node-2', epoch: 1 });
+  assert.deepEqual([replica.status, replica.data.staleEpoch], [409, true]);
+  assert.equal((await broker.http.get('/fetch/a')).data.payload, 1);
+
+  // A newer epoch is adopted on the way; writes since the promotion win over older copies
+  assert.equal((await broker.http.post('/store', { key: 'a', payload: 3, epoch: 4 })).status, 201);
+  assert.deepEqual((await broker.http.get('/fetch/a')).data.version.epoch, 4);
+  assert.equal((await broker.http.get('/health')).data.epoch, 4);
+  assert.equal((await broker.http.get('/log')).data.summary.totalStaleEpochRejections, 3);
+});
+
+test('fencing adopts a newer epoch and survives a restart', async (t) => {
+  const broker = await startBroker(t);
+
+  assert.equal((await broker.http.post('/fence', {})).status, 400);
+  assert.deepEqual((await broker.http.post('/fence', { epoch: 5 })).data.epoch, 5);
+  assert.equal((await broker.http.post('/fence', { epoch: 2 })).status, 409);
+  assert.equal((await broker.http.post('/promote', { epoch: 4 })).status, 409);
+
+  await broker.restart();
+  assert.equal((await broker.http.get('/health')).data.epoch, 5);
+});
+
+test('a deposed primary reverts the write a newer replica refused', async (t) => {
+  const [primary, replica] = await Promise.all([startBroker(t), startBroker(t, { nodeId: 'node-2' })]);
+  await primary.http.post('/fence', { epoch: 1 });
+  await replica.http.post('/fence', { epoch: 1 });
+  await primary.http.post('/store', { key: 'a', payload: 'v1', replicateTo: [replica.url], acks: 'all', epoch: 1 });
+  await primary.http.post('/store', { topic: 'orders', partition: 0, key: 'o', payload: 'm0', replicateTo: [replica.url], acks: 'all', epoch: 1 });
+
+  // The replica was promoted meanwhile; the old primary does not know yet
+  await replica.http.post('/promote', { epoch: 2 });
+  const keyed = await primary.http.post('/store', { key: 'a', payload: 'v2', replicateTo: [replica.url], acks: 'all', epoch: 1 });
+  assert.equal(keyed.status, 503);
+  assert.equal(keyed.data.replicationResults[0].status, 'fenced');
+  // Once it knows the new epoch, the coordinator's writes go through again
+  const message = await primary.http.post('/store', { topic: 'orders', partition: 0, key: 'o', payload: 'm1', replicateTo: [replica.url], acks: 'all', epoch: 2 });
+  assert.equal(message.status, 201);
+
+  await waitFor(async () => (await primary.http.get('/log')).data.summary.totalFencedWritesReverted === 1);
+  assert.equal((await primary.http.get('/fetch/a')).data.payload, 'v1');
+  assert.equal((await primary.http.get('/health')).data.epoch, 2);
+  assert.equal((await replica.http.get('/fetch/a')).data.payload, 'v1');
+
+  // The revert is replayed from the log after a restart
+  await primary.restart();
+  assert.equal((await primary.http.get('/fetch/a')).data.payload, 'v1');
+  assert.deepEqual((await primary.http.get('/read/orders/0')).data.messages.map(m => m.payload), ['m0', 'm1']);
+});
+
+test('a replica refuses a different message at an offset it already holds', async (t) => {
+  const replica = await startBroker(t);
+  const copy = { topic: 'orders', partition: 0, offset: 0, key: 'o', payload: 'm0', timestamp: new Date().toISOString(), primaryNode: 'node-2' };
+
+  assert.equal((await replica.http.post('/replicate', copy)).status, 200);
+  assert.equal((await replica.http.post('/replicate', copy)).status, 200);
+
+  const conflict = await replica.http.post('/replicate', { ...copy, payload: 'other' });
+  assert.deepEqual([conflict.status, conflict.data.offsetConflict], [409, true]);
+
+  // In a batch the other entries are stored all the same
+  const batch = await replica.http.post('/replicate', {
+    entries: [{ ...copy, payload: 'other' }, { ...copy, offset: 1, payload: 'm1' }],
+    primaryNode: 'node-2',
+  });
+  assert.equal(batch.status, 409);
+  assert.deepEqual(batch.data.results.map(r => Boolean(r.offsetConflict)), [true, false]);
+  assert.deepEqual((await replica.http.get('/read/orders/0')).data.messages.map(m => m.payload), ['m0', 'm1']);
+  assert.equal((await replica.http.get('/log')).data.summary.totalOffsetConflicts, 1);
+});
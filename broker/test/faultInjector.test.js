@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FaultInjector, FaultError } = require('../faultInjector');
+
+// A random() that returns the given values in turn, then the last one forever
+function sequence(...values) {
+  let i = 0;
+  return () => values[Math.min(i++, values.length - 1)];
+}
+
+test('validates each fault type and fills in its defaults', () => {
+  assert.deepEqual(FaultInjector.validate({ type: 'latency', delayMs: 100 }), { type: 'latency', delayMs: 100, jitterMs: 0 });
+  assert.deepEqual(FaultInjector.validate({ type: 'error', paths: ['/produce'] }), { type: 'error', rate: 1, status: 503, paths: ['/produce'] });
+  assert.deepEqual(
+    FaultInjector.validate({ type: 'drop_replication', peers: ['http://localhost:3002/anything'], rate: 0.5 }),
+    { type: 'drop_replication', peers: ['http://localhost:3002'], rate: 0.5 }
+  );
+  assert.deepEqual(FaultInjector.validate({ type: 'unhealthy', extra: true }), { type: 'unhealthy' });
+});
+
+test('refuses invalid specs with a 400', () => {
+  const invalid = [
+    undefined,
+    { type: 'meteor' },
+    { type: 'unhealthy', durationMs: 0 },
+    { type: 'error', paths: ['produce'] },
+    { type: 'latency' },
+    { type: 'latency', delayMs: 10, jitterMs: -1 },
+    { type: 'error', rate: 0 },
+    { type: 'error', status: 200 },
+    { type: 'drop_replication', peers: [] },
+    { type: 'drop_replication', peers: ['not a url'] },
+  ];
+  for (const spec of invalid) {
+    assert.throws(() => FaultInjector.validate(spec), err => err instanceof FaultError && err.status === 400, JSON.stringify(spec));
+  }
+});
+
+test('adds, lists and removes faults, and drops expired ones', async () => {
+  const faults = new FaultInjector();
+  const latency = faults.add({ type: 'latency', delayMs: 5 });
+  const brief = faults.add({ type: 'unhealthy', durationMs: 20 });
+  assert.ok(brief.expiresAt);
+  assert.deepEqual(faults.list().map(f => f.id), [latency.id, brief.id]);
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.deepEqual(faults.list().map(f => f.id), [latency.id]);
+  assert.equal(faults.unhealthy(), null);
+
+  assert.equal(faults.remove(latency.id), true);
+  assert.equal(faults.remove(latency.id), false);
+  faults.add({ type: 'unhealthy' });
+  faults.add({ type: 'unhealthy' });
+  assert.equal(faults.clear(), 2);
+  assert.deepEqual(faults.list(), []);
+});
+
+test('adds up latency and fails at most once per request, within its paths', () => {
+  const injected = [];
+  const faults = new FaultInjector({ random: sequence(0.5), onInject: fault => injected.push(fault.type) });
+  faults.add({ type: 'latency', delayMs: 100, jitterMs: 10 });
+  faults.add({ type: 'latency', delayMs: 50, paths: ['/consume'] });
+  const first = faults.add({ type: 'error', status: 500, paths: ['/produce'] });
+  faults.add({ type: 'error', status: 429 });
+
+  const produce = faults.forRequest('/produce/orders');
+  assert.equal(produce.delayMs, 105);
+  assert.equal(produce.error.id, first.id);
+  assert.deepEqual(injected, ['latency', 'error']);
+
+  const consume = faults.forRequest('/consume/orders');
+  assert.equal(consume.delayMs, 155);
+  assert.equal(consume.error.status, 429);
+});
+
+test('fails only the share of requests its rate asks for', () => {
+  const faults = new FaultInjector({ random: sequence(0.2, 0.8) });
+  faults.add({ type: 'error', rate: 0.5 });
+  assert.notEqual(faults.forRequest('/produce').error, null);
+  assert.equal(faults.forRequest('/produce').error, null);
+});
+
+test('drops only replication calls to the listed peers', () => {
+  const injected = [];
+  const faults = new FaultInjector({ onInject: fault => injected.push(fault.type) });
+  const fault = faults.add({ type: 'drop_replication', peers: ['http://localhost:3002'] });
+
+  assert.equal(faults.dropsCall('http://localhost:3002/replicate').id, fault.id);
+  assert.equal(faults.dropsCall('http://localhost:3002/health'), null);
+  assert.equal(faults.dropsCall('http://localhost:3003/replicate'), null);
+  assert.deepEqual(injected, ['drop_replication']);
+});
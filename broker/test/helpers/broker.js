@@ -0,0 +1,122 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const axios = require('axios');
+
+const SERVER_SCRIPT = path.join(__dirname, '..', '..', 'server.js');
+const START_TIMEOUT_MS = 10000;
+
+// A replica URL nothing listens on: calls to it fail at once, like a down peer
+const UNREACHABLE = 'http://127.0.0.1:1';
+
+/**
+ * TestBroker — one broker (server.js) in a worker thread of the test
+ * process, on a free port, with its own temporary data directory. The
+ * background timers (hint replay, anti-entropy, retention) are pushed out of
+ * the way so a test drives them through the routes. Its output is collected
+ * in `output` instead of being printed.
+ */
+class TestBroker {
+  constructor({ nodeId = 'node-1', env = {} } = {}) {
+    this.nodeId = nodeId;
+    this.env = env;
+    this.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'broker-test-'));
+    this.worker = null;
+    this.exitCode = null;
+    this.output = '';
+  }
+
+  // A restart comes back on the same port, so peers find it again
+  async start() {
+    this.port = this.port || await freePort();
+    this.url = `http://127.0.0.1:${this.port}`;
+    this.http = axios.create({ baseURL: this.url, timeout: 5000, validateStatus: () => true });
+
+    this.exitCode = null;
+    this.worker = new Worker(SERVER_SCRIPT, {
+      env: {
+        NODE_ID: this.nodeId,
+        PORT: String(this.port),
+        DATA_DIR: this.dataDir,
+        FSYNC_MODE: 'never',
+        HINT_REPLAY_INTERVAL_MS: '3600000',
+        ANTI_ENTROPY_INTERVAL_MS: '3600000',
+        RETENTION_INTERVAL_MS: '3600000',
+        ...this.env,
+      },
+      stdout: true,
+      stderr: true,
+    });
+    this.worker.stdout.on('data', chunk => { this.output += chunk; });
+    this.worker.stderr.on('data', chunk => { this.output += chunk; });
+    this.worker.on('error', err => { this.output += err.stack; });
+    this.worker.on('exit', code => { this.exitCode = code; });
+
+    const deadline = Date.now() + START_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      if (this.exitCode !== null) throw new Error(`Broker exited with code ${this.exitCode}:\n${this.output}`);
+      try {
+        if ((await this.http.get('/health')).status === 200) return this;
+      } catch {
+        // not listening yet
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Broker did not become healthy:\n${this.output}`);
+  }
+
+  // Ends the thread without warning, like a crash; the data stays
+  async stop() {
+    if (!this.worker) return;
+    const worker = this.worker;
+    this.worker = null;
+    await worker.terminate();
+  }
+
+  async restart() {
+    await this.stop();
+    return this.start();
+  }
+
+  get running() {
+    return this.worker !== null && this.exitCode === null;
+  }
+
+  async remove() {
+    await this.stop();
+    fs.rmSync(this.dataDir, { recursive: true, force: true });
+  }
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Polls check() until it returns something truthy, and returns that
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs}ms waiting for ${check}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+// Starts a broker and removes it with its data once the test is over
+async function startBroker(t, options) {
+  const broker = new TestBroker(options);
+  t.after(() => broker.remove());
+  return broker.start();
+}
+
+module.exports = { TestBroker, startBroker, waitFor, UNREACHABLE };
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBroker, waitFor } = require('./helpers/broker');
+
+test('keeps a hint for a replica that is down and delivers it once it is back', async (t) => {
+  const [primary, replica] = await Promise.all([startBroker(t), startBroker(t, { nodeId: 'node-2' })]);
+  await replica.stop();
+
+  const res = await primary.http.post('/store', { key: 'a', payload: 1, replicateTo: [replica.url], acks: '1' });
+  assert.equal(res.status, 201);
+
+  const pending = await waitFor(async () => {
+    const { data } = await primary.http.get('/hints');
+    return data.totalPending > 0 && data;
+  });
+  assert.equal(pending.totalPending, 1);
+  assert.deepEqual(pending.targets[replica.url].hints.map(h => h.key), ['a']);
+
+  // Hints are on disk like everything else
+  await primary.restart();
+  assert.equal((await primary.http.get('/hints')).data.totalPending, 1);
+
+  // Still down: the hint stays
+  const early = await primary.http.post('/hints/replay', { target: replica.url });
+  assert.deepEqual([early.data.results[0].delivered, early.data.results[0].remaining], [0, 1]);
+
+  await replica.start();
+  const replay = await primary.http.post('/hints/replay', { target: replica.url });
+  assert.deepEqual([replay.data.results[0].delivered, replay.data.totalPending], [1, 0]);
+
+  const copy = (await replica.http.get('/fetch/a')).data;
+  assert.equal(copy.payload, 1);
+  assert.deepEqual(copy.version, res.data.version);
+});
+
+test('discards a hint the replica refuses', async (t) => {
+  const [primary, replica] = await Promise.all([startBroker(t), startBroker(t, { nodeId: 'node-2' })]);
+  await replica.stop();
+  await primary.http.post('/store', { key: 'a', payload: 1, replicateTo: [replica.url], acks: '1' });
+
+  // Promoted under a newer epoch meanwhile: the old write is fenced off
+  await replica.start();
+  await replica.http.post('/promote', { epoch: 3 });
+
+  const { data } = await primary.http.post('/hints/replay', {});
+  assert.deepEqual([data.results[0].delivered, data.results[0].discarded, data.totalPending], [0, 1, 0]);
+  assert.equal((await replica.http.get('/fetch/a')).status, 404);
+});
+
+test('stores no more than MAX_HINTS hints', async (t) => {
+  const [primary, replica] = await Promise.all([startBroker(t, { env: { MAX_HINTS: '1' } }), startBroker(t, { nodeId: 'node-2' })]);
+  await replica.stop();
+
+  for (const key of ['a', 'b']) {
+    await primary.http.post('/store', { key, payload: 1, replicateTo: [replica.url], acks: 'all', ackTimeoutMs: 2000 });
+  }
+  const { data } = await primary.http.get('/hints');
+  assert.equal(data.totalPending, 1);
+  assert.match(primary.output, /Hint store full \(1\), dropping hint/);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBroker } = require('./helpers/broker');
+
+test('a retried producer sequence is answered from the original write', async (t) => {
+  const broker = await startBroker(t);
+  const message = { topic: 'orders', partition: 0, key: 'o', payload: 'm0', producerId: 'p1', sequence: 0 };
+
+  const first = await broker.http.post('/store', message);
+  const retry = await broker.http.post('/store', message);
+  assert.deepEqual([first.status, first.data.offset], [201, 0]);
+  assert.deepEqual([retry.status, retry.data.duplicate, retry.data.offset], [201, true, 0]);
+  assert.equal((await broker.http.get('/read/orders/0')).data.messages.length, 1);
+
+  // Another producer, or another sequence, is a new message
+  assert.equal((await broker.http.post('/store', { ...message, producerId: 'p2' })).data.offset, 1);
+  assert.equal((await broker.http.post('/store', { ...message, sequence: 1 })).data.offset, 2);
+
+  const keyed = { key: 'a', payload: 1, producerId: 'p1', sequence: 0 };
+  const version = (await broker.http.post('/store', keyed)).data.version;
+  assert.deepEqual((await broker.http.post('/store', keyed)).data.version, version);
+  assert.equal((await broker.http.get('/log')).data.summary.totalPrimaryKeys, 4);
+});
+
+test('a duplicate inside a batch is not stored twice', async (t) => {
+  const broker = await startBroker(t);
+  const entry = { topic: 'orders', partition: 0, payload: 'm0', producerId: 'p1', sequence: 7 };
+  await broker.http.post('/store', entry);
+
+  const res = await broker.http.post('/store', { entries: [entry, { ...entry, sequence: 8, payload: 'm1' }] });
+  assert.equal(res.status, 201);
+  assert.deepEqual(res.data.results.map(r => [Boolean(r.duplicate), r.offset]), [[true, 0], [false, 1]]);
+});
+
+test('the window survives a restart and refuses sequences older than it', async (t) => {
+  const broker = await startBroker(t, { env: { PRODUCER_DEDUP_WINDOW: '2' } });
+  const send = sequence => broker.http.post('/store', { key: 'a', payload: sequence, producerId: 'p1', sequence });
+  for (const sequence of [0, 1, 2]) await send(sequence);
+
+  await broker.restart();
+  assert.equal((await send(2)).data.duplicate, true);
+
+  const tooOld = await send(0);
+  assert.deepEqual([tooOld.status, tooOld.data.sequenceTooOld], [409, true]);
+  assert.match(tooOld.data.error, /sequence 0 of producer p1 is older than the dedup window/);
+  assert.equal((await broker.http.get('/fetch/a')).data.payload, 2);
+
+  // Windows are per producer and target
+  assert.equal((await broker.http.post('/store', { key: 'b', payload: 0, producerId: 'p1', sequence: 0 })).status, 201);
+
+  // A producer id needs its sequence
+  assert.equal((await broker.http.post('/store', { key: 'a', payload: 1, producerId: 'p1' })).status, 400);
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MerkleTree, ringPosition, inRanges, sha } = require('../merkleTree');
+
+const HASH_SPACE = Math.pow(2, 32);
+
+function items(count, digest = i => sha(`value-${i}`)) {
+  return Array.from({ length: count }, (_, i) => ({ id: `key-${i}`, position: ringPosition(`key-${i}`), digest: digest(i) }));
+}
+
+// Leaves whose hashes differ, found top-down as anti-entropy does
+function differingLeaves(a, b) {
+  let indices = [0];
+  for (let level = 0; level < a.depth; level++) {
+    const mine = a.nodes(level, indices);
+    const theirs = b.nodes(level, indices);
+    indices = indices.filter(i => mine[i] !== theirs[i]).flatMap(i => [2 * i, 2 * i + 1]);
+  }
+  const mine = a.nodes(a.depth, indices);
+  const theirs = b.nodes(a.depth, indices);
+  return indices.filter(i => mine[i] !== theirs[i]);
+}
+
+test('ringPosition matches the coordinator hash ring', () => {
+  const HashRing = require('../../coordinator/hashRing');
+  const ring = new HashRing();
+  for (const key of ['orders', 'key-1', '__queue_state__', '']) assert.equal(ringPosition(key), ring.hash(key));
+});
+
+test('inRanges treats ranges as (start, end] and wraps past the top', () => {
+  assert.equal(inRanges(10, [{ start: 10, end: 20 }]), false);
+  assert.equal(inRanges(20, [{ start: 10, end: 20 }]), true);
+  assert.equal(inRanges(5, [{ start: HASH_SPACE - 10, end: 5 }]), true);
+  assert.equal(inRanges(HASH_SPACE - 1, [{ start: HASH_SPACE - 10, end: 5 }]), true);
+  assert.equal(inRanges(6, [{ start: HASH_SPACE - 10, end: 5 }]), false);
+  assert.equal(inRanges(6, []), false);
+});
+
+test('the same items build the same tree in any order', () => {
+  const list = items(200);
+  const a = new MerkleTree(list, 6);
+  const b = new MerkleTree([...list].reverse(), 6);
+  assert.equal(a.root(), b.root());
+  assert.equal(a.itemCount, 200);
+  assert.equal(a.levels.length, 7);
+  assert.equal(a.levels[6].length, 64);
+});
+
+test('an empty tree has an empty root', () => {
+  const tree = new MerkleTree([], 4);
+  assert.equal(tree.root(), '');
+  assert.deepEqual(tree.leafItems([0, 15]), []);
+});
+
+test('a changed digest changes the root and narrows down to its leaf', () => {
+  const before = items(500);
+  const changed = items(500, i => (i === 123 ? sha('other') : sha(`value-${i}`)));
+  const a = new MerkleTree(before, 8);
+  const b = new MerkleTree(changed, 8);
+
+  assert.notEqual(a.root(), b.root());
+  const leaves = differingLeaves(a, b);
+  assert.equal(leaves.length, 1);
+  assert.ok(b.leafItems(leaves).some(item => item.id === 'key-123'));
+  assert.equal(leaves[0], Math.floor((ringPosition('key-123') / HASH_SPACE) * 256));
+});
+
+test('missing items show up as differing leaves', () => {
+  const all = items(300);
+  const some = all.filter((_, i) => i !== 7 && i !== 250);
+  const leaves = differingLeaves(new MerkleTree(all, 8), new MerkleTree(some, 8));
+  const ids = new MerkleTree(all, 8).leafItems(leaves).map(item => item.id);
+  assert.ok(ids.includes('key-7') && ids.includes('key-250'));
+  assert.ok(leaves.length <= 2);
+});
+
+test('nodes returns the hashes of the asked indices', () => {
+  const tree = new MerkleTree(items(50), 3);
+  assert.deepEqual(tree.nodes(0, [0]), { 0: tree.root() });
+  const children = tree.nodes(1, [0, 1]);
+  assert.equal(tree.root(), sha(children[0] + children[1]));
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBroker } = require('./helpers/broker');
+
+async function append(broker, payloads, partition = 0) {
+  const offsets = [];
+  for (const payload of payloads) {
+    const res = await broker.http.post('/store', { topic: 'orders', partition, key: `k-${payload}`, payload });
+    assert.equal(res.status, 201);
+    offsets.push(res.data.offset);
+  }
+  return offsets;
+}
+
+// Reads page after page from offset 0, following nextOffset
+async function readAll(broker, query) {
+  const pages = [];
+  let offset = 0;
+  for (let i = 0; i < 20; i++) {
+    const { data } = await broker.http.get('/read/orders/0', { params: { offset, ...query } });
+    pages.push(data.messages.map(m => m.payload));
+    if (data.nextOffset === offset) break;
+    offset = data.nextOffset;
+  }
+  return pages;
+}
+
+test('appends get consecutive offsets per partition', async (t) => {
+  const broker = await startBroker(t);
+  assert.deepEqual(await append(broker, ['a', 'b', 'c']), [0, 1, 2]);
+  assert.deepEqual(await append(broker, ['x'], 1), [0]);
+
+  const { data } = await broker.http.get('/read/orders/0', { params: { offset: 1 } });
+  assert.deepEqual(data.messages.map(m => [m.offset, m.payload]), [[1, 'b'], [2, 'c']]);
+  assert.equal(data.nextOffset, 3);
+
+  const empty = await broker.http.get('/read/orders/7');
+  assert.deepEqual([empty.data.messages, empty.data.nextOffset], [[], 0]);
+});
+
+test('a read cut short by its limit continues right after its last message', async (t) => {
+  const broker = await startBroker(t);
+  await append(broker, ['a', 'b', 'c', 'd', 'e']);
+
+  const first = await broker.http.get('/read/orders/0', { params: { limit: 2 } });
+  assert.deepEqual(first.data.messages.map(m => m.offset), [0, 1]);
+  assert.equal(first.data.nextOffset, 2);
+
+  assert.deepEqual(await readAll(broker, { limit: 2 }), [['a', 'b'], ['c', 'd'], ['e'], []]);
+});
+
+test('read_committed pages count skipped aborted messages and stop at undecided ones', async (t) => {
+  const broker = await startBroker(t);
+  await append(broker, ['a']);
+  const txn = (txnId, payload) => broker.http.post('/txn/prepare', { txnId, entries: [{ index: 0, topic: 'orders', partition: 0, key: payload, payload }] });
+  assert.equal((await txn('t1', 'aborted-1')).status, 200);
+  assert.equal((await txn('t2', 'aborted-2')).status, 200);
+  await broker.http.post('/txn/abort', { txnId: 't1' });
+  await broker.http.post('/txn/abort', { txnId: 't2' });
+  await append(broker, ['b', 'c']);
+
+  // offsets: 0 a, 1-2 aborted, 3 b, 4 c
+  const page = await broker.http.get('/read/orders/0', { params: { offset: 1, limit: 1, isolation: 'read_committed' } });
+  assert.deepEqual(page.data.messages.map(m => m.offset), [3]);
+  assert.deepEqual(page.data.abortedOffsets, [1, 2]);
+  assert.equal(page.data.nextOffset, 4);
+  assert.deepEqual(await readAll(broker, { limit: 1, isolation: 'read_committed' }), [['a'], ['b'], ['c'], []]);
+
+  // An undecided transaction holds readers back at its first message
+  await txn('t3', 'pending');
+  await append(broker, ['d']);
+  const held = await broker.http.get('/read/orders/0', { params: { offset: 4, isolation: 'read_committed' } });
+  assert.deepEqual([held.data.messages.map(m => m.payload), held.data.nextOffset], [['c'], 5]);
+});
+
+test('refuses an offset or limit that is not a non-negative integer', async (t) => {
+  const broker = await startBroker(t);
+  for (const params of [{ offset: -1 }, { offset: 1.5 }, { offset: 'abc' }, { limit: 0 }, { limit: -3 }, { limit: 'ten' }]) {
+    const res = await broker.http.get('/read/orders/0', { params });
+    assert.equal(res.status, 400, JSON.stringify(params));
+  }
+});
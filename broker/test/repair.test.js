@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBroker } = require('./helpers/broker');
+
+const version = (epoch, counter) => ({ epoch, counter });
+
+test('applies only a newer version of a key', async (t) => {
+  const broker = await startBroker(t);
+  await broker.http.post('/store', { key: 'a', payload: 'v1' });
+  const stored = (await broker.http.get('/fetch/a')).data.version;
+
+  const newer = await broker.http.post('/repair', { key: 'a', payload: 'v5', version: version(stored.epoch, 5), repairedFrom: 'node-2' });
+  assert.deepEqual([newer.status, newer.data.applied, newer.data.version], [200, true, version(stored.epoch, 5)]);
+
+  const older = await broker.http.post('/repair', { key: 'a', payload: 'v3', version: version(stored.epoch, 3), repairedFrom: 'node-3' });
+  assert.deepEqual([older.data.applied, older.data.version], [false, version(stored.epoch, 5)]);
+
+  // A newer epoch wins over a higher counter
+  await broker.http.post('/repair', { key: 'a', payload: 'e1', version: version(stored.epoch + 1, 1), repairedFrom: 'node-2' });
+  assert.equal((await broker.http.get('/fetch/a')).data.payload, 'e1');
+
+  // Own writes continue from the repaired version
+  await broker.http.post('/store', { key: 'a', payload: 'mine' });
+  assert.ok((await broker.http.get('/fetch/a')).data.version.counter > 1);
+});
+
+test('a skipped entry with nothing stored under its key answers version null', async (t) => {
+  const broker = await startBroker(t);
+
+  const expired = await broker.http.post('/repair', {
+    key: 'gone',
+    payload: 1,
+    version: version(0, 1),
+    expiresAt: new Date(Date.now() - 1000).toISOString(),
+    repairedFrom: 'node-2',
+  });
+  assert.equal(expired.status, 200);
+  assert.deepEqual([expired.data.applied, expired.data.version], [false, null]);
+  assert.equal((await broker.http.get('/fetch/gone')).status, 404);
+
+  const message = await broker.http.post('/repair', { key: 'o-1', payload: 1, version: version(0, 1), topic: 'orders', partition: 0, offset: 0, repairedFrom: 'node-2' });
+  assert.deepEqual([message.status, message.data.applied, message.data.version], [200, true, null]);
+  assert.deepEqual((await broker.http.get('/read/orders/0')).data.messages.map(m => m.offset), [0]);
+});
+
+test('a batch repair counts what it applied', async (t) => {
+  const broker = await startBroker(t);
+  await broker.http.post('/repair', { key: 'a', payload: 2, version: version(0, 2), repairedFrom: 'node-2' });
+
+  const res = await broker.http.post('/repair', {
+    entries: [
+      { key: 'a', payload: 1, version: version(0, 1) },
+      { key: 'b', payload: 1, version: version(0, 1) },
+      { key: 'o', payload: 'x', topic: 'orders', partition: 0, offset: 0 },
+    ],
+    repairedFrom: 'node-2',
+    source: 'anti_entropy',
+  });
+  assert.deepEqual([res.data.received, res.data.applied], [3, 2]);
+  assert.equal((await broker.http.get('/fetch/a')).data.payload, 2);
+
+  assert.equal((await broker.http.post('/repair', { key: 'c', payload: 1 })).status, 400);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBroker } = require('./helpers/broker');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function produce(broker, topic, messages) {
+  for (const [key, payload] of messages) {
+    const res = await broker.http.post('/store', { topic, partition: 0, key, payload });
+    assert.equal(res.status, 201);
+  }
+}
+
+const offsetsOf = async (broker, topic) => (await broker.http.get(`/read/${topic}/0`)).data.messages.map(m => m.offset);
+
+test('drops keys past their TTL', async (t) => {
+  const broker = await startBroker(t);
+  await broker.http.post('/store', { key: 'short', payload: 'x', ttlMs: 50 });
+  await broker.http.post('/store', { key: 'long', payload: 'y', ttlMs: 3600000 });
+  await broker.http.post('/store', { key: 'forever', payload: 'z' });
+  await sleep(60);
+
+  // Expired keys are hidden right away and reclaimed by the next run
+  assert.equal((await broker.http.get('/fetch/short')).status, 404);
+  const { report } = (await broker.http.post('/retention/run')).data;
+  assert.deepEqual([report.keysExpired, report.bytesReclaimed > 0], [1, true]);
+  assert.deepEqual((await broker.http.get('/keys')).data.keys.sort(), ['forever', 'long']);
+
+  assert.equal((await broker.http.post('/store', { key: 'k', payload: 1, ttlMs: 0 })).status, 400);
+  assert.equal((await broker.http.post('/store', { topic: 'orders', partition: 0, payload: 1, ttlMs: 10 })).status, 400);
+});
+
+test('moves the log start forward by age and by message count', async (t) => {
+  const broker = await startBroker(t);
+  await produce(broker, 'old', [['a', 1], ['b', 2]]);
+  await produce(broker, 'counted', [['a', 1], ['b', 2], ['c', 3], ['d', 4]]);
+  await sleep(600);
+  await produce(broker, 'old', [['c', 3]]);
+
+  const policies = await broker.http.put('/retention/policies', { topics: { old: { retentionMs: 500 }, counted: { retentionMessages: 2 } } });
+  assert.equal(policies.status, 200);
+  const { report } = (await broker.http.post('/retention/run')).data;
+  assert.equal(report.messagesDeleted, 4);
+
+  assert.deepEqual(await offsetsOf(broker, 'old'), [2]);
+  assert.deepEqual(await offsetsOf(broker, 'counted'), [2, 3]);
+
+  // New messages keep their offsets after the cut
+  await produce(broker, 'counted', [['e', 5]]);
+  assert.equal((await broker.http.get('/read/counted/0')).data.nextOffset, 5);
+  assert.equal((await broker.http.post('/retention/run')).data.report.messagesDeleted, 1);
+  assert.equal((await broker.http.get('/retention/status')).data.runs, 2);
+});
+
+test('compaction keeps the latest message per key, also after a restart', async (t) => {
+  const broker = await startBroker(t);
+  await produce(broker, 'profiles', [['u1', 'v1'], ['u2', 'v1'], ['u1', 'v2'], ['u1', 'v3']]);
+
+  await broker.http.put('/retention/policies', { topics: { profiles: { cleanupPolicy: 'compact' } } });
+  assert.equal((await broker.http.post('/retention/run')).data.report.messagesCompacted, 2);
+  const expected = [[1, 'u2', 'v1'], [3, 'u1', 'v3']];
+  const read = async () => (await broker.http.get('/read/profiles/0')).data.messages.map(m => [m.offset, m.key, m.payload]);
+  assert.deepEqual(await read(), expected);
+
+  await broker.restart();
+  assert.deepEqual(await read(), expected);
+  assert.deepEqual((await broker.http.get('/retention/status')).data.policies, { profiles: { cleanupPolicy: 'compact' } });
+  assert.equal((await broker.http.post('/retention/run')).data.report.messagesCompacted, 0);
+
+  assert.equal((await broker.http.put('/retention/policies', { topics: [] })).status, 400);
+});
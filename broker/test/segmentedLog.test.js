@@ -0,0 +1,132 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SegmentedLog = require('../segmentedLog');
+
+const logs = [];
+const dirs = [];
+
+afterEach(() => {
+  for (const log of logs.splice(0)) log.close();
+  for (const dir of dirs.splice(0)) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'segmented-log-test-'));
+  dirs.push(dir);
+  return dir;
+}
+
+function openLog(options) {
+  const log = new SegmentedLog({ fsync: 'never', ...options });
+  const records = log.open();
+  logs.push(log);
+  return { log, records };
+}
+
+function reopen(log) {
+  log.close();
+  return openLog({ dir: log.dir, segmentMaxBytes: log.segmentMaxBytes });
+}
+
+test('refuses an unknown fsync mode', () => {
+  assert.throws(() => new SegmentedLog({ dir: tempDir(), fsync: 'sometimes' }), /Unknown fsync mode "sometimes"/);
+});
+
+test('numbers records and replays them in order after a restart', () => {
+  const { log, records } = openLog({ dir: tempDir() });
+  assert.deepEqual(records, []);
+
+  assert.deepEqual(log.append({ type: 'a' }), { seq: 0, type: 'a' });
+  assert.deepEqual(log.append({ type: 'b' }), { seq: 1, type: 'b' });
+
+  const reopened = reopen(log);
+  assert.deepEqual(reopened.records, [{ seq: 0, type: 'a' }, { seq: 1, type: 'b' }]);
+  assert.deepEqual(reopened.log.recovery, { segments: 1, records: 2, truncatedBytes: 0 });
+  assert.equal(reopened.log.append({ type: 'c' }).seq, 2);
+});
+
+test('rolls a new segment named after its first record', () => {
+  const dir = tempDir();
+  const { log } = openLog({ dir, segmentMaxBytes: 64 });
+  for (let i = 0; i < 6; i++) log.append({ value: 'x'.repeat(20) });
+
+  const files = fs.readdirSync(dir).sort();
+  assert.ok(files.length > 1, `expected several segments, got ${files}`);
+  assert.equal(files[0], '00000000000000000000.log');
+  for (const file of files) {
+    const [first] = fs.readFileSync(path.join(dir, file), 'utf8').split('\n');
+    assert.equal(JSON.parse(first).seq, parseInt(file, 10));
+  }
+
+  const stats = log.getStats();
+  assert.equal(stats.segmentCount, files.length);
+  assert.equal(stats.nextSeq, 6);
+  assert.equal(stats.totalBytes, files.reduce((sum, f) => sum + fs.statSync(path.join(dir, f)).size, 0));
+
+  assert.deepEqual(reopen(log).records.map(r => r.seq), [0, 1, 2, 3, 4, 5]);
+});
+
+test('a record larger than a segment still gets written', () => {
+  const { log } = openLog({ dir: tempDir(), segmentMaxBytes: 16 });
+  log.append({ value: 'x'.repeat(100) });
+  log.append({ value: 'y'.repeat(100) });
+  assert.equal(log.getStats().segmentCount, 2);
+  assert.deepEqual(reopen(log).records.map(r => r.value[0]), ['x', 'y']);
+});
+
+test('drops a torn write at the tail of the last segment', () => {
+  const dir = tempDir();
+  const { log } = openLog({ dir });
+  log.append({ type: 'a' });
+  log.close();
+
+  const file = path.join(dir, '00000000000000000000.log');
+  const intact = fs.readFileSync(file, 'utf8');
+  fs.appendFileSync(file, '{"seq":1,"ty');
+
+  const { log: reopened, records } = openLog({ dir });
+  assert.deepEqual(records, [{ seq: 0, type: 'a' }]);
+  assert.equal(reopened.recovery.truncatedBytes, '{"seq":1,"ty'.length);
+  assert.equal(fs.readFileSync(file, 'utf8'), intact);
+
+  // The next record continues where the intact ones stopped
+  assert.equal(reopened.append({ type: 'b' }).seq, 1);
+  assert.deepEqual(reopen(reopened).records.map(r => r.type), ['a', 'b']);
+});
+
+test('refuses a corrupt record in a sealed segment', () => {
+  const dir = tempDir();
+  const { log } = openLog({ dir, segmentMaxBytes: 32 });
+  for (let i = 0; i < 3; i++) log.append({ value: 'x'.repeat(20) });
+  log.close();
+
+  fs.writeFileSync(path.join(dir, '00000000000000000000.log'), '{"seq":0,"val\n');
+  assert.throws(() => new SegmentedLog({ dir, fsync: 'never' }).open(), /Corrupt record in sealed segment 00000000000000000000\.log/);
+});
+
+test('ignores files that are not segments', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a segment');
+  const { log, records } = openLog({ dir });
+  assert.deepEqual(records, []);
+  assert.equal(log.getStats().segmentCount, 1);
+});
+
+test('a failed roll throws, keeps the sequence and is retried by the next append', () => {
+  const dir = tempDir();
+  const { log } = openLog({ dir, segmentMaxBytes: 1 });
+  log.append({ type: 'a' });
+
+  // A directory where the next segment file should go
+  const blocked = path.join(dir, '00000000000000000001.log');
+  fs.mkdirSync(blocked);
+  assert.throws(() => log.append({ type: 'b' }), { code: 'EISDIR' });
+  assert.equal(log.nextSeq, 1);
+
+  fs.rmdirSync(blocked);
+  assert.deepEqual(log.append({ type: 'b' }), { seq: 1, type: 'b' });
+  assert.deepEqual(reopen(log).records.map(r => r.type), ['a', 'b']);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startBroker } = require('./helpers/broker');
+
+const segmentName = seq => `${String(seq).padStart(20, '0')}.log`;
+
+test('keys and partition messages survive a restart', async (t) => {
+  const broker = await startBroker(t);
+  assert.equal((await broker.http.post('/store', { key: 'a', payload: { n: 1 } })).status, 201);
+  assert.equal((await broker.http.post('/store', { key: 'a', payload: { n: 2 } })).status, 201);
+  assert.equal((await broker.http.post('/store', { topic: 'orders', partition: 0, key: 'o-1', payload: 'x' })).status, 201);
+
+  await broker.restart();
+  const fetched = await broker.http.get('/fetch/a');
+  assert.deepEqual(fetched.data.payload, { n: 2 });
+  assert.equal(fetched.data.version.counter, 2);
+  const read = await broker.http.get('/read/orders/0');
+  assert.deepEqual(read.data.messages.map(m => [m.offset, m.payload]), [[0, 'x']]);
+
+  // Offsets carry on after the ones already stored
+  const next = await broker.http.post('/store', { topic: 'orders', partition: 0, key: 'o-2', payload: 'y' });
+  assert.equal(next.data.offset, 1);
+});
+
+test('a disk error fails the write with 503 instead of crashing the broker', async (t) => {
+  // Every record after the first needs a new segment; a directory where the
+  // segment file should go makes creating it fail (EISDIR)
+  const broker = await startBroker(t, { env: { SEGMENT_MAX_BYTES: '1' } });
+  const blocked = [1, 2, 3].map(seq => path.join(broker.dataDir, segmentName(seq)));
+  for (const dir of blocked) fs.mkdirSync(dir);
+
+  // Stored; recording its replication outcome afterwards fails and is logged
+  const first = await broker.http.post('/store', { key: 'a', payload: 1 });
+  assert.equal(first.status, 201);
+
+  const second = await broker.http.post('/store', { key: 'b', payload: 2 });
+  assert.equal(second.status, 503);
+  assert.equal(second.data.success, false);
+  assert.match(second.data.error, /Could not write to the log: EISDIR/);
+
+  const batch = await broker.http.post('/store', { entries: [{ key: 'c', payload: 3 }, { key: 'd', payload: 4 }] });
+  assert.equal(batch.status, 503);
+
+  assert.equal((await broker.http.get('/health')).status, 200);
+  assert.equal((await broker.http.get('/fetch/b')).status, 404);
+  assert.ok(broker.running);
+  assert.match(broker.output, /Could not record the replication results of key="a"/);
+
+  // Once the disk accepts writes again the broker carries on by itself
+  for (const dir of blocked) fs.rmdirSync(dir);
+  assert.equal((await broker.http.post('/store', { key: 'b', payload: 2 })).status, 201);
+
+  await broker.restart();
+  assert.equal((await broker.http.get('/fetch/a')).data.payload, 1);
+  assert.equal((await broker.http.get('/fetch/b')).data.payload, 2);
+});
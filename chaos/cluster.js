@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const axios = require('axios');
+
+const BROKER_SCRIPT = path.join(__dirname, '..', 'broker', 'server.js');
+const COORDINATOR_SCRIPT = path.join(__dirname, '..', 'coordinator', 'server.js');
+const START_TIMEOUT_MS = 15000;
+
+/**
+ * LocalCluster — brokers and one coordinator running inside this process,
+ * each in its own worker thread (own modules, environment and event loop).
+ * Data directories and logs go to a temporary directory.
+ *
+ * Killing a broker terminates its thread without warning, like a crash;
+ * restarting it recovers from the same data directory. Brokers run with
+ * FAULT_INJECTION=true and every node with a random cluster token, which
+ * client() sends along.
+ */
+class LocalCluster {
+  constructor({ brokers = 3, replicationFactor = 3, basePort = 17000, healthCheckIntervalMs = 1000, failureThreshold = 3, brokerEnv = {}, coordinatorEnv = {} } = {}) {
+    this.replicationFactor = replicationFactor;
+    this.healthCheckIntervalMs = healthCheckIntervalMs;
+    this.failureThreshold = failureThreshold;
+    this.brokerEnv = brokerEnv;
+    this.coordinatorEnv = coordinatorEnv;
+    this.clusterToken = crypto.randomBytes(16).toString('hex');
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmq-chaos-'));
+
+    // nodeName → { name, port, url, dataDir, worker, killed }
+    this.brokers = new Map();
+    for (let i = 1; i <= brokers; i++) {
+      const name = `node-${i}`;
+      const port = basePort + i;
+      this.brokers.set(name, { name, port, url: `http://localhost:${port}`, dataDir: path.join(this.dir, name), worker: null, killed: false });
+    }
+    this.coordinator = { name: 'coordinator', port: basePort, url: `http://localhost:${basePort}`, dataDir: path.join(this.dir, 'coordinator'), worker: null };
+
+    // Threads that died without being killed: [{ node, error, at }]
+    this.crashes = [];
+    this.http = this.client();
+  }
+
+  // axios instance that carries the cluster token and never throws on a status
+  client(timeout = 5000) {
+    return axios.create({ timeout, headers: { 'X-Cluster-Token': this.clusterToken }, validateStatus: () => true });
+  }
+
+  async start() {
+    for (const broker of this.brokers.values()) this._startBroker(broker);
+    await Promise.all([...this.brokers.values()].map(broker => this._waitForHealth(broker.url)));
+
+    this.coordinator.worker = this._spawn(this.coordinator, COORDINATOR_SCRIPT, {
+      COORDINATOR_ID: 'coordinator',
+      PORT: String(this.coordinator.port),
+      DATA_DIR: this.coordinator.dataDir,
+      BROKER_NODES: [...this.brokers.values()].map(b => `${b.name}=${b.url}`).join(','),
+      REPLICATION_FACTOR: String(this.replicationFactor),
+      HEALTH_CHECK_INTERVAL_MS: String(this.healthCheckIntervalMs),
+      HEALTH_FAILURE_THRESHOLD: String(this.failureThreshold),
+      CLUSTER_TOKEN: this.clusterToken,
+      ...this.coordinatorEnv,
+    });
+    // Ready once a leader is elected (a single coordinator elects itself)
+    await this._waitFor(async () => {
+      const res = await this.http.get(`${this.coordinator.url}/health`);
+      return res.status === 200 && res.data.role === 'leader';
+    }, 'coordinator leader');
+  }
+
+  async killBroker(name) {
+    const broker = this._broker(name);
+    if (!broker.worker) throw new Error(`${name} is not running`);
+    broker.killed = true;
+    await broker.worker.terminate();
+    broker.worker = null;
+  }
+
+  async restartBroker(name) {
+    const broker = this._broker(name);
+    if (broker.worker) throw new Error(`${name} is already running`);
+    this._startBroker(broker);
+    await this._waitForHealth(broker.url);
+  }
+
+  isRunning(name) {
+    return Boolean(this._broker(name).worker);
+  }
+
+  brokerUrl(name) {
+    return this._broker(name).url;
+  }
+
+  async stop() {
+    const nodes = [this.coordinator, ...this.brokers.values()].filter(node => node.worker);
+    for (const node of nodes) node.killed = true;
+    await Promise.all(nodes.map(node => node.worker.terminate()));
+    for (const node of nodes) node.worker = null;
+  }
+
+  removeData() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  }
+
+  _startBroker(broker) {
+    broker.killed = false;
+    broker.worker = this._spawn(broker, BROKER_SCRIPT, {
+      NODE_ID: broker.name,
+      PORT: String(broker.port),
+      DATA_DIR: broker.dataDir,
+      CLUSTER_TOKEN: this.clusterToken,
+      FAULT_INJECTION: 'true',
+      HINT_REPLAY_INTERVAL_MS: '2000',
+      ...this.brokerEnv,
+    });
+  }
+
+  // Nodes see only the environment given here, never the runner's own.
+  // Output of every run of a node is appended to <dir>/<name>.log
+  _spawn(node, script, env) {
+    const worker = new Worker(script, { env, stdout: true, stderr: true });
+    const logFile = fs.createWriteStream(path.join(this.dir, `${node.name}.log`), { flags: 'a' });
+    worker.stdout.pipe(logFile);
+    worker.stderr.pipe(logFile);
+    worker.on('error', err => this.crashes.push({ node: node.name, error: err.stack || err.message, at: new Date().toISOString() }));
+    worker.on('exit', code => {
+      if (!node.killed && node.worker === worker) {
+        this.crashes.push({ node: node.name, error: `exited with code ${code}`, at: new Date().toISOString() });
+        node.worker = null;
+      }
+    });
+    return worker;
+  }
+
+  _waitForHealth(url) {
+    return this._waitFor(async () => (await this.http.get(`${url}/health`)).status === 200, `${url}/health`);
+  }
+
+  async _waitFor(check, what) {
+    const deadline = Date.now() + START_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      try {
+        if (await check()) return;
+      } catch {
+        // not listening yet
+      }
+      await sleep(200);
+    }
+    throw new Error(`Timed out waiting for ${what}`);
+  }
+
+  _broker(name) {
+    const broker = this.brokers.get(name);
+    if (!broker) throw new Error(`Unknown broker "${name}" (have ${[...this.brokers.keys()].join(', ')})`);
+    return broker;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { LocalCluster, sleep };
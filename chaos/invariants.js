@@ -0,0 +1,177 @@
+const MAX_EXAMPLES = 10;
+
+/**
+ * Invariants checked once the scenario's traffic stopped and the cluster
+ * had settleMs to recover. Each check answers { name, passed, detail, examples? }.
+ *
+ *   noAcknowledgedWriteLost — every acknowledged write can be read back
+ *   noDuplicates            — no write appears at more than one offset (topic mode)
+ *   replicasConverged       — every copy of a partition holds its acknowledged writes (topic mode)
+ *   recovered               — every broker is HEALTHY and none is failed over
+ *   noCrashes               — no node thread died unless the timeline killed it
+ *   minProduceSuccessRate   — at least this share of writes was acknowledged
+ *   minConsumeSuccessRate   — at least this share of reads succeeded
+ */
+const INVARIANTS = {
+  async noAcknowledgedWriteLost({ traffic, topicData, readKey }) {
+    const acknowledged = traffic.acknowledged();
+    let lost;
+    if (traffic.mode === 'topic') {
+      if (topicData.unreadable.length > 0) {
+        return { passed: false, detail: `partition(s) ${topicData.unreadable.join(', ')} could not be read` };
+      }
+      lost = acknowledged.filter(w => !topicData.locations.has(w.seq));
+    } else {
+      lost = [];
+      for (const write of acknowledged) {
+        const payload = await readKey(write.key);
+        if (payload?.seq !== write.seq) lost.push(write);
+      }
+    }
+    return {
+      passed: lost.length === 0,
+      detail: `${acknowledged.length - lost.length}/${acknowledged.length} acknowledged writes readable`,
+      examples: lost.slice(0, MAX_EXAMPLES).map(describeWrite),
+    };
+  },
+
+  noDuplicates({ traffic, topicData }) {
+    if (traffic.mode !== 'topic') return { passed: true, detail: 'n/a in key mode (a key holds one value)' };
+    const duplicated = [...topicData.locations].filter(([, places]) => places.length > 1);
+    return {
+      passed: duplicated.length === 0,
+      detail: `${duplicated.length} write(s) stored more than once`,
+      examples: duplicated.slice(0, MAX_EXAMPLES).map(([seq, places]) => ({ seq, places })),
+    };
+  },
+
+  async replicasConverged({ traffic, cluster, http }) {
+    if (traffic.mode !== 'topic') return { passed: true, detail: 'n/a in key mode' };
+    const res = await http.get(`${cluster.coordinator.url}/topics/${traffic.topic}`);
+    if (res.status !== 200) return { passed: false, detail: `could not read the placement of ${traffic.topic}: ${res.data.error}` };
+
+    const missing = [];
+    for (const { partition, primary, replicas } of res.data.partitions) {
+      const expected = traffic.acknowledged().filter(w => w.partition === partition).map(w => w.seq);
+      for (const node of [primary, ...replicas]) {
+        if (!cluster.isRunning(node)) continue;
+        const held = await readPartition(http, `${cluster.brokerUrl(node)}/read/${traffic.topic}/${partition}`);
+        const absent = held ? expected.filter(seq => !held.has(seq)) : expected;
+        if (absent.length > 0) missing.push({ partition, node, missing: absent.length, seqs: absent.slice(0, MAX_EXAMPLES) });
+      }
+    }
+    return {
+      passed: missing.length === 0,
+      detail: missing.length === 0 ? 'every running copy holds all acknowledged writes' : `${missing.length} partition copies are missing acknowledged writes`,
+      examples: missing,
+    };
+  },
+
+  async recovered({ cluster, http }) {
+    const [nodes, failover] = await Promise.all([
+      http.get(`${cluster.coordinator.url}/health/nodes`),
+      http.get(`${cluster.coordinator.url}/failover/status`),
+    ]);
+    if (nodes.status !== 200 || failover.status !== 200) return { passed: false, detail: 'coordinator did not answer' };
+
+    const unhealthy = Object.entries(nodes.data).filter(([, health]) => health.status !== 'HEALTHY').map(([node, health]) => `${node} ${health.status}`);
+    const { unavailableNodes, promotedRanges } = failover.data;
+    return {
+      passed: unhealthy.length === 0 && unavailableNodes.length === 0,
+      detail: unhealthy.length === 0 && unavailableNodes.length === 0
+        ? `all brokers healthy, ${promotedRanges} range(s) still promoted`
+        : `not healthy: ${unhealthy.join(', ') || 'none'}; failed over: ${unavailableNodes.join(', ') || 'none'}`,
+    };
+  },
+
+  noCrashes({ cluster }) {
+    return {
+      passed: cluster.crashes.length === 0,
+      detail: `${cluster.crashes.length} unexpected thread exit(s)`,
+      examples: cluster.crashes,
+    };
+  },
+
+  minProduceSuccessRate({ summary }, threshold) {
+    return {
+      passed: summary.produceSuccessRate !== null && summary.produceSuccessRate >= threshold,
+      detail: `${summary.acknowledged}/${summary.writes} writes acknowledged (need ${threshold})`,
+    };
+  },
+
+  minConsumeSuccessRate({ summary }, threshold) {
+    return {
+      passed: summary.consumeSuccessRate !== null && summary.consumeSuccessRate >= threshold,
+      detail: `${summary.reads - summary.failedReads}/${summary.reads} reads succeeded (need ${threshold})`,
+    };
+  },
+};
+
+// invariants: { name: true | threshold }, as in the scenario file
+async function checkInvariants(invariants, { cluster, traffic }) {
+  const http = cluster.client(10000);
+  const context = {
+    cluster,
+    traffic,
+    http,
+    summary: traffic.summary(),
+    topicData: traffic.mode === 'topic' ? await readTopic(http, cluster.coordinator.url, traffic.topic, traffic.partitions) : null,
+    readKey: async key => {
+      const res = await http.get(`${cluster.coordinator.url}/consume/${encodeURIComponent(key)}`, { params: { consistency: 'quorum' } });
+      return res.status === 200 ? res.data.payload : null;
+    },
+  };
+
+  const results = [];
+  for (const [name, setting] of Object.entries(invariants)) {
+    if (setting === false) continue;
+    try {
+      results.push({ name, ...(await INVARIANTS[name](context, setting)) });
+    } catch (err) {
+      results.push({ name, passed: false, detail: `check failed: ${err.message}` });
+    }
+  }
+  return results;
+}
+
+// Every message of a topic through the coordinator: seq → [{ partition, offset }]
+async function readTopic(http, coordinatorUrl, topic, partitions) {
+  const locations = new Map();
+  const unreadable = [];
+  for (let partition = 0; partition < partitions; partition++) {
+    let offset = 0;
+    for (;;) {
+      const res = await http.get(`${coordinatorUrl}/consume/${topic}/${partition}`, { params: { offset, limit: 500 } });
+      if (res.status !== 200) {
+        unreadable.push(partition);
+        break;
+      }
+      for (const message of res.data.messages) {
+        if (!locations.has(message.payload?.seq)) locations.set(message.payload?.seq, []);
+        locations.get(message.payload?.seq).push({ partition, offset: message.offset });
+      }
+      if (res.data.messages.length === 0) break;
+      offset = res.data.nextOffset;
+    }
+  }
+  return { locations, unreadable };
+}
+
+// The seqs one broker holds for a partition, or null when it does not answer
+async function readPartition(http, url) {
+  const seqs = new Set();
+  let offset = 0;
+  for (;;) {
+    const res = await http.get(url, { params: { offset, limit: 500 } });
+    if (res.status !== 200) return null;
+    for (const message of res.data.messages) seqs.add(message.payload?.seq);
+    if (res.data.messages.length === 0) return seqs;
+    offset = res.data.nextOffset;
+  }
+}
+
+function describeWrite({ seq, key, partition, offset }) {
+  return { seq, key, ...(partition !== undefined && { partition, offset }) };
+}
+
+module.exports = { checkInvariants, INVARIANTS: Object.keys(INVARIANTS) };
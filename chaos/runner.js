@@ -0,0 +1,270 @@
+/**
+ * Chaos scenario runner
+ *
+ * Usage: node runner.js <scenario.json> [more.json …] [--report <file>] [--keep] [--base-port <port>] [--repeat <n>]
+ *
+ * For each scenario: starts a cluster of brokers and a coordinator inside
+ * this process (see cluster.js), drives produce and consume traffic through
+ * the coordinator while the timeline kills, restarts and injects faults into
+ * brokers, gives the cluster settleMs to recover and checks the invariants
+ * (see invariants.js). Prints a report per scenario, writes them all as JSON
+ * with --report, and exits 1 if any invariant failed. --repeat n runs each
+ * scenario n times; it passes only if every run does, so a scenario that
+ * holds only some of the time is caught before it is relied on.
+ *
+ * Needs the broker and coordinator dependencies installed (npm install in
+ * ../broker and ../coordinator). Node data and logs go to a temporary
+ * directory, removed after a passing run unless --keep is given.
+ *
+ * Scenario file:
+ * {
+ *   "name": "primary-crash",
+ *   "description": "…",
+ *   "cluster":  { "brokers": 3, "replicationFactor": 3, "healthCheckIntervalMs": 1000, "failureThreshold": 3, "brokerEnv": {}, "coordinatorEnv": {} },
+ *   "traffic":  { "mode": "topic" | "key", "topic": "chaos", "partitions": 3, "ratePerSec": 20, "acks": "quorum", "consumeIntervalMs": 500 },
+ *   "durationMs": 20000,   — how long traffic runs; timeline events fall inside it
+ *   "settleMs": 10000,     — wait after traffic before checking invariants
+ *   "timeline": [
+ *     { "atMs": 3000,  "action": "kill",    "broker": "node-1" },
+ *     { "atMs": 12000, "action": "restart", "broker": "node-1" },
+ *     { "atMs": 5000,  "action": "fault",   "broker": "node-2", "fault": { "type": "latency", "delayMs": 300, "durationMs": 4000 } },
+ *     { "atMs": 9000,  "action": "clear",   "broker": "all" }
+ *   ],
+ *   "invariants": { "noAcknowledgedWriteLost": true, "minProduceSuccessRate": 0.5, … }
+ * }
+ *
+ * Faults are the broker's (see broker/faultInjector.js); drop_replication
+ * peers may be given as broker names. Brokers are named node-1 … node-N.
+ */
+const fs = require('fs');
+const path = require('path');
+const { LocalCluster, sleep } = require('./cluster');
+const TrafficDriver = require('./traffic');
+const { checkInvariants, INVARIANTS } = require('./invariants');
+
+const ACTIONS = ['kill', 'restart', 'fault', 'clear'];
+const DEFAULT_INVARIANTS = { noAcknowledgedWriteLost: true, noDuplicates: true, replicasConverged: true, recovered: true, noCrashes: true };
+
+// ─── Scenario file, validated, with defaults ──────────────────────────────────
+function loadScenario(file) {
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const fail = message => {
+    throw new Error(`${path.basename(file)}: ${message}`);
+  };
+
+  const cluster = { brokers: 3, replicationFactor: 3, ...scenario.cluster };
+  const traffic = { mode: 'topic', topic: 'chaos', partitions: 3, ratePerSec: 20, acks: 'quorum', ...scenario.traffic };
+  const { durationMs, settleMs = 10000, timeline = [] } = scenario;
+  const invariants = scenario.invariants || DEFAULT_INVARIANTS;
+
+  if (!Number.isInteger(durationMs) || durationMs <= 0) fail('durationMs must be a positive integer');
+  if (!Number.isInteger(settleMs) || settleMs < 0) fail('settleMs must be a non-negative integer');
+  if (!['topic', 'key'].includes(traffic.mode)) fail('traffic.mode must be "topic" or "key"');
+  if (!(traffic.ratePerSec > 0)) fail('traffic.ratePerSec must be positive');
+
+  const brokerNames = Array.from({ length: cluster.brokers }, (_, i) => `node-${i + 1}`);
+  for (const [i, event] of timeline.entries()) {
+    if (!Number.isInteger(event.atMs) || event.atMs < 0 || event.atMs > durationMs) fail(`timeline[${i}].atMs must be between 0 and durationMs`);
+    if (!ACTIONS.includes(event.action)) fail(`timeline[${i}].action must be one of ${ACTIONS.join(', ')}`);
+    if (!brokerNames.includes(event.broker) && !(event.action === 'clear' && event.broker === 'all')) {
+      fail(`timeline[${i}].broker must be one of ${brokerNames.join(', ')}${event.action === 'clear' ? ' or "all"' : ''}`);
+    }
+    if (event.action === 'fault' && typeof event.fault?.type !== 'string') fail(`timeline[${i}].fault must be a fault object with a type`);
+  }
+  for (const name of Object.keys(invariants)) {
+    if (!INVARIANTS.includes(name)) fail(`unknown invariant "${name}" (use ${INVARIANTS.join(', ')})`);
+  }
+
+  return {
+    name: scenario.name || path.basename(file, '.json'),
+    description: scenario.description || '',
+    cluster,
+    traffic,
+    durationMs,
+    settleMs,
+    timeline: [...timeline].sort((a, b) => a.atMs - b.atMs),
+    invariants,
+  };
+}
+
+// ─── Timeline: actions at their offset from the start of traffic ─────────────
+async function runTimeline(cluster, timeline, startedAt) {
+  const results = [];
+  for (const event of timeline) {
+    await sleep(startedAt + event.atMs - Date.now());
+    const result = { atMs: event.atMs, startedAtMs: Date.now() - startedAt, action: event.action, broker: event.broker };
+    try {
+      result.detail = await applyAction(cluster, event);
+      result.ok = true;
+    } catch (err) {
+      result.ok = false;
+      result.error = err.message;
+    }
+    console.log(`  [+${(result.startedAtMs / 1000).toFixed(1)}s] ${describeEvent(event)} ${result.ok ? '✓' : `✗ ${result.error}`}`);
+    results.push(result);
+  }
+  return results;
+}
+
+async function applyAction(cluster, event) {
+  switch (event.action) {
+    case 'kill':
+      await cluster.killBroker(event.broker);
+      return 'terminated';
+
+    case 'restart':
+      await cluster.restartBroker(event.broker);
+      return 'healthy again';
+
+    case 'fault': {
+      const fault = { ...event.fault };
+      if (fault.peers) fault.peers = fault.peers.map(peer => (cluster.brokers.has(peer) ? cluster.brokerUrl(peer) : peer));
+      const res = await cluster.http.post(`${cluster.brokerUrl(event.broker)}/faults`, fault);
+      if (res.status !== 201) throw new Error(res.data.error || `HTTP ${res.status}`);
+      return `fault ${res.data.fault.id}`;
+    }
+
+    case 'clear': {
+      const names = event.broker === 'all' ? [...cluster.brokers.keys()].filter(name => cluster.isRunning(name)) : [event.broker];
+      let removed = 0;
+      for (const name of names) {
+        const res = await cluster.http.delete(`${cluster.brokerUrl(name)}/faults`);
+        if (res.status !== 200) throw new Error(`${name}: ${res.data.error || `HTTP ${res.status}`}`);
+        removed += res.data.removed;
+      }
+      return `${removed} fault(s) removed`;
+    }
+  }
+}
+
+function describeEvent(event) {
+  if (event.action !== 'fault') return `${event.action} ${event.broker}`;
+  const { type, ...settings } = event.fault;
+  return `fault ${event.broker}: ${type} ${JSON.stringify(settings)}`;
+}
+
+// ─── One scenario, start to report ────────────────────────────────────────────
+async function runScenario(scenario, { basePort, keep }) {
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`CHAOS SCENARIO: ${scenario.name}`);
+  if (scenario.description) console.log(scenario.description);
+  console.log('='.repeat(60));
+
+  const cluster = new LocalCluster({ ...scenario.cluster, basePort });
+  const report = { scenario: scenario.name, startedAt: new Date().toISOString(), logs: cluster.dir };
+  try {
+    await cluster.start();
+    console.log(`Cluster  : ${[...cluster.brokers.keys()].join(', ')} + coordinator (logs in ${cluster.dir})`);
+
+    if (scenario.traffic.mode === 'topic') {
+      const res = await cluster.http.post(`${cluster.coordinator.url}/topics`, { name: scenario.traffic.topic, partitions: scenario.traffic.partitions });
+      if (res.status !== 201) throw new Error(`Could not create topic ${scenario.traffic.topic}: ${res.data.error}`);
+    }
+
+    const traffic = new TrafficDriver({ http: cluster.client(), coordinatorUrl: cluster.coordinator.url, ...scenario.traffic });
+    console.log(`Traffic  : ${scenario.traffic.ratePerSec} writes/s for ${scenario.durationMs / 1000}s (${scenario.traffic.mode} mode, acks=${scenario.traffic.acks})`);
+    console.log('Timeline :');
+    const startedAt = Date.now();
+    traffic.start();
+    const timeline = runTimeline(cluster, scenario.timeline, startedAt);
+    await sleep(scenario.durationMs);
+    await traffic.stop();
+    report.timeline = await timeline;
+
+    console.log(`Settling : ${scenario.settleMs / 1000}s`);
+    await sleep(scenario.settleMs);
+
+    report.invariants = await checkInvariants(scenario.invariants, { cluster, traffic });
+    report.traffic = traffic.summary();
+    report.passed = report.invariants.every(i => i.passed) && report.timeline.every(e => e.ok);
+  } catch (err) {
+    report.passed = false;
+    report.error = err.message;
+  } finally {
+    await cluster.stop();
+    report.finishedAt = new Date().toISOString();
+    if (report.passed && !keep) {
+      cluster.removeData();
+      delete report.logs;
+    }
+  }
+
+  printReport(report);
+  return report;
+}
+
+function printReport(report) {
+  if (report.traffic) {
+    const t = report.traffic;
+    console.log(`\nWrites   : ${t.writes} sent, ${t.acknowledged} acknowledged, ${t.failedWrites} failed${t.skippedTicks ? `, ${t.skippedTicks} ticks skipped (too many in flight)` : ''}`);
+    console.log(`Reads    : ${t.reads} calls, ${t.failedReads} failed, ${t.messagesRead} messages`);
+    for (const { error, count } of t.topErrors) console.log(`  ${String(count).padStart(5)} × ${error}`);
+  }
+  if (report.invariants) {
+    console.log('\nInvariants:');
+    for (const { name, passed, detail, examples } of report.invariants) {
+      console.log(`  ${passed ? '✅' : '❌'} ${name.padEnd(24)} ${detail}`);
+      if (!passed && examples?.length) console.log(`     e.g. ${JSON.stringify(examples.slice(0, 3))}`);
+    }
+  }
+  if (report.error) console.log(`\n❌ Scenario could not run: ${report.error}`);
+  if (report.logs) console.log(`\nNode logs kept in ${report.logs}`);
+  console.log(`\nRESULT: ${report.passed ? 'PASS' : 'FAIL'}\n`);
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+function parseArgs(argv) {
+  const options = { files: [], report: null, keep: false, basePort: 17000, repeat: 1 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--report') options.report = argv[++i];
+    else if (argv[i] === '--keep') options.keep = true;
+    else if (argv[i] === '--base-port') options.basePort = parseInt(argv[++i]);
+    else if (argv[i] === '--repeat') options.repeat = parseInt(argv[++i]);
+    else options.files.push(argv[i]);
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.files.length === 0) {
+    console.log('Usage: node runner.js <scenario.json> [more.json …] [--report <file>] [--keep] [--base-port <port>] [--repeat <n>]');
+    process.exit(2);
+  }
+  if (!(options.repeat >= 1)) {
+    console.error('❌ --repeat must be a positive integer');
+    process.exit(2);
+  }
+
+  let scenarios;
+  try {
+    scenarios = options.files.map(loadScenario);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(2);
+  }
+
+  const reports = [];
+  for (const scenario of scenarios) {
+    for (let run = 1; run <= options.repeat; run++) {
+      if (options.repeat > 1) console.log(`\n${scenario.name}: run ${run}/${options.repeat}`);
+      reports.push({ ...(await runScenario(scenario, options)), ...(options.repeat > 1 && { run }) });
+    }
+  }
+
+  if (options.report) {
+    fs.writeFileSync(options.report, JSON.stringify({ passed: reports.every(r => r.passed), scenarios: reports }, null, 2));
+    console.log(`Report written to ${options.report}`);
+  }
+  if (reports.length > 1) {
+    console.log('Summary:');
+    for (const scenario of scenarios) {
+      const runs = reports.filter(r => r.scenario === scenario.name);
+      const passed = runs.filter(r => r.passed).length;
+      console.log(`  ${passed === runs.length ? 'PASS' : 'FAIL'}  ${scenario.name}${runs.length > 1 ? ` (${passed}/${runs.length} runs passed)` : ''}`);
+    }
+  }
+  process.exit(reports.every(r => r.passed) ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,152 @@
+const MAX_IN_FLIGHT = 50;
+const KEY_COUNT = 50;
+
+/**
+ * TrafficDriver — steady produce and consume load through the coordinator,
+ * remembering the outcome of every write for the invariant checks.
+ *
+ *   topic mode — { seq } messages appended to one topic, keyed by one of 50
+ *                keys so every partition gets some; a consumer reads each
+ *                partition forward from offset 0
+ *   key mode   — one keyed message per seq ("chaos-<seq>"); reads fetch a
+ *                recently acknowledged key
+ *
+ * A write counts as acknowledged when the coordinator answered 201, i.e. it
+ * reached the ack level. Writes are fired at ratePerSec without waiting for
+ * earlier ones; beyond MAX_IN_FLIGHT unanswered writes a tick is skipped.
+ */
+class TrafficDriver {
+  constructor({ http, coordinatorUrl, mode = 'topic', topic = 'chaos', partitions = 3, ratePerSec = 20, acks = 'quorum', consumeIntervalMs = 500 }) {
+    this.http = http;
+    this.coordinatorUrl = coordinatorUrl;
+    this.mode = mode;
+    this.topic = topic;
+    this.partitions = partitions;
+    this.ratePerSec = ratePerSec;
+    this.acks = acks;
+    this.consumeIntervalMs = consumeIntervalMs;
+
+    // [{ seq, key, acknowledged, status, partition?, offset?, error? }], by seq
+    this.writes = [];
+    this.inFlight = new Set();
+    this.skipped = 0;
+    this.reads = { ok: 0, failed: 0, messages: 0 };
+    // error message → count, for writes and reads that failed
+    this.errors = new Map();
+    // topic mode: partition → next offset to read
+    this.positions = new Map(Array.from({ length: partitions }, (_, p) => [p, 0]));
+    this.consuming = false;
+  }
+
+  start() {
+    this.produceTimer = setInterval(() => this._produce(), 1000 / this.ratePerSec);
+    this.consumeTimer = setInterval(() => this._consume(), this.consumeIntervalMs);
+  }
+
+  // Stops sending and waits for the writes still in flight
+  async stop() {
+    clearInterval(this.produceTimer);
+    clearInterval(this.consumeTimer);
+    await Promise.allSettled([...this.inFlight]);
+  }
+
+  acknowledged() {
+    return this.writes.filter(w => w.acknowledged);
+  }
+
+  summary() {
+    const acknowledged = this.acknowledged().length;
+    const reads = this.reads.ok + this.reads.failed;
+    return {
+      mode: this.mode,
+      ...(this.mode === 'topic' && { topic: this.topic }),
+      acks: this.acks,
+      writes: this.writes.length,
+      acknowledged,
+      failedWrites: this.writes.length - acknowledged,
+      skippedTicks: this.skipped,
+      produceSuccessRate: rate(acknowledged, this.writes.length),
+      reads,
+      failedReads: this.reads.failed,
+      messagesRead: this.reads.messages,
+      consumeSuccessRate: rate(this.reads.ok, reads),
+      topErrors: [...this.errors].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([error, count]) => ({ error, count })),
+    };
+  }
+
+  _produce() {
+    if (this.inFlight.size >= MAX_IN_FLIGHT) {
+      this.skipped++;
+      return;
+    }
+
+    const seq = this.writes.length;
+    const write = { seq, key: this.mode === 'topic' ? `k${seq % KEY_COUNT}` : `chaos-${seq}`, acknowledged: false };
+    this.writes.push(write);
+    const body = {
+      ...(this.mode === 'topic' && { topic: this.topic }),
+      key: write.key,
+      payload: { seq, sentAt: new Date().toISOString() },
+      acks: this.acks,
+    };
+
+    const call = this.http.post(`${this.coordinatorUrl}/produce`, body)
+      .then(res => {
+        write.status = res.status;
+        write.acknowledged = res.status === 201;
+        if (res.data.partition !== undefined) Object.assign(write, { partition: res.data.partition, offset: res.data.offset });
+        if (!write.acknowledged) this._error(res.data.error || `HTTP ${res.status}`, write);
+      })
+      .catch(err => this._error(err.code || err.message, write))
+      .finally(() => this.inFlight.delete(call));
+    this.inFlight.add(call);
+  }
+
+  async _consume() {
+    if (this.consuming) return;
+    this.consuming = true;
+    try {
+      if (this.mode === 'topic') {
+        for (const [partition, offset] of this.positions) {
+          const res = await this._read(`/consume/${this.topic}/${partition}`, { offset, limit: 100 });
+          if (res?.messages.length > 0) {
+            this.reads.messages += res.messages.length;
+            this.positions.set(partition, res.messages[res.messages.length - 1].offset + 1);
+          }
+        }
+      } else {
+        const recent = this.acknowledged().slice(-20);
+        const write = recent[Math.floor(Math.random() * recent.length)];
+        if (write && await this._read(`/consume/${write.key}`, {})) this.reads.messages++;
+      }
+    } finally {
+      this.consuming = false;
+    }
+  }
+
+  async _read(path, params) {
+    try {
+      const res = await this.http.get(`${this.coordinatorUrl}${path}`, { params });
+      if (res.status === 200) {
+        this.reads.ok++;
+        return res.data;
+      }
+      this._error(res.data.error || `HTTP ${res.status}`);
+    } catch (err) {
+      this._error(err.code || err.message);
+    }
+    this.reads.failed++;
+    return null;
+  }
+
+  _error(message, write) {
+    if (write) write.error = message;
+    this.errors.set(message, (this.errors.get(message) || 0) + 1);
+  }
+}
+
+function rate(part, total) {
+  return total === 0 ? null : Math.round((part / total) * 1000) / 1000;
+}
+
+module.exports = TrafficDriver;
@@ -1,17 +1,46 @@
 const axios = require('axios');
 
-const COORDINATOR_URL = process.env.COORDINATOR_URL || 'http://localhost:7000';
+// Any coordinator works (followers forward to the leader); COORDINATOR_URLS
+// lists several so the client moves on when one is down
+const COORDINATOR_URLS = (process.env.COORDINATOR_URLS || process.env.COORDINATOR_URL || 'http://localhost:7000')
+  .split(',')
+  .map(url => url.trim());
+const COORDINATOR_URL = COORDINATOR_URLS.join(', ');
 
-// Keys to consume — passed as CLI args or use default list
-const keysToConsume = process.argv.slice(2).length > 0
-  ? process.argv.slice(2)
-  : ['order_1', 'order_2', 'order_3', 'payment_1', 'payment_2', 'user_signup_5', 'user_signup_12', 'inventory_101'];
+// API_KEY is needed when the cluster has authentication enabled
+const API_KEY = process.env.API_KEY;
+const coordinator = axios.create({ baseURL: COORDINATOR_URLS[0], headers: API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {} });
+coordinator.interceptors.response.use(null, (err) => {
+  const config = err.config;
+  config.attempts = (config.attempts || 1) + 1;
+  if (err.response || config.attempts > COORDINATOR_URLS.length) throw err;
+
+  // Connection failed — try the next coordinator and stick with it
+  const next = COORDINATOR_URLS[(COORDINATOR_URLS.indexOf(config.baseURL) + 1) % COORDINATOR_URLS.length];
+  coordinator.defaults.baseURL = next;
+  return coordinator.request({ ...config, baseURL: next });
+});
+
+// Keys passed as CLI args are fetched in one batch; with no args the consumer
+// joins a consumer group and reads the partitions assigned to it.
+const keysToConsume = process.argv.slice(2);
+
+// ─── Consumer group settings ─────────────────────────────────────────────────
+const GROUP_ID = process.env.GROUP_ID || 'demo-consumers';
+const TOPICS = (process.env.TOPICS || 'orders,payments,users,inventory').split(',').map(t => t.trim());
+// A stable MEMBER_ID lets a restarted consumer take its partitions straight back
+const MEMBER_ID = process.env.MEMBER_ID;
+const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || '1000');
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.HEARTBEAT_INTERVAL_MS || '3000');
+// read_committed hides messages of open or aborted transactions;
+// read_uncommitted shows everything as soon as it is written
+const ISOLATION = process.env.ISOLATION || 'read_committed';
 
 function printSeparator() {
   console.log('─'.repeat(70));
 }
 
-async function consume() {
+async function consumeKeys() {
   console.log('\n' + '='.repeat(70));
   console.log('  CONSUMER — Reading messages from Distributed Message Queue');
   console.log('='.repeat(70));
@@ -21,12 +50,13 @@ async function consume() {
 
   // Show current failover state
   try {
-    const failoverRes = await axios.get(`${COORDINATOR_URL}/failover/status`);
+    const failoverRes = await coordinator.get('/failover/status');
     const { totalFailovers, activePromotions } = failoverRes.data;
     if (totalFailovers > 0) {
       console.log(`⚠️  FAILOVER ACTIVE: ${totalFailovers} failover(s) have occurred`);
-      for (const [failed, promoted] of Object.entries(activePromotions)) {
-        console.log(`   ${failed} → replaced by ${promoted}`);
+      for (const [failed, { rangeCount, byPromotedNode }] of Object.entries(activePromotions)) {
+        const takenBy = Object.entries(byPromotedNode).map(([node, count]) => `${node} (${count})`).join(', ');
+        console.log(`   ${failed} → ${rangeCount} range(s) taken over by ${takenBy}`);
       }
       console.log();
     }
@@ -37,29 +67,146 @@ async function consume() {
   console.log('📥 Consuming messages:\n');
   printSeparator();
 
-  for (const key of keysToConsume) {
-    try {
-      const res = await axios.get(`${COORDINATOR_URL}/consume/${key}`);
-      const { payload, servedBy, source, failover } = res.data;
+  let results;
+  try {
+    const res = await coordinator.post('/consume/batch', { keys: keysToConsume });
+    results = res.data.results;
+  } catch (err) {
+    console.error(`Batch consume failed: ${err.response?.data?.error || err.message}`);
+    process.exit(1);
+  }
 
-      console.log(`Key      : ${key}`);
+  for (const { key, success, payload, servedBy, source, failover, error } of results) {
+    console.log(`Key      : ${key}`);
+    if (success) {
       console.log(`Payload  : ${JSON.stringify(payload)}`);
       console.log(`Served By: ${servedBy}  (source: ${source})`);
       if (failover) {
         console.log(`⚡ FAILOVER: Data retrieved from replica after primary failure`);
       }
-    } catch (err) {
-      const reason = err.response?.data?.error || err.message;
-      console.log(`Key      : ${key}`);
-      console.log(`ERROR    : ${reason}`);
+    } else {
+      console.log(`ERROR    : ${error}`);
     }
     printSeparator();
-    await new Promise(r => setTimeout(r, 200));
   }
 
   console.log('\n✅ Done consuming.\n');
 }
 
+// ─── Consumer group loop ─────────────────────────────────────────────────────
+async function consumeGroup() {
+  console.log('\n' + '='.repeat(70));
+  console.log('  CONSUMER — Consumer group member');
+  console.log('='.repeat(70));
+  console.log(`  Coordinator : ${COORDINATOR_URL}`);
+  console.log(`  Group       : ${GROUP_ID}`);
+  console.log(`  Topics      : ${TOPICS.join(', ')}`);
+  console.log(`  Isolation   : ${ISOLATION}`);
+  console.log('='.repeat(70) + '\n');
+
+  let member = null;
+  // "topic/partition" → next offset to read
+  const positions = new Map();
+  let stopping = false;
+
+  async function join() {
+    const res = await coordinator.post(`/groups/${GROUP_ID}/join`, {
+      memberId: member?.memberId || MEMBER_ID,
+      topics: TOPICS,
+    });
+    applyAssignment(res.data);
+  }
+
+  function applyAssignment(view) {
+    member = view;
+    positions.clear();
+    for (const { topic, partition, committedOffset } of view.assignment) {
+      positions.set(`${topic}/${partition}`, { topic, partition, offset: committedOffset ?? 0 });
+    }
+    const assigned = view.assignment.map(a => `${a.topic}/${a.partition}@${a.committedOffset ?? 0}`);
+    console.log(`🔀 Generation ${view.generation} — member ${view.memberId}`);
+    console.log(`   Assigned: ${assigned.join(', ') || '(nothing — more members than partitions)'}`);
+    printSeparator();
+  }
+
+  async function heartbeat() {
+    try {
+      const res = await coordinator.post(`/groups/${GROUP_ID}/heartbeat`, {
+        memberId: member.memberId,
+        generation: member.generation,
+      });
+      if (res.data.rebalance) applyAssignment(res.data);
+    } catch (err) {
+      if (err.response?.status === 404) {
+        console.log('⚠️  Session expired — rejoining group');
+        await join();
+      } else {
+        console.log(`⚠️  Heartbeat failed: ${err.response?.data?.error || err.message}`);
+      }
+    }
+  }
+
+  async function pollOnce() {
+    for (const position of positions.values()) {
+      const { topic, partition, offset } = position;
+      const res = await coordinator.get(`/consume/${topic}/${partition}`, { params: { offset, limit: 100, isolation: ISOLATION } });
+      const { messages, servedBy, source } = res.data;
+      if (messages.length === 0) continue;
+
+      for (const message of messages) {
+        console.log(`Topic    : ${topic}/${partition}  offset=${message.offset}${message.schemaVersion !== undefined ? `  schema v${message.schemaVersion}` : ''}`);
+        console.log(`Key      : ${message.key ?? '(none)'}`);
+        console.log(`Payload  : ${JSON.stringify(message.payload)}`);
+        console.log(`Served By: ${servedBy}  (source: ${source})`);
+        printSeparator();
+      }
+
+      position.offset = messages[messages.length - 1].offset + 1;
+      try {
+        await coordinator.post(`/groups/${GROUP_ID}/commit`, {
+          memberId: member.memberId,
+          generation: member.generation,
+          offsets: [{ topic, partition, offset: position.offset }],
+        });
+      } catch (err) {
+        // A rebalance took the partition away; the next heartbeat picks up the new assignment
+        console.log(`⚠️  Commit for ${topic}/${partition} rejected: ${err.response?.data?.error || err.message}`);
+        return;
+      }
+    }
+  }
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+      stopping = true;
+      if (member) {
+        await coordinator.post(`/groups/${GROUP_ID}/leave`, { memberId: member.memberId }).catch(() => {});
+        console.log(`\n👋 Left group ${GROUP_ID}`);
+      }
+      process.exit(0);
+    });
+  }
+
+  await join();
+  let lastHeartbeat = Date.now();
+
+  while (!stopping) {
+    try {
+      await pollOnce();
+    } catch (err) {
+      console.log(`⚠️  Poll failed: ${err.response?.data?.error || err.message}`);
+    }
+
+    if (Date.now() - lastHeartbeat >= HEARTBEAT_INTERVAL_MS) {
+      await heartbeat();
+      lastHeartbeat = Date.now();
+    }
+    await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
+  }
+}
+
+const consume = keysToConsume.length > 0 ? consumeKeys : consumeGroup;
+
 consume().catch(err => {
   console.error('Consumer error:', err.message);
   process.exit(1);
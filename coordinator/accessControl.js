@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+const ACTIONS = ['produce', 'consume', 'admin'];
+const RESOURCE_TYPES = ['topic', 'key', 'cluster'];
+
+class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * AccessControl — API keys and the ACLs granted to them.
+ *
+ * Clients send an API key as "Authorization: Bearer <key>" or "X-API-Key".
+ * Each key carries a list of grants:
+ *
+ *   { resource: 'topic',   pattern: 'orders' | 'orders.*' | '*', actions: [...] }
+ *   { resource: 'key',     pattern: 'user_*', actions: [...] }    — keyed messages
+ *   { resource: 'cluster', actions: ['admin'] }                   — every right on everything
+ *
+ * with actions among produce, consume and admin. A pattern ending in "*"
+ * matches by prefix, any other pattern only the exact name.
+ *
+ * Keys are recorded in the metadata log, secrets hashed, so every
+ * coordinator can check them. The bootstrap key (ADMIN_API_KEY) has cluster
+ * admin rights; authentication is off when it is not set, and needs the
+ * cluster token when it is. Services call each other with the cluster token
+ * (X-Cluster-Token) instead of an API key.
+ */
+class AccessControl {
+  constructor({ adminKey, clusterToken }) {
+    if (adminKey && !clusterToken) {
+      throw new Error('CLUSTER_TOKEN must be set when ADMIN_API_KEY is — without it brokers and coordinators accept calls from anyone');
+    }
+    this.adminKeyHash = adminKey ? hash(adminKey) : null;
+    this.clusterTokenHash = clusterToken ? hash(clusterToken) : null;
+
+    // keyId → { keyId, name, hash, grants, createdAt }
+    this.keys = new Map();
+  }
+
+  get enabled() {
+    return this.adminKeyHash !== null;
+  }
+
+  // ─── State machine: called for committed metadata log commands ─────────────
+  apply(command) {
+    switch (command.type) {
+      case 'api_key_created': {
+        const key = { keyId: command.keyId, name: command.name, hash: command.hash, grants: command.grants, createdAt: command.createdAt };
+        this.keys.set(key.keyId, key);
+        return describe(key);
+      }
+
+      case 'api_key_revoked': {
+        const key = this.keys.get(command.keyId);
+        this.keys.delete(command.keyId);
+        return key ? describe(key) : null;
+      }
+    }
+    return null;
+  }
+
+  // ─── A new key: the command to propose, and the secret shown once ──────────
+  newKey({ name, grants } = {}) {
+    AccessControl.validateGrants(grants);
+    const keyId = crypto.randomBytes(6).toString('hex');
+    const secret = `dmq_${keyId}_${crypto.randomBytes(24).toString('base64url')}`;
+    return {
+      secret,
+      command: { type: 'api_key_created', keyId, name: name ? String(name) : keyId, hash: hash(secret), grants, createdAt: new Date().toISOString() },
+    };
+  }
+
+  // ─── Who sent the request; throws AuthError(401) when nobody we know ───────
+  authenticate(req) {
+    const secret = credentials(req);
+    if (!this.enabled) return { name: 'anonymous', superuser: true };
+
+    if (secret === null) {
+      if (this.isClusterRequest(req)) return { name: 'cluster', superuser: true };
+      throw new AuthError('An API key is required (Authorization: Bearer <key> or X-API-Key)', 401);
+    }
+
+    const secretHash = hash(secret);
+    if (sameHash(secretHash, this.adminKeyHash)) return { name: 'admin', superuser: true };
+    for (const key of this.keys.values()) {
+      if (sameHash(secretHash, key.hash)) return { keyId: key.keyId, name: key.name, superuser: false, grants: key.grants };
+    }
+    throw new AuthError('Invalid API key', 401);
+  }
+
+  // True when the request carries the cluster token
+  isClusterRequest(req) {
+    if (!this.clusterTokenHash) return false;
+    const token = req.get('X-Cluster-Token');
+    return Boolean(token) && sameHash(hash(token), this.clusterTokenHash);
+  }
+
+  // ─── Throws AuthError(403) unless the principal may act on every resource ──
+  // resources: [{ type: 'topic' | 'key' | 'cluster', name? }]
+  authorize(principal, action, resources) {
+    if (principal.superuser) return;
+    for (const resource of resources) {
+      if (!this.can(principal, action, resource)) {
+        const target = resource.type === 'cluster' ? 'the cluster' : `${resource.type} "${resource.name}"`;
+        throw new AuthError(`Key "${principal.name}" is not allowed to ${action} ${target}`, 403);
+      }
+    }
+  }
+
+  // ─── Throws AuthError(403) unless the principal may act on something ───────
+  authorizeAny(principal, action) {
+    if (principal.superuser) return;
+    if (!principal.grants.some(grant => grant.resource === 'cluster' || grant.actions.includes(action))) {
+      throw new AuthError(`Key "${principal.name}" is not allowed to ${action} anything`, 403);
+    }
+  }
+
+  // True when the principal may take any action on the resource
+  canReach(principal, resource) {
+    return ACTIONS.some(action => this.can(principal, action, resource));
+  }
+
+  can(principal, action, { type, name }) {
+    if (principal.superuser) return true;
+    return principal.grants.some(grant => {
+      if (grant.resource === 'cluster') return grant.actions.includes('admin');
+      return grant.resource === type && grant.actions.includes(action) && matches(grant.pattern, name);
+    });
+  }
+
+  list() {
+    return [...this.keys.values()].map(describe);
+  }
+
+  static validateGrants(grants) {
+    if (!Array.isArray(grants) || grants.length === 0) {
+      throw new AuthError('grants must be a non-empty array', 400);
+    }
+    for (const [i, grant] of grants.entries()) {
+      if (!RESOURCE_TYPES.includes(grant?.resource)) {
+        throw new AuthError(`grants[${i}].resource must be one of ${RESOURCE_TYPES.join(', ')}`, 400);
+      }
+      if (!Array.isArray(grant.actions) || grant.actions.length === 0 || grant.actions.some(a => !ACTIONS.includes(a))) {
+        throw new AuthError(`grants[${i}].actions must list some of ${ACTIONS.join(', ')}`, 400);
+      }
+      if (grant.resource === 'cluster') {
+        if (grant.actions.join() !== 'admin') throw new AuthError(`grants[${i}]: the cluster resource only takes the admin action`, 400);
+      } else if (typeof grant.pattern !== 'string' || grant.pattern === '') {
+        throw new AuthError(`grants[${i}].pattern is required (exact name, or a prefix ending in *)`, 400);
+      }
+    }
+  }
+}
+
+function credentials(req) {
+  const header = req.get('Authorization');
+  if (header?.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+  return req.get('X-API-Key') || null;
+}
+
+function matches(pattern, name) {
+  return pattern.endsWith('*') ? String(name).startsWith(pattern.slice(0, -1)) : pattern === String(name);
+}
+
+function hash(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function sameHash(a, b) {
+  return Boolean(a && b) && crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+function describe({ keyId, name, grants, createdAt }) {
+  return { keyId, name, grants, createdAt };
+}
+
+module.exports = { AccessControl, AuthError };
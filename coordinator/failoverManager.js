@@ -0,0 +1,144 @@
+/**
+ * FailoverManager — which node serves each ring range while nodes are down.
+ *
+ * Ownership moves per arc of the ring (one virtual node's range), not per
+ * physical node. When a node fails, every range it currently serves goes to
+ * the first healthy node in that range's own preference list (its primary
+ * followed by its replicas, clockwise, as getNodesForKey returns them). That
+ * node already holds a replica of the range, and the failed node's load is
+ * spread over all of its successors instead of landing on one of them.
+ *
+ * A failed node is also left out of replica lists until it has caught up
+ * again, so writes don't wait on it.
+ *
+ * Failback hands ranges back in two steps: startFailBack() stops writes to
+ * the node's promoted ranges (route() marks them handingBack) while the node
+ * takes the last writes from the promoted nodes, then failBack() switches
+ * them back. The two nodes never take writes for one range at the same time.
+ */
+class FailoverManager {
+  constructor({ ring, replicationFactor = 3 }) {
+    this.ring = ring;
+    this.replicationFactor = replicationFactor;
+
+    // range end position → { start, end, failedNode, promotedNode, promotedAt }
+    this.promotions = new Map();
+    // Nodes that failed and have not caught up yet
+    this.unavailable = new Set();
+    // Nodes whose ranges are being handed back to them
+    this.handingBack = new Set();
+  }
+
+  // ─── Move every range the node serves to the next healthy replica ───────────
+  // Returns { promoted: [{ start, end, from, to }], unassigned: [{ start, end }] }
+  failNode(nodeName, healthyNodes, promotedAt = new Date().toISOString()) {
+    this.unavailable.add(nodeName);
+    // A failback to it that was under way is off
+    this.handingBack.delete(nodeName);
+    const promoted = [];
+    const unassigned = [];
+
+    for (const { start, end, nodes } of this.ring.getRanges(this.replicationFactor)) {
+      const current = this.promotions.get(end);
+      const owner = current ? current.promotedNode : nodes[0];
+      if (owner !== nodeName) continue;
+
+      const candidate = nodes.find(n => n !== nodeName && !this.unavailable.has(n) && healthyNodes.has(n));
+      if (!candidate) {
+        unassigned.push({ start, end });
+        continue;
+      }
+
+      if (candidate === nodes[0]) {
+        // The original primary is back and in sync — no promotion needed
+        this.promotions.delete(end);
+      } else {
+        this.promotions.set(end, {
+          start,
+          end,
+          failedNode: nodes[0],
+          promotedNode: candidate,
+          promotedAt,
+        });
+      }
+      promoted.push({ start, end, from: nodeName, to: candidate });
+    }
+
+    return { promoted, unassigned };
+  }
+
+  // ─── The node has caught up: it may serve as a replica again ────────────────
+  markAvailable(nodeName) {
+    this.unavailable.delete(nodeName);
+  }
+
+  // ─── Stop writes to the node's promoted ranges until failBack() ────────────
+  startFailBack(nodeName) {
+    this.handingBack.add(nodeName);
+    return this.promotionsFor(nodeName);
+  }
+
+  // ─── Failback did not finish: the promoted nodes keep the ranges ──────────
+  abortFailBack(nodeName) {
+    this.handingBack.delete(nodeName);
+  }
+
+  // ─── Hand the node's own ranges back to it; returns the removed promotions ──
+  failBack(nodeName) {
+    this.handingBack.delete(nodeName);
+    const removed = this.promotionsFor(nodeName);
+    for (const promotion of removed) this.promotions.delete(promotion.end);
+    return removed;
+  }
+
+  // ─── The node left the cluster: drop everything kept on its behalf ─────────
+  forget(nodeName) {
+    for (const promotion of this.failBack(nodeName)) {
+      console.log(`[FailoverManager] Dropped promotion of ${promotion.start}-${promotion.end} for removed ${nodeName}`);
+    }
+    this.unavailable.delete(nodeName);
+  }
+
+  // Active promotions of ranges whose original primary is nodeName
+  promotionsFor(nodeName) {
+    return [...this.promotions.values()].filter(p => p.failedNode === nodeName);
+  }
+
+  // ─── Current primary + replicas for a key or partition routing key ─────────
+  route(routingKey) {
+    const { primary: rawPrimary, replicas: rawReplicas, keyHash, range } =
+      this.ring.getNodesForKey(routingKey, this.replicationFactor);
+
+    const promotion = this.promotions.get(range.end) || null;
+    const primary = promotion ? promotion.promotedNode : rawPrimary;
+    const replicas = [rawPrimary, ...rawReplicas].filter(n => n !== primary && !this.unavailable.has(n));
+    const handingBack = Boolean(promotion && this.handingBack.has(promotion.failedNode));
+
+    return { rawPrimary, primary, replicas, keyHash, range, promotion, handingBack };
+  }
+
+  getStatus() {
+    const byFailedNode = {};
+
+    for (const promotion of this.promotions.values()) {
+      const entry = byFailedNode[promotion.failedNode] ||= { rangeCount: 0, byPromotedNode: {}, ranges: [] };
+      entry.rangeCount++;
+      entry.byPromotedNode[promotion.promotedNode] = (entry.byPromotedNode[promotion.promotedNode] || 0) + 1;
+      entry.ranges.push({
+        start: promotion.start,
+        end: promotion.end,
+        promotedNode: promotion.promotedNode,
+        promotedAt: promotion.promotedAt,
+      });
+    }
+
+    return {
+      promotedRanges: this.promotions.size,
+      unavailableNodes: [...this.unavailable],
+      failingBack: [...this.handingBack],
+      activePromotions: byFailedNode,
+    };
+  }
+}
+
+module.exports = FailoverManager;
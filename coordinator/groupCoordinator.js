@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+
+class GroupError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * GroupCoordinator — consumer group membership, partition assignment and
+ * committed offsets.
+ *
+ * Members join a group with the topics they want, then heartbeat. Whenever
+ * membership (or the partition count of a subscribed topic) changes, the
+ * group moves to a new generation and partitions are re-assigned round-robin
+ * across the members subscribed to each topic. Members learn about a
+ * rebalance from their next heartbeat. A member that misses heartbeats for
+ * sessionTimeoutMs is evicted, which also triggers a rebalance.
+ *
+ * Commits are only accepted from the member that owns the partition in the
+ * current generation. Committed offsets are persisted through offsetStore
+ * (stored and replicated on the brokers like any other message), so a member
+ * joining after a coordinator or consumer restart resumes where it left off.
+ */
+class GroupCoordinator {
+  constructor({ topics, offsetStore, sessionTimeoutMs = 10000, checkIntervalMs = 2000 }) {
+    this.topics = topics;
+    this.offsetStore = offsetStore;
+    this.sessionTimeoutMs = sessionTimeoutMs;
+    this.checkIntervalMs = checkIntervalMs;
+
+    // groupId → { groupId, generation, members, assignments, offsets, partitionSignature }
+    this.groups = new Map();
+    this._intervalId = null;
+  }
+
+  start() {
+    this._intervalId = setInterval(() => this._checkGroups(), this.checkIntervalMs);
+    console.log(`[GroupCoordinator] Started — session timeout ${this.sessionTimeoutMs / 1000}s`);
+  }
+
+  stop() {
+    if (this._intervalId) clearInterval(this._intervalId);
+  }
+
+  // Forget members, assignments and cached offsets (this coordinator stopped
+  // being the leader). Members get a 404 from the next leader and rejoin;
+  // committed offsets are read back from the brokers.
+  reset() {
+    this.groups.clear();
+  }
+
+  // ─── Join (or re-join) a group; returns the member's assignment ─────────────
+  async join(groupId, { memberId, topics }) {
+    if (!Array.isArray(topics) || topics.length === 0) {
+      throw new GroupError('topics must be a non-empty array', 400);
+    }
+
+    const group = this._getOrCreateGroup(groupId);
+    const id = memberId || `${groupId}-${crypto.randomUUID()}`;
+    const now = Date.now();
+
+    const existing = group.members.get(id);
+    const subscriptionChanged = !existing || existing.topics.join(',') !== [...topics].sort().join(',');
+
+    group.members.set(id, {
+      memberId: id,
+      topics: [...topics].sort(),
+      joinedAt: existing ? existing.joinedAt : new Date(now).toISOString(),
+      lastHeartbeat: now,
+    });
+
+    if (subscriptionChanged) {
+      console.log(`[GroupCoordinator] ${id} joined group "${groupId}" (topics: ${topics.join(', ')})`);
+      this._rebalance(group, `member ${id} joined`);
+    }
+
+    return this._memberView(group, id);
+  }
+
+  // ─── Heartbeat; tells the member whether its assignment changed ─────────────
+  async heartbeat(groupId, memberId, generation) {
+    const group = this.groups.get(groupId);
+    const member = group?.members.get(memberId);
+    if (!member) {
+      throw new GroupError(`Member ${memberId} is not part of group "${groupId}" — rejoin`, 404);
+    }
+
+    member.lastHeartbeat = Date.now();
+    const view = await this._memberView(group, memberId);
+    return { ...view, rebalance: generation !== group.generation };
+  }
+
+  leave(groupId, memberId) {
+    const group = this.groups.get(groupId);
+    if (!group || !group.members.delete(memberId)) {
+      throw new GroupError(`Member ${memberId} is not part of group "${groupId}"`, 404);
+    }
+
+    console.log(`[GroupCoordinator] ${memberId} left group "${groupId}"`);
+    this._rebalance(group, `member ${memberId} left`);
+  }
+
+  // ─── Commit offsets (the next offset to consume) for owned partitions ───────
+  async commit(groupId, memberId, generation, offsets) {
+    const group = this.groups.get(groupId);
+    const member = group?.members.get(memberId);
+    if (!member) {
+      throw new GroupError(`Member ${memberId} is not part of group "${groupId}" — rejoin`, 404);
+    }
+    if (generation !== group.generation) {
+      throw new GroupError(`Stale generation ${generation} (group is at ${group.generation}) — rebalance in progress`, 409);
+    }
+    if (!Array.isArray(offsets)) {
+      throw new GroupError('offsets must be an array of { topic, partition, offset }', 400);
+    }
+
+    const owned = new Set((group.assignments.get(memberId) || []).map(p => `${p.topic}/${p.partition}`));
+    for (const { topic, partition, offset } of offsets) {
+      if (!owned.has(`${topic}/${partition}`)) {
+        throw new GroupError(`${topic}/${partition} is not assigned to ${memberId}`, 409);
+      }
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new GroupError('offset must be a non-negative integer', 400);
+      }
+    }
+
+    member.lastHeartbeat = Date.now();
+
+    const committed = [];
+    for (const { topic, partition, offset } of offsets) {
+      await this.offsetStore.save(groupId, topic, partition, offset);
+      group.offsets.set(`${topic}/${partition}`, offset);
+      committed.push({ topic, partition, offset });
+    }
+    return committed;
+  }
+
+  // ─── Committed offset, read through to the brokers on a cache miss ─────────
+  async committedOffset(group, topic, partition) {
+    const id = `${topic}/${partition}`;
+    if (!group.offsets.has(id)) {
+      const stored = await this.offsetStore.load(group.groupId, topic, partition);
+      if (stored === null) return null;
+      group.offsets.set(id, stored);
+    }
+    return group.offsets.get(id);
+  }
+
+  async describe(groupId) {
+    const group = this.groups.get(groupId);
+    if (!group) return null;
+
+    const members = [];
+    for (const member of group.members.values()) {
+      members.push({
+        memberId: member.memberId,
+        topics: member.topics,
+        joinedAt: member.joinedAt,
+        lastHeartbeat: new Date(member.lastHeartbeat).toISOString(),
+        assignment: group.assignments.get(member.memberId) || [],
+      });
+    }
+
+    return {
+      groupId,
+      generation: group.generation,
+      state: group.members.size > 0 ? 'STABLE' : 'EMPTY',
+      members,
+      committedOffsets: Object.fromEntries(group.offsets),
+    };
+  }
+
+  // ─── Topics, for access checks ─────────────────────────────────────────────
+  // Every topic a group's members subscribe to or it committed offsets for
+  topicsOf(groupId) {
+    const group = this.groups.get(groupId);
+    if (!group) return [];
+    const topics = [...group.members.values()].flatMap(m => m.topics);
+    for (const id of group.offsets.keys()) topics.push(id.slice(0, id.lastIndexOf('/')));
+    return [...new Set(topics)];
+  }
+
+  memberTopics(groupId, memberId) {
+    return this.groups.get(groupId)?.members.get(memberId)?.topics || [];
+  }
+
+  list() {
+    return [...this.groups.values()].map(g => ({
+      groupId: g.groupId,
+      generation: g.generation,
+      memberCount: g.members.size,
+    }));
+  }
+
+  // ─── Internals ──────────────────────────────────────────────────────────────
+  _getOrCreateGroup(groupId) {
+    if (!this.groups.has(groupId)) {
+      this.groups.set(groupId, {
+        groupId,
+        generation: 0,
+        members: new Map(),
+        assignments: new Map(),
+        offsets: new Map(),
+        partitionSignature: '',
+      });
+    }
+    return this.groups.get(groupId);
+  }
+
+  // Round-robin each topic's partitions over the members subscribed to it
+  _rebalance(group, reason) {
+    group.generation++;
+    group.assignments = new Map();
+    group.partitionSignature = this._partitionSignature(group);
+
+    const memberIds = [...group.members.keys()].sort();
+    for (const id of memberIds) group.assignments.set(id, []);
+
+    const subscribed = new Set(memberIds.flatMap(id => group.members.get(id).topics));
+    for (const topicName of [...subscribed].sort()) {
+      const topic = this.topics.get(topicName);
+      if (!topic) continue;
+
+      const subscribers = memberIds.filter(id => group.members.get(id).topics.includes(topicName));
+      for (let partition = 0; partition < topic.partitions; partition++) {
+        const owner = subscribers[partition % subscribers.length];
+        group.assignments.get(owner).push({ topic: topicName, partition });
+      }
+    }
+
+    console.log(`[GroupCoordinator] Group "${group.groupId}" rebalanced to generation ${group.generation} (${reason})`);
+  }
+
+  // Changes when a subscribed topic is created or gains partitions
+  _partitionSignature(group) {
+    const subscribed = new Set([...group.members.values()].flatMap(m => m.topics));
+    return [...subscribed].sort().map(t => `${t}:${this.topics.get(t)?.partitions || 0}`).join(',');
+  }
+
+  async _memberView(group, memberId) {
+    const assignment = [];
+    for (const { topic, partition } of group.assignments.get(memberId) || []) {
+      let offset = null;
+      try {
+        offset = await this.committedOffset(group, topic, partition);
+      } catch (err) {
+        console.log(`[GroupCoordinator] Could not load committed offset for ${topic}/${partition}: ${err.message}`);
+      }
+      assignment.push({ topic, partition, committedOffset: offset });
+    }
+    return { groupId: group.groupId, memberId, generation: group.generation, assignment };
+  }
+
+  _checkGroups() {
+    const now = Date.now();
+    for (const group of this.groups.values()) {
+      const expired = [...group.members.values()].filter(m => now - m.lastHeartbeat > this.sessionTimeoutMs);
+      for (const member of expired) {
+        group.members.delete(member.memberId);
+        console.log(`[GroupCoordinator] ${member.memberId} session expired in group "${group.groupId}"`);
+      }
+
+      if (expired.length > 0) {
+        this._rebalance(group, `${expired.length} member(s) expired`);
+      } else if (group.members.size > 0 && this._partitionSignature(group) !== group.partitionSignature) {
+        this._rebalance(group, 'subscribed topic partitions changed');
+      }
+    }
+  }
+}
+
+module.exports = { GroupCoordinator, GroupError };
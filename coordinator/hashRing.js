@@ -1,66 +1,67 @@
-const crypto = require('crypto');
+const { createPartitioner, hash32, HASH_SPACE } = require('./partitioners');
+
+const DEFAULT_ZONE = 'default';
 
 /**
- * Consistent Hash Ring with Virtual Nodes.
+ * Hash Ring — which nodes hold each key.
+ *
+ * The hash space (0 → 2^32 - 1) is cut into ranges by a partitioner (see
+ * partitioners.js): consistent hashing with virtual nodes by default, or
+ * rendezvous / jump hashing over fixed slots. A key belongs to the range its
+ * SHA-256 position falls in. Node weights scale each node's share: a node of
+ * weight 2 owns about twice the keys of a node of weight 1.
  *
- * Each physical node is placed at VIRTUAL_NODES positions on a circular
- * hash space (0 → 2^32 - 1). A key is owned by the first node clockwise
- * from hash(key). Replicas are the next N-1 nodes clockwise after the primary.
+ * A range's primary is the first node of its preference list; replicas are
+ * the next nodes of that list that sit in a zone not holding a copy yet —
+ * only when there are fewer zones than copies do zones get a second one.
+ * Nodes without a zone share the "default" zone, so a ring without zones
+ * places replicas in plain preference order.
  */
 class HashRing {
-  constructor(virtualNodeCount = 150) {
+  constructor(virtualNodeCount = 150, { partitioner = 'consistent', slotCount = 1024 } = {}) {
+    // Virtual nodes per unit of weight (consistent hashing)
     this.virtualNodeCount = virtualNodeCount;
-    this.hashSpace = Math.pow(2, 32);
+    this.slotCount = slotCount;
+    this.hashSpace = HASH_SPACE;
+    this.partitioner = createPartitioner(partitioner, { virtualNodeCount, slotCount });
 
-    // position → nodeName
-    this.ring = new Map();
-    // sorted list of all virtual node positions
-    this.sortedPositions = [];
-    // nodeName → { url, virtualPositions[] }
+    // nodeName → { url, zone, weight }, in join order
     this.nodes = new Map();
   }
 
+  // Sorted range end positions
+  get sortedPositions() {
+    return this.partitioner.positions;
+  }
+
   // ─── SHA-256 hash collapsed to 32-bit integer ───────────────────────────────
   hash(key) {
-    const hex = crypto.createHash('sha256').update(key).digest('hex');
-    return parseInt(hex.substring(0, 8), 16) % this.hashSpace;
+    return hash32(key);
   }
 
   // ─── Add a node to the ring ─────────────────────────────────────────────────
-  addNode(nodeName, url) {
-    const virtualPositions = [];
-
-    for (let i = 0; i < this.virtualNodeCount; i++) {
-      let position = this.hash(`${nodeName}:vnode${i}`);
-
-      // Resolve rare collisions by linear probing
-      while (this.ring.has(position)) {
-        position = (position + 1) % this.hashSpace;
-      }
-
-      this.ring.set(position, nodeName);
-      virtualPositions.push(position);
-      this.sortedPositions.push(position);
+  addNode(nodeName, url, { zone = DEFAULT_ZONE, weight = 1 } = {}) {
+    if (!(typeof weight === 'number' && weight > 0 && Number.isFinite(weight))) {
+      throw new Error(`Invalid weight ${weight} for ${nodeName} (must be a number > 0)`);
     }
-
-    this.sortedPositions.sort((a, b) => a - b);
-    this.nodes.set(nodeName, { url, virtualPositions });
+    this.partitioner.addNode(nodeName, { weight });
+    this.nodes.set(nodeName, { url, zone: zone || DEFAULT_ZONE, weight });
   }
 
   // ─── Remove a node from the ring ────────────────────────────────────────────
   removeNode(nodeName) {
-    const nodeData = this.nodes.get(nodeName);
-    if (!nodeData) return;
-
-    for (const position of nodeData.virtualPositions) {
-      this.ring.delete(position);
-      const idx = this.sortedPositions.indexOf(position);
-      if (idx !== -1) this.sortedPositions.splice(idx, 1);
-    }
-
+    if (!this.nodes.has(nodeName)) return;
+    this.partitioner.removeNode(nodeName);
     this.nodes.delete(nodeName);
   }
 
+  // ─── The same members placed by another partitioner ────────────────────────
+  withPartitioner(partitioner) {
+    const copy = new HashRing(this.virtualNodeCount, { partitioner, slotCount: this.slotCount });
+    for (const [nodeName, { url, zone, weight }] of this.nodes) copy.addNode(nodeName, url, { zone, weight });
+    return copy;
+  }
+
   // ─── Binary search: first position >= keyPosition (clockwise) ───────────────
   _findClockwiseIndex(keyPosition) {
     let left = 0;
@@ -79,56 +80,161 @@ class HashRing {
     return left >= this.sortedPositions.length ? 0 : left;
   }
 
+  // ─── Unique physical nodes for a range, from its preference list ───────────
+  // One per zone first; nodes passed over because their zone already holds a
+  // copy fill the remaining places, in preference order
+  _nodesFromIndex(startIndex, replicationFactor) {
+    const assignedNodes = [];
+    const passedOver = [];
+    const usedZones = new Set();
+
+    for (const nodeName of this.partitioner.preference(startIndex)) {
+      if (assignedNodes.length >= replicationFactor) break;
+
+      const { zone } = this.nodes.get(nodeName);
+      if (usedZones.has(zone)) {
+        passedOver.push(nodeName);
+      } else {
+        usedZones.add(zone);
+        assignedNodes.push(nodeName);
+      }
+    }
+
+    return [...assignedNodes, ...passedOver.slice(0, replicationFactor - assignedNodes.length)];
+  }
+
   // ─── Get unique physical nodes clockwise from a key position ────────────────
   getNodesForKey(key, replicationFactor = 3) {
+    return this.getNodesForPosition(this.hash(key), replicationFactor);
+  }
+
+  // ─── Same, for a raw position on the ring ───────────────────────────────────
+  getNodesForPosition(position, replicationFactor = 3) {
     if (this.nodes.size === 0) throw new Error('Hash ring is empty');
 
-    const keyPosition = this.hash(key);
-    const startIndex = this._findClockwiseIndex(keyPosition);
+    const startIndex = this._findClockwiseIndex(position);
 
-    const assignedNodes = [];
-    const seenNodes = new Set();
+    const [primary, ...replicas] = this._nodesFromIndex(startIndex, replicationFactor);
+    return { primary, replicas, keyHash: position, range: this._rangeAt(startIndex) };
+  }
+
+  // ─── The arc ending at a ring index: hashes in (previous position, end] ─────
+  _rangeAt(index) {
     const total = this.sortedPositions.length;
+    return {
+      start: this.sortedPositions[(index - 1 + total) % total],
+      end: this.sortedPositions[index],
+    };
+  }
 
-    for (let i = 0; i < total && assignedNodes.length < replicationFactor; i++) {
-      const position = this.sortedPositions[(startIndex + i) % total];
-      const nodeName = this.ring.get(position);
+  // ─── Every arc of the ring with the replica set that owns it ────────────────
+  // An arc covers hashes in (start, end]; the first arc wraps past 2^32 - 1.
+  getRanges(replicationFactor = 3) {
+    const total = this.nodes.size === 0 ? 0 : this.sortedPositions.length;
+    const ranges = [];
 
-      if (!seenNodes.has(nodeName)) {
-        seenNodes.add(nodeName);
-        assignedNodes.push(nodeName);
+    for (let i = 0; i < total; i++) {
+      ranges.push({ ...this._rangeAt(i), nodes: this._nodesFromIndex(i, replicationFactor) });
+    }
+
+    return ranges;
+  }
+
+  // ─── Arcs grouped by the replica set (primary first) that owns them ─────────
+  getReplicaSets(replicationFactor = 3) {
+    const sets = new Map();
+
+    for (const { start, end, nodes } of this.getRanges(replicationFactor)) {
+      const id = nodes.join(',');
+      if (!sets.has(id)) sets.set(id, { nodes, ranges: [] });
+
+      // Merge with the previous arc when it belongs to the same set
+      const ranges = sets.get(id).ranges;
+      const last = ranges[ranges.length - 1];
+      if (last && last.end === start) {
+        last.end = end;
+      } else {
+        ranges.push({ start, end });
       }
     }
 
-    const [primary, ...replicas] = assignedNodes;
-    return { primary, replicas, keyHash: keyPosition };
+    return [...sets.values()];
   }
 
   // ─── Ring visualisation ─────────────────────────────────────────────────────
-  getRingInfo() {
+  // ringCoverage is the share of the hash space a node (or zone) is primary
+  // for, copyCoverage the share it holds a copy of. zoneSpread is the share
+  // whose copies sit in as many distinct zones as there can be.
+  getRingInfo(replicationFactor = 3) {
+    const primaryArcs = new Map();
+    const copyArcs = new Map();
+    const zoneCount = new Set([...this.nodes.values()].map(n => n.zone)).size;
+    let spread = 0;
+
+    for (const { start, end, nodes } of this.getRanges(replicationFactor)) {
+      const length = this.sortedPositions.length === 1 ? this.hashSpace : (end - start + this.hashSpace) % this.hashSpace;
+      const zones = new Set(nodes.map(n => this.nodes.get(n).zone));
+      for (const name of [nodes[0], `zone:${this.nodes.get(nodes[0]).zone}`]) {
+        primaryArcs.set(name, (primaryArcs.get(name) || 0) + length);
+      }
+      for (const name of [...nodes, ...[...zones].map(z => `zone:${z}`)]) {
+        copyArcs.set(name, (copyArcs.get(name) || 0) + length);
+      }
+      if (zones.size === Math.min(nodes.length, zoneCount)) spread += length;
+    }
+
+    const share = length => ((length / this.hashSpace) * 100).toFixed(1) + '%';
     const nodeStats = {};
+    const zoneStats = {};
 
     for (const [nodeName, data] of this.nodes.entries()) {
       nodeStats[nodeName] = {
         url: data.url,
-        virtualNodeCount: data.virtualPositions.length,
-        ringCoverage: ((data.virtualPositions.length / this.sortedPositions.length) * 100).toFixed(1) + '%',
+        zone: data.zone,
+        weight: data.weight,
+        ...this.partitioner.describeNode(nodeName),
+        ringCoverage: share(primaryArcs.get(nodeName) || 0),
+        copyCoverage: share(copyArcs.get(nodeName) || 0),
       };
+
+      const zone = zoneStats[data.zone] ||= {
+        nodes: [],
+        weight: 0,
+        ringCoverage: share(primaryArcs.get(`zone:${data.zone}`) || 0),
+        copyCoverage: share(copyArcs.get(`zone:${data.zone}`) || 0),
+      };
+      zone.nodes.push(nodeName);
+      zone.weight += data.weight;
     }
 
     return {
       totalNodes: this.nodes.size,
-      virtualNodeCount: this.virtualNodeCount,
-      totalVirtualNodes: this.sortedPositions.length,
+      partitioner: this.partitioner.name,
+      ...this.partitioner.describe(),
       hashSpace: `0 → ${this.hashSpace - 1}`,
+      replicationFactor,
+      zoneSpread: share(spread),
       nodes: nodeStats,
+      zones: zoneStats,
     };
   }
 
+  // ─── Independent copy, used to plan membership changes before applying them ─
+  clone() {
+    const copy = new HashRing(this.virtualNodeCount, { slotCount: this.slotCount });
+    copy.partitioner = this.partitioner.clone();
+    for (const [nodeName, data] of this.nodes) copy.nodes.set(nodeName, { ...data });
+    return copy;
+  }
+
   getNodeUrl(nodeName) {
     return this.nodes.get(nodeName)?.url;
   }
 
+  getNodeZone(nodeName) {
+    return this.nodes.get(nodeName)?.zone;
+  }
+
   getAllNodeNames() {
     return [...this.nodes.keys()];
   }
@@ -3,35 +3,59 @@ const axios = require('axios');
 /**
  * HealthMonitor — pings every broker node every CHECK_INTERVAL_MS.
  * After FAILURE_THRESHOLD consecutive missed pings it fires onFailure(nodeName).
- * When a failed node responds again it fires onRecovery(nodeName).
+ * When a failed node responds again it moves to CATCHING_UP and fires
+ * onRecovery(nodeName); it only becomes HEALTHY once markInSync() is called.
+ * onCheck(nodeName, ok, seconds), if given, sees the result of every ping.
+ * A handler that throws or rejects is retried after retryDelayMs for as long
+ * as the node stays in the state that fired it.
+ *
+ * HEALTHY → FAILED → FAILED_OVER → CATCHING_UP → HEALTHY
  */
 class HealthMonitor {
-  constructor({ ring, onFailure, onRecovery, checkIntervalMs = 5000, failureThreshold = 3 }) {
+  constructor({ ring, onFailure, onRecovery, onCheck = () => {}, checkIntervalMs = 5000, failureThreshold = 3, retryDelayMs = 5000 }) {
     this.ring = ring;
     this.onFailure = onFailure;
     this.onRecovery = onRecovery;
+    this.onCheck = onCheck;
     this.checkIntervalMs = checkIntervalMs;
     this.failureThreshold = failureThreshold;
+    this.retryDelayMs = retryDelayMs;
 
-    // nodeName → { status, failCount, lastCheck, lastSuccess, failedAt }
+    // nodeName → { status, failCount, lastCheck, lastSuccess, failedAt, catchUpStartedAt, lastCatchUp }
     this.nodeHealth = new Map();
     this._intervalId = null;
+    this._retryTimers = new Set();
   }
 
   // ─── Initialise health records for all ring nodes ───────────────────────────
   init() {
     for (const nodeName of this.ring.getAllNodeNames()) {
-      this.nodeHealth.set(nodeName, {
-        status: 'HEALTHY',
-        failCount: 0,
-        lastCheck: null,
-        lastSuccess: null,
-        failedAt: null,
-      });
+      this.nodeHealth.set(nodeName, this._newRecord());
     }
     console.log(`[HealthMonitor] Initialised for nodes: ${[...this.nodeHealth.keys()].join(', ')}`);
   }
 
+  // ─── Start / stop watching a node that joined or left at runtime ────────────
+  addNode(nodeName) {
+    if (!this.nodeHealth.has(nodeName)) this.nodeHealth.set(nodeName, this._newRecord());
+  }
+
+  removeNode(nodeName) {
+    this.nodeHealth.delete(nodeName);
+  }
+
+  _newRecord() {
+    return {
+      status: 'HEALTHY',
+      failCount: 0,
+      lastCheck: null,
+      lastSuccess: null,
+      failedAt: null,
+      catchUpStartedAt: null,
+      lastCatchUp: null,
+    };
+  }
+
   // ─── Start periodic checks ──────────────────────────────────────────────────
   start() {
     this.init();
@@ -41,6 +65,8 @@ class HealthMonitor {
 
   stop() {
     if (this._intervalId) clearInterval(this._intervalId);
+    for (const timer of this._retryTimers) clearTimeout(timer);
+    this._retryTimers.clear();
     console.log('[HealthMonitor] Stopped');
   }
 
@@ -51,23 +77,31 @@ class HealthMonitor {
       if (!url) continue;
 
       health.lastCheck = new Date().toISOString();
+      const startedAt = Date.now();
 
       try {
         await axios.get(`${url}/health`, { timeout: 2000 });
+        this.onCheck(nodeName, true, (Date.now() - startedAt) / 1000);
 
         if (health.status === 'FAILED' || health.status === 'FAILED_OVER') {
-          // Node came back
-          console.log(`[HealthMonitor] Node ${nodeName} RECOVERED`);
-          health.status = 'RECOVERED';
+          // Node came back — it has to catch up before it is HEALTHY again
+          console.log(`[HealthMonitor] Node ${nodeName} RECOVERED — catching up`);
+          health.statusBeforeCatchUp = health.status;
+          health.status = 'CATCHING_UP';
+          health.catchUpStartedAt = new Date().toISOString();
+          health.failCount = 0;
+          health.lastSuccess = new Date().toISOString();
+          this._notify('recovery', this.onRecovery, nodeName, 'CATCHING_UP');
+        } else if (health.status === 'CATCHING_UP') {
           health.failCount = 0;
           health.lastSuccess = new Date().toISOString();
-          this.onRecovery(nodeName);
         } else {
           health.status = 'HEALTHY';
           health.failCount = 0;
           health.lastSuccess = new Date().toISOString();
         }
       } catch {
+        this.onCheck(nodeName, false, (Date.now() - startedAt) / 1000);
         health.failCount++;
         console.log(`[HealthMonitor] Node ${nodeName} check FAILED (${health.failCount}/${this.failureThreshold})`);
 
@@ -75,22 +109,64 @@ class HealthMonitor {
           health.status = 'FAILED';
           health.failedAt = new Date().toISOString();
           console.log(`[HealthMonitor] ⚠️  Node ${nodeName} declared FAILED — triggering failover`);
-          this.onFailure(nodeName);
+          this._notify('failure', this.onFailure, nodeName, 'FAILED');
+        } else if (health.failCount >= this.failureThreshold && health.status === 'CATCHING_UP') {
+          // Went down again mid catch-up; its partitions are still failed over
+          health.status = health.statusBeforeCatchUp;
+          health.catchUpStartedAt = null;
+          console.log(`[HealthMonitor] ⚠️  Node ${nodeName} failed again while catching up`);
         }
       }
     }
   }
 
+  // ─── Run a handler in the background, retrying it if it fails ──────────────
+  _notify(what, handler, nodeName, status) {
+    Promise.resolve()
+      .then(() => handler(nodeName))
+      .catch(err => {
+        console.log(`[HealthMonitor] ${what} handler for ${nodeName} failed: ${err.message} — retrying in ${this.retryDelayMs / 1000}s`);
+        const timer = setTimeout(() => {
+          this._retryTimers.delete(timer);
+          if (this.getNodeStatus(nodeName) === status) this._notify(what, handler, nodeName, status);
+        }, this.retryDelayMs);
+        this._retryTimers.add(timer);
+      });
+  }
+
   // ─── Mark a node as failed-over (so recovery handler knows the context) ─────
   markFailedOver(nodeName) {
     const health = this.nodeHealth.get(nodeName);
     if (health) health.status = 'FAILED_OVER';
   }
 
+  // ─── Catch-up finished: the node takes traffic again ────────────────────────
+  markInSync(nodeName, catchUpReport) {
+    const health = this.nodeHealth.get(nodeName);
+    if (!health || health.status !== 'CATCHING_UP') return false;
+
+    health.status = 'HEALTHY';
+    health.failedAt = null;
+    health.lastCatchUp = {
+      startedAt: health.catchUpStartedAt,
+      finishedAt: new Date().toISOString(),
+      ...catchUpReport,
+    };
+    health.catchUpStartedAt = null;
+    delete health.statusBeforeCatchUp;
+    console.log(`[HealthMonitor] Node ${nodeName} caught up — HEALTHY`);
+    return true;
+  }
+
+  getNodeStatus(nodeName) {
+    return this.nodeHealth.get(nodeName)?.status;
+  }
+
   getStatus() {
     const result = {};
     for (const [nodeName, health] of this.nodeHealth.entries()) {
-      result[nodeName] = { ...health };
+      const { statusBeforeCatchUp, ...visible } = health;
+      result[nodeName] = visible;
     }
     return result;
   }
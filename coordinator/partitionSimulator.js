@@ -0,0 +1,158 @@
+const { PARTITIONER_NAMES } = require('./partitioners');
+
+class SimulationError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Partition simulation — how a key set would spread over the brokers under
+ * each partitioner, and how much of it would move if a broker joined or left.
+ * Everything runs on copies of the ring; nothing is routed or moved.
+ *
+ * keys are [{ key, weight }], weight being the messages the key stands for
+ * (1 for a keyed message, the message count for a topic partition).
+ * changes are [{ add: { name, zone?, weight? } } | { remove: nodeName }].
+ *
+ * Load is reported per node as primary and copy counts, with skew = the
+ * largest and smallest ratio of a node's primary load to its share by
+ * weight (1.0 is perfect balance). Movement counts primaries that change
+ * node and copies that have to be placed on a node that did not hold one,
+ * next to the share a perfect partitioner would move.
+ */
+function simulate(ring, { keys, changes, partitioners = PARTITIONER_NAMES, replicationFactor = 3 }) {
+  for (const name of partitioners) {
+    if (!PARTITIONER_NAMES.includes(name)) {
+      throw new SimulationError(`Unknown partitioner "${name}" (use ${PARTITIONER_NAMES.join(', ')})`, 400);
+    }
+  }
+  const plannedChanges = changes.map(change => planChange(ring, change));
+  const positions = keys.map(({ key, weight }) => ({ position: ring.hash(key), weight }));
+  const totalWeight = positions.reduce((sum, k) => sum + k.weight, 0);
+
+  const results = {};
+  for (const name of partitioners) {
+    const before = refusedAs400(name, () => ring.withPartitioner(name));
+    const placementBefore = place(before, positions, replicationFactor);
+
+    results[name] = {
+      current: name === ring.partitioner.name,
+      load: describeLoad(before, placementBefore, positions, totalWeight),
+      changes: plannedChanges.map(({ description, apply, idealShare }) => {
+        const after = before.clone();
+        refusedAs400(name, () => apply(after));
+        return {
+          change: description,
+          ...describeMovement(placementBefore, place(after, positions, replicationFactor), positions, totalWeight),
+          idealMovedPrimaries: percent(idealShare(before)),
+        };
+      }),
+    };
+  }
+
+  return { keys: keys.length, messages: totalWeight, replicationFactor, partitioners: results };
+}
+
+// A partitioner may refuse members the ring took (weights too far apart for jump)
+function refusedAs400(name, place) {
+  try {
+    return place();
+  } catch (err) {
+    throw new SimulationError(`${name}: ${err.message}`, 400);
+  }
+}
+
+// ─── A membership change, validated against the ring ────────────────────────
+function planChange(ring, change) {
+  if (change?.add) {
+    const { name, zone, weight = 1 } = change.add;
+    if (!name || ring.getNodeUrl(name)) throw new SimulationError(`add needs the name of a node that is not a member (got "${name}")`, 400);
+    if (!(typeof weight === 'number' && weight > 0 && Number.isFinite(weight))) throw new SimulationError(`Invalid weight for ${name}`, 400);
+    return {
+      description: `add ${name}${zone ? ` (zone ${zone})` : ''}${weight !== 1 ? ` weight ${weight}` : ''}`,
+      apply: after => after.addNode(name, `simulated://${name}`, { zone, weight }),
+      // A perfect partitioner moves exactly the new node's share
+      idealShare: before => weight / (totalNodeWeight(before) + weight),
+    };
+  }
+  if (change?.remove) {
+    const name = change.remove;
+    if (!ring.getNodeUrl(name)) throw new SimulationError(`remove needs a member node (got "${name}")`, 400);
+    if (ring.getAllNodeNames().length === 1) throw new SimulationError('Cannot simulate removing the last node', 400);
+    return {
+      description: `remove ${name}`,
+      apply: after => after.removeNode(name),
+      idealShare: before => before.nodes.get(name).weight / totalNodeWeight(before),
+    };
+  }
+  throw new SimulationError('Each change must be { add: { name, zone?, weight? } } or { remove: nodeName }', 400);
+}
+
+// ─── Replica set (primary first) of every key ───────────────────────────────
+function place(ring, positions, replicationFactor) {
+  const ranges = ring.getRanges(replicationFactor);
+  return positions.map(({ position }) => {
+    // First range ending at or after the position, wrapping to the first one
+    let left = 0;
+    let right = ranges.length;
+    while (left < right) {
+      const mid = Math.floor((left + right) / 2);
+      if (ranges[mid].end < position) left = mid + 1;
+      else right = mid;
+    }
+    return ranges[left % ranges.length].nodes;
+  });
+}
+
+function describeLoad(ring, placement, positions, totalWeight) {
+  const nodes = {};
+  const totalNodes = totalNodeWeight(ring);
+  for (const [nodeName, { zone, weight }] of ring.nodes) {
+    nodes[nodeName] = { zone, weight, primary: 0, copies: 0, expectedShare: weight / totalNodes };
+  }
+  placement.forEach((owners, i) => {
+    nodes[owners[0]].primary += positions[i].weight;
+    for (const owner of owners) nodes[owner].copies += positions[i].weight;
+  });
+
+  const ratios = Object.values(nodes).map(n => (totalWeight === 0 ? 1 : n.primary / totalWeight / n.expectedShare));
+  for (const node of Object.values(nodes)) {
+    node.share = percent(totalWeight === 0 ? 0 : node.primary / totalWeight);
+    node.expectedShare = percent(node.expectedShare);
+  }
+  return { nodes, skew: { max: round(Math.max(...ratios)), min: round(Math.min(...ratios)) } };
+}
+
+function describeMovement(before, after, positions, totalWeight) {
+  let movedPrimaries = 0;
+  let movedCopies = 0;
+  let copiesBefore = 0;
+  before.forEach((owners, i) => {
+    const { weight } = positions[i];
+    if (owners[0] !== after[i][0]) movedPrimaries += weight;
+    movedCopies += after[i].filter(n => !owners.includes(n)).length * weight;
+    copiesBefore += owners.length * weight;
+  });
+  return {
+    movedPrimaries,
+    movedPrimariesShare: percent(totalWeight === 0 ? 0 : movedPrimaries / totalWeight),
+    movedCopies,
+    movedCopiesShare: percent(copiesBefore === 0 ? 0 : movedCopies / copiesBefore),
+  };
+}
+
+function totalNodeWeight(ring) {
+  return [...ring.nodes.values()].reduce((sum, n) => sum + n.weight, 0);
+}
+
+function percent(fraction) {
+  return (fraction * 100).toFixed(1) + '%';
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { simulate, SimulationError };
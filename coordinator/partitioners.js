@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+
+const HASH_SPACE = Math.pow(2, 32);
+
+/**
+ * Partitioners — how the hash space is cut into ranges and which nodes own
+ * each range, in order of preference. HashRing keeps the members and picks a
+ * range's primary and replicas from its preference list (one per zone
+ * first), so every strategy works with range-based failover, anti-entropy
+ * and rebalancing. A partitioner provides:
+ *
+ *   positions         — sorted range ends; range i covers (positions[i - 1], positions[i]]
+ *   preference(index) — generator of the node names, each once, preferred for range i
+ *   addNode(name, { weight }), removeNode(name), clone(), describe(), describeNode(name)
+ *
+ * Keys are placed by their SHA-256 position in every strategy:
+ *
+ *   consistent — each node sits at virtualNodeCount × weight positions; a
+ *                range's preference is the distinct nodes clockwise from it
+ *   rendezvous — slotCount equal ranges; each node scores each slot (weighted
+ *                highest random weight) and the highest scores are preferred
+ *   jump       — slotCount equal ranges; jump consistent hash picks a bucket
+ *                among the nodes in join order (weights scaled to whole
+ *                bucket counts), the following buckets come next. Adding a
+ *                node moves the least data, removing any but the last one
+ *                moves a lot, and so does a weight that changes the scale.
+ *                Weights may differ by at most WEIGHT_PRECISION times.
+ */
+
+// ─── SHA-256 collapsed to a 32-bit integer ──────────────────────────────────
+function hash32(key) {
+  const hex = crypto.createHash('sha256').update(key).digest('hex');
+  return parseInt(hex.substring(0, 8), 16) % HASH_SPACE;
+}
+
+class ConsistentHashPartitioner {
+  constructor({ virtualNodeCount = 150 } = {}) {
+    this.name = 'consistent';
+    this.virtualNodeCount = virtualNodeCount;
+
+    // position → nodeName
+    this.ring = new Map();
+    // sorted list of all virtual node positions
+    this.positions = [];
+    // nodeName → virtual node positions
+    this.virtualPositions = new Map();
+  }
+
+  addNode(nodeName, { weight = 1 } = {}) {
+    const virtualPositions = [];
+    const count = Math.max(1, Math.round(this.virtualNodeCount * weight));
+
+    for (let i = 0; i < count; i++) {
+      let position = hash32(`${nodeName}:vnode${i}`);
+
+      // Resolve rare collisions by linear probing
+      while (this.ring.has(position)) {
+        position = (position + 1) % HASH_SPACE;
+      }
+
+      this.ring.set(position, nodeName);
+      virtualPositions.push(position);
+      this.positions.push(position);
+    }
+
+    this.positions.sort((a, b) => a - b);
+    this.virtualPositions.set(nodeName, virtualPositions);
+  }
+
+  removeNode(nodeName) {
+    const removed = new Set(this.virtualPositions.get(nodeName) || []);
+    for (const position of removed) this.ring.delete(position);
+    this.positions = this.positions.filter(position => !removed.has(position));
+    this.virtualPositions.delete(nodeName);
+  }
+
+  // Unique physical nodes walking clockwise from a ring index
+  *preference(index) {
+    const seen = new Set();
+    const total = this.positions.length;
+
+    for (let i = 0; i < total && seen.size < this.virtualPositions.size; i++) {
+      const nodeName = this.ring.get(this.positions[(index + i) % total]);
+      if (seen.has(nodeName)) continue;
+      seen.add(nodeName);
+      yield nodeName;
+    }
+  }
+
+  clone() {
+    const copy = new ConsistentHashPartitioner({ virtualNodeCount: this.virtualNodeCount });
+    copy.ring = new Map(this.ring);
+    copy.positions = [...this.positions];
+    for (const [nodeName, positions] of this.virtualPositions) copy.virtualPositions.set(nodeName, [...positions]);
+    return copy;
+  }
+
+  describe() {
+    return { virtualNodeCount: this.virtualNodeCount, totalVirtualNodes: this.positions.length };
+  }
+
+  describeNode(nodeName) {
+    return { virtualNodeCount: this.virtualPositions.get(nodeName)?.length || 0 };
+  }
+}
+
+// ─── Base for strategies that assign fixed, equal slots of the hash space ───
+class SlotPartitioner {
+  constructor({ slotCount = 1024 } = {}) {
+    this.slotCount = slotCount;
+    this.positions = Array.from({ length: slotCount }, (_, i) => Math.floor(((i + 1) * HASH_SPACE) / slotCount) - 1);
+    // nodeName → weight, in join order
+    this.weights = new Map();
+    // slot index → preference list, rebuilt lazily after membership changes
+    this.orders = new Map();
+  }
+
+  addNode(nodeName, { weight = 1 } = {}) {
+    this.weights.set(nodeName, weight);
+    this.orders.clear();
+  }
+
+  removeNode(nodeName) {
+    this.weights.delete(nodeName);
+    this.orders.clear();
+  }
+
+  *preference(index) {
+    if (!this.orders.has(index)) this.orders.set(index, this._order(index));
+    yield* this.orders.get(index);
+  }
+
+  clone() {
+    const copy = new this.constructor({ slotCount: this.slotCount });
+    copy.weights = new Map(this.weights);
+    return copy;
+  }
+
+  describe() {
+    return { slotCount: this.slotCount };
+  }
+
+  describeNode() {
+    return {};
+  }
+}
+
+class RendezvousPartitioner extends SlotPartitioner {
+  constructor(options) {
+    super(options);
+    this.name = 'rendezvous';
+  }
+
+  // Weighted highest random weight: score = -weight / ln(u), u uniform in (0, 1)
+  _order(index) {
+    const scored = [...this.weights].map(([nodeName, weight]) => {
+      const hex = crypto.createHash('sha256').update(`${nodeName}:slot${index}`).digest('hex');
+      const u = (parseInt(hex.substring(0, 13), 16) + 0.5) / Math.pow(2, 52);
+      return { nodeName, score: -weight / Math.log(u) };
+    });
+    return scored.sort((a, b) => b.score - a.score).map(s => s.nodeName);
+  }
+}
+
+class JumpHashPartitioner extends SlotPartitioner {
+  constructor(options) {
+    super(options);
+    this.name = 'jump';
+    // { names, ends } — nodes in join order and where each one's buckets end,
+    // rebuilt lazily after membership changes
+    this.buckets = null;
+  }
+
+  addNode(nodeName, { weight = 1 } = {}) {
+    const weights = [...this.weights.values(), weight];
+    if (Math.max(...weights) / Math.min(...weights) > WEIGHT_PRECISION) {
+      throw new Error(`Weight ${weight} for ${nodeName} is out of range: the jump partitioner takes weights at most ${WEIGHT_PRECISION} times apart`);
+    }
+    super.addNode(nodeName, { weight });
+    this.buckets = null;
+  }
+
+  removeNode(nodeName) {
+    super.removeNode(nodeName);
+    this.buckets = null;
+  }
+
+  _order(index) {
+    const { names, ends } = this._buckets();
+    if (names.length === 0) return [];
+
+    // Each node's buckets follow the previous node's, so after the node
+    // owning the first bucket come the others in join order
+    const seed = BigInt('0x' + crypto.createHash('sha256').update(`slot${index}`).digest('hex').substring(0, 16));
+    const owner = ownerOf(ends, jumpHash(seed, ends[ends.length - 1]));
+    return [...names.slice(owner), ...names.slice(0, owner)];
+  }
+
+  // Buckets in proportion to weight, nodes in join order
+  _buckets() {
+    if (!this.buckets) {
+      const counts = bucketCounts([...this.weights.values()]);
+      let end = 0;
+      this.buckets = { names: [...this.weights.keys()], ends: counts.map(count => (end += count)) };
+    }
+    return this.buckets;
+  }
+}
+
+// Index of the node whose bucket range holds bucket: the first end past it
+function ownerOf(ends, bucket) {
+  let low = 0;
+  let high = ends.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (ends[mid] > bucket) high = mid;
+    else low = mid + 1;
+  }
+  return low;
+}
+
+// ─── Weights → whole bucket counts with the same ratios ─────────────────────
+// Weights are scaled by the smallest power of ten (up to WEIGHT_PRECISION)
+// that makes them all whole, then divided by their common divisor, so 1.5
+// and 1 become 3 and 2 buckets rather than 2 and 1. Only the totals are kept,
+// so large counts cost nothing.
+const WEIGHT_PRECISION = 1000;
+
+function bucketCounts(weights) {
+  let scale = 1;
+  while (scale < WEIGHT_PRECISION && weights.some(weight => !isWhole(weight * scale))) scale *= 10;
+  const counts = weights.map(weight => Math.max(1, Math.round(weight * scale)));
+  const divisor = counts.reduce(gcd, 0) || 1;
+  return counts.map(count => count / divisor);
+}
+
+function isWhole(value) {
+  return Math.abs(value - Math.round(value)) < 1e-9;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// Lamping & Veach, "A Fast, Minimal Memory, Consistent Hash Algorithm"
+function jumpHash(key, bucketCount) {
+  let bucket = -1;
+  let next = 0;
+  while (next < bucketCount) {
+    bucket = next;
+    key = (key * 2862933555777941757n + 1n) & 0xffffffffffffffffn;
+    next = Math.floor((bucket + 1) * (Math.pow(2, 31) / Number((key >> 33n) + 1n)));
+  }
+  return bucket;
+}
+
+const PARTITIONERS = {
+  consistent: ConsistentHashPartitioner,
+  rendezvous: RendezvousPartitioner,
+  jump: JumpHashPartitioner,
+};
+
+function createPartitioner(name, options) {
+  const Partitioner = PARTITIONERS[name];
+  if (!Partitioner) throw new Error(`Unknown partitioner "${name}" (use ${Object.keys(PARTITIONERS).join(', ')})`);
+  return new Partitioner(options);
+}
+
+module.exports = { createPartitioner, hash32, HASH_SPACE, PARTITIONER_NAMES: Object.keys(PARTITIONERS) };
@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+
+const PAGE_SIZE = 100;
+
+class QueueError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * QueueManager — at-least-once queue delivery on top of topic partitions.
+ *
+ * A queue is a topic read by a named group. Receiving a message leases it to
+ * the caller for the visibility timeout; the caller then acks it (done) or
+ * nacks it (visible again). A lease that runs out counts as a failed delivery
+ * too. Once a message has been delivered maxDeliveries times without an ack it
+ * is moved to the group's dead-letter topic "<topic>.<group>.dlq" and counts
+ * as done. Replaying dead letters makes their original offsets deliverable to
+ * that group again.
+ *
+ * Per group and partition the manager keeps: everything below ackedUpTo is
+ * done, the done offsets above it, delivery counts of messages not done yet
+ * and offsets reopened by a replay. That state is saved through stateStore
+ * (a keyed message, so it is replicated and failed over like user data)
+ * before a receive, ack or nack is answered. Leases live in memory only:
+ * after a leader change they are gone and their messages are delivered again,
+ * which at-least-once delivery allows.
+ */
+class QueueManager {
+  constructor({ topics, readPartition, stateStore, deadLetter, visibilityTimeoutMs = 30000, maxDeliveries = 5 }) {
+    this.topics = topics;
+    // readPartition(topic, partition, offset, limit) → { data: { messages, nextOffset, abortedOffsets? } } or null
+    this.readPartition = readPartition;
+    // stateStore.load(group, topic, partition) / save(group, topic, partition, state)
+    this.stateStore = stateStore;
+    // deadLetter(dlqTopic, key, payload) appends a message to the dead-letter topic
+    this.deadLetter = deadLetter;
+    this.visibilityTimeoutMs = visibilityTimeoutMs;
+    this.maxDeliveries = maxDeliveries;
+
+    // "group|topic/partition" → { group, topic, partition, ackedUpTo, done, deliveries, reopened, leases, lastSave }
+    this.states = new Map();
+    this.loading = new Map();
+    // receiptHandle → { group, topic, partition, offset }
+    this.handles = new Map();
+    // "group|topic" → partition the next receive starts at
+    this.nextPartition = new Map();
+  }
+
+  static dlqTopic(topic, group) {
+    return `${topic}.${group}.dlq`;
+  }
+
+  // ─── Lease up to max messages from the topic ────────────────────────────────
+  async receive(topicName, { group = 'default', max = 1, visibilityTimeoutMs } = {}) {
+    const topic = this._topic(topicName);
+    this._checkGroup(group);
+    if (!Number.isInteger(max) || max < 1 || max > PAGE_SIZE) {
+      throw new QueueError(`max must be between 1 and ${PAGE_SIZE}`, 400);
+    }
+    const leaseMs = visibilityTimeoutMs ?? topic.config.visibilityTimeoutMs ?? this.visibilityTimeoutMs;
+    if (!Number.isInteger(leaseMs) || leaseMs < 1) {
+      throw new QueueError('visibilityTimeoutMs must be a positive integer', 400);
+    }
+
+    const rotation = `${group}|${topic.name}`;
+    const first = (this.nextPartition.get(rotation) || 0) % topic.partitions;
+    this.nextPartition.set(rotation, first + 1);
+
+    const received = [];
+    for (let i = 0; i < topic.partitions && received.length < max; i++) {
+      const state = await this._state(group, topic.name, (first + i) % topic.partitions);
+      if (await this._collect(state, topic, max - received.length, leaseMs, received)) {
+        await this._save(state);
+      }
+    }
+    return received;
+  }
+
+  // ─── Ack: the messages are done for this group ──────────────────────────────
+  async ack(topicName, { group = 'default', receiptHandles } = {}) {
+    const topic = this._topic(topicName);
+    return this._settle(topic, group, receiptHandles, async (state, offset) => {
+      this._markDone(state, offset);
+      return { acked: true };
+    });
+  }
+
+  // ─── Nack: make the messages visible again (after delayMs) ─────────────────
+  async nack(topicName, { group = 'default', receiptHandles, delayMs = 0 } = {}) {
+    const topic = this._topic(topicName);
+    if (!Number.isInteger(delayMs) || delayMs < 0) {
+      throw new QueueError('delayMs must be a non-negative integer', 400);
+    }
+
+    return this._settle(topic, group, receiptHandles, async (state, offset) => {
+      this._release(state, offset);
+      if (state.deliveries.get(offset) >= this._maxDeliveries(topic)) {
+        const message = await this._read(state, offset);
+        if (message) await this._deadLetterMessage(state, message, 'nacked on last delivery');
+        else this._markDone(state, offset);
+        return { requeued: false, deadLettered: true };
+      }
+      if (delayMs > 0) state.leases.set(offset, { handle: null, expiresAt: Date.now() + delayMs });
+      return { requeued: true };
+    });
+  }
+
+  // ─── Messages in the group's dead-letter topic ──────────────────────────────
+  async deadLetters(topicName, { group = 'default', offset = 0, limit = 100 } = {}) {
+    this._topic(topicName);
+    this._checkGroup(group);
+
+    const dlq = this.topics.get(QueueManager.dlqTopic(topicName, group));
+    if (!dlq) return { dlqTopic: QueueManager.dlqTopic(topicName, group), partitions: [] };
+
+    const partitions = [];
+    for (let partition = 0; partition < dlq.partitions; partition++) {
+      const result = await this.readPartition(dlq.name, partition, offset, limit);
+      if (!result) throw new QueueError(`No replica of ${dlq.name}/${partition} is reachable`, 503);
+      partitions.push({ partition, nextOffset: result.data.nextOffset, messages: result.data.messages });
+    }
+    return { dlqTopic: dlq.name, partitions };
+  }
+
+  // ─── Make dead-lettered messages deliverable to the group again ────────────
+  async replay(topicName, { group = 'default', partition, fromOffset = 0, limit = 100 } = {}) {
+    const { dlqTopic, partitions } = await this.deadLetters(topicName, { group, offset: fromOffset, limit });
+
+    const replayed = [];
+    const touched = new Set();
+    for (const dlqPartition of partitions) {
+      if (partition !== undefined && dlqPartition.partition !== partition) continue;
+
+      for (const message of dlqPartition.messages) {
+        const original = message.payload;
+        const state = await this._state(group, original.topic, original.partition);
+        state.reopened.add(original.offset);
+        state.done.delete(original.offset);
+        state.deliveries.delete(original.offset);
+        touched.add(state);
+        replayed.push({ dlqPartition: dlqPartition.partition, dlqOffset: message.offset, topic: original.topic, partition: original.partition, offset: original.offset });
+      }
+    }
+
+    for (const state of touched) await this._save(state);
+    console.log(`[Queues] Replayed ${replayed.length} message(s) from ${dlqTopic} for group "${group}"`);
+    return { dlqTopic, replayed };
+  }
+
+  // ─── Per-partition progress of a group ──────────────────────────────────────
+  async describe(topicName, group = 'default') {
+    const topic = this._topic(topicName);
+    this._checkGroup(group);
+
+    const now = Date.now();
+    const partitions = [];
+    for (let partition = 0; partition < topic.partitions; partition++) {
+      const state = await this._state(group, topic.name, partition);
+      const leases = [...state.leases.values()].filter(l => l.expiresAt > now);
+      partitions.push({
+        partition,
+        ackedUpTo: state.ackedUpTo,
+        inFlight: leases.filter(l => l.handle).length,
+        delayed: leases.filter(l => !l.handle).length,
+        ackedAhead: state.done.size,
+        reopened: [...state.reopened].sort((a, b) => a - b),
+        deliveryCounts: Object.fromEntries(state.deliveries),
+      });
+    }
+    return {
+      topic: topic.name,
+      group,
+      visibilityTimeoutMs: topic.config.visibilityTimeoutMs ?? this.visibilityTimeoutMs,
+      maxDeliveries: this._maxDeliveries(topic),
+      dlqTopic: QueueManager.dlqTopic(topic.name, group),
+      partitions,
+    };
+  }
+
+  // Forget cached state and leases (this coordinator stopped being the leader)
+  reset() {
+    this.states.clear();
+    this.loading.clear();
+    this.handles.clear();
+  }
+
+  // ─── Lease deliverable messages of one partition into `out` ────────────────
+  // Returns whether the partition's state changed.
+  async _collect(state, topic, want, leaseMs, out) {
+    const limit = out.length + want;
+    let changed = false;
+
+    const deliver = async (message) => {
+      changed = true;
+      const deliveries = state.deliveries.get(message.offset) || 0;
+      if (deliveries >= this._maxDeliveries(topic)) {
+        try {
+          await this._deadLetterMessage(state, message, 'lease expired on last delivery');
+        } catch (err) {
+          console.log(`[Queues] Dead-lettering ${state.topic}/${state.partition} offset=${message.offset} failed: ${err.message} — retried on a later receive`);
+        }
+        return;
+      }
+      out.push(this._lease(state, message, deliveries + 1, leaseMs));
+    };
+
+    // Replayed messages first, then the partition from the ack watermark on
+    for (const offset of [...state.reopened].sort((a, b) => a - b)) {
+      if (out.length >= limit) return changed;
+      if (this._isLeased(state, offset)) continue;
+
+      let message;
+      try {
+        message = await this._read(state, offset);
+      } catch {
+        continue;
+      }
+      if (message) {
+        await deliver(message);
+      } else {
+        this._markDone(state, offset);
+        changed = true;
+      }
+    }
+
+    let from = state.ackedUpTo;
+    while (out.length < limit) {
+      const result = await this.readPartition(state.topic, state.partition, from, PAGE_SIZE);
+      if (!result) {
+        console.log(`[Queues] ${state.topic}/${state.partition} unreachable — skipped`);
+        return changed;
+      }
+
+      const { messages, abortedOffsets = [] } = result.data;
+      // Messages of aborted transactions are never delivered
+      for (const offset of abortedOffsets) {
+        if (offset < state.ackedUpTo || state.done.has(offset)) continue;
+        this._markDone(state, offset);
+        changed = true;
+      }
+      // Offsets below the first one still stored are gone; nothing to deliver there
+      if (from === state.ackedUpTo && messages.length > 0 && messages[0].offset > from) {
+        this._advance(state, messages[0].offset);
+        changed = true;
+      }
+
+      for (const message of messages) {
+        from = message.offset + 1;
+        if (state.done.has(message.offset) || state.reopened.has(message.offset) || this._isLeased(state, message.offset)) continue;
+        await deliver(message);
+        if (out.length >= limit) break;
+      }
+      if (messages.length < PAGE_SIZE) break;
+    }
+    return changed;
+  }
+
+  _lease(state, message, deliveries, leaseMs) {
+    this._release(state, message.offset);
+
+    const handle = crypto.randomUUID();
+    const expiresAt = Date.now() + leaseMs;
+    state.deliveries.set(message.offset, deliveries);
+    state.leases.set(message.offset, { handle, expiresAt });
+    this.handles.set(handle, { group: state.group, topic: state.topic, partition: state.partition, offset: message.offset });
+
+    return {
+      receiptHandle: handle,
+      topic: state.topic,
+      partition: state.partition,
+      offset: message.offset,
+      key: message.key,
+      payload: message.payload,
+      timestamp: message.timestamp,
+      deliveries,
+      leaseExpiresAt: new Date(expiresAt).toISOString(),
+    };
+  }
+
+  // Whether a message is leased (or delayed by a nack) right now
+  _isLeased(state, offset) {
+    const lease = state.leases.get(offset);
+    if (!lease) return false;
+    if (lease.expiresAt > Date.now()) return true;
+
+    this._release(state, offset);
+    return false;
+  }
+
+  _release(state, offset) {
+    const lease = state.leases.get(offset);
+    if (!lease) return;
+    if (lease.handle) this.handles.delete(lease.handle);
+    state.leases.delete(offset);
+  }
+
+  // Resolve receipt handles and apply `settle` to each valid one
+  async _settle(topic, group, receiptHandles, settle) {
+    this._checkGroup(group);
+    if (!Array.isArray(receiptHandles) || receiptHandles.length === 0) {
+      throw new QueueError('receiptHandles must be a non-empty array', 400);
+    }
+
+    const results = [];
+    const touched = new Set();
+    for (const receiptHandle of receiptHandles) {
+      const target = this.handles.get(receiptHandle);
+      if (!target || target.topic !== topic.name || target.group !== group) {
+        results.push({ receiptHandle, success: false, error: 'Unknown receipt handle — the message was re-delivered or its lease was lost' });
+        continue;
+      }
+
+      const state = await this._state(group, target.topic, target.partition);
+      results.push({ receiptHandle, success: true, offset: target.offset, partition: target.partition, ...await settle(state, target.offset) });
+      touched.add(state);
+    }
+
+    for (const state of touched) await this._save(state);
+    return results;
+  }
+
+  async _deadLetterMessage(state, message, reason) {
+    const dlqTopic = QueueManager.dlqTopic(state.topic, state.group);
+    const deliveries = state.deliveries.get(message.offset) || 0;
+    await this.deadLetter(dlqTopic, message.key, {
+      topic: state.topic,
+      partition: state.partition,
+      offset: message.offset,
+      group: state.group,
+      key: message.key,
+      payload: message.payload,
+      timestamp: message.timestamp,
+      deliveries,
+      reason,
+      deadLetteredAt: new Date().toISOString(),
+    });
+    this._markDone(state, message.offset);
+    console.log(`[Queues] ☠️  ${state.topic}/${state.partition} offset=${message.offset} dead-lettered to ${dlqTopic} after ${deliveries} deliveries (group "${state.group}")`);
+  }
+
+  _markDone(state, offset) {
+    this._release(state, offset);
+    state.deliveries.delete(offset);
+    state.reopened.delete(offset);
+    if (offset < state.ackedUpTo) return;
+
+    state.done.add(offset);
+    while (state.done.has(state.ackedUpTo)) {
+      state.done.delete(state.ackedUpTo);
+      state.ackedUpTo++;
+    }
+  }
+
+  _advance(state, offset) {
+    state.ackedUpTo = offset;
+    for (const done of state.done) {
+      if (done < offset) state.done.delete(done);
+    }
+    while (state.done.has(state.ackedUpTo)) {
+      state.done.delete(state.ackedUpTo);
+      state.ackedUpTo++;
+    }
+  }
+
+  async _read(state, offset) {
+    const result = await this.readPartition(state.topic, state.partition, offset, 1);
+    if (!result) throw new QueueError(`No replica of ${state.topic}/${state.partition} is reachable`, 503);
+    const [message] = result.data.messages;
+    return message?.offset === offset ? message : null;
+  }
+
+  // ─── State of one group on one partition, loaded once per leadership ───────
+  async _state(group, topic, partition) {
+    const id = `${group}|${topic}/${partition}`;
+    if (this.states.has(id)) return this.states.get(id);
+    if (!this.loading.has(id)) {
+      this.loading.set(id, this.stateStore.load(group, topic, partition).then(saved => {
+        const state = {
+          group,
+          topic,
+          partition,
+          ackedUpTo: saved?.ackedUpTo ?? 0,
+          done: new Set(saved?.done),
+          deliveries: new Map(Object.entries(saved?.deliveries || {}).map(([offset, count]) => [Number(offset), count])),
+          reopened: new Set(saved?.reopened),
+          leases: new Map(),
+          lastSave: Promise.resolve(),
+        };
+        this.states.set(id, state);
+        return state;
+      }).finally(() => this.loading.delete(id)));
+    }
+    return this.loading.get(id);
+  }
+
+  // Saves of one partition's state are chained so they reach the brokers in order
+  _save(state) {
+    const run = state.lastSave.catch(() => {}).then(() => this.stateStore.save(state.group, state.topic, state.partition, {
+      ackedUpTo: state.ackedUpTo,
+      done: [...state.done],
+      deliveries: Object.fromEntries(state.deliveries),
+      reopened: [...state.reopened],
+    }));
+    state.lastSave = run;
+    return run;
+  }
+
+  _topic(name) {
+    const topic = this.topics.get(name);
+    if (!topic) throw new QueueError(`Unknown topic "${name}"`, 404);
+    return topic;
+  }
+
+  _checkGroup(group) {
+    if (typeof group !== 'string' || !/^[A-Za-z0-9_-]{1,100}$/.test(group)) {
+      throw new QueueError('group must use letters, digits, "_" and "-"', 400);
+    }
+  }
+
+  _maxDeliveries(topic) {
+    return topic.config.maxDeliveries ?? this.maxDeliveries;
+  }
+}
+
+module.exports = { QueueManager, QueueError };
@@ -0,0 +1,443 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_ENTRIES_PER_APPEND = 100;
+const RPC_TIMEOUT_MS = 1000;
+// Compacted entries are written back to disk in batches of this many
+const COMPACTIONS_PER_REWRITE = 50;
+
+class NotLeaderError extends Error {
+  constructor(leaderId, leaderUrl) {
+    super(leaderId ? `Not the leader — forward to ${leaderId}` : 'No coordinator leader elected yet');
+    this.status = 503;
+    this.leaderId = leaderId;
+    this.leaderUrl = leaderUrl;
+  }
+}
+
+/**
+ * RaftNode — leader election and a replicated command log (Raft, without
+ * membership changes or snapshots).
+ *
+ * Coordinators start as followers. A follower that hears nothing from a
+ * leader within a randomised election timeout becomes a candidate, bumps the
+ * term and asks its peers for votes; a majority makes it leader. The leader
+ * appends commands to its log, ships them to the followers with every
+ * heartbeat, and marks an entry committed once a majority stores it. Every
+ * node hands committed commands, in log order, to apply(command), so all
+ * coordinators build the same state.
+ *
+ * currentTerm, votedFor and the log are fsynced under dataDir before any
+ * reply that depends on them, so a restarted coordinator rebuilds its state
+ * by re-applying the committed log.
+ *
+ * apply(command, index) may compact() an earlier entry whose effect is final,
+ * replacing its command with a smaller one that applies to the same state.
+ *
+ * onLeaderReady() fires once a new leader has committed an entry of its own
+ * term (so it has applied everything committed before it); onStepDown()
+ * fires when it loses leadership.
+ */
+class RaftNode {
+  constructor({
+    id,
+    peers = [],
+    dataDir,
+    apply,
+    onLeaderReady = () => {},
+    onStepDown = () => {},
+    electionTimeoutMs = [1500, 3000],
+    heartbeatMs = 500,
+    proposeTimeoutMs = 5000,
+  }) {
+    this.id = id;
+    // [{ id, url }] — every other coordinator
+    this.peers = peers;
+    this.dataDir = dataDir;
+    this.apply = apply;
+    this.onLeaderReady = onLeaderReady;
+    this.onStepDown = onStepDown;
+    this.electionTimeoutMs = electionTimeoutMs;
+    this.heartbeatMs = heartbeatMs;
+    this.proposeTimeoutMs = proposeTimeoutMs;
+
+    this.role = 'follower';
+    this.ready = false;
+    this.currentTerm = 0;
+    this.votedFor = null;
+    this.leaderId = null;
+    // [{ index, term, command }] — index is 1-based, log[i] has index i + 1
+    this.log = [];
+    this.commitIndex = 0;
+    this.lastApplied = 0;
+
+    // Leader bookkeeping, per peer id
+    this.nextIndex = new Map();
+    this.matchIndex = new Map();
+    this._inFlight = new Set();
+    // log index → { resolve, reject, timer } for proposals awaiting commit
+    this._pending = new Map();
+
+    this._electionTimer = null;
+    this._heartbeatId = null;
+    this._logFd = null;
+    // Entries compacted in memory since the log file was last rewritten
+    this._compacted = 0;
+  }
+
+  // ─── Persistence ────────────────────────────────────────────────────────────
+  get _stateFile() { return path.join(this.dataDir, 'raft-state.json'); }
+  get _logFile() { return path.join(this.dataDir, 'raft-log.jsonl'); }
+
+  _load() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
+    if (fs.existsSync(this._stateFile)) {
+      ({ currentTerm: this.currentTerm, votedFor: this.votedFor } = JSON.parse(fs.readFileSync(this._stateFile, 'utf8')));
+    }
+
+    if (fs.existsSync(this._logFile)) {
+      for (const line of fs.readFileSync(this._logFile, 'utf8').split('\n')) {
+        if (!line) continue;
+        try {
+          this.log.push(JSON.parse(line));
+        } catch {
+          // Torn write at the tail from a crash — it was never acknowledged
+          break;
+        }
+      }
+      this._rewriteLog();
+    }
+
+    this._logFd = fs.openSync(this._logFile, 'a');
+  }
+
+  _saveState() {
+    const tmp = `${this._stateFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ currentTerm: this.currentTerm, votedFor: this.votedFor }));
+    fs.renameSync(tmp, this._stateFile);
+  }
+
+  _appendToLog(entries) {
+    if (entries.length === 0) return;
+    fs.writeSync(this._logFd, entries.map(e => JSON.stringify(e) + '\n').join(''));
+    fs.fsyncSync(this._logFd);
+  }
+
+  _rewriteLog() {
+    if (this._logFd !== null) fs.closeSync(this._logFd);
+    const tmp = `${this._logFile}.tmp`;
+    fs.writeFileSync(tmp, this.log.map(e => JSON.stringify(e) + '\n').join(''));
+    fs.renameSync(tmp, this._logFile);
+    this._logFd = this._logFd === null ? null : fs.openSync(this._logFile, 'a');
+    this._compacted = 0;
+  }
+
+  // ─── Lifecycle ──────────────────────────────────────────────────────────────
+  start() {
+    this._load();
+    console.log(`[Raft] ${this.id} started — term ${this.currentTerm}, ${this.log.length} log entries, peers: ${this.peers.map(p => p.id).join(', ') || 'none'}`);
+    this._resetElectionTimer();
+  }
+
+  stop() {
+    clearTimeout(this._electionTimer);
+    clearInterval(this._heartbeatId);
+    if (this._compacted > 0) this._rewriteLog();
+    if (this._logFd !== null) fs.closeSync(this._logFd);
+    this._logFd = null;
+  }
+
+  isLeader() {
+    return this.role === 'leader';
+  }
+
+  leaderUrl() {
+    return this.peers.find(p => p.id === this.leaderId)?.url || null;
+  }
+
+  _majority() {
+    return Math.floor((this.peers.length + 1) / 2) + 1;
+  }
+
+  _lastIndex() {
+    return this.log.length;
+  }
+
+  _termAt(index) {
+    return index === 0 ? 0 : this.log[index - 1]?.term;
+  }
+
+  // ─── Elections ──────────────────────────────────────────────────────────────
+  _resetElectionTimer() {
+    clearTimeout(this._electionTimer);
+    const [min, max] = this.electionTimeoutMs;
+    this._electionTimer = setTimeout(() => this._startElection(), min + Math.random() * (max - min));
+  }
+
+  async _startElection() {
+    this.role = 'candidate';
+    this.currentTerm++;
+    this.votedFor = this.id;
+    this.leaderId = null;
+    this._saveState();
+    this._resetElectionTimer();
+
+    const term = this.currentTerm;
+    let votes = 1;
+    console.log(`[Raft] ${this.id} starting election for term ${term}`);
+    if (votes >= this._majority()) return this._becomeLeader();
+
+    const request = { term, candidateId: this.id, lastLogIndex: this._lastIndex(), lastLogTerm: this._termAt(this._lastIndex()) };
+    await Promise.all(this.peers.map(async (peer) => {
+      try {
+        const { data } = await axios.post(`${peer.url}/raft/request-vote`, request, { timeout: RPC_TIMEOUT_MS });
+        if (data.term > this.currentTerm) return this._stepDown(data.term);
+        if (data.voteGranted && this.role === 'candidate' && this.currentTerm === term) {
+          votes++;
+          if (votes >= this._majority()) this._becomeLeader();
+        }
+      } catch {
+        // Unreachable peer — no vote
+      }
+    }));
+  }
+
+  handleRequestVote({ term, candidateId, lastLogIndex, lastLogTerm }) {
+    if (term > this.currentTerm) this._stepDown(term);
+
+    const myLastTerm = this._termAt(this._lastIndex());
+    const upToDate = lastLogTerm > myLastTerm || (lastLogTerm === myLastTerm && lastLogIndex >= this._lastIndex());
+    const voteGranted = term === this.currentTerm && (this.votedFor === null || this.votedFor === candidateId) && upToDate;
+
+    if (voteGranted) {
+      this.votedFor = candidateId;
+      this._saveState();
+      this._resetElectionTimer();
+    }
+    return { term: this.currentTerm, voteGranted };
+  }
+
+  _becomeLeader() {
+    if (this.role === 'leader') return;
+    console.log(`[Raft] 👑 ${this.id} elected leader for term ${this.currentTerm}`);
+
+    this.role = 'leader';
+    this.leaderId = this.id;
+    this.ready = false;
+    clearTimeout(this._electionTimer);
+
+    for (const peer of this.peers) {
+      this.nextIndex.set(peer.id, this._lastIndex() + 1);
+      this.matchIndex.set(peer.id, 0);
+    }
+
+    // Committing an entry of our own term also commits everything before it
+    this._propose({ type: 'noop' }).catch(() => {});
+    this._heartbeatId = setInterval(() => this._replicateAll(), this.heartbeatMs);
+  }
+
+  _stepDown(term) {
+    if (term > this.currentTerm) {
+      this.currentTerm = term;
+      this.votedFor = null;
+      this._saveState();
+    }
+
+    const wasLeader = this.role === 'leader';
+    this.role = 'follower';
+    this.ready = false;
+    clearInterval(this._heartbeatId);
+    this._resetElectionTimer();
+
+    if (wasLeader) {
+      console.log(`[Raft] ${this.id} stepped down in term ${this.currentTerm}`);
+      for (const [index, pending] of this._pending) {
+        clearTimeout(pending.timer);
+        pending.reject(new NotLeaderError(null, null));
+        this._pending.delete(index);
+      }
+      this.onStepDown();
+    }
+  }
+
+  // ─── Log replication ────────────────────────────────────────────────────────
+  handleAppendEntries({ term, leaderId, prevLogIndex, prevLogTerm, entries, leaderCommit }) {
+    if (term < this.currentTerm) return { term: this.currentTerm, success: false };
+    if (term > this.currentTerm || this.role !== 'follower') this._stepDown(term);
+
+    this.leaderId = leaderId;
+    this._resetElectionTimer();
+
+    if (prevLogIndex > this._lastIndex() || this._termAt(prevLogIndex) !== prevLogTerm) {
+      return { term: this.currentTerm, success: false, lastIndex: Math.min(this._lastIndex(), prevLogIndex - 1) };
+    }
+
+    const fresh = [];
+    for (const entry of entries) {
+      const existing = this.log[entry.index - 1];
+      if (existing && existing.term !== entry.term) {
+        // Conflicting suffix from a deposed leader — it was never committed
+        this.log.length = entry.index - 1;
+        this._rewriteLog();
+      }
+      if (!this.log[entry.index - 1]) {
+        this.log.push(entry);
+        fresh.push(entry);
+      }
+    }
+    this._appendToLog(fresh);
+
+    const lastNew = prevLogIndex + entries.length;
+    if (leaderCommit > this.commitIndex) {
+      this.commitIndex = Math.min(leaderCommit, lastNew);
+      this._applyCommitted();
+    }
+    return { term: this.currentTerm, success: true, matchIndex: lastNew };
+  }
+
+  _replicateAll() {
+    for (const peer of this.peers) this._replicateTo(peer);
+  }
+
+  async _replicateTo(peer) {
+    if (this._inFlight.has(peer.id)) return;
+    this._inFlight.add(peer.id);
+
+    const term = this.currentTerm;
+    const prevLogIndex = this.nextIndex.get(peer.id) - 1;
+    const request = {
+      term,
+      leaderId: this.id,
+      prevLogIndex,
+      prevLogTerm: this._termAt(prevLogIndex),
+      entries: this.log.slice(prevLogIndex, prevLogIndex + MAX_ENTRIES_PER_APPEND),
+      leaderCommit: this.commitIndex,
+    };
+
+    try {
+      const { data } = await axios.post(`${peer.url}/raft/append-entries`, request, { timeout: RPC_TIMEOUT_MS });
+      if (data.term > this.currentTerm) return this._stepDown(data.term);
+      if (this.role !== 'leader' || this.currentTerm !== term) return;
+
+      if (data.success) {
+        this.matchIndex.set(peer.id, data.matchIndex);
+        this.nextIndex.set(peer.id, data.matchIndex + 1);
+        this._advanceCommitIndex();
+      } else {
+        // Walk back to where the follower's log matches ours
+        this.nextIndex.set(peer.id, Math.max(1, data.lastIndex + 1));
+      }
+    } catch {
+      // Peer unreachable — retried on the next heartbeat
+    } finally {
+      this._inFlight.delete(peer.id);
+    }
+  }
+
+  // Highest index stored on a majority, counting only entries of our own term
+  _advanceCommitIndex() {
+    for (let n = this._lastIndex(); n > this.commitIndex; n--) {
+      if (this._termAt(n) !== this.currentTerm) break;
+      const replicas = 1 + [...this.matchIndex.values()].filter(m => m >= n).length;
+      if (replicas >= this._majority()) {
+        this.commitIndex = n;
+        this._applyCommitted();
+        return;
+      }
+    }
+  }
+
+  _applyCommitted() {
+    while (this.lastApplied < this.commitIndex) {
+      const entry = this.log[this.lastApplied];
+      this.lastApplied++;
+
+      let result;
+      let error = null;
+      if (entry.command.type !== 'noop') {
+        try {
+          result = this.apply(entry.command, entry.index);
+        } catch (err) {
+          error = err;
+        }
+      }
+
+      const pending = this._pending.get(entry.index);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this._pending.delete(entry.index);
+        if (error) pending.reject(error);
+        else pending.resolve(result);
+      }
+
+      if (entry.command.type === 'noop' && this.role === 'leader' && entry.term === this.currentTerm && !this.ready) {
+        this.ready = true;
+        console.log(`[Raft] ${this.id} is ready to lead (applied ${this.lastApplied} entries)`);
+        this.onLeaderReady();
+      }
+    }
+  }
+
+  // ─── Compaction: shrink a committed entry whose effect is final ────────────
+  // Raft only compares indexes and terms, so followers that receive the
+  // smaller command still agree with the leader. The file is rewritten in
+  // batches; entries compacted just before a crash are compacted again when
+  // the log is re-applied.
+  compact(index, command) {
+    const entry = this.log[index - 1];
+    if (!entry || index > this.commitIndex) return false;
+
+    entry.command = command;
+    if (++this._compacted >= COMPACTIONS_PER_REWRITE) this._rewriteLog();
+    return true;
+  }
+
+  // ─── Propose a command; resolves with apply()'s result once committed ──────
+  async propose(command) {
+    if (this.role !== 'leader') throw new NotLeaderError(this.leaderId, this.leaderUrl());
+    return this._propose(command);
+  }
+
+  _propose(command) {
+    const entry = { index: this._lastIndex() + 1, term: this.currentTerm, command };
+    this.log.push(entry);
+    this._appendToLog([entry]);
+
+    const committed = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(entry.index);
+        reject(new Error(`Command not committed within ${this.proposeTimeoutMs}ms (no majority reachable)`));
+      }, this.proposeTimeoutMs);
+      this._pending.set(entry.index, { resolve, reject, timer });
+    });
+
+    if (this.peers.length === 0) {
+      this._advanceCommitIndex();
+    } else {
+      this._replicateAll();
+    }
+    return committed;
+  }
+
+  getStatus() {
+    return {
+      id: this.id,
+      role: this.role,
+      ready: this.ready,
+      term: this.currentTerm,
+      leaderId: this.leaderId,
+      commitIndex: this.commitIndex,
+      lastApplied: this.lastApplied,
+      logLength: this.log.length,
+      peers: this.peers.map(p => ({
+        id: p.id,
+        url: p.url,
+        ...(this.role === 'leader' && { matchIndex: this.matchIndex.get(p.id), nextIndex: this.nextIndex.get(p.id) }),
+      })),
+    };
+  }
+}
+
+module.exports = { RaftNode, NotLeaderError };
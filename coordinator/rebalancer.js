@@ -0,0 +1,208 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+const CATCH_UP_TIMEOUT_MS = 120000;
+const BUSY_RETRIES = 5;
+const BUSY_RETRY_MS = 2000;
+
+class RebalanceError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Rebalancer — moves data when brokers join or leave the running cluster.
+ *
+ * A membership change is planned on a copy of the ring: every arc whose
+ * replica set gains a node becomes a transfer "target pulls these ranges from
+ * the nodes that held them so far". Transfers run through the brokers'
+ * catch-up (Merkle) exchange, so only entries the target is missing move.
+ * Routing switches to the new ring only after every transfer succeeded;
+ * a second, small round then picks up writes that landed on the old owners
+ * in the meantime.
+ *
+ *   STREAMING → SWITCHING → FINALIZING → COMPLETED   (or FAILED, ring unchanged)
+ *
+ * One rebalance runs at a time.
+ */
+class Rebalancer {
+  constructor({ ring, replicationFactor = 3, isHealthy, historySize = 10 }) {
+    this.ring = ring;
+    this.replicationFactor = replicationFactor;
+    // isHealthy(nodeName) → whether a node may serve as a transfer source
+    this.isHealthy = isHealthy;
+    this.historySize = historySize;
+
+    this.current = null;
+    this.history = [];
+  }
+
+  // ─── Plan and start a change; apply() switches routing once data moved ─────
+  start(type, node, after, apply) {
+    if (this.current) {
+      throw new RebalanceError(`A rebalance (${this.current.type} ${this.current.node}) is already in progress`, 409);
+    }
+
+    const rebalance = {
+      id: crypto.randomUUID(),
+      type,
+      node,
+      state: 'STREAMING',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      transfers: this.plan(this.ring, after),
+      keysMoved: 0,
+      error: null,
+    };
+    // Nodes leave `after` and join `this.ring` only on apply, so resolve URLs from both
+    rebalance.urls = Object.fromEntries(
+      [...this.ring.getAllNodeNames(), ...after.getAllNodeNames()].map(n => [n, after.getNodeUrl(n) || this.ring.getNodeUrl(n)])
+    );
+
+    this.current = rebalance;
+    console.log(`[Rebalancer] ${type} ${node}: ${rebalance.transfers.length} transfer(s) planned`);
+    this._execute(rebalance, apply);
+    return this._view(rebalance);
+  }
+
+  // ─── Ranges each node gains going from one ring to the other ───────────────
+  // Returns [{ target, sources, ranges: [{ start, end }] }]
+  plan(before, after) {
+    if (before.getAllNodeNames().length === 0 || after.getAllNodeNames().length === 0) return [];
+
+    const positions = [...new Set([...before.sortedPositions, ...after.sortedPositions])].sort((a, b) => a - b);
+    const transfers = new Map();
+
+    for (let i = 0; i < positions.length; i++) {
+      const start = positions[(i - 1 + positions.length) % positions.length];
+      const end = positions[i];
+      const { primary: oldPrimary, replicas: oldReplicas } = before.getNodesForPosition(end, this.replicationFactor);
+      const { primary: newPrimary, replicas: newReplicas } = after.getNodesForPosition(end, this.replicationFactor);
+      const sources = [oldPrimary, ...oldReplicas];
+
+      for (const target of [newPrimary, ...newReplicas]) {
+        if (sources.includes(target)) continue;
+
+        const id = `${target}|${sources.join(',')}`;
+        if (!transfers.has(id)) transfers.set(id, { target, sources, ranges: [] });
+
+        // Merge with the previous arc when it is contiguous
+        const ranges = transfers.get(id).ranges;
+        const last = ranges[ranges.length - 1];
+        if (last && last.end === start) {
+          last.end = end;
+        } else {
+          ranges.push({ start, end });
+        }
+      }
+    }
+
+    return [...transfers.values()].map(t => ({
+      ...t,
+      status: 'pending',
+      keysPulled: 0,
+      keysPushed: 0,
+      error: null,
+    }));
+  }
+
+  async _execute(rebalance, apply) {
+    try {
+      for (const transfer of rebalance.transfers) {
+        await this._runTransfer(rebalance, transfer);
+      }
+
+      rebalance.state = 'SWITCHING';
+      await apply();
+
+      // Writes that reached the old owners while streaming
+      rebalance.state = 'FINALIZING';
+      for (const transfer of rebalance.transfers) {
+        try {
+          await this._runTransfer(rebalance, transfer);
+        } catch (err) {
+          console.log(`[Rebalancer] Final round to ${transfer.target} failed: ${err.message} — anti-entropy will finish it`);
+        }
+      }
+
+      rebalance.state = 'COMPLETED';
+      console.log(`[Rebalancer] ✅ ${rebalance.type} ${rebalance.node} completed — ${rebalance.keysMoved} key(s) moved`);
+    } catch (err) {
+      rebalance.state = 'FAILED';
+      rebalance.error = err.message;
+      console.log(`[Rebalancer] ❌ ${rebalance.type} ${rebalance.node} failed: ${err.message} — routing unchanged`);
+    } finally {
+      rebalance.finishedAt = new Date().toISOString();
+      this.current = null;
+      this.history.unshift(rebalance);
+      this.history.length = Math.min(this.history.length, this.historySize);
+    }
+  }
+
+  // ─── Let the target pull its new ranges from the healthy previous owners ────
+  async _runTransfer(rebalance, transfer) {
+    const sources = transfer.sources.filter(n => this.isHealthy(n));
+    if (sources.length === 0) {
+      transfer.status = 'failed';
+      transfer.error = 'No healthy source holds these ranges';
+      throw new Error(`${transfer.target}: ${transfer.error}`);
+    }
+
+    const members = [transfer.target, ...sources].map(n => ({ node: n, url: rebalance.urls[n] }));
+    transfer.status = 'streaming';
+    transfer.error = null;
+
+    try {
+      const report = await this._catchUp(rebalance.urls[transfer.target], [{ ranges: transfer.ranges, members }]);
+      if (report.errors.length > 0) {
+        throw new Error(report.errors.map(e => `${e.peer}: ${e.error}`).join('; '));
+      }
+
+      transfer.keysPulled += report.keysPulled;
+      transfer.keysPushed += report.keysPushed;
+      rebalance.keysMoved += report.keysPulled;
+      transfer.status = 'done';
+    } catch (err) {
+      transfer.status = 'failed';
+      transfer.error = err.response?.data?.error || err.message;
+      throw new Error(`${transfer.target}: ${transfer.error}`);
+    }
+  }
+
+  // Broker catch-up, retried while the broker is busy with another anti-entropy run
+  async _catchUp(url, replicaSets) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await axios.post(`${url}/catch-up`, { replicaSets }, { timeout: CATCH_UP_TIMEOUT_MS });
+        return response.data.report;
+      } catch (err) {
+        if (err.response?.status !== 409 || attempt >= BUSY_RETRIES) throw err;
+        await new Promise(resolve => setTimeout(resolve, BUSY_RETRY_MS));
+      }
+    }
+  }
+
+  _view(rebalance) {
+    const { urls, transfers, ...rest } = rebalance;
+    return {
+      ...rest,
+      progress: {
+        transfersDone: transfers.filter(t => t.status === 'done').length,
+        transfersTotal: transfers.length,
+      },
+      transfers: transfers.map(({ ranges, ...t }) => ({ ...t, rangeCount: ranges.length })),
+    };
+  }
+
+  getStatus() {
+    return {
+      inProgress: this.current !== null,
+      current: this.current && this._view(this.current),
+      history: this.history.map(r => this._view(r)),
+    };
+  }
+}
+
+module.exports = { Rebalancer, RebalanceError };
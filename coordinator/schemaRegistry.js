@@ -0,0 +1,422 @@
+const COMPATIBILITY_MODES = ['backward', 'forward', 'full', 'none'];
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'format', 'deprecated', 'readOnly', 'writeOnly'];
+const KEYWORDS = [
+  'type', 'enum', 'const',
+  'minLength', 'maxLength', 'pattern',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'items', 'minItems', 'maxItems',
+  'properties', 'required', 'additionalProperties',
+];
+const MAX_ERRORS = 20;
+
+class SchemaError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.status = status;
+    // [{ path, message }] — what made the schema invalid or incompatible
+    this.details = details;
+  }
+}
+
+/**
+ * SchemaRegistry — versioned JSON Schemas for topic payloads.
+ *
+ * Each topic may have a list of schema versions (1, 2, …); messages produced
+ * to the topic must match the latest one and are stored with its version.
+ * Versions are recorded in the metadata log, so every coordinator validates
+ * against the same schemas.
+ *
+ * A new version must be compatible with the latest one, by the topic's mode:
+ *
+ *   backward — the new schema accepts data written with the previous one (default)
+ *   forward  — the previous schema accepts data written with the new one
+ *   full     — both
+ *   none     — no check
+ *
+ * Properties a schema does not declare are taken as absent, so adding an
+ * optional property is compatible both ways; adding a required one is only
+ * forward compatible, removing one only backward compatible.
+ *
+ * Supported keywords: type, enum, const, minLength, maxLength, pattern,
+ * minimum, maximum, exclusiveMinimum, exclusiveMaximum, items, minItems,
+ * maxItems, properties, required and additionalProperties. Annotations
+ * (title, description, format, …) are kept but not checked; a schema using
+ * any other keyword is refused rather than half-enforced.
+ */
+class SchemaRegistry {
+  constructor({ defaultCompatibility = 'backward' } = {}) {
+    this.defaultCompatibility = defaultCompatibility;
+
+    // topicName → { compatibility, versions: [{ version, schema, registeredAt }] }
+    this.subjects = new Map();
+  }
+
+  // ─── State machine: called for committed metadata log commands ─────────────
+  apply(command) {
+    switch (command.type) {
+      case 'schema_registered': {
+        const subject = this._subject(command.topic);
+        // Another version was registered after the leader checked this one
+        if (command.version !== subject.versions.length + 1) return null;
+        const entry = { version: command.version, schema: command.schema, registeredAt: command.registeredAt };
+        subject.versions.push(entry);
+        return describeVersion(command.topic, entry);
+      }
+
+      case 'schema_compatibility_set':
+        this._subject(command.topic).compatibility = command.compatibility;
+        return { topic: command.topic, compatibility: command.compatibility };
+    }
+    return null;
+  }
+
+  // ─── A new version: the command to propose, or the latest one if unchanged ─
+  // Throws SchemaError — 400 for an invalid schema, 409 for an incompatible one
+  register(topic, schema) {
+    SchemaRegistry.validateSchema(schema);
+    const latest = this.latest(topic);
+    if (latest && canonical(latest.schema) === canonical(schema)) {
+      return { existing: describeVersion(topic, latest) };
+    }
+
+    const problems = this.check(topic, schema);
+    if (problems.length > 0) {
+      const mode = this.compatibilityOf(topic);
+      throw new SchemaError(`Schema is not ${mode} compatible with version ${latest.version} of topic "${topic}"`, 409, problems);
+    }
+    return {
+      command: { type: 'schema_registered', topic, version: (latest?.version || 0) + 1, schema, registeredAt: new Date().toISOString() },
+    };
+  }
+
+  // ─── Compatibility problems of a candidate against the latest version ──────
+  check(topic, schema) {
+    SchemaRegistry.validateSchema(schema);
+    const latest = this.latest(topic);
+    const mode = this.compatibilityOf(topic);
+    if (!latest || mode === 'none') return [];
+
+    const problems = [];
+    if (mode === 'backward' || mode === 'full') {
+      for (const problem of readProblems(latest.schema, schema, '')) {
+        problems.push({ ...problem, message: `new schema cannot read version ${latest.version} data: ${problem.message}` });
+      }
+    }
+    if (mode === 'forward' || mode === 'full') {
+      for (const problem of readProblems(schema, latest.schema, '')) {
+        problems.push({ ...problem, message: `version ${latest.version} cannot read new schema data: ${problem.message}` });
+      }
+    }
+    return problems;
+  }
+
+  setCompatibility(topic, compatibility) {
+    if (!COMPATIBILITY_MODES.includes(compatibility)) {
+      throw new SchemaError(`compatibility must be one of ${COMPATIBILITY_MODES.join(', ')}`, 400);
+    }
+    return { type: 'schema_compatibility_set', topic, compatibility };
+  }
+
+  // ─── Check a payload against the topic's latest schema ────────────────────
+  // null when the topic has no schema, else { version, errors: [{ path, message }] }
+  validate(topic, payload) {
+    const latest = this.latest(topic);
+    if (!latest) return null;
+    const errors = [];
+    validateValue(latest.schema, payload, '', errors);
+    return { version: latest.version, errors: errors.slice(0, MAX_ERRORS) };
+  }
+
+  compatibilityOf(topic) {
+    return this.subjects.get(topic)?.compatibility || this.defaultCompatibility;
+  }
+
+  latest(topic) {
+    const versions = this.subjects.get(topic)?.versions || [];
+    return versions[versions.length - 1] || null;
+  }
+
+  get(topic, version) {
+    const entry = version === 'latest'
+      ? this.latest(topic)
+      : this.subjects.get(topic)?.versions.find(v => v.version === Number(version));
+    return entry ? describeVersion(topic, entry) : null;
+  }
+
+  describe(topic) {
+    const subject = this.subjects.get(topic);
+    if (!subject) return null;
+    return {
+      topic,
+      compatibility: subject.compatibility || this.defaultCompatibility,
+      latestVersion: this.latest(topic)?.version || null,
+      versions: subject.versions.map(({ version, registeredAt }) => ({ version, registeredAt })),
+    };
+  }
+
+  list() {
+    return [...this.subjects.keys()].map(topic => this.describe(topic));
+  }
+
+  _subject(topic) {
+    if (!this.subjects.has(topic)) this.subjects.set(topic, { compatibility: null, versions: [] });
+    return this.subjects.get(topic);
+  }
+
+  // ─── Throws SchemaError(400) listing every problem of a schema ─────────────
+  static validateSchema(schema) {
+    const problems = [];
+    checkSchema(schema, '', problems);
+    if (problems.length > 0) {
+      throw new SchemaError('Invalid schema', 400, problems.slice(0, MAX_ERRORS));
+    }
+  }
+}
+
+// ─── Schema structure ─────────────────────────────────────────────────────────
+function checkSchema(schema, path, problems) {
+  if (typeof schema === 'boolean') return;
+  if (!isObject(schema)) {
+    problems.push({ path, message: 'a schema must be an object or a boolean' });
+    return;
+  }
+
+  const invalid = message => problems.push({ path, message });
+  for (const keyword of Object.keys(schema)) {
+    if (!KEYWORDS.includes(keyword) && !ANNOTATIONS.includes(keyword)) invalid(`unsupported keyword "${keyword}"`);
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (types.length === 0 || types.some(t => !TYPES.includes(t))) invalid(`type must be one of ${TYPES.join(', ')} (or an array of them)`);
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) invalid('enum must be a non-empty array');
+  for (const keyword of ['minLength', 'maxLength', 'minItems', 'maxItems']) {
+    if (schema[keyword] !== undefined && !(Number.isInteger(schema[keyword]) && schema[keyword] >= 0)) invalid(`${keyword} must be a non-negative integer`);
+  }
+  for (const keyword of ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum']) {
+    if (schema[keyword] !== undefined && !Number.isFinite(schema[keyword])) invalid(`${keyword} must be a number`);
+  }
+  if (schema.pattern !== undefined) {
+    try {
+      compilePattern(schema.pattern);
+    } catch (err) {
+      invalid(`pattern is not a valid regular expression: ${err.message}`);
+    }
+  }
+
+  if (Array.isArray(schema.items)) invalid('items must be a single schema (tuples are not supported)');
+  else if (schema.items !== undefined) checkSchema(schema.items, `${path}/items`, problems);
+
+  if (schema.properties !== undefined) {
+    if (!isObject(schema.properties)) invalid('properties must be an object of schemas');
+    else for (const [name, property] of Object.entries(schema.properties)) checkSchema(property, `${path}/properties/${pointer(name)}`, problems);
+  }
+  if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some(r => typeof r !== 'string'))) {
+    invalid('required must be an array of property names');
+  }
+  if (schema.additionalProperties !== undefined) checkSchema(schema.additionalProperties, `${path}/additionalProperties`, problems);
+}
+
+// ─── Payload validation ───────────────────────────────────────────────────────
+function validateValue(schema, value, path, errors) {
+  if (errors.length >= MAX_ERRORS || schema === true) return;
+  const fail = message => errors.push({ path, message });
+  if (schema === false) return fail('no value is allowed here');
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) return fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+  }
+  if (schema.const !== undefined && canonical(value) !== canonical(schema.const)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum !== undefined && !schema.enum.some(option => canonical(option) === canonical(value))) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) fail(`must be at least ${schema.minLength} characters long`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters long`);
+    if (schema.pattern !== undefined && !compilePattern(schema.pattern).test(value)) fail(`must match pattern ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items !== undefined) value.forEach((item, i) => validateValue(schema.items, item, `${path}/${i}`, errors));
+  }
+
+  if (isObject(value)) {
+    for (const name of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, name)) fail(`missing required property "${name}"`);
+    }
+    const properties = schema.properties || {};
+    for (const [name, item] of Object.entries(value)) {
+      const itemPath = `${path}/${pointer(name)}`;
+      if (Object.prototype.hasOwnProperty.call(properties, name)) validateValue(properties[name], item, itemPath, errors);
+      else if (schema.additionalProperties === false) errors.push({ path: itemPath, message: 'is not an allowed property' });
+      else if (schema.additionalProperties !== undefined) validateValue(schema.additionalProperties, item, itemPath, errors);
+    }
+  }
+}
+
+// ─── Compatibility: can reader accept every value writer allows? ─────────────
+// Conservative: anything the two schemas do not make comparable (a changed
+// pattern, a constraint the writer leaves open) counts as a problem.
+function readProblems(writer, reader, path) {
+  if (writer === false || reader === true) return [];
+  if (reader === false) return [{ path, message: 'no value is accepted' }];
+  if (writer === true) writer = {};
+
+  // A writer limited to a few values: each of them must be accepted
+  const values = writer.const !== undefined ? [writer.const] : writer.enum;
+  if (values) {
+    return values
+      .filter(value => {
+        const errors = [];
+        validateValue(reader, value, '', errors);
+        return errors.length > 0;
+      })
+      .map(value => ({ path, message: `value ${JSON.stringify(value)} is not accepted` }));
+  }
+
+  const problems = [];
+  const problem = message => problems.push({ path, message });
+
+  if (reader.const !== undefined || reader.enum !== undefined) problem('only listed values are accepted, any value could be written');
+
+  const writerTypes = writer.type !== undefined ? [].concat(writer.type) : TYPES;
+  const readerTypes = reader.type !== undefined ? [].concat(reader.type) : TYPES;
+  const accepted = type => readerTypes.includes(type) || (type === 'integer' && readerTypes.includes('number'));
+  const rejected = writerTypes.filter(type => !accepted(type));
+  if (rejected.length > 0) problem(`type ${rejected.join(', ')} is not accepted`);
+  const writes = (...types) => types.some(type => writerTypes.includes(type) && accepted(type));
+
+  if (writes('string')) {
+    if (reader.minLength > (writer.minLength ?? 0)) problem(`minLength ${reader.minLength} is stricter than ${writer.minLength ?? 0}`);
+    if (reader.maxLength !== undefined && !(writer.maxLength <= reader.maxLength)) problem(`maxLength ${reader.maxLength} is stricter than ${writer.maxLength ?? 'none'}`);
+    if (reader.pattern !== undefined && reader.pattern !== writer.pattern) problem(`pattern ${reader.pattern} may reject strings written with ${writer.pattern ?? 'no pattern'}`);
+  }
+
+  if (writes('number', 'integer')) {
+    const lower = bound(writer, 'minimum', 'exclusiveMinimum', Math.max);
+    const readerLower = bound(reader, 'minimum', 'exclusiveMinimum', Math.max);
+    if (readerLower && (!lower || lower.value < readerLower.value || (lower.value === readerLower.value && readerLower.exclusive && !lower.exclusive))) {
+      problem(`lower bound ${describeBound(readerLower, '>')} is stricter than ${lower ? describeBound(lower, '>') : 'none'}`);
+    }
+    const upper = bound(writer, 'maximum', 'exclusiveMaximum', Math.min);
+    const readerUpper = bound(reader, 'maximum', 'exclusiveMaximum', Math.min);
+    if (readerUpper && (!upper || upper.value > readerUpper.value || (upper.value === readerUpper.value && readerUpper.exclusive && !upper.exclusive))) {
+      problem(`upper bound ${describeBound(readerUpper, '<')} is stricter than ${upper ? describeBound(upper, '<') : 'none'}`);
+    }
+  }
+
+  if (writes('array')) {
+    if (reader.minItems > (writer.minItems ?? 0)) problem(`minItems ${reader.minItems} is stricter than ${writer.minItems ?? 0}`);
+    if (reader.maxItems !== undefined && !(writer.maxItems <= reader.maxItems)) problem(`maxItems ${reader.maxItems} is stricter than ${writer.maxItems ?? 'none'}`);
+    problems.push(...readProblems(writer.items ?? true, reader.items ?? true, `${path}/items`));
+  }
+
+  if (writes('object')) {
+    const writerRequired = writer.required || [];
+    for (const name of reader.required || []) {
+      if (!writerRequired.includes(name)) problems.push({ path: `${path}/properties/${pointer(name)}`, message: `property "${name}" is required but may be missing` });
+    }
+
+    const writerProperties = writer.properties || {};
+    const readerProperties = reader.properties || {};
+    for (const [name, written] of Object.entries(writerProperties)) {
+      const propertyPath = `${path}/properties/${pointer(name)}`;
+      if (Object.prototype.hasOwnProperty.call(readerProperties, name)) {
+        problems.push(...readProblems(written, readerProperties[name], propertyPath));
+      } else if (reader.additionalProperties === false) {
+        problems.push({ path: propertyPath, message: `property "${name}" is not allowed` });
+      } else if (reader.additionalProperties !== undefined) {
+        problems.push(...readProblems(written, reader.additionalProperties, propertyPath));
+      }
+    }
+
+    if (reader.additionalProperties === false && writer.additionalProperties !== false) {
+      problem('additional properties are not allowed, but may be written');
+    } else if (isObject(reader.additionalProperties) && writer.additionalProperties !== false) {
+      problems.push(...readProblems(writer.additionalProperties ?? true, reader.additionalProperties, `${path}/additionalProperties`));
+    }
+  }
+
+  return problems;
+}
+
+// Tightest of an inclusive and an exclusive bound: { value, exclusive } or null
+function bound(schema, inclusiveKeyword, exclusiveKeyword, tighter) {
+  const inclusive = schema[inclusiveKeyword];
+  const exclusive = schema[exclusiveKeyword];
+  if (inclusive === undefined && exclusive === undefined) return null;
+  if (exclusive === undefined) return { value: inclusive, exclusive: false };
+  if (inclusive === undefined) return { value: exclusive, exclusive: true };
+  const value = tighter(inclusive, exclusive);
+  return { value, exclusive: value === exclusive };
+}
+
+function describeBound({ value, exclusive }, operator) {
+  return `${operator}${exclusive ? '' : '='} ${value}`;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+const patterns = new Map();
+
+function compilePattern(pattern) {
+  if (!patterns.has(pattern)) patterns.set(pattern, new RegExp(pattern, 'u'));
+  return patterns.get(pattern);
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return isObject(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// JSON with sorted object keys, so equal values compare equal
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// JSON Pointer escaping of one path segment
+function pointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function describeVersion(topic, { version, schema, registeredAt }) {
+  return { topic, version, schema, registeredAt };
+}
+
+module.exports = { SchemaRegistry, SchemaError, COMPATIBILITY_MODES };
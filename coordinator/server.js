@@ -2,245 +2,2530 @@ const express = require('express');
 const axios = require('axios');
 const HashRing = require('./hashRing');
 const HealthMonitor = require('./healthMonitor');
+const FailoverManager = require('./failoverManager');
+const TopicRegistry = require('./topicRegistry');
+const { GroupCoordinator, GroupError } = require('./groupCoordinator');
+const { Rebalancer, RebalanceError } = require('./rebalancer');
+const { RaftNode, NotLeaderError } = require('./raftNode');
+const { SubscriptionManager, SubscriptionError } = require('./subscriptionManager');
+const { QueueManager, QueueError } = require('./queueManager');
+const { TransactionManager, TransactionError } = require('./transactionManager');
+const Metrics = require('../shared/metrics');
+const Tracer = require('../shared/tracing');
+const { AccessControl, AuthError } = require('./accessControl');
+const { simulate, SimulationError } = require('./partitionSimulator');
+const { SchemaRegistry, SchemaError } = require('./schemaRegistry');
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 
 const REPLICATION_FACTOR = parseInt(process.env.REPLICATION_FACTOR || '3');
-const PORT = 7000;
+// Hand partitions back to a recovered node once it has caught up
+const FAILBACK = (process.env.FAILBACK || 'true') === 'true';
+const DEFAULT_PARTITIONS = parseInt(process.env.DEFAULT_PARTITIONS || '3');
+// Ack level used when neither the request nor the topic sets one (0 | 1 | quorum | all)
+const DEFAULT_ACKS = process.env.DEFAULT_ACKS || 'quorum';
+const ACK_TIMEOUT_MS = parseInt(process.env.ACK_TIMEOUT_MS || '5000');
+// Read consistency used when a consume request doesn't set one (one | quorum | all)
+const READ_CONSISTENCY_LEVELS = ['one', 'quorum', 'all'];
+const ISOLATION_LEVELS = ['read_uncommitted', 'read_committed'];
+const DEFAULT_READ_CONSISTENCY = process.env.DEFAULT_READ_CONSISTENCY || 'one';
+// Most messages / keys accepted by one /produce/batch or /consume/batch call
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE || '500');
+const PORT = parseInt(process.env.PORT || '7000');
+// This coordinator's id and the other coordinators it runs Raft with
+// COORDINATOR_PEERS format: "coordinator-2=http://coordinator-2:7000,..."
+const COORDINATOR_ID = process.env.COORDINATOR_ID || 'coordinator';
+const COORDINATOR_PEERS = (process.env.COORDINATOR_PEERS || '')
+  .split(',')
+  .map(entry => entry.trim().split('='))
+  .filter(([id, url]) => id && url)
+  .map(([id, url]) => ({ id, url }));
+// Shared secret of coordinators and brokers; sent on every call between them
+const CLUSTER_TOKEN = process.env.CLUSTER_TOKEN || '';
+if (CLUSTER_TOKEN) axios.defaults.headers.common['X-Cluster-Token'] = CLUSTER_TOKEN;
+
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+// Served in Prometheus text format from GET /metrics; gauges that mirror
+// cluster state are registered next to that route and read at scrape time
+const metrics = new Metrics({ defaultLabels: { coordinator: COORDINATOR_ID } });
+app.use(metrics.httpMiddleware());
+
+const producedMessages = metrics.counter('produced_messages_total', 'Messages produced through this coordinator, by kind (key | topic | transaction) and result');
+const consumedMessages = metrics.counter('consumed_messages_total', 'Messages returned to consumers by this coordinator, by kind (key | topic | queue)');
+const healthChecks = metrics.counter('health_checks_total', 'Broker health checks, by node and result (ok | failed)');
+const healthCheckDuration = metrics.histogram('health_check_duration_seconds', 'Broker health check latency in seconds, by node');
+
+// ─── Tracing ──────────────────────────────────────────────────────────────────
+// Client requests are traced through every broker and coordinator they reach;
+// GET /trace/:id gathers the spans. Background work (health checks, Raft,
+// anti-entropy) is not traced.
+const tracer = new Tracer({
+  serviceName: 'coordinator',
+  instanceId: COORDINATOR_ID,
+  maxTraces: parseInt(process.env.TRACE_BUFFER_SIZE || '1000'),
+});
+app.use(tracer.httpMiddleware({ ignore: [/^\/health$/, /^\/metrics$/, /^\/raft\//, /^\/trace\//, /^\/subscribe$/] }));
+tracer.instrument(axios);
+
+// " [trace <id>]" for log lines written while handling a traced request
+function traceTag() {
+  const traceId = tracer.currentTraceId();
+  return traceId ? ` [trace ${traceId}]` : '';
+}
 
 // ─── Build Hash Ring from environment ────────────────────────────────────────
 // BROKER_NODES format: "node-a=http://node-a:5000,node-b=http://node-b:5000,..."
-const ring = new HashRing(150);
+// Each entry may add ";zone=<zone or rack>" and ";weight=<capacity>" (default
+// 1), e.g. "node-a=http://node-a:5000;zone=eu-1a;weight=2".
+// PARTITIONER (consistent | rendezvous | jump) picks how keys are spread over
+// them; it has to be the same on every coordinator and stay the same once
+// data is stored. rendezvous and jump use PARTITION_SLOTS equal ranges.
+const ring = new HashRing(150, {
+  partitioner: process.env.PARTITIONER || 'consistent',
+  slotCount: parseInt(process.env.PARTITION_SLOTS || '1024'),
+});
+
+// "name=url;zone=...;weight=..." → { name, url, zone, weight }
+function parseBrokerEntry(entry) {
+  const [node, ...options] = entry.trim().split(';');
+  const separator = node.indexOf('=');
+  if (separator === -1) return {};
+  const broker = { name: node.slice(0, separator), url: node.slice(separator + 1) };
+  for (const option of options) {
+    const [key, value] = option.split('=').map(part => part.trim());
+    if (key === 'zone') broker.zone = value;
+    else if (key === 'weight') broker.weight = Number(value);
+    else throw new Error(`Unknown option "${key}" for broker ${broker.name}`);
+  }
+  return broker;
+}
+
+const brokerNodesEnv = process.env.BROKER_NODES || '';
+brokerNodesEnv.split(',').filter(entry => entry.trim()).forEach(entry => {
+  const { name, url, zone, weight } = parseBrokerEntry(entry);
+  if (name && url) {
+    ring.addNode(name, url, { zone, weight });
+    console.log(`[Coordinator] Registered broker: ${name} → ${url} (zone ${ring.getNodeZone(name)}, weight ${weight ?? 1})`);
+  }
+});
+
+// ─── Topics ───────────────────────────────────────────────────────────────────
+// Topics are auto-created with DEFAULT_PARTITIONS on first produce
+const topics = new TopicRegistry({ defaultPartitions: DEFAULT_PARTITIONS });
+// Versioned payload schemas per topic, checked on every produce
+const schemas = new SchemaRegistry();
+
+// ─── Failover State ───────────────────────────────────────────────────────────
+// Tracks failover events; the failover manager knows which node currently
+// serves each ring range
+const failoverEvents = [];
+const failover = new FailoverManager({ ring, replicationFactor: REPLICATION_FACTOR });
+
+// Leadership epoch: a new one is issued for every promotion (failover or
+// failback) and sent along with every write. Brokers refuse writes carrying
+// an older epoch, which fences off a primary that was only partitioned away.
+let clusterEpoch = 0;
+
+// Drained brokers: out of the ring (no data, no traffic) but not forgotten yet
+const drainedNodes = new Map();
+
+// Idempotent producers, by id. Ids come from the metadata log so they stay
+// unique across coordinator failover; brokers deduplicate on (id, sequence).
+const producers = new Map();
+let lastProducerId = 0;
+
+// Transactions (two-phase commit across primaries), recorded in the metadata
+// log so a new leader can finish or abort what the old one started
+const transactions = new TransactionManager({
+  propose: command => raft.propose(command),
+  compact: (logIndex, command) => raft.compact(logIndex, command),
+  isLeader: () => raft.isLeader(),
+  route: routingKey => resolveRoute(routingKey),
+  nodeUrl: nodeName => ring.getNodeUrl(nodeName),
+  epoch: () => clusterEpoch,
+  ackTimeoutMs: ACK_TIMEOUT_MS,
+  retryIntervalMs: parseInt(process.env.TXN_RETRY_INTERVAL_MS || '5000'),
+  timeoutMs: parseInt(process.env.TXN_TIMEOUT_MS || '30000'),
+});
+transactions.start();
+
+// ─── Cluster Metadata (Raft) ──────────────────────────────────────────────────
+// Coordinators elect a leader and replicate every change to the ring, topics
+// and failover state as a command in a shared log. Each coordinator applies
+// committed commands in order, so any of them can route reads and take over
+// as leader without losing topology. Only the leader runs health checks,
+// failover, rebalancing and consumer groups; followers forward those requests.
+function applyCommand(command, logIndex) {
+  switch (command.type) {
+    case 'topic_created':
+      return topics.create(command.name, { partitions: command.partitions, config: command.config, createdAt: command.createdAt });
+
+    case 'topic_config_updated':
+      return topics.updateConfig(command.name, command.config);
+
+    case 'broker_added':
+      ring.addNode(command.name, command.url, { zone: command.zone, weight: command.weight });
+      monitor.addNode(command.name);
+      drainedNodes.delete(command.name);
+      return null;
+
+    case 'broker_removed':
+      ring.removeNode(command.name);
+      monitor.removeNode(command.name);
+      failover.forget(command.name);
+      if (command.drained) drainedNodes.set(command.name, command.url);
+      return null;
+
+    case 'drained_broker_forgotten':
+      drainedNodes.delete(command.name);
+      return null;
+
+    case 'node_failed': {
+      const result = failover.failNode(command.nodeName, new Set(command.healthyNodes), command.timestamp);
+      if (result.promoted.length > 0) {
+        clusterEpoch++;
+        const promotions = {};
+        for (const { to } of result.promoted) promotions[to] = (promotions[to] || 0) + 1;
+        failoverEvents.push({
+          type: 'failover',
+          failedNode: command.nodeName,
+          rangesPromoted: result.promoted.length,
+          rangesUnassigned: result.unassigned.length,
+          promotions,
+          epoch: clusterEpoch,
+          timestamp: command.timestamp,
+        });
+      }
+      return { ...result, epoch: clusterEpoch };
+    }
+
+    case 'epoch_issued':
+      clusterEpoch++;
+      return clusterEpoch;
+
+    case 'epoch_synced':
+      clusterEpoch = Math.max(clusterEpoch, command.epoch);
+      return clusterEpoch;
+
+    case 'node_available':
+      failover.markAvailable(command.nodeName);
+      return null;
+
+    case 'failback_started':
+      clusterEpoch++;
+      return { promotions: failover.startFailBack(command.nodeName), epoch: clusterEpoch };
+
+    case 'failback_aborted':
+      failover.abortFailBack(command.nodeName);
+      return null;
+
+    case 'failed_back':
+      return failover.failBack(command.nodeName);
+
+    case 'failover_event_recorded':
+      failoverEvents.push(command.event);
+      return null;
+
+    case 'producer_registered': {
+      const producer = { producerId: ++lastProducerId, name: command.name || null, registeredAt: command.registeredAt };
+      producers.set(producer.producerId, producer);
+      return producer;
+    }
+
+    case 'txn_begun':
+    case 'txn_decided':
+    case 'txn_completed':
+      return transactions.apply(command, logIndex);
+
+    case 'api_key_created':
+    case 'api_key_revoked':
+      return access.apply(command);
+
+    case 'schema_registered':
+    case 'schema_compatibility_set':
+      return schemas.apply(command);
+
+    default:
+      throw new Error(`Unknown metadata command "${command.type}"`);
+  }
+}
+
+const raft = new RaftNode({
+  id: COORDINATOR_ID,
+  peers: COORDINATOR_PEERS,
+  dataDir: process.env.DATA_DIR || './data',
+  apply: applyCommand,
+
+  onLeaderReady: () => {
+    // Nodes still failed over in the replicated state are re-checked; the
+    // ones that are back go through catch-up and failback as usual
+    monitor.start();
+    for (const nodeName of failover.getStatus().unavailableNodes) monitor.markFailedOver(nodeName);
+    publishReplicaSets();
+    publishRetentionPolicies();
+    syncEpochWithBrokers();
+    // Failbacks the previous leader started are run again from the start
+    for (const nodeName of failover.getStatus().failingBack) {
+      failBackInBackground(nodeName, { keysPulled: 0, keysPushed: 0, durationMs: 0 });
+    }
+    // Transactions left undecided by the previous leader can no longer commit
+    transactions.resume({ abortPreparing: true });
+  },
+
+  onStepDown: () => {
+    monitor.stop();
+    queues.reset();
+    groups.reset();
+  },
+});
+
+// ─── Helper: nodes among the given ones that answer their health check ──────
+async function findHealthyNodes(nodeNames) {
+  const healthy = new Set();
+  await Promise.all(nodeNames.map(async (nodeName) => {
+    try {
+      await axios.get(`${ring.getNodeUrl(nodeName)}/health`, { timeout: 2000 });
+      healthy.add(nodeName);
+    } catch {
+      console.log(`[Coordinator] Candidate ${nodeName} also unhealthy, skipping`);
+    }
+  }));
+  return healthy;
+}
+
+// ─── Health Monitor ──────────────────────────────────────────────────────────
+const monitor = new HealthMonitor({
+  ring,
+  checkIntervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS || '5000'),
+  failureThreshold: parseInt(process.env.HEALTH_FAILURE_THRESHOLD || '3'),
+
+  onCheck: (nodeName, ok, seconds) => {
+    healthChecks.inc({ node: nodeName, result: ok ? 'ok' : 'failed' });
+    healthCheckDuration.observe({ node: nodeName }, seconds);
+  },
+
+  onFailure: async (failedNode) => {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`[Coordinator] 🔴 FAILOVER TRIGGERED for ${failedNode}`);
+    console.log(`${'='.repeat(60)}`);
+
+    // Each range the node served goes to the first healthy node of that
+    // range's own replica list, so only nodes that hold its data take over
+    const healthyNodes = await findHealthyNodes(ring.getAllNodeNames().filter(n => n !== failedNode));
+    let promoted;
+    let unassigned;
+    let epoch;
+    try {
+      ({ promoted, unassigned, epoch } = await raft.propose({
+        type: 'node_failed',
+        nodeName: failedNode,
+        healthyNodes: [...healthyNodes],
+        timestamp: new Date().toISOString(),
+      }));
+    } catch (err) {
+      console.log(`[Coordinator] Could not record failover of ${failedNode}: ${err.message}`);
+      return;
+    }
+
+    if (unassigned.length > 0) {
+      console.log(`[Coordinator] 🚨 No healthy replica for ${unassigned.length} of ${failedNode}'s ranges. System degraded.`);
+    }
+    if (promoted.length === 0) return;
+
+    // Tell every node that took over ranges that it is now primary for them
+    const promotions = {};
+    for (const { to } of promoted) promotions[to] = (promotions[to] || 0) + 1;
+
+    for (const [promotedNode, rangeCount] of Object.entries(promotions)) {
+      try {
+        await axios.post(`${ring.getNodeUrl(promotedNode)}/promote`, { epoch, failedNode, rangeCount });
+      } catch (err) {
+        console.log(`[Coordinator] Failed to send promote signal to ${promotedNode}: ${err.message}`);
+      }
+    }
+    await fenceBrokers(epoch, [failedNode, ...Object.keys(promotions)]);
+
+    monitor.markFailedOver(failedNode);
+
+    for (const [promotedNode, rangeCount] of Object.entries(promotions)) {
+      console.log(`[Coordinator] ✅ ${promotedNode} promoted as primary for ${rangeCount} of ${failedNode}'s ranges (epoch ${epoch})`);
+    }
+    console.log(`${'='.repeat(60)}\n`);
+  },
+
+  onRecovery: async (recoveredNode) => {
+    console.log(`[Coordinator] 🟢 ${recoveredNode} has recovered — starting catch-up.`);
+
+    // Deliver the writes other brokers held back while it was down, then let
+    // the node pull whatever else it missed from the current owners
+    await replayHintsTo(recoveredNode);
+    await catchUpNode(recoveredNode);
+  },
+});
+
+// ─── Anti-Entropy ─────────────────────────────────────────────────────────────
+// Brokers repair drift themselves by comparing Merkle trees with the other
+// members of each replica set they belong to; the coordinator only tells
+// them which ring ranges and peers those are (and re-sends it periodically so
+// restarted brokers pick it up).
+const ANTI_ENTROPY_PUBLISH_MS = parseInt(process.env.ANTI_ENTROPY_PUBLISH_MS || '30000');
+
+async function publishReplicaSets() {
+  const sets = ring.getReplicaSets(REPLICATION_FACTOR);
+
+  for (const nodeName of ring.getAllNodeNames()) {
+    const replicaSets = sets
+      .filter(set => set.nodes.includes(nodeName))
+      .map(set => ({
+        ranges: set.ranges,
+        members: set.nodes.map(n => ({ node: n, url: ring.getNodeUrl(n) })),
+      }));
+
+    try {
+      await axios.put(`${ring.getNodeUrl(nodeName)}/anti-entropy/assignment`, { replicaSets }, { timeout: 5000 });
+    } catch (err) {
+      console.log(`[Coordinator] Could not send replica sets to ${nodeName}: ${err.message}`);
+    }
+  }
+}
+
+setInterval(() => raft.ready && publishReplicaSets(), ANTI_ENTROPY_PUBLISH_MS);
+
+// ─── Retention ────────────────────────────────────────────────────────────────
+// Brokers apply topic retention (TTL, size / count limits, compaction) on
+// their own schedule; the coordinator only keeps them supplied with the
+// policies, on every change and periodically for restarted brokers.
+async function publishRetentionPolicies() {
+  const policies = topics.retentionPolicies();
+  await Promise.all(ring.getAllNodeNames().map(async nodeName => {
+    try {
+      await axios.put(`${ring.getNodeUrl(nodeName)}/retention/policies`, { topics: policies }, { timeout: 5000 });
+    } catch (err) {
+      console.log(`[Coordinator] Could not send retention policies to ${nodeName}: ${err.message}`);
+    }
+  }));
+}
+
+setInterval(() => raft.ready && publishRetentionPolicies(), ANTI_ENTROPY_PUBLISH_MS);
+
+// ─── Recovery: catch-up and failback ─────────────────────────────────────────
+const CATCH_UP_RETRY_MS = 5000;
+
+// Replica sets containing the node, with its healthy members as peers —
+// ranges are only ever promoted within their own replica set, so these
+// include every node that took writes in its place
+function catchUpReplicaSets(nodeName) {
+  return ring.getReplicaSets(REPLICATION_FACTOR)
+    .filter(set => set.nodes.includes(nodeName))
+    .map(set => {
+      const members = set.nodes.filter(n => n === nodeName || monitor.getNodeStatus(n) === 'HEALTHY');
+      return { ranges: set.ranges, members: members.map(n => ({ node: n, url: ring.getNodeUrl(n) })) };
+    });
+}
+
+// Catch-up and failback run in the background, started by the health
+// monitor, timers and leader changes: an unexpected error is logged and the
+// step retried instead of becoming an unhandled rejection
+function catchUpInBackground(nodeName) {
+  catchUpNode(nodeName).catch(err => {
+    console.log(`[Coordinator] Catch-up of ${nodeName} failed: ${err.message} — retrying`);
+    setTimeout(() => catchUpInBackground(nodeName), CATCH_UP_RETRY_MS);
+  });
+}
+
+function failBackInBackground(nodeName, catchUp) {
+  failBack(nodeName, catchUp).catch(err => {
+    console.log(`[Coordinator] Failback of ${nodeName} failed: ${err.message} — retrying`);
+    retryFailBack(nodeName, catchUp);
+  });
+}
+
+function retryFailBack(nodeName, catchUp) {
+  setTimeout(() => {
+    const due = raft.isLeader() && monitor.getNodeStatus(nodeName) === 'HEALTHY' && failover.promotionsFor(nodeName).length > 0;
+    if (due) failBackInBackground(nodeName, catchUp);
+  }, CATCH_UP_RETRY_MS);
+}
+
+async function runCatchUp(nodeName) {
+  const response = await axios.post(
+    `${ring.getNodeUrl(nodeName)}/catch-up`,
+    { replicaSets: catchUpReplicaSets(nodeName) },
+    { timeout: 120000 }
+  );
+  return response.data.report;
+}
+
+async function catchUpNode(nodeName) {
+  if (!raft.ready || monitor.getNodeStatus(nodeName) !== 'CATCHING_UP') return;
+
+  let report;
+  try {
+    report = await runCatchUp(nodeName);
+    if (report.errors.length > 0) throw new Error(report.errors.map(e => `${e.peer}: ${e.error}`).join('; '));
+  } catch (err) {
+    console.log(`[Coordinator] Catch-up of ${nodeName} incomplete (${err.response?.data?.error || err.message}) — retrying`);
+    setTimeout(() => catchUpInBackground(nodeName), CATCH_UP_RETRY_MS);
+    return;
+  }
+
+  console.log(`[Coordinator] ${nodeName} caught up: pulled ${report.keysPulled}, pushed ${report.keysPushed} key(s)`);
+  try {
+    await raft.propose({ type: 'node_available', nodeName });
+  } catch (err) {
+    console.log(`[Coordinator] Could not record recovery of ${nodeName}: ${err.message} — retrying`);
+    setTimeout(() => catchUpInBackground(nodeName), CATCH_UP_RETRY_MS);
+    return;
+  }
+  monitor.markInSync(nodeName, { keysPulled: report.keysPulled, keysPushed: report.keysPushed });
+
+  const catchUp = { keysPulled: report.keysPulled, keysPushed: report.keysPushed, durationMs: report.durationMs };
+  const promotions = failover.promotionsFor(nodeName);
+  if (FAILBACK && promotions.length > 0) {
+    failBackInBackground(nodeName, catchUp);
+  } else {
+    await recordFailoverEvent({ type: 'recovery', recoveredNode: nodeName, catchUp, timestamp: new Date().toISOString() });
+    if (promotions.length > 0) {
+      console.log(`[Coordinator] FAILBACK disabled — ${promotions.length} of ${nodeName}'s ranges stay with their promoted nodes`);
+    }
+  }
+}
+
+// ─── Helper: tell brokers about a new epoch so they fence the old primary ────
+// Returns the nodes that could not be fenced
+async function fenceBrokers(epoch, exclude = []) {
+  const targets = ring.getAllNodeNames().filter(n => !exclude.includes(n));
+  const unfenced = [];
+  await Promise.all(targets.map(nodeName =>
+    axios.post(`${ring.getNodeUrl(nodeName)}/fence`, { epoch }, { timeout: 2000 })
+      .catch(err => {
+        unfenced.push(nodeName);
+        console.log(`[Coordinator] Could not fence ${nodeName} at epoch ${epoch}: ${err.message}`);
+      })
+  ));
+  return unfenced;
+}
+
+// ─── Helper: never issue epochs below one a broker has already seen ─────────
+// (e.g. coordinators started with fresh metadata next to existing brokers)
+async function syncEpochWithBrokers() {
+  let highest = 0;
+  await Promise.all(ring.getAllNodeNames().map(async (nodeName) => {
+    try {
+      const { data } = await axios.get(`${ring.getNodeUrl(nodeName)}/health`, { timeout: 2000 });
+      highest = Math.max(highest, data.epoch || 0);
+    } catch {
+      // Unreachable brokers are fenced when they take a write again
+    }
+  }));
+
+  if (highest > clusterEpoch) {
+    try {
+      await raft.propose({ type: 'epoch_synced', epoch: highest });
+      console.log(`[Coordinator] Cluster epoch raised to ${clusterEpoch} to match the brokers`);
+    } catch (err) {
+      console.log(`[Coordinator] Could not sync epoch with brokers: ${err.message}`);
+    }
+  }
+}
+
+async function recordFailoverEvent(event) {
+  try {
+    await raft.propose({ type: 'failover_event_recorded', event });
+  } catch (err) {
+    console.log(`[Coordinator] Could not record ${event.type} event: ${err.message}`);
+  }
+}
+
+// Give ownership of its ranges back to the original primary. Writes to those
+// ranges are refused (503, retryable) from failback_started until failed_back,
+// so the promoted nodes and the original primary never take writes for one
+// range at the same time:
+//   1. failback_started issues a new epoch and stops routing writes there
+//   2. every other broker is fenced at that epoch, so writes routed to the
+//      promoted nodes earlier (which carry an older epoch) are refused now
+//   3. the original primary is promoted and pulls what the promoted nodes
+//      took since its catch-up — after 2 nothing new can arrive there
+//   4. failed_back switches the ranges back
+// If 2 or 3 fails the promoted nodes keep the ranges and failback is retried.
+async function failBack(nodeName, catchUp) {
+  let started;
+  try {
+    started = await raft.propose({ type: 'failback_started', nodeName });
+  } catch (err) {
+    console.log(`[Coordinator] Could not start failback of ${nodeName}: ${err.message}`);
+    return;
+  }
+  const { epoch } = started;
+  const promotedNodes = [...new Set(started.promotions.map(p => p.promotedNode))];
+
+  try {
+    const unfenced = (await fenceBrokers(epoch, [nodeName])).filter(n => promotedNodes.includes(n));
+    if (unfenced.length > 0) throw new Error(`could not fence ${unfenced.join(', ')}`);
+    await axios.post(`${ring.getNodeUrl(nodeName)}/promote`, { epoch });
+    const delta = await runCatchUp(nodeName);
+    if (delta.errors.length > 0) throw new Error(delta.errors.map(e => `${e.peer}: ${e.error}`).join('; '));
+    catchUp.keysPulled += delta.keysPulled;
+  } catch (err) {
+    console.log(`[Coordinator] Failback of ${nodeName} aborted — ${err.response?.data?.error || err.message} — retrying`);
+    await abortFailBack(nodeName);
+    retryFailBack(nodeName, catchUp);
+    return;
+  }
+
+  let returned;
+  try {
+    returned = await raft.propose({ type: 'failed_back', nodeName });
+  } catch (err) {
+    console.log(`[Coordinator] Could not record failback of ${nodeName}: ${err.message}`);
+    return;
+  }
+  const promotions = {};
+  for (const { promotedNode } of returned) promotions[promotedNode] = (promotions[promotedNode] || 0) + 1;
+
+  await recordFailoverEvent({
+    type: 'failback',
+    failedNode: nodeName,
+    rangesReturned: returned.length,
+    promotions,
+    epoch,
+    catchUp,
+    timestamp: new Date().toISOString(),
+  });
+  console.log(`[Coordinator] ↩️  Failed back: ${nodeName} is primary again for ${returned.length} range(s) (from ${Object.keys(promotions).join(', ')})`);
+}
+
+// The promoted nodes take writes again, now under the failback's epoch
+async function abortFailBack(nodeName) {
+  try {
+    await raft.propose({ type: 'failback_aborted', nodeName });
+  } catch (err) {
+    console.log(`[Coordinator] Could not record aborted failback of ${nodeName}: ${err.message}`);
+  }
+}
+
+// ─── Helper: current primary + replicas for a key or partition routing key ───
+// The epoch is the one the route was decided under; writes carry it, so a
+// primary that lost the range in the meantime refuses them
+function resolveRoute(routingKey) {
+  return { ...failover.route(routingKey), epoch: clusterEpoch };
+}
+
+// ─── Helper: writes to a range wait until its failback is done ───────────────
+class RangeUnavailableError extends Error {
+  constructor(message, status = 503) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function checkWritable(route) {
+  if (route.handingBack) {
+    throw new RangeUnavailableError(`This range is failing back to ${route.rawPrimary} — retry shortly`);
+  }
+}
+
+// ─── Helper: send a write to the route's primary, which replicates it ────────
+// With acks=0 the request is fired and not awaited. Otherwise the primary
+// answers once the ack level is met, or with 503 + per-replica detail if not.
+async function storeOnPrimary(route, body, acks) {
+  checkWritable(route);
+  const primaryUrl = ring.getNodeUrl(route.primary);
+  const replicaUrls = route.replicas.map(n => ring.getNodeUrl(n)).filter(Boolean);
+  const request = { ...body, replicateTo: replicaUrls, acks, ackTimeoutMs: ACK_TIMEOUT_MS, epoch: route.epoch };
+
+  if (acks === '0') {
+    axios.post(`${primaryUrl}/store`, request)
+      .catch(err => console.log(`[Coordinator] acks=0 write to ${route.primary} failed: ${err.message}`));
+    return { acks, replicationResults: [] };
+  }
+
+  const response = await axios.post(`${primaryUrl}/store`, request, { timeout: ACK_TIMEOUT_MS + 2000 });
+  return response.data;
+}
+
+// ─── Helper: write a keyed message to its primary (which replicates it) ──────
+async function storeKey(key, payload, { route = resolveRoute(key), acks = DEFAULT_ACKS, producer = {}, ttlMs } = {}) {
+  const result = await storeOnPrimary(route, { key, payload, ...producer, ...(ttlMs !== undefined && { ttlMs }) }, acks);
+  return { ...route, ...result };
+}
+
+// ─── Helper: send several writes owned by one primary in a single /store ─────
+// items: [{ route, body }]; the broker answers with one result per item.
+async function storeBatchOnPrimary(primary, items, acks) {
+  const request = {
+    entries: items.map(({ route, body }) => ({
+      ...body,
+      replicateTo: route.replicas.map(n => ring.getNodeUrl(n)).filter(Boolean),
+    })),
+    acks,
+    ackTimeoutMs: ACK_TIMEOUT_MS,
+    epoch: Math.min(...items.map(({ route }) => route.epoch)),
+  };
+
+  if (acks === '0') {
+    axios.post(`${ring.getNodeUrl(primary)}/store`, request)
+      .catch(err => console.log(`[Coordinator] acks=0 batch to ${primary} failed: ${err.message}`));
+    return items.map(() => ({ success: true, acks, replicationResults: [] }));
+  }
+
+  const response = await axios.post(`${ring.getNodeUrl(primary)}/store`, request, { timeout: ACK_TIMEOUT_MS + 2000 });
+  return response.data.results;
+}
+
+// ─── Helper: idempotent producer fields of a produce request ────────────────
+// { producerId, sequence } to pass on to the primary, or {} for a plain
+// producer; throws when they are invalid.
+function producerFields({ producerId, sequence }) {
+  if (producerId === undefined) return {};
+  if (!producers.has(producerId)) {
+    throw new Error(`Unknown producerId ${producerId} — register with POST /producers first`);
+  }
+  if (!Number.isInteger(sequence) || sequence < 0) {
+    throw new Error('sequence must be a non-negative integer when producerId is set');
+  }
+  return { producerId, sequence };
+}
+
+// ─── Helper: validate the TTL of a keyed message (undefined = never expires) ─
+function ttlFor({ ttlMs, topic }) {
+  if (ttlMs === undefined) return undefined;
+  if (topic !== undefined) throw new Error('ttlMs only applies to keyed messages — set retentionMs on the topic instead');
+  if (!Number.isInteger(ttlMs) || ttlMs < 1) throw new Error('ttlMs must be a positive integer');
+  return ttlMs;
+}
+
+// ─── Helper: check a topic message against the topic's latest schema ─────────
+// Returns the version to stamp on the stored message (undefined when the
+// topic has no schema); throws SchemaError(400) listing every mismatch.
+function schemaVersionFor(topicName, payload) {
+  const result = schemas.validate(topicName, payload);
+  if (!result) return undefined;
+  if (result.errors.length > 0) {
+    throw new SchemaError(`payload does not match schema version ${result.version} of topic "${topicName}"`, 400, result.errors);
+  }
+  return result.version;
+}
+
+function sendSchemaError(res, err) {
+  res.status(err.status).json({ success: false, error: err.message, ...(err.details && { details: err.details }) });
+}
+
+// Keyless messages are spread round-robin, but a retry of an idempotent
+// write has to reach the partition the first attempt went to
+function partitionFor(topic, key, producer) {
+  if (key === undefined && producer.producerId !== undefined) {
+    return topics.selectPartition(topic.name, `${producer.producerId}:${producer.sequence}`);
+  }
+  return topics.selectPartition(topic.name, key);
+}
+
+// ─── Helper: reject a write carrying an epoch older than the cluster's ──────
+function sendStaleEpoch(res, epoch) {
+  console.log(`[Coordinator] Rejected write with stale epoch ${epoch} (current ${clusterEpoch})`);
+  res.status(409).json({
+    success: false,
+    staleEpoch: true,
+    epoch: clusterEpoch,
+    error: `Stale epoch ${epoch} — leadership changed (current epoch ${clusterEpoch}); re-route and retry`,
+  });
+}
+
+// ─── Helper: turn a failed write into a produce error response ───────────────
+function sendProduceError(res, err, primary, context) {
+  if (err instanceof RangeUnavailableError) {
+    return res.status(err.status).json({ ...context, success: false, primary, retryable: true, error: err.message });
+  }
+  const data = err.response?.data;
+
+  if (data?.acks) {
+    // The primary has the message but too few replicas confirmed it in time
+    console.log(`[Coordinator] Write on ${primary} did not reach acks=${data.acks}: ${data.acknowledged}/${data.requiredAcks} copies${traceTag()}`);
+    return res.status(503).json({ ...context, ...data, success: false, primary });
+  }
+  if (err.response) {
+    return res.status(err.response.status).json({ ...context, success: false, primary, error: data?.error || err.message });
+  }
+
+  console.log(`[Coordinator] Primary ${primary} unreachable: ${err.message}${traceTag()}`);
+  res.status(503).json({ ...context, success: false, error: `Primary broker ${primary} is unreachable` });
+}
+
+// ─── Helper: read a keyed message from the primary, falling back to replicas ─
+async function fetchKey(key, route = resolveRoute(key)) {
+  for (const nodeName of [route.primary, ...route.replicas]) {
+    const url = ring.getNodeUrl(nodeName);
+    if (!url) continue;
+
+    try {
+      const response = await axios.get(`${url}/fetch/${encodeURIComponent(key)}`, { timeout: 2000 });
+      if (response.data.success) {
+        return { data: response.data, servedBy: nodeName, source: nodeName === route.rawPrimary ? 'primary' : 'replica' };
+      }
+    } catch (err) {
+      if (err.response?.status === 404) continue;
+      console.log(`[Coordinator] Node ${nodeName} unreachable when consuming key="${key}", trying next...`);
+    }
+  }
+  return null;
+}
+
+// ─── Helper: versions are { epoch, counter }; a higher epoch always wins ──────
+function compareVersions(a = { epoch: 0, counter: 0 }, b = { epoch: 0, counter: 0 }) {
+  if (a.epoch !== b.epoch) return a.epoch - b.epoch;
+  return a.counter - b.counter;
+}
+
+// ─── Helper: read a topic partition from its primary, falling back to replicas ─
+// isolation=read_committed hides messages of undecided and aborted transactions
+async function readPartition(topicName, partition, offset, limit, isolation = 'read_uncommitted') {
+  const { rawPrimary, primary, replicas } = resolveRoute(TopicRegistry.routingKey(topicName, partition));
+
+  for (const nodeName of [primary, ...replicas]) {
+    const url = ring.getNodeUrl(nodeName);
+    if (!url) continue;
+
+    try {
+      const response = await axios.get(`${url}/read/${encodeURIComponent(topicName)}/${partition}`, {
+        params: { offset, limit, isolation },
+        timeout: 2000,
+      });
+      return { data: response.data, servedBy: nodeName, source: nodeName === rawPrimary ? 'primary' : 'replica' };
+    } catch {
+      console.log(`[Coordinator] Node ${nodeName} unreachable when reading ${topicName}/${partition}, trying next...`);
+    }
+  }
+  return null;
+}
+
+// ─── Helper: read a keyed message at a given consistency level ──────────────
+// "one" returns the first copy found. "quorum" and "all" ask every replica in
+// parallel, need a majority / all of them to answer, return the newest version
+// and write it back (read-repair) to any replica holding an older copy or none.
+// Returns null when no replica has the key, { unavailable } when too few answered.
+async function readKey(key, consistency, route = resolveRoute(key)) {
+  if (consistency === 'one') {
+    const found = await fetchKey(key, route);
+    return found && { ...found, readRepair: [] };
+  }
+
+  const nodes = [route.primary, ...route.replicas];
+  const required = consistency === 'all' ? nodes.length : Math.floor(nodes.length / 2) + 1;
+
+  const responses = await Promise.all(nodes.map(async nodeName => {
+    try {
+      const response = await axios.get(`${ring.getNodeUrl(nodeName)}/fetch/${encodeURIComponent(key)}`, { timeout: 2000 });
+      return { nodeName, entry: response.data };
+    } catch (err) {
+      if (err.response?.status === 404) return { nodeName, entry: null };
+      console.log(`[Coordinator] Node ${nodeName} unreachable during ${consistency} read of key="${key}"`);
+      return { nodeName, unreachable: true };
+    }
+  }));
+
+  const answered = responses.filter(r => !r.unreachable);
+  if (answered.length < required) {
+    return { unavailable: true, responded: answered.length, required };
+  }
+
+  const newest = answered
+    .filter(r => r.entry)
+    .reduce((best, r) => (!best || compareVersions(r.entry.version, best.entry.version) > 0 ? r : best), null);
+  if (!newest) return null;
+
+  const stale = answered.filter(r => !r.entry || compareVersions(r.entry.version, newest.entry.version) < 0);
+  for (const { nodeName } of stale) {
+    const { payload, version, timestamp } = newest.entry;
+    axios.post(`${ring.getNodeUrl(nodeName)}/repair`, { key, payload, version, timestamp, repairedFrom: newest.nodeName })
+      .then(() => console.log(`[Coordinator] READ-REPAIR key="${key}" on ${nodeName} → version ${version.epoch}.${version.counter}`))
+      .catch(err => console.log(`[Coordinator] READ-REPAIR key="${key}" on ${nodeName} failed: ${err.message}`));
+  }
+
+  return {
+    data: newest.entry,
+    servedBy: newest.nodeName,
+    source: newest.nodeName === route.rawPrimary ? 'primary' : 'replica',
+    responded: answered.length,
+    required,
+    readRepair: stale.map(r => r.nodeName),
+  };
+}
+
+// ─── Helper: ask every other broker to hand off hints held for a node ────────
+async function replayHintsTo(targetNode) {
+  const targetUrl = ring.getNodeUrl(targetNode);
+  const results = [];
+
+  for (const nodeName of ring.getAllNodeNames()) {
+    if (nodeName === targetNode) continue;
+
+    try {
+      const response = await axios.post(`${ring.getNodeUrl(nodeName)}/hints/replay`, { target: targetUrl }, { timeout: 30000 });
+      const [result] = response.data.results;
+      results.push({ from: nodeName, ...result });
+      if (result.delivered > 0) {
+        console.log(`[Coordinator] Hinted handoff ${nodeName} → ${targetNode}: ${result.delivered} write(s) delivered, ${result.remaining} remaining`);
+      }
+    } catch (err) {
+      results.push({ from: nodeName, error: err.message });
+    }
+  }
+  return results;
+}
+
+// ─── Helper: placement of every partition of a topic ─────────────────────────
+function describeTopic(topic) {
+  const partitions = [];
+  for (let partition = 0; partition < topic.partitions; partition++) {
+    const { primary, replicas } = resolveRoute(TopicRegistry.routingKey(topic.name, partition));
+    partitions.push({ partition, primary, replicas });
+  }
+  return {
+    name: topic.name,
+    partitionCount: topic.partitions,
+    config: topic.config,
+    createdAt: topic.createdAt,
+    partitions,
+  };
+}
+
+// ─── Helper: auto-create a topic on first produce (via the metadata log) ─────
+async function createTopic(name) {
+  try {
+    return await raft.propose({ type: 'topic_created', name, partitions: DEFAULT_PARTITIONS, config: {}, createdAt: new Date().toISOString() });
+  } catch (err) {
+    // Another request may have created it first
+    const existing = topics.get(name);
+    if (existing) return existing;
+    throw err;
+  }
+}
+
+// ─── Authentication ───────────────────────────────────────────────────────────
+// Every request except health checks and scrapes needs an API key (see
+// AccessControl); routes then check the key's grants with allow(). Raft RPCs
+// only come from other coordinators and need the cluster token instead (open
+// only when authentication is off and no token is set).
+const access = new AccessControl({ adminKey: process.env.ADMIN_API_KEY, clusterToken: CLUSTER_TOKEN });
+const PUBLIC_ROUTES = [/^\/health$/, /^\/metrics$/];
+const RAFT_RPCS = /^\/raft\/(request-vote|append-entries)$/;
+const CLUSTER = { type: 'cluster' };
+
+function sendAuthError(res, err) {
+  res.status(err.status).json({ success: false, error: err.message });
+}
+
+app.use((req, res, next) => {
+  if (PUBLIC_ROUTES.some(pattern => pattern.test(req.path))) return next();
+  if (RAFT_RPCS.test(req.path)) {
+    return !CLUSTER_TOKEN || access.isClusterRequest(req) ? next() : sendAuthError(res, new AuthError('Cluster token required', 401));
+  }
+  try {
+    req.principal = access.authenticate(req);
+    next();
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+// Route guard: the caller must be allowed action on every resource that
+// resources(req) returns — [] lets any authenticated caller through
+function allow(action, resources) {
+  return (req, res, next) => {
+    try {
+      access.authorize(req.principal, action, resources(req).filter(Boolean));
+      next();
+    } catch (err) {
+      sendAuthError(res, err);
+    }
+  };
+}
+
+// Route guard for requests not about one resource: the caller must be
+// allowed action on at least something
+function allowAny(action) {
+  return (req, res, next) => {
+    try {
+      access.authorizeAny(req.principal, action);
+      next();
+    } catch (err) {
+      sendAuthError(res, err);
+    }
+  };
+}
+
+const clusterAdmin = allow('admin', () => [CLUSTER]);
+const topicResource = name => name !== undefined && { type: 'topic', name: String(name) };
+const keyResource = name => name !== undefined && { type: 'key', name: String(name) };
+// A message is checked against its topic, or its key when it has no topic
+const messageResource = message => (message?.topic !== undefined ? topicResource(message.topic) : keyResource(message?.key));
+const listOf = value => (Array.isArray(value) ? value : []);
+
+if (!access.enabled) console.log('[Coordinator] ⚠️  ADMIN_API_KEY is not set — authentication is disabled');
+
+// ─── Follower → leader forwarding ─────────────────────────────────────────────
+// Followers answer reads served from replicated metadata themselves and
+// forward everything else to the leader.
+const LOCAL_ROUTES = [/^\/consume\//, /^\/subscribe$/, /^\/subscriptions$/, /^\/ring$/, /^\/route\//, /^\/topics(\/[^/]+)?$/, /^\/topics\/[^/]+\/schemas(\/[^/]+)?$/, /^\/failover\/status$/, /^\/health$/, /^\/metrics$/, /^\/trace\//];
+
+app.use(async (req, res, next) => {
+  if (raft.isLeader() || req.path.startsWith('/raft/')) return next();
+  if (req.method === 'GET' && LOCAL_ROUTES.some(pattern => pattern.test(req.path))) return next();
+
+  res.locals.metricsRoute = 'forwarded';
+  const leaderUrl = raft.leaderUrl();
+  if (!leaderUrl) {
+    return res.status(503).json({ success: false, error: 'No coordinator leader elected yet — retry shortly' });
+  }
+
+  try {
+    const response = await axios.request({
+      method: req.method,
+      url: `${leaderUrl}${req.originalUrl}`,
+      data: req.body,
+      // The leader checks the client's own key again
+      headers: Object.fromEntries(['authorization', 'x-api-key'].filter(h => req.headers[h]).map(h => [h, req.headers[h]])),
+      timeout: 130000,
+      validateStatus: () => true,
+    });
+    res.status(response.status).json(response.data);
+  } catch (err) {
+    console.log(`[Coordinator] Forwarding ${req.method} ${req.path} to leader ${raft.leaderId} failed: ${err.message}`);
+    res.status(503).json({ success: false, error: `Coordinator leader ${raft.leaderId} is unreachable` });
+  }
+});
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+/**
+ * POST /produce
+ * Body: { key, payload, acks? }                       — keyed message
+ *       { topic, payload, key?, partition?, acks? }   — append to a topic partition
+ * Routes message to the correct primary broker and triggers replication.
+ * acks (0 | 1 | quorum | all) overrides the topic's / cluster's default.
+ * epoch (optional) is the leadership epoch from an earlier response; the write
+ * is rejected with 409 if a promotion happened since.
+ * producerId + sequence (optional, see POST /producers) make retries safe: a
+ * sequence the primary already stored is answered with duplicate=true and
+ * the original offset / version instead of being written again.
+ * ttlMs (keyed messages only) makes the message expire; brokers stop serving
+ * it once the TTL has passed and drop it on their next retention run.
+ * A topic message must match the topic's latest schema, if it has one (see
+ * POST /topics/:topic/schemas) — 400 with details otherwise — and is stored
+ * with that schemaVersion.
+ */
+app.post('/produce', allow('produce', req => [messageResource(req.body)]), async (req, res) => {
+  const { topic, key, payload, acks, epoch } = req.body;
+
+  if (acks !== undefined && !TopicRegistry.ACK_LEVELS.includes(String(acks))) {
+    return res.status(400).json({ error: `acks must be one of ${TopicRegistry.ACK_LEVELS.join(', ')}` });
+  }
+  if (epoch !== undefined && epoch < clusterEpoch) return sendStaleEpoch(res, epoch);
+
+  let producer;
+  let ttlMs;
+  try {
+    producer = producerFields(req.body);
+    ttlMs = ttlFor(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (topic !== undefined) return produceToTopic(req, res, producer);
+
+  if (!key || payload === undefined) {
+    return res.status(400).json({ error: 'key and payload are required' });
+  }
+
+  const route = resolveRoute(key);
+  const { primary, replicas, keyHash } = route;
+
+  console.log(`\n[Coordinator] PRODUCE key="${key}"${traceTag()}`);
+  console.log(`  Key Hash  : ${keyHash}`);
+  console.log(`  Primary   : ${primary} (${ring.getNodeUrl(primary)})`);
+  console.log(`  Replicas  : ${replicas.join(', ')}`);
+
+  try {
+    const result = await storeKey(key, payload, { route, acks: String(acks ?? DEFAULT_ACKS), producer, ttlMs });
+    producedMessages.inc({ kind: 'key', result: 'success' });
+
+    res.status(result.acks === '0' ? 202 : 201).json({
+      success: true,
+      key,
+      keyHash,
+      primary,
+      replicas,
+      ...(result.duplicate && { duplicate: true, version: result.version }),
+      ...(result.expiresAt && { expiresAt: result.expiresAt }),
+      acks: result.acks,
+      acknowledged: result.acknowledged,
+      epoch: clusterEpoch,
+      replicationResults: result.replicationResults,
+    });
+  } catch (err) {
+    producedMessages.inc({ kind: 'key', result: 'failure' });
+    sendProduceError(res, err, primary, { key });
+  }
+});
+
+// Appends a message to a topic partition; the primary assigns the offset
+async function produceToTopic(req, res, producer) {
+  const { topic: topicName, key, payload, partition: requestedPartition } = req.body;
+
+  if (payload === undefined) {
+    return res.status(400).json({ error: 'payload is required' });
+  }
+
+  let schemaVersion;
+  try {
+    schemaVersion = schemaVersionFor(topicName, payload);
+  } catch (err) {
+    console.log(`[Coordinator] Rejected message for topic "${topicName}": ${err.message}${traceTag()}`);
+    return sendSchemaError(res, err);
+  }
+
+  let topic;
+  try {
+    topic = topics.get(topicName) || await createTopic(topicName);
+  } catch (err) {
+    return res.status(err instanceof NotLeaderError ? 503 : 400).json({ error: err.message });
+  }
+
+  let partition;
+  if (requestedPartition !== undefined) {
+    partition = Number(requestedPartition);
+    if (!Number.isInteger(partition) || partition < 0 || partition >= topic.partitions) {
+      return res.status(400).json({ error: `partition must be between 0 and ${topic.partitions - 1}` });
+    }
+  } else {
+    partition = partitionFor(topic, key, producer);
+  }
+
+  const route = resolveRoute(TopicRegistry.routingKey(topic.name, partition));
+  const { primary, replicas } = route;
+  const acks = String(req.body.acks ?? topic.config.acks ?? DEFAULT_ACKS);
+
+  console.log(`\n[Coordinator] PRODUCE topic="${topic.name}" partition=${partition}${key !== undefined ? ` key="${key}"` : ''}${traceTag()}`);
+  console.log(`  Primary   : ${primary} (${ring.getNodeUrl(primary)})`);
+  console.log(`  Replicas  : ${replicas.join(', ')}`);
+  console.log(`  Acks      : ${acks}`);
+
+  try {
+    const result = await storeOnPrimary(route, { topic: topic.name, partition, key, payload, ...producer, ...(schemaVersion !== undefined && { schemaVersion }) }, acks);
+    subscriptions.notify(topic.name);
+    producedMessages.inc({ kind: 'topic', result: 'success' });
+
+    res.status(acks === '0' ? 202 : 201).json({
+      success: true,
+      topic: topic.name,
+      partition,
+      offset: result.offset,
+      ...(result.duplicate && { duplicate: true }),
+      ...(schemaVersion !== undefined && { schemaVersion }),
+      key,
+      primary,
+      replicas,
+      acks,
+      acknowledged: result.acknowledged,
+      epoch: clusterEpoch,
+      replicationResults: result.replicationResults,
+    });
+  } catch (err) {
+    producedMessages.inc({ kind: 'topic', result: 'failure' });
+    sendProduceError(res, err, primary, { topic: topic.name, partition });
+  }
+}
+
+/**
+ * POST /produce/batch
+ * Body: { messages: [{ key, payload, ttlMs? } | { topic, payload, key?, partition? }], acks?, epoch?, producerId? }
+ * With producerId every message carries its own sequence.
+ * Groups the messages by primary and sends one batched /store per broker;
+ * each broker replicates its batch with one call per replica.
+ * Answers with one result per message, in request order — 201 when all of
+ * them succeeded, 207 when some did not.
+ */
+app.post('/produce/batch', allow('produce', req => listOf(req.body.messages).map(messageResource)), async (req, res) => {
+  const { messages, acks, epoch, producerId } = req.body;
+
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ error: `messages must be an array of 1 to ${MAX_BATCH_SIZE} messages` });
+  }
+  if (acks !== undefined && !TopicRegistry.ACK_LEVELS.includes(String(acks))) {
+    return res.status(400).json({ error: `acks must be one of ${TopicRegistry.ACK_LEVELS.join(', ')}` });
+  }
+  if (epoch !== undefined && epoch < clusterEpoch) return sendStaleEpoch(res, epoch);
+
+  const results = new Array(messages.length);
+  // "<primary>|<acks>" → { primary, acks, items: [{ index, route, body, context }] }
+  const batches = new Map();
+
+  for (const [index, message] of messages.entries()) {
+    let planned;
+    try {
+      planned = await planBatchMessage(message, acks, producerId);
+    } catch (err) {
+      results[index] = { index, success: false, error: err.message, ...(err.details && { details: err.details }) };
+      continue;
+    }
+
+    const id = `${planned.route.primary}|${planned.acks}`;
+    if (!batches.has(id)) batches.set(id, { primary: planned.route.primary, acks: planned.acks, items: [] });
+    batches.get(id).items.push({ index, ...planned });
+  }
+
+  await Promise.all([...batches.values()].map(async ({ primary, acks: batchAcks, items }) => {
+    try {
+      const stored = await storeBatchOnPrimary(primary, items, batchAcks);
+      items.forEach(({ index, route, context }, i) => {
+        const { success, error, offset, expiresAt, duplicate, acknowledged, replicationResults } = stored[i];
+        results[index] = {
+          index,
+          success,
+          ...context,
+          ...(offset !== undefined && { offset }),
+          ...(expiresAt && { expiresAt }),
+          ...(duplicate && { duplicate }),
+          primary,
+          replicas: route.replicas,
+          acks: batchAcks,
+          acknowledged,
+          replicationResults,
+          ...(error && { error }),
+        };
+      });
+    } catch (err) {
+      const error = err.response?.data?.error || `Primary broker ${primary} is unreachable`;
+      console.log(`[Coordinator] Batch of ${items.length} to ${primary} failed: ${err.response?.data?.error || err.message}`);
+      for (const { index, context } of items) {
+        results[index] = { index, success: false, ...context, primary, error };
+      }
+    }
+  }));
+
+  for (const topic of new Set(results.filter(r => r.success && r.topic).map(r => r.topic))) {
+    subscriptions.notify(topic);
+  }
+
+  for (const r of results) {
+    producedMessages.inc({ kind: r.topic !== undefined ? 'topic' : 'key', result: r.success ? 'success' : 'failure' });
+  }
+
+  const failed = results.filter(r => !r.success).length;
+  console.log(`[Coordinator] PRODUCE batch of ${messages.length} → ${batches.size} broker call(s)${failed > 0 ? `, ${failed} failed` : ''}${traceTag()}`);
+  res.status(failed > 0 ? 207 : 201).json({
+    success: failed === 0,
+    epoch: clusterEpoch,
+    batches: [...batches.values()].map(({ primary, acks: batchAcks, items }) => ({ primary, acks: batchAcks, messages: items.length })),
+    results,
+  });
+});
+
+// Route, store body and ack level for one message of a batch; throws when
+// invalid or when its range is failing back
+async function planBatchMessage(message, acks, producerId) {
+  const { topic: topicName, key, payload, partition: requestedPartition } = message || {};
+  if (payload === undefined) throw new Error('payload is required');
+  const producer = producerFields({ producerId: message.producerId ?? producerId, sequence: message.sequence });
+  const ttlMs = ttlFor(message);
+
+  if (topicName === undefined) {
+    if (!key) throw new Error('key or topic is required');
+    const route = resolveRoute(key);
+    checkWritable(route);
+    return {
+      route,
+      body: { key, payload, ...producer, ...(ttlMs !== undefined && { ttlMs }) },
+      acks: String(acks ?? DEFAULT_ACKS),
+      context: { key },
+    };
+  }
+
+  const schemaVersion = schemaVersionFor(topicName, payload);
+  const topic = topics.get(topicName) || await createTopic(topicName);
+  let partition;
+  if (requestedPartition !== undefined) {
+    partition = Number(requestedPartition);
+    if (!Number.isInteger(partition) || partition < 0 || partition >= topic.partitions) {
+      throw new Error(`partition must be between 0 and ${topic.partitions - 1}`);
+    }
+  } else {
+    partition = partitionFor(topic, key, producer);
+  }
+
+  const stamp = schemaVersion !== undefined ? { schemaVersion } : {};
+  const route = resolveRoute(TopicRegistry.routingKey(topic.name, partition));
+  checkWritable(route);
+  return {
+    route,
+    body: { topic: topic.name, partition, key, payload, ...producer, ...stamp },
+    acks: String(acks ?? topic.config.acks ?? DEFAULT_ACKS),
+    context: { topic: topic.name, partition, key, ...stamp },
+  };
+}
+
+/**
+ * POST /consume/batch
+ * Body: { keys: [...], consistency? }
+ * Reads several keyed messages. With consistency=one the keys are grouped by
+ * primary and fetched with one call per broker (keys it cannot answer fall
+ * back to the replicas one by one); quorum / all read every key the way
+ * GET /consume/:key does. One result per key, in request order.
+ */
+app.post('/consume/batch', allow('consume', req => listOf(req.body.keys).map(keyResource)), async (req, res) => {
+  const { keys } = req.body;
+  const consistency = req.body.consistency || DEFAULT_READ_CONSISTENCY;
+
+  if (!Array.isArray(keys) || keys.length === 0 || keys.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ error: `keys must be an array of 1 to ${MAX_BATCH_SIZE} keys` });
+  }
+  if (!READ_CONSISTENCY_LEVELS.includes(consistency)) {
+    return res.status(400).json({ error: `consistency must be one of ${READ_CONSISTENCY_LEVELS.join(', ')}` });
+  }
+
+  const routes = keys.map(key => resolveRoute(String(key)));
+  const found = new Array(keys.length);
+
+  if (consistency === 'one') {
+    // primary → indexes of the keys it owns
+    const byPrimary = new Map();
+    routes.forEach((route, i) => {
+      if (!byPrimary.has(route.primary)) byPrimary.set(route.primary, []);
+      byPrimary.get(route.primary).push(i);
+    });
+
+    await Promise.all([...byPrimary].map(async ([primary, indexes]) => {
+      try {
+        const response = await axios.post(`${ring.getNodeUrl(primary)}/fetch`, { keys: indexes.map(i => keys[i]) }, { timeout: 2000 });
+        for (const i of indexes) {
+          const entry = response.data.entries[keys[i]];
+          if (entry) {
+            found[i] = { data: { success: true, node: primary, key: keys[i], ...entry }, servedBy: primary, source: primary === routes[i].rawPrimary ? 'primary' : 'replica' };
+          }
+        }
+      } catch (err) {
+        console.log(`[Coordinator] Batch fetch from ${primary} failed: ${err.message} — falling back per key`);
+      }
+    }));
+  }
+
+  await Promise.all(keys.map(async (key, i) => {
+    if (!found[i]) found[i] = await readKey(String(key), consistency, routes[i]);
+  }));
+
+  const results = keys.map((key, i) => {
+    const result = found[i];
+    if (!result) return { key, success: false, error: 'Message not found on any node' };
+    if (result.unavailable) {
+      return { key, success: false, error: `Only ${result.responded} of ${result.required} required replicas responded` };
+    }
+    return {
+      ...result.data,
+      key,
+      servedBy: result.servedBy,
+      failover: routes[i].promotion !== null,
+      source: result.source,
+      readRepair: result.readRepair || [],
+    };
+  });
+
+  const served = results.filter(r => r.success).length;
+  consumedMessages.inc({ kind: 'key' }, served);
+  console.log(`[Coordinator] CONSUME batch of ${keys.length} key(s) (${consistency}) → ${served} found${traceTag()}`);
+  res.json({ consistency, results });
+});
+
+/**
+ * GET /consume/:key?consistency=one|quorum|all
+ * Reads a message. "one" reads from the primary (falls back to replica if
+ * primary is down); "quorum" / "all" reconcile versions across replicas and
+ * read-repair stale copies.
+ */
+app.get('/consume/:key', allow('consume', req => [keyResource(req.params.key)]), async (req, res) => {
+  const { key } = req.params;
+  const consistency = req.query.consistency || DEFAULT_READ_CONSISTENCY;
+
+  if (!READ_CONSISTENCY_LEVELS.includes(consistency)) {
+    return res.status(400).json({ error: `consistency must be one of ${READ_CONSISTENCY_LEVELS.join(', ')}` });
+  }
+
+  const route = resolveRoute(key);
+  const found = await readKey(key, consistency, route);
+
+  if (!found) {
+    return res.status(404).json({ success: false, key, error: 'Message not found on any node' });
+  }
+  if (found.unavailable) {
+    return res.status(503).json({
+      success: false,
+      key,
+      consistency,
+      error: `Only ${found.responded} of ${found.required} required replicas responded`,
+    });
+  }
+
+  consumedMessages.inc({ kind: 'key' });
+  const servedByReplica = found.servedBy !== route.primary;
+  console.log(`[Coordinator] CONSUME key="${key}" (${consistency}) → served by ${found.servedBy}${servedByReplica ? ' (FAILOVER)' : ''}${traceTag()}`);
+  res.json({
+    ...found.data,
+    servedBy: found.servedBy,
+    failover: route.promotion !== null,
+    source: found.source,
+    consistency,
+    readRepair: found.readRepair,
+  });
+});
+
+/**
+ * GET /consume/:topic/:partition?offset=0&limit=100&isolation=read_uncommitted
+ * Reads a range of messages from a topic partition, starting at offset.
+ * Served by the partition's primary (falls back to replicas if it is down).
+ * isolation=read_committed only returns committed messages: reading stops at
+ * the first message of an undecided transaction (nextOffset points at it) and
+ * aborted ones are skipped.
+ */
+app.get('/consume/:topic/:partition', allow('consume', req => [topicResource(req.params.topic)]), async (req, res) => {
+  const { topic: topicName } = req.params;
+  const partition = Number(req.params.partition);
+  const offset = Number(req.query.offset ?? 0);
+  const limit = Number(req.query.limit ?? 100);
+  const isolation = req.query.isolation || 'read_uncommitted';
+
+  const topic = topics.get(topicName);
+  if (!topic) {
+    return res.status(404).json({ success: false, topic: topicName, error: 'Unknown topic' });
+  }
+  if (!ISOLATION_LEVELS.includes(isolation)) {
+    return res.status(400).json({ error: `isolation must be one of ${ISOLATION_LEVELS.join(', ')}` });
+  }
+  if (!Number.isInteger(partition) || partition < 0 || partition >= topic.partitions) {
+    return res.status(400).json({ error: `partition must be between 0 and ${topic.partitions - 1}` });
+  }
+  if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'offset must be >= 0 and limit between 1 and 1000' });
+  }
+
+  const found = await readPartition(topicName, partition, offset, limit, isolation);
+  if (found) {
+    consumedMessages.inc({ kind: 'topic' }, found.data.messages.length);
+    console.log(`[Coordinator] CONSUME ${topicName}/${partition} offset=${offset} → ${found.data.messages.length} message(s) from ${found.servedBy}${traceTag()}`);
+    return res.json({ ...found.data, servedBy: found.servedBy, source: found.source });
+  }
+
+  res.status(503).json({ success: false, topic: topicName, partition, error: 'No replica of this partition is reachable' });
+});
+
+/**
+ * POST /producers
+ * Body: { name? }
+ * Registers an idempotent producer. Send the returned producerId with a
+ * sequence number that grows by one per message; on a timeout, retry with
+ * the same sequence.
+ */
+app.post('/producers', allowAny('produce'), async (req, res) => {
+  try {
+    const producer = await raft.propose({ type: 'producer_registered', name: req.body.name, registeredAt: new Date().toISOString() });
+    console.log(`[Coordinator] Registered producer ${producer.producerId}${producer.name ? ` (${producer.name})` : ''}`);
+    res.status(201).json(producer);
+  } catch (err) {
+    res.status(err instanceof NotLeaderError ? 503 : 400).json({ error: err.message });
+  }
+});
+
+app.get('/producers', clusterAdmin, (req, res) => {
+  res.json({ producers: [...producers.values()] });
+});
+
+// ─── Transactions ─────────────────────────────────────────────────────────────
+function sendTransactionError(res, err) {
+  if (err instanceof TransactionError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  res.status(err instanceof NotLeaderError ? 503 : 500).json({ success: false, error: err.message });
+}
+
+/**
+ * POST /transactions
+ * Body: { messages: [{ key, payload } | { topic, payload, key?, partition? }], acks? }
+ * Writes all messages or none of them, across however many primaries they
+ * belong to (two-phase commit, decided through the metadata log). Answers
+ * 201 once committed — with completed=false if some broker has not heard the
+ * outcome yet; it is retried in the background — and 409 (conflicting
+ * transaction, stale epoch) or 503 when aborted. Topic messages of a
+ * transaction are only visible to isolation=read_committed readers once
+ * committed; keyed messages are written at commit.
+ */
+app.post('/transactions', allow('produce', req => listOf(req.body.messages).map(messageResource)), async (req, res) => {
+  const { messages, acks } = req.body;
+
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ error: `messages must be an array of 1 to ${MAX_BATCH_SIZE} messages` });
+  }
+  if (acks !== undefined && !TopicRegistry.ACK_LEVELS.includes(String(acks))) {
+    return res.status(400).json({ error: `acks must be one of ${TopicRegistry.ACK_LEVELS.join(', ')}` });
+  }
+  if (String(acks) === '0') {
+    return res.status(400).json({ error: 'acks=0 cannot be used in a transaction' });
+  }
+
+  const entries = [];
+  for (const [index, message] of messages.entries()) {
+    for (const field of ['producerId', 'ttlMs']) {
+      if (message?.[field] !== undefined) {
+        return res.status(400).json({ error: `messages[${index}]: ${field} cannot be used in a transaction` });
+      }
+    }
+    try {
+      const { body } = await planBatchMessage(message, acks);
+      const { key, topic, partition, payload, schemaVersion } = body;
+      entries.push({
+        key,
+        topic,
+        partition,
+        payload,
+        ...(schemaVersion !== undefined && { schemaVersion }),
+        routingKey: topic !== undefined ? TopicRegistry.routingKey(topic, partition) : key,
+      });
+    } catch (err) {
+      return res.status(err instanceof NotLeaderError || err instanceof RangeUnavailableError ? 503 : 400).json({
+        error: `messages[${index}]: ${err.message}`,
+        ...(err.details && { details: err.details }),
+      });
+    }
+  }
+
+  console.log(`\n[Coordinator] TRANSACTION of ${entries.length} message(s)${traceTag()}`);
+  let result;
+  try {
+    result = await transactions.run(entries, String(acks ?? DEFAULT_ACKS));
+  } catch (err) {
+    producedMessages.inc({ kind: 'transaction', result: 'failure' }, entries.length);
+    return sendTransactionError(res, err);
+  }
+  producedMessages.inc({ kind: 'transaction', result: result.state === 'COMMITTED' ? 'success' : 'failure' }, entries.length);
+
+  if (result.state === 'COMMITTED') {
+    for (const topic of new Set(entries.filter(e => e.topic !== undefined).map(e => e.topic))) {
+      subscriptions.notify(topic);
+    }
+    return res.status(201).json({ success: true, epoch: clusterEpoch, ...result });
+  }
+  res.status(result.conflict || result.staleEpoch ? 409 : 503).json({ success: false, epoch: clusterEpoch, error: `Transaction aborted: ${result.reason}`, ...result });
+});
+
+/**
+ * GET /transactions
+ * Open transactions (undecided, or decided but not yet known to every broker)
+ * and the most recently completed ones.
+ */
+app.get('/transactions', clusterAdmin, (req, res) => {
+  res.json(transactions.getStatus());
+});
+
+// Visible to whoever may write everything the transaction writes
+app.get('/transactions/:txnId', allow('produce', req => transactions.targets(req.params.txnId).map(messageResource)), (req, res) => {
+  const txn = transactions.get(req.params.txnId);
+  if (!txn) return res.status(404).json({ success: false, error: `Unknown transaction ${req.params.txnId}` });
+  res.json(txn);
+});
+
+// ─── Subscriptions ────────────────────────────────────────────────────────────
+// Served by whichever coordinator the client is connected to; followers see
+// new messages through polling since produce only notifies the leader.
+// Subscribers only ever see committed messages.
+const subscriptions = new SubscriptionManager({
+  topics,
+  readPartition: (topicName, partition, offset, limit) => readPartition(topicName, partition, offset, limit, 'read_committed'),
+  pollIntervalMs: parseInt(process.env.SUBSCRIPTION_POLL_MS || '1000'),
+});
+const SUBSCRIPTION_KEEPALIVE_MS = 15000;
+
+/**
+ * GET /subscribe?topic=orders&keyPrefix=order_&from=earliest|latest&cursor=...
+ * Server-Sent Events stream of new messages in a topic (or in every topic when
+ * only keyPrefix is given), filtered by key prefix.
+ * Each "message" event's id is a cursor (<topic>/<partition>:<nextOffset>,...);
+ * reconnecting with it as Last-Event-ID (EventSource does this itself) or as
+ * ?cursor= resumes right after the last delivered message. "route" events
+ * report a partition moving to another broker after failover or failback.
+ */
+app.get('/subscribe', allow('consume', req => [topicResource(req.query.topic ?? '*')]), async (req, res) => {
+  const { topic, keyPrefix, from } = req.query;
+  const cursor = req.get('Last-Event-ID') || req.query.cursor;
+
+  const send = (event, data, id) => {
+    if (res.writableEnded) return;
+    res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let opened;
+  try {
+    opened = await subscriptions.open({ topic, keyPrefix, cursor, from }, send);
+  } catch (err) {
+    return res.status(err instanceof SubscriptionError ? err.status : 500).json({ success: false, error: err.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  send('subscribed', { subscriptionId: opened.id, topic: topic || null, keyPrefix: keyPrefix || null, coordinator: COORDINATOR_ID }, opened.cursor || undefined);
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SUBSCRIPTION_KEEPALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    subscriptions.close(opened.id);
+  });
+});
+
+/**
+ * GET /subscriptions
+ * Streams open on this coordinator, with their current cursors.
+ */
+app.get('/subscriptions', clusterAdmin, (req, res) => {
+  res.json({ coordinator: COORDINATOR_ID, subscriptions: subscriptions.getStatus() });
+});
+
+/**
+ * POST /topics
+ * Body: { name, partitions?, config? }
+ * Creates a topic with a fixed number of partitions.
+ * config: { acks? } — see topicRegistry.js
+ */
+app.post('/topics', allow('admin', req => [topicResource(req.body.name)]), async (req, res) => {
+  const { name, partitions = DEFAULT_PARTITIONS, config = {} } = req.body;
+
+  if (topics.get(name)) {
+    return res.status(409).json({ error: `Topic "${name}" already exists` });
+  }
+
+  try {
+    const topic = await raft.propose({ type: 'topic_created', name, partitions: Number(partitions), config, createdAt: new Date().toISOString() });
+    console.log(`[Coordinator] Created topic "${topic.name}" with ${topic.partitions} partition(s)`);
+    publishRetentionPolicies();
+    res.status(201).json(describeTopic(topic));
+  } catch (err) {
+    res.status(err instanceof NotLeaderError ? 503 : 400).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /topics
+ * Lists the topics the caller may use, and where each partition is placed.
+ */
+app.get('/topics', (req, res) => {
+  const visible = topics.list().filter(topic => access.canReach(req.principal, topicResource(topic.name)));
+  res.json({ topics: visible.map(describeTopic) });
+});
+
+/**
+ * GET /topics/:topic
+ */
+app.get('/topics/:topic', allow('consume', req => [topicResource(req.params.topic)]), (req, res) => {
+  const topic = topics.get(req.params.topic);
+  if (!topic) return res.status(404).json({ error: 'Unknown topic' });
+  res.json(describeTopic(topic));
+});
+
+/**
+ * PUT /topics/:topic/config
+ * Body: { acks?, visibilityTimeoutMs?, maxDeliveries?, retentionMs?, retentionMessages?, retentionBytes?, cleanupPolicy? }
+ * Updates a topic's settings; omitted fields keep their current value.
+ * Retention changes are pushed to the brokers right away.
+ */
+app.put('/topics/:topic/config', allow('admin', req => [topicResource(req.params.topic)]), async (req, res) => {
+  if (!topics.get(req.params.topic)) return res.status(404).json({ error: 'Unknown topic' });
+
+  try {
+    const topic = await raft.propose({ type: 'topic_config_updated', name: req.params.topic, config: req.body });
+    console.log(`[Coordinator] Updated config of topic "${topic.name}": ${JSON.stringify(topic.config)}`);
+    publishRetentionPolicies();
+    res.json(describeTopic(topic));
+  } catch (err) {
+    res.status(err instanceof NotLeaderError ? 503 : 400).json({ error: err.message });
+  }
+});
+
+// ─── Schemas ──────────────────────────────────────────────────────────────────
+// Versions live in the metadata log (see SchemaRegistry); a topic may get a
+// schema before it is created.
+function sendSchemaRegistryError(res, err) {
+  if (err instanceof SchemaError) return sendSchemaError(res, err);
+  res.status(err instanceof NotLeaderError ? 503 : 500).json({ success: false, error: err.message });
+}
+
+function invalidSchemaTopic(res, topic) {
+  if (TopicRegistry.isValidName(topic)) return false;
+  res.status(400).json({ success: false, error: `Invalid topic name "${topic}"` });
+  return true;
+}
+
+/**
+ * POST /topics/:topic/schemas
+ * Body: { schema }
+ * Registers a JSON Schema as the topic's next version, once it passes the
+ * topic's compatibility check against the latest version — 409 with the
+ * problems found otherwise. Registering the latest schema again is a no-op
+ * (200, same version).
+ */
+app.post('/topics/:topic/schemas', allow('admin', req => [topicResource(req.params.topic)]), async (req, res) => {
+  const { topic } = req.params;
+  if (invalidSchemaTopic(res, topic)) return;
+
+  try {
+    const { existing, command } = schemas.register(topic, req.body.schema);
+    if (existing) return res.json({ success: true, unchanged: true, ...existing });
+
+    const registered = await raft.propose(command);
+    if (!registered) {
+      return res.status(409).json({ success: false, error: `Another schema version of topic "${topic}" was registered meanwhile — retry` });
+    }
+    console.log(`[Coordinator] Registered schema version ${registered.version} for topic "${topic}"`);
+    res.status(201).json({ success: true, ...registered, compatibility: schemas.compatibilityOf(topic) });
+  } catch (err) {
+    sendSchemaRegistryError(res, err);
+  }
+});
+
+/**
+ * GET /topics/:topic/schemas
+ * The topic's compatibility mode and schema versions.
+ */
+app.get('/topics/:topic/schemas', allow('consume', req => [topicResource(req.params.topic)]), (req, res) => {
+  const subject = schemas.describe(req.params.topic);
+  if (!subject) return res.status(404).json({ success: false, error: `Topic "${req.params.topic}" has no schema` });
+  res.json(subject);
+});
+
+/**
+ * POST /topics/:topic/schemas/check
+ * Body: { schema }
+ * Checks a schema against the latest version without registering it.
+ */
+app.post('/topics/:topic/schemas/check', allow('admin', req => [topicResource(req.params.topic)]), (req, res) => {
+  const { topic } = req.params;
+  try {
+    const problems = schemas.check(topic, req.body.schema);
+    res.json({
+      topic,
+      compatible: problems.length === 0,
+      compatibility: schemas.compatibilityOf(topic),
+      latestVersion: schemas.latest(topic)?.version || null,
+      problems,
+    });
+  } catch (err) {
+    sendSchemaRegistryError(res, err);
+  }
+});
+
+/**
+ * PUT /topics/:topic/schemas/compatibility
+ * Body: { compatibility: 'backward' | 'forward' | 'full' | 'none' }
+ * Sets the check applied to the topic's next versions.
+ */
+app.put('/topics/:topic/schemas/compatibility', allow('admin', req => [topicResource(req.params.topic)]), async (req, res) => {
+  const { topic } = req.params;
+  if (invalidSchemaTopic(res, topic)) return;
+
+  try {
+    const result = await raft.propose(schemas.setCompatibility(topic, req.body.compatibility));
+    console.log(`[Coordinator] Schema compatibility of topic "${topic}" set to ${result.compatibility}`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendSchemaRegistryError(res, err);
+  }
+});
+
+/**
+ * GET /topics/:topic/schemas/:version
+ * One schema version ("latest" for the current one).
+ */
+app.get('/topics/:topic/schemas/:version', allow('consume', req => [topicResource(req.params.topic)]), (req, res) => {
+  const { topic, version } = req.params;
+  const schema = schemas.get(topic, version);
+  if (!schema) return res.status(404).json({ success: false, error: `Topic "${topic}" has no schema version ${version}` });
+  res.json(schema);
+});
+
+// ─── Consumer Groups ──────────────────────────────────────────────────────────
+// Committed offsets are ordinary keyed messages, so they are placed on the
+// ring, replicated and failed over exactly like user data.
+const offsetStore = {
+  key: (groupId, topic, partition) => `__consumer_offsets.${groupId}.${topic}.${partition}`,
+
+  async save(groupId, topic, partition, offset) {
+    await storeKey(this.key(groupId, topic, partition), {
+      groupId, topic, partition, offset, committedAt: new Date().toISOString(),
+    });
+  },
+
+  // Quorum read so a commit that only reached a majority is never missed
+  async load(groupId, topic, partition) {
+    const key = this.key(groupId, topic, partition);
+    let found = await readKey(key, 'quorum');
+    if (found?.unavailable) found = await readKey(key, 'one');
+    return found ? found.data.payload.offset : null;
+  },
+};
+
+const groups = new GroupCoordinator({
+  topics,
+  offsetStore,
+  sessionTimeoutMs: parseInt(process.env.GROUP_SESSION_TIMEOUT_MS || '10000'),
+});
+groups.start();
+
+function sendGroupError(res, err) {
+  if (err instanceof GroupError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.log(`[Coordinator] Group operation failed: ${err.message}`);
+  res.status(503).json({ success: false, error: `Could not reach the brokers holding group offsets: ${err.message}` });
+}
+
+/**
+ * POST /groups/:groupId/join
+ * Body: { topics: [...], memberId? }
+ * Joins a consumer group. Returns the member id, the group generation and the
+ * assigned partitions together with their committed offsets.
+ */
+app.post('/groups/:groupId/join', allow('consume', req => listOf(req.body.topics).map(topicResource)), async (req, res) => {
+  try {
+    res.json(await groups.join(req.params.groupId, req.body));
+  } catch (err) {
+    sendGroupError(res, err);
+  }
+});
+
+/**
+ * POST /groups/:groupId/heartbeat
+ * Body: { memberId, generation }
+ * Keeps the membership alive; rebalance=true means the assignment changed.
+ */
+app.post('/groups/:groupId/heartbeat', allow('consume', req => groups.memberTopics(req.params.groupId, req.body.memberId).map(topicResource)), async (req, res) => {
+  const { memberId, generation } = req.body;
+  try {
+    res.json(await groups.heartbeat(req.params.groupId, memberId, generation));
+  } catch (err) {
+    sendGroupError(res, err);
+  }
+});
+
+/**
+ * POST /groups/:groupId/leave
+ * Body: { memberId }
+ */
+app.post('/groups/:groupId/leave', allow('consume', req => groups.memberTopics(req.params.groupId, req.body.memberId).map(topicResource)), (req, res) => {
+  try {
+    groups.leave(req.params.groupId, req.body.memberId);
+    res.json({ success: true });
+  } catch (err) {
+    sendGroupError(res, err);
+  }
+});
+
+/**
+ * POST /groups/:groupId/commit
+ * Body: { memberId, generation, offsets: [{ topic, partition, offset }] }
+ * offset is the next offset the group should read from that partition.
+ */
+app.post('/groups/:groupId/commit', allow('consume', req => listOf(req.body.offsets).map(o => topicResource(o?.topic))), async (req, res) => {
+  const { memberId, generation, offsets } = req.body;
+  try {
+    const committed = await groups.commit(req.params.groupId, memberId, generation, offsets);
+    res.json({ success: true, committed });
+  } catch (err) {
+    sendGroupError(res, err);
+  }
+});
+
+/**
+ * GET /groups
+ * GET /groups/:groupId
+ * Shows groups, their members, assignments and committed offsets.
+ */
+app.get('/groups', clusterAdmin, (req, res) => {
+  res.json({ groups: groups.list() });
+});
+
+// Visible to whoever may consume every topic the group reads or committed
+app.get('/groups/:groupId', allow('consume', req => groups.topicsOf(req.params.groupId).map(topicResource)), async (req, res) => {
+  const group = await groups.describe(req.params.groupId);
+  if (!group) return res.status(404).json({ error: 'Unknown group' });
+  res.json(group);
+});
+
+// ─── Queues ───────────────────────────────────────────────────────────────────
+// Delivery state (acks, delivery counts) is stored as keyed messages like
+// committed offsets; leases only live on the leader.
+const queueStateStore = {
+  key: (group, topic, partition) => `__queue_state.${group}.${topic}.${partition}`,
+
+  async save(group, topic, partition, state) {
+    await storeKey(this.key(group, topic, partition), { ...state, savedAt: new Date().toISOString() });
+  },
+
+  async load(group, topic, partition) {
+    const key = this.key(group, topic, partition);
+    let found = await readKey(key, 'quorum');
+    if (found?.unavailable) found = await readKey(key, 'one');
+    return found ? found.data.payload : null;
+  },
+};
+
+// Append a message to a topic (created on first use), e.g. a dead-letter topic
+async function appendToTopic(topicName, key, payload) {
+  const topic = topics.get(topicName) || await createTopic(topicName);
+  const partition = topics.selectPartition(topic.name, key);
+  const route = resolveRoute(TopicRegistry.routingKey(topic.name, partition));
+  const result = await storeOnPrimary(route, { topic: topic.name, partition, key, payload }, String(topic.config.acks ?? DEFAULT_ACKS));
+  subscriptions.notify(topic.name);
+  return { partition, offset: result.offset };
+}
+
+const queues = new QueueManager({
+  topics,
+  // Messages of a transaction are delivered once it commits, never if it aborts
+  readPartition: (topicName, partition, offset, limit) => readPartition(topicName, partition, offset, limit, 'read_committed'),
+  stateStore: queueStateStore,
+  deadLetter: appendToTopic,
+  visibilityTimeoutMs: parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_MS || '30000'),
+  maxDeliveries: parseInt(process.env.QUEUE_MAX_DELIVERIES || '5'),
+});
+
+function sendQueueError(res, err) {
+  if (err instanceof QueueError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.log(`[Coordinator] Queue operation failed: ${err.message}`);
+  res.status(503).json({ success: false, error: `Could not reach the brokers holding queue state: ${err.message}` });
+}
 
-const brokerNodesEnv = process.env.BROKER_NODES || '';
-brokerNodesEnv.split(',').forEach(entry => {
-  const [name, url] = entry.trim().split('=');
-  if (name && url) {
-    ring.addNode(name, url);
-    console.log(`[Coordinator] Registered broker: ${name} → ${url}`);
+/**
+ * POST /queues/:topic/receive
+ * Body: { group?, max?, visibilityTimeoutMs? }
+ * Leases up to max messages of the topic to the caller. Each comes with a
+ * receiptHandle to ack or nack it; unacked messages become visible again
+ * when the lease runs out. group defaults to "default".
+ */
+app.post('/queues/:topic/receive', allow('consume', req => [topicResource(req.params.topic)]), async (req, res) => {
+  try {
+    const messages = await queues.receive(req.params.topic, req.body);
+    consumedMessages.inc({ kind: 'queue' }, messages.length);
+    res.json({ success: true, topic: req.params.topic, group: req.body.group || 'default', messages });
+  } catch (err) {
+    sendQueueError(res, err);
   }
 });
 
-// ─── Failover State ───────────────────────────────────────────────────────────
-// Tracks failover events and which node is the current primary after promotion
-const failoverEvents = [];
-// nodeName → promoted replica name (used for routing after failover)
-const promotedNodes = new Map();
+/**
+ * POST /queues/:topic/ack
+ * Body: { group?, receiptHandles: [...] }
+ * Marks the messages as processed. One result per handle.
+ */
+app.post('/queues/:topic/ack', allow('consume', req => [topicResource(req.params.topic)]), async (req, res) => {
+  try {
+    res.json({ success: true, results: await queues.ack(req.params.topic, req.body) });
+  } catch (err) {
+    sendQueueError(res, err);
+  }
+});
 
-// ─── Health Monitor ──────────────────────────────────────────────────────────
-const monitor = new HealthMonitor({
-  ring,
-  checkIntervalMs: 5000,
-  failureThreshold: 3,
+/**
+ * POST /queues/:topic/nack
+ * Body: { group?, receiptHandles: [...], delayMs? }
+ * Makes the messages visible again (after delayMs). A message nacked on its
+ * last allowed delivery goes to the dead-letter topic instead.
+ */
+app.post('/queues/:topic/nack', allow('consume', req => [topicResource(req.params.topic)]), async (req, res) => {
+  try {
+    res.json({ success: true, results: await queues.nack(req.params.topic, req.body) });
+  } catch (err) {
+    sendQueueError(res, err);
+  }
+});
 
-  onFailure: async (failedNode) => {
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`[Coordinator] 🔴 FAILOVER TRIGGERED for ${failedNode}`);
-    console.log(`${'='.repeat(60)}`);
+/**
+ * GET /queues/:topic?group=default
+ * Per-partition progress of a group: ack watermark, in-flight leases and
+ * delivery counts.
+ */
+app.get('/queues/:topic', allow('consume', req => [topicResource(req.params.topic)]), async (req, res) => {
+  try {
+    res.json(await queues.describe(req.params.topic, req.query.group));
+  } catch (err) {
+    sendQueueError(res, err);
+  }
+});
 
-    // Find the replica that should be promoted (first healthy clockwise node)
-    // We use a dummy key known to map to the failed node, but in practice we
-    // promote the first replica in the replication group of the failed node.
-    // Strategy: look up any key that has failedNode as primary.
-    // Simpler: promote the next node in the ring after failedNode.
+/**
+ * GET /queues/:topic/dlq?group=default&offset=0&limit=100
+ * Messages dead-lettered by a group, per partition of its dead-letter topic.
+ */
+app.get('/queues/:topic/dlq', allow('consume', req => [topicResource(req.params.topic)]), async (req, res) => {
+  const offset = Number(req.query.offset ?? 0);
+  const limit = Number(req.query.limit ?? 100);
+  if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'offset must be >= 0 and limit between 1 and 1000' });
+  }
 
-    const allNodes = ring.getAllNodeNames();
-    const failedIndex = allNodes.indexOf(failedNode);
-    let promotedNode = null;
+  try {
+    res.json(await queues.deadLetters(req.params.topic, { group: req.query.group, offset, limit }));
+  } catch (err) {
+    sendQueueError(res, err);
+  }
+});
 
-    // Walk clockwise through node list to find a healthy, non-failed node
-    for (let i = 1; i < allNodes.length; i++) {
-      const candidate = allNodes[(failedIndex + i) % allNodes.length];
-      const candidateUrl = ring.getNodeUrl(candidate);
-      try {
-        await axios.get(`${candidateUrl}/health`, { timeout: 2000 });
-        promotedNode = candidate;
-        break;
-      } catch {
-        console.log(`[Coordinator] Candidate ${candidate} also unhealthy, skipping`);
+/**
+ * POST /queues/:topic/dlq/replay
+ * Body: { group?, partition?, fromOffset?, limit? }
+ * Makes dead-lettered messages (from the given dead-letter partition / offset
+ * on) deliverable to the group again, with a fresh delivery count.
+ */
+app.post('/queues/:topic/dlq/replay', allow('admin', req => [topicResource(req.params.topic)]), async (req, res) => {
+  try {
+    res.json({ success: true, ...await queues.replay(req.params.topic, req.body) });
+  } catch (err) {
+    sendQueueError(res, err);
+  }
+});
+
+/**
+ * GET /ring
+ * Shows the current state of the hash ring.
+ */
+app.get('/ring', allowAny('consume'), (req, res) => {
+  res.json(ring.getRingInfo(REPLICATION_FACTOR));
+});
+
+/**
+ * GET /route/:key
+ * Shows where a given key would be routed without actually producing/consuming,
+ * including the ring range it falls in and whether that range is failed over.
+ */
+app.get('/route/:key', allowAny('consume'), (req, res) => {
+  const { key } = req.params;
+  const { rawPrimary, primary, replicas, keyHash, range, promotion } = resolveRoute(key);
+
+  res.json({
+    key,
+    keyHash,
+    range: { start: range.start, end: range.end },
+    primary,
+    primaryUrl: ring.getNodeUrl(primary),
+    replicas,
+    replicaUrls: replicas.map(n => ring.getNodeUrl(n)),
+    zones: Object.fromEntries([primary, ...replicas].map(n => [n, ring.getNodeZone(n)])),
+    failoverActive: promotion !== null,
+    epoch: clusterEpoch,
+    ...(promotion && { originalPrimary: rawPrimary, promotedAt: promotion.promotedAt }),
+  });
+});
+
+/**
+ * GET /health/nodes
+ * Shows health status of all broker nodes.
+ */
+app.get('/health/nodes', clusterAdmin, (req, res) => {
+  res.json(monitor.getStatus());
+});
+
+/**
+ * GET /hints
+ * Pending hinted-handoff writes across the cluster, by holder and target node.
+ */
+app.get('/hints', clusterAdmin, async (req, res) => {
+  const urlToNode = new Map(ring.getAllNodeNames().map(n => [ring.getNodeUrl(n), n]));
+  const holders = {};
+  let totalPending = 0;
+
+  await Promise.all(ring.getAllNodeNames().map(async nodeName => {
+    try {
+      const response = await axios.get(`${ring.getNodeUrl(nodeName)}/hints`, { timeout: 2000 });
+      const targets = {};
+      for (const [url, group] of Object.entries(response.data.targets)) {
+        targets[urlToNode.get(url) || url] = group;
       }
+      holders[nodeName] = { totalPending: response.data.totalPending, targets };
+      totalPending += response.data.totalPending;
+    } catch (err) {
+      holders[nodeName] = { error: `unreachable: ${err.message}` };
     }
+  }));
 
-    if (!promotedNode) {
-      console.log(`[Coordinator] 🚨 No healthy replica found for ${failedNode}. System degraded.`);
-      return;
-    }
+  res.json({ totalPending, holders });
+});
+
+/**
+ * POST /hints/replay/:node
+ * Drains every broker's pending hints for :node to it now.
+ */
+app.post('/hints/replay/:node', clusterAdmin, async (req, res) => {
+  const { node } = req.params;
+  if (!ring.getNodeUrl(node)) return res.status(404).json({ error: `Unknown node ${node}` });
+
+  const results = await replayHintsTo(node);
+  res.json({
+    target: node,
+    delivered: results.reduce((sum, r) => sum + (r.delivered || 0), 0),
+    remaining: results.reduce((sum, r) => sum + (r.remaining || 0), 0),
+    results,
+  });
+});
 
-    // Tell the promoted node it is now primary
+/**
+ * GET /anti-entropy/status
+ * Last anti-entropy runs on every broker (keys repaired per run).
+ */
+app.get('/anti-entropy/status', clusterAdmin, async (req, res) => {
+  const brokers = {};
+  await Promise.all(ring.getAllNodeNames().map(async nodeName => {
     try {
-      await axios.post(`${ring.getNodeUrl(promotedNode)}/promote`);
+      const response = await axios.get(`${ring.getNodeUrl(nodeName)}/anti-entropy/status`, { timeout: 2000 });
+      brokers[nodeName] = response.data;
     } catch (err) {
-      console.log(`[Coordinator] Failed to send promote signal: ${err.message}`);
+      brokers[nodeName] = { error: `unreachable: ${err.message}` };
     }
+  }));
+  res.json({ brokers });
+});
 
-    promotedNodes.set(failedNode, promotedNode);
-    monitor.markFailedOver(failedNode);
+/**
+ * POST /anti-entropy/run
+ * Runs an anti-entropy pass on every broker now.
+ */
+app.post('/anti-entropy/run', clusterAdmin, async (req, res) => {
+  await publishReplicaSets();
 
-    const event = {
-      failedNode,
-      promotedNode,
-      timestamp: new Date().toISOString(),
-    };
-    failoverEvents.push(event);
+  const reports = {};
+  let keysRepaired = 0;
+  for (const nodeName of ring.getAllNodeNames()) {
+    try {
+      const response = await axios.post(`${ring.getNodeUrl(nodeName)}/anti-entropy/run`, {}, { timeout: 60000 });
+      reports[nodeName] = response.data.report;
+      keysRepaired += response.data.report.keysRepaired;
+    } catch (err) {
+      reports[nodeName] = { error: err.response?.data?.error || err.message };
+    }
+  }
+  res.json({ keysRepaired, reports });
+});
 
-    console.log(`[Coordinator] ✅ ${promotedNode} promoted as new primary for ${failedNode}'s partitions`);
-    console.log(`${'='.repeat(60)}\n`);
-  },
+/**
+ * GET /retention/status
+ * Each broker's retention policies, last run and how much it reclaimed.
+ */
+app.get('/retention/status', clusterAdmin, async (req, res) => {
+  const brokers = {};
+  await Promise.all(ring.getAllNodeNames().map(async nodeName => {
+    try {
+      const response = await axios.get(`${ring.getNodeUrl(nodeName)}/retention/status`, { timeout: 2000 });
+      brokers[nodeName] = response.data;
+    } catch (err) {
+      brokers[nodeName] = { error: `unreachable: ${err.message}` };
+    }
+  }));
+  res.json({ policies: topics.retentionPolicies(), brokers });
+});
 
-  onRecovery: (recoveredNode) => {
-    console.log(`[Coordinator] 🟢 ${recoveredNode} has recovered.`);
-    console.log(`[Coordinator] Keeping current topology — ${promotedNodes.get(recoveredNode) || 'original'} remains primary.`);
-  },
+/**
+ * POST /retention/run
+ * Sends the current policies and runs retention on every broker now.
+ */
+app.post('/retention/run', clusterAdmin, async (req, res) => {
+  await publishRetentionPolicies();
+
+  const reports = {};
+  for (const nodeName of ring.getAllNodeNames()) {
+    try {
+      const response = await axios.post(`${ring.getNodeUrl(nodeName)}/retention/run`, {}, { timeout: 60000 });
+      reports[nodeName] = response.data.report;
+    } catch (err) {
+      reports[nodeName] = { error: err.response?.data?.error || err.message };
+    }
+  }
+  res.json({ reports });
 });
 
-monitor.start();
+// ─── API Keys ─────────────────────────────────────────────────────────────────
+/**
+ * POST /auth/keys
+ * Body: { name?, grants: [{ resource: 'topic' | 'key' | 'cluster', pattern?, actions: [...] }] }
+ * Creates an API key. The secret (apiKey) is only returned here — the
+ * cluster keeps a hash of it.
+ */
+app.post('/auth/keys', clusterAdmin, async (req, res) => {
+  try {
+    const { secret, command } = access.newKey(req.body);
+    const key = await raft.propose(command);
+    console.log(`[Coordinator] Created API key ${key.keyId} (${key.name})`);
+    res.status(201).json({ ...key, apiKey: secret });
+  } catch (err) {
+    if (err instanceof AuthError) return sendAuthError(res, err);
+    res.status(err instanceof NotLeaderError ? 503 : 500).json({ success: false, error: err.message });
+  }
+});
 
-// ─── Helper: resolve effective primary for a node ────────────────────────────
-function resolveEffectivePrimary(primary) {
-  // If this primary has failed over, return the promoted replacement
-  return promotedNodes.get(primary) || primary;
-}
+app.get('/auth/keys', clusterAdmin, (req, res) => {
+  res.json({ enabled: access.enabled, keys: access.list() });
+});
 
-// ─── Routes ──────────────────────────────────────────────────────────────────
+app.delete('/auth/keys/:keyId', clusterAdmin, async (req, res) => {
+  try {
+    const key = await raft.propose({ type: 'api_key_revoked', keyId: req.params.keyId });
+    if (!key) return res.status(404).json({ success: false, error: `Unknown API key ${req.params.keyId}` });
+    console.log(`[Coordinator] Revoked API key ${key.keyId} (${key.name})`);
+    res.json({ success: true, revoked: key });
+  } catch (err) {
+    res.status(err instanceof NotLeaderError ? 503 : 500).json({ success: false, error: err.message });
+  }
+});
 
 /**
- * POST /produce
- * Body: { key, payload }
- * Routes message to the correct primary broker and triggers replication.
+ * GET /auth/whoami
+ * The key this request was authenticated with and its grants.
  */
-app.post('/produce', async (req, res) => {
-  const { key, payload } = req.body;
+app.get('/auth/whoami', (req, res) => {
+  const { keyId, name, superuser, grants } = req.principal;
+  res.json({ keyId, name, superuser, grants: superuser ? [{ resource: 'cluster', actions: ['admin'] }] : grants });
+});
 
-  if (!key || payload === undefined) {
-    return res.status(400).json({ error: 'key and payload are required' });
+// ─── Cluster Membership ───────────────────────────────────────────────────────
+// Brokers can join, be drained or be removed while the cluster is live. The
+// rebalancer streams the ranges that change owner before routing switches.
+const rebalancer = new Rebalancer({
+  ring,
+  replicationFactor: REPLICATION_FACTOR,
+  isHealthy: nodeName => monitor.getNodeStatus(nodeName) === 'HEALTHY',
+});
+
+// Promotions are tied to ring ranges, so the ring must not change under them
+function assertNoFailover(exceptNode) {
+  const { activePromotions, unavailableNodes } = failover.getStatus();
+  const blocking = [...new Set([...Object.keys(activePromotions), ...unavailableNodes])].filter(n => n !== exceptNode);
+  if (blocking.length > 0) {
+    throw new RebalanceError(`Failover active for ${blocking.join(', ')} — wait for recovery before changing membership`, 409);
   }
+}
 
-  const { primary: rawPrimary, replicas: rawReplicas, keyHash } = ring.getNodesForKey(key, REPLICATION_FACTOR);
-  const primary = resolveEffectivePrimary(rawPrimary);
-  const replicas = rawReplicas.map(resolveEffectivePrimary).filter(n => n !== primary);
+// Take a node out of the ring; drained nodes stop anti-entropy on their old ranges
+function startLeave(type, nodeName) {
+  if (!ring.getNodeUrl(nodeName)) throw new RebalanceError(`Unknown broker ${nodeName}`, 404);
+  if (ring.getAllNodeNames().length <= 1) throw new RebalanceError('Cannot remove the last broker', 400);
+  assertNoFailover(nodeName);
 
-  const primaryUrl = ring.getNodeUrl(primary);
-  const replicaUrls = replicas.map(n => ring.getNodeUrl(n)).filter(Boolean);
+  const url = ring.getNodeUrl(nodeName);
+  const after = ring.clone();
+  after.removeNode(nodeName);
 
-  console.log(`\n[Coordinator] PRODUCE key="${key}"`);
-  console.log(`  Key Hash  : ${keyHash}`);
-  console.log(`  Primary   : ${primary} (${primaryUrl})`);
-  console.log(`  Replicas  : ${replicas.join(', ')}`);
+  return rebalancer.start(type, nodeName, after, async () => {
+    await raft.propose({ type: 'broker_removed', name: nodeName, url, drained: type === 'drain' });
+    console.log(`[Coordinator] ➖ ${nodeName} ${type === 'drain' ? 'drained' : 'removed'} — routing switched`);
+
+    axios.put(`${url}/anti-entropy/assignment`, { replicaSets: [] }, { timeout: 5000 }).catch(() => {});
+    await publishReplicaSets();
+  });
+}
+
+function sendRebalanceError(res, err) {
+  if (err instanceof RebalanceError || err instanceof NotLeaderError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.log(`[Coordinator] Membership change failed: ${err.message}`);
+  res.status(500).json({ success: false, error: err.message });
+}
+
+/**
+ * POST /admin/brokers
+ * Body: { name, url, zone?, weight? }
+ * Adds a broker to the live cluster, in the given zone (or rack) and with the
+ * given capacity weight (default 1: as many virtual nodes as the others). The ranges it takes over are streamed to
+ * it from their current owners; it receives traffic once that is done.
+ * Returns 202 — follow progress on GET /rebalance/status.
+ */
+app.post('/admin/brokers', clusterAdmin, async (req, res) => {
+  const { name, url, zone, weight } = req.body;
 
   try {
-    const response = await axios.post(`${primaryUrl}/store`, {
-      key,
-      payload,
-      replicateTo: replicaUrls,
-    });
+    if (!name || !url) throw new RebalanceError('name and url are required', 400);
+    if (weight !== undefined && !(typeof weight === 'number' && weight > 0 && Number.isFinite(weight))) {
+      throw new RebalanceError('weight must be a number > 0', 400);
+    }
+    if (zone !== undefined && (typeof zone !== 'string' || zone === '')) throw new RebalanceError('zone must be a non-empty string', 400);
+    if (ring.getNodeUrl(name)) throw new RebalanceError(`Broker ${name} is already a member`, 409);
+    assertNoFailover();
 
-    res.status(201).json({
-      success: true,
-      key,
-      keyHash,
-      primary,
-      replicas,
-      replicationResults: response.data.replicationResults,
+    try {
+      await axios.get(`${url}/health`, { timeout: 2000 });
+    } catch (err) {
+      throw new RebalanceError(`Broker ${name} at ${url} is unreachable: ${err.message}`, 400);
+    }
+
+    const after = ring.clone();
+    try {
+      after.addNode(name, url, { zone, weight });
+    } catch (err) {
+      throw new RebalanceError(err.message, 400);
+    }
+
+    const rebalance = rebalancer.start('join', name, after, async () => {
+      await raft.propose({ type: 'broker_added', name, url, zone, weight });
+      console.log(`[Coordinator] ➕ ${name} joined the ring — routing switched`);
+      await publishReplicaSets();
     });
+    res.status(202).json({ success: true, rebalance });
   } catch (err) {
-    console.log(`[Coordinator] Primary ${primary} unreachable: ${err.message}`);
-    res.status(503).json({ success: false, error: `Primary broker ${primary} is unreachable`, key });
+    sendRebalanceError(res, err);
   }
 });
 
 /**
- * GET /consume/:key
- * Reads a message from the primary (falls back to replica if primary is down).
+ * POST /admin/brokers/:name/drain
+ * Moves every range off a broker and takes it out of routing. The broker
+ * stays listed as drained until it is removed (or joins again).
  */
-app.get('/consume/:key', async (req, res) => {
-  const { key } = req.params;
-  const { primary: rawPrimary, replicas: rawReplicas } = ring.getNodesForKey(key, REPLICATION_FACTOR);
-  const primary = resolveEffectivePrimary(rawPrimary);
-  const replicas = rawReplicas.map(resolveEffectivePrimary);
-
-  // Try primary first, then each replica
-  const candidates = [primary, ...replicas];
+app.post('/admin/brokers/:name/drain', clusterAdmin, (req, res) => {
+  try {
+    res.status(202).json({ success: true, rebalance: startLeave('drain', req.params.name) });
+  } catch (err) {
+    sendRebalanceError(res, err);
+  }
+});
 
-  for (const nodeName of candidates) {
-    const url = ring.getNodeUrl(nodeName);
-    if (!url) continue;
+/**
+ * DELETE /admin/brokers/:name
+ * Removes a broker. A drained broker is simply forgotten; a live member is
+ * drained first (from its replicas if it is down) and then forgotten.
+ */
+app.delete('/admin/brokers/:name', clusterAdmin, async (req, res) => {
+  const { name } = req.params;
 
+  if (drainedNodes.has(name)) {
     try {
-      const response = await axios.get(`${url}/fetch/${key}`, { timeout: 2000 });
-      if (response.data.success) {
-        const failover = nodeName !== primary;
-        console.log(`[Coordinator] CONSUME key="${key}" → served by ${nodeName}${failover ? ' (FAILOVER)' : ''}`);
-        return res.json({
-          ...response.data,
-          servedBy: nodeName,
-          failover: promotedNodes.size > 0,
-          source: nodeName === rawPrimary ? 'primary' : 'replica',
-        });
-      }
-    } catch {
-      console.log(`[Coordinator] Node ${nodeName} unreachable when consuming key="${key}", trying next...`);
+      await raft.propose({ type: 'drained_broker_forgotten', name });
+    } catch (err) {
+      return sendRebalanceError(res, err);
     }
+    console.log(`[Coordinator] ${name} removed from drained brokers`);
+    return res.json({ success: true, removed: name });
   }
 
-  res.status(404).json({ success: false, key, error: 'Message not found on any node' });
+  try {
+    res.status(202).json({ success: true, rebalance: startLeave('remove', name) });
+  } catch (err) {
+    sendRebalanceError(res, err);
+  }
 });
 
 /**
- * GET /ring
- * Shows the current state of the hash ring.
+ * GET /admin/brokers
+ * Lists ring members and drained brokers.
  */
-app.get('/ring', (req, res) => {
-  res.json(ring.getRingInfo());
+app.get('/admin/brokers', clusterAdmin, (req, res) => {
+  const health = monitor.getStatus();
+  res.json({
+    members: ring.getAllNodeNames().map(name => ({ name, url: ring.getNodeUrl(name), status: health[name]?.status })),
+    drained: [...drainedNodes].map(([name, url]) => ({ name, url })),
+  });
 });
 
 /**
- * GET /route/:key
- * Shows where a given key would be routed without actually producing/consuming.
+ * GET /rebalance/status
+ * Progress of the running membership change and recent history.
  */
-app.get('/route/:key', (req, res) => {
-  const { key } = req.params;
-  const { primary: rawPrimary, replicas: rawReplicas, keyHash } = ring.getNodesForKey(key, REPLICATION_FACTOR);
-  const primary = resolveEffectivePrimary(rawPrimary);
-  const replicas = rawReplicas.map(resolveEffectivePrimary);
-
-  res.json({
-    key,
-    keyHash,
-    primary,
-    primaryUrl: ring.getNodeUrl(primary),
-    replicas,
-    replicaUrls: replicas.map(n => ring.getNodeUrl(n)),
-    failoverActive: promotedNodes.size > 0,
-  });
+app.get('/rebalance/status', clusterAdmin, (req, res) => {
+  res.json(rebalancer.getStatus());
 });
 
+// ─── Partitioning analysis ────────────────────────────────────────────────────
+const MAX_SIMULATED_KEYS = 100000;
+
+// Every key stored in the cluster, and every topic partition weighted by its
+// message count, as [{ key, weight }]
+async function currentKeys() {
+  const keys = new Map();
+  await Promise.all(ring.getAllNodeNames().map(async nodeName => {
+    try {
+      const { data } = await axios.get(`${ring.getNodeUrl(nodeName)}/keys`, { timeout: 10000 });
+      for (const key of data.keys) keys.set(key, 1);
+      for (const [id, messageCount] of Object.entries(data.partitions)) {
+        const [topic, partition] = id.split('/');
+        const routingKey = TopicRegistry.routingKey(topic, partition);
+        keys.set(routingKey, Math.max(keys.get(routingKey) || 0, messageCount));
+      }
+    } catch (err) {
+      throw new SimulationError(`Could not list the keys on ${nodeName}: ${err.message}`, 503);
+    }
+  }));
+  return [...keys].map(([key, weight]) => ({ key, weight }));
+}
+
 /**
- * GET /health/nodes
- * Shows health status of all broker nodes.
+ * POST /admin/partitioning/simulate
+ * Body: { source?: 'sample' | 'current', sampleSize?, keys?: [...], partitioners?: [...], changes?: [...] }
+ * Places a key set with each partitioner (consistent, rendezvous, jump) over
+ * the current brokers and reports load per node and skew, then how many keys
+ * would move for each change: { add: { name, zone?, weight? } } or
+ * { remove: nodeName }. Keys are the given ones, sampleSize generated ones
+ * (default 10000) or, with source=current, the ones stored in the cluster.
+ * Default changes: one broker joining, and each member leaving in turn.
  */
-app.get('/health/nodes', (req, res) => {
-  res.json(monitor.getStatus());
+app.post('/admin/partitioning/simulate', clusterAdmin, async (req, res) => {
+  const { source = 'sample', sampleSize = 10000, partitioners } = req.body;
+  const changes = req.body.changes ?? [
+    { add: { name: 'simulated-node' } },
+    ...ring.getAllNodeNames().map(name => ({ remove: name })),
+  ];
+
+  try {
+    if (!['sample', 'current'].includes(source)) throw new SimulationError('source must be sample or current', 400);
+    if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > MAX_SIMULATED_KEYS) {
+      throw new SimulationError(`sampleSize must be between 1 and ${MAX_SIMULATED_KEYS}`, 400);
+    }
+    if (!Array.isArray(changes) || (partitioners !== undefined && !Array.isArray(partitioners))) {
+      throw new SimulationError('changes and partitioners must be arrays', 400);
+    }
+    if (req.body.keys !== undefined && (!Array.isArray(req.body.keys) || req.body.keys.length > MAX_SIMULATED_KEYS)) {
+      throw new SimulationError(`keys must be an array of at most ${MAX_SIMULATED_KEYS} keys`, 400);
+    }
+
+    let keys;
+    if (req.body.keys) keys = req.body.keys.map(key => ({ key: String(key), weight: 1 }));
+    else if (source === 'current') keys = await currentKeys();
+    else keys = Array.from({ length: sampleSize }, (_, i) => ({ key: `sample-key-${i}`, weight: 1 }));
+
+    const report = simulate(ring, { keys, changes, partitioners, replicationFactor: REPLICATION_FACTOR });
+    res.json({ source: req.body.keys ? 'keys' : source, ...report });
+  } catch (err) {
+    res.status(err instanceof SimulationError ? err.status : 500).json({ success: false, error: err.message });
+  }
 });
 
 /**
  * GET /failover/status
- * Shows failover history.
+ * Shows failover history and, per failed node, which node now serves each of
+ * its ring ranges. failingBack lists nodes whose ranges are being handed back
+ * (writes to them are refused with 503 until that is done).
  */
-app.get('/failover/status', (req, res) => {
+app.get('/failover/status', clusterAdmin, (req, res) => {
   res.json({
-    totalFailovers: failoverEvents.length,
-    activePromotions: Object.fromEntries(promotedNodes),
+    totalFailovers: failoverEvents.filter(e => e.type === 'failover').length,
+    failbackEnabled: FAILBACK,
+    epoch: clusterEpoch,
+    ...failover.getStatus(),
     events: failoverEvents,
   });
 });
 
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+const BROKER_STATUSES = ['HEALTHY', 'FAILED', 'FAILED_OVER', 'CATCHING_UP'];
+
+metrics.counter('failovers_total', 'Failovers recorded in the cluster metadata, by failed node', {
+  collect: () => countBy(failoverEvents.filter(e => e.type === 'failover'), e => e.failedNode).map(([node, n]) => [{ failed_node: node }, n]),
+});
+metrics.counter('failbacks_total', 'Failbacks recorded in the cluster metadata, by node', {
+  collect: () => countBy(failoverEvents.filter(e => e.type === 'failback'), e => e.failedNode).map(([node, n]) => [{ node }, n]),
+});
+// Health is only tracked by the leader; followers report no series
+metrics.gauge('broker_status', 'Broker health state (1 for the current state), by node and status', {
+  collect: () => Object.entries(monitor.getStatus()).flatMap(([node, { status }]) =>
+    BROKER_STATUSES.map(s => [{ node, status: s }, s === status ? 1 : 0])),
+});
+metrics.gauge('brokers', 'Brokers in the ring', { collect: () => [[{}, ring.getAllNodeNames().length]] });
+metrics.gauge('cluster_epoch', 'Current leadership epoch', { collect: () => [[{}, clusterEpoch]] });
+metrics.gauge('coordinator_leader', '1 if this coordinator is the Raft leader', { collect: () => [[{}, raft.isLeader() ? 1 : 0]] });
+metrics.gauge('raft_term', 'Current Raft term', { collect: () => [[{}, raft.getStatus().term]] });
+metrics.gauge('promoted_ranges', 'Ring ranges currently served by a promoted replica', { collect: () => [[{}, failover.getStatus().promotedRanges]] });
+metrics.gauge('open_transactions', 'Transactions not yet completed on every broker', { collect: () => [[{}, transactions.transactions.size]] });
+metrics.gauge('open_subscriptions', 'Server-Sent Events subscriptions served by this coordinator', { collect: () => [[{}, subscriptions.subscriptions.size]] });
+
+// [[value, count], …] of fn over items
+function countBy(items, fn) {
+  const counts = new Map();
+  for (const item of items) counts.set(fn(item), (counts.get(fn(item)) || 0) + 1);
+  return [...counts];
+}
+
+/**
+ * GET /metrics
+ * Prometheus text format: produce / consume counts, HTTP latency, health
+ * checks, failovers and cluster state as this coordinator sees it. Scrape
+ * every coordinator and every broker (each broker serves its own /metrics).
+ */
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', Metrics.CONTENT_TYPE).send(await metrics.render());
+});
+
+// ─── Tracing ──────────────────────────────────────────────────────────────────
+/**
+ * GET /trace/:id?scope=cluster|local
+ * Every span of a trace (the id comes back in the X-Trace-Id response
+ * header), as OpenTelemetry OTLP/JSON: one resourceSpans entry per
+ * coordinator and broker the request went through. scope=local returns only
+ * this coordinator's spans.
+ */
+app.get('/trace/:id', clusterAdmin, async (req, res) => {
+  const traceId = req.params.id.toLowerCase();
+  const scope = req.query.scope || 'cluster';
+  if (!['cluster', 'local'].includes(scope)) {
+    return res.status(400).json({ error: 'scope must be cluster or local' });
+  }
+
+  const resourceSpans = [...tracer.export(traceId).resourceSpans];
+  if (scope === 'cluster') {
+    const sources = [
+      ...COORDINATOR_PEERS.map(({ id, url }) => ({ name: id, url: `${url}/trace/${traceId}?scope=local` })),
+      ...ring.getAllNodeNames().map(name => ({ name, url: `${ring.getNodeUrl(name)}/trace/${traceId}` })),
+    ];
+    await Promise.all(sources.map(async ({ name, url }) => {
+      try {
+        const response = await axios.get(url, { timeout: 2000, validateStatus: status => status === 200 || status === 404 });
+        resourceSpans.push(...(response.data.resourceSpans || []));
+      } catch (err) {
+        console.log(`[Coordinator] Could not fetch trace ${traceId} from ${name}: ${err.message}`);
+      }
+    }));
+  }
+
+  if (resourceSpans.length === 0) {
+    return res.status(404).json({ error: `No spans recorded for trace ${traceId}` });
+  }
+  res.json({ resourceSpans });
+});
+
+// ─── Raft RPCs between coordinators ───────────────────────────────────────────
+app.post('/raft/request-vote', (req, res) => {
+  res.json(raft.handleRequestVote(req.body));
+});
+
+app.post('/raft/append-entries', (req, res) => {
+  res.json(raft.handleAppendEntries(req.body));
+});
+
+/**
+ * GET /raft/status
+ * This coordinator's role, term, leader and replication progress.
+ */
+app.get('/raft/status', clusterAdmin, (req, res) => {
+  res.json(raft.getStatus());
+});
+
 /**
  * GET /health
  * Coordinator self-health check.
  */
 app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', service: 'coordinator', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'healthy',
+    service: 'coordinator',
+    id: COORDINATOR_ID,
+    role: raft.role,
+    leader: raft.leaderId,
+    timestamp: new Date().toISOString(),
+  });
 });
 
 // ─── Start ────────────────────────────────────────────────────────────────────
@@ -251,5 +2536,8 @@ app.listen(PORT, () => {
   console.log(`Port             : ${PORT}`);
   console.log(`Replication Factor: ${REPLICATION_FACTOR}`);
   console.log(`Brokers          : ${ring.getAllNodeNames().join(', ')}`);
+  console.log(`Coordinator ID   : ${COORDINATOR_ID} (peers: ${COORDINATOR_PEERS.map(p => p.id).join(', ') || 'none'})`);
   console.log(`${'='.repeat(60)}\n`);
+
+  raft.start();
 });
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+
+class SubscriptionError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * SubscriptionManager — pushes topic messages to long-lived subscribers.
+ *
+ * A subscription covers one topic, or every topic when only a key prefix is
+ * given, optionally filtered to messages whose key starts with keyPrefix.
+ * Each subscription tails its partitions from a per-partition position: it
+ * reads through readPartition() (which follows the current route, so a
+ * promotion mid-stream just changes which broker answers) whenever produce
+ * notifies it, and at least every pollIntervalMs — writes accepted by another
+ * coordinator are picked up that way.
+ *
+ * Positions are exposed as a cursor ("orders/0:5,orders/1:3" — the next offset
+ * per partition); passing it back resumes exactly after the last delivery.
+ * Partitions missing from the cursor start at "earliest" or "latest" (from);
+ * topics created after the subscription opened always start at offset 0.
+ */
+class SubscriptionManager {
+  constructor({ topics, readPartition, pollIntervalMs = 1000, batchSize = 100 }) {
+    this.topics = topics;
+    // readPartition(topic, partition, offset, limit) → { data: { messages, nextOffset, abortedOffsets? }, servedBy } or null
+    this.readPartition = readPartition;
+    this.pollIntervalMs = pollIntervalMs;
+    this.batchSize = batchSize;
+
+    // id → { id, topic, keyPrefix, positions, servedBy, delivered, openedAt, send, wake, pending, closed }
+    this.subscriptions = new Map();
+  }
+
+  // ─── Open a subscription; send(event, data, id) receives everything ─────────
+  async open({ topic, keyPrefix, cursor, from = 'latest' }, send) {
+    if (!topic && !keyPrefix) {
+      throw new SubscriptionError('topic or keyPrefix is required', 400);
+    }
+    if (topic && !this.topics.get(topic)) {
+      throw new SubscriptionError(`Unknown topic "${topic}"`, 404);
+    }
+    if (!['earliest', 'latest'].includes(from)) {
+      throw new SubscriptionError('from must be "earliest" or "latest"', 400);
+    }
+
+    const sub = {
+      id: crypto.randomUUID(),
+      topic: topic || null,
+      keyPrefix: keyPrefix || null,
+      positions: SubscriptionManager.parseCursor(cursor),
+      servedBy: new Map(),
+      delivered: 0,
+      openedAt: new Date().toISOString(),
+      send,
+      wake: null,
+      pending: false,
+      closed: false,
+    };
+
+    // Partitions that exist now and are not in the cursor start at `from`
+    for (const { topic: name, partition } of this._partitionsOf(sub)) {
+      const id = `${name}/${partition}`;
+      if (sub.positions.has(id)) continue;
+      sub.positions.set(id, from === 'earliest' ? 0 : await this._endOffset(name, partition));
+    }
+
+    this.subscriptions.set(sub.id, sub);
+    console.log(`[Subscriptions] ${sub.id} opened (${this._describe(sub)})`);
+    this._run(sub);
+    return { id: sub.id, cursor: SubscriptionManager.formatCursor(sub.positions) };
+  }
+
+  close(id) {
+    const sub = this.subscriptions.get(id);
+    if (!sub) return;
+
+    sub.closed = true;
+    if (sub.wake) sub.wake();
+    this.subscriptions.delete(id);
+    console.log(`[Subscriptions] ${id} closed after ${sub.delivered} message(s)`);
+  }
+
+  // ─── A message was appended: wake the subscriptions tailing that topic ──────
+  notify(topic) {
+    for (const sub of this.subscriptions.values()) {
+      if (sub.topic !== null && sub.topic !== topic) continue;
+      if (sub.wake) sub.wake();
+      else sub.pending = true;
+    }
+  }
+
+  getStatus() {
+    return [...this.subscriptions.values()].map(sub => ({
+      id: sub.id,
+      topic: sub.topic,
+      keyPrefix: sub.keyPrefix,
+      openedAt: sub.openedAt,
+      delivered: sub.delivered,
+      cursor: SubscriptionManager.formatCursor(sub.positions),
+      servedBy: Object.fromEntries(sub.servedBy),
+    }));
+  }
+
+  async _run(sub) {
+    while (!sub.closed) {
+      sub.pending = false;
+      try {
+        await this._pump(sub);
+      } catch (err) {
+        console.log(`[Subscriptions] ${sub.id} read failed: ${err.message}`);
+      }
+      if (sub.closed) break;
+      // Notified while reading — go again right away
+      if (sub.pending) continue;
+
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, this.pollIntervalMs);
+        sub.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      sub.wake = null;
+    }
+  }
+
+  // ─── Deliver everything past each partition's position ──────────────────────
+  async _pump(sub) {
+    for (const { topic, partition } of this._partitionsOf(sub)) {
+      const id = `${topic}/${partition}`;
+      if (!sub.positions.has(id)) sub.positions.set(id, 0);
+
+      while (!sub.closed) {
+        const result = await this.readPartition(topic, partition, sub.positions.get(id), this.batchSize);
+        if (!result) {
+          this._setServedBy(sub, topic, partition, null);
+          break;
+        }
+        this._setServedBy(sub, topic, partition, result.servedBy);
+
+        const { messages, abortedOffsets = [] } = result.data;
+        for (const message of messages) {
+          if (sub.closed) return;
+          sub.positions.set(id, message.offset + 1);
+          if (sub.keyPrefix && !String(message.key ?? '').startsWith(sub.keyPrefix)) continue;
+
+          sub.delivered++;
+          sub.send('message', {
+            topic,
+            partition,
+            offset: message.offset,
+            key: message.key,
+            payload: message.payload,
+            timestamp: message.timestamp,
+          }, SubscriptionManager.formatCursor(sub.positions));
+        }
+        // Messages of aborted transactions were skipped by the read; move past them
+        const lastAborted = Math.max(-1, ...abortedOffsets);
+        if (lastAborted >= sub.positions.get(id)) sub.positions.set(id, lastAborted + 1);
+        if (messages.length < this.batchSize) break;
+      }
+    }
+  }
+
+  // Tell the subscriber when a partition starts being served by another broker
+  _setServedBy(sub, topic, partition, nodeName) {
+    const id = `${topic}/${partition}`;
+    const previous = sub.servedBy.get(id);
+    if (previous === nodeName) return;
+
+    sub.servedBy.set(id, nodeName);
+    if (previous === undefined) return;
+    sub.send(nodeName ? 'route' : 'unavailable', { topic, partition, from: previous, to: nodeName });
+  }
+
+  async _endOffset(topic, partition) {
+    const result = await this.readPartition(topic, partition, Number.MAX_SAFE_INTEGER, 1);
+    if (!result) {
+      throw new SubscriptionError(`No replica of ${topic}/${partition} is reachable`, 503);
+    }
+    return result.data.nextOffset;
+  }
+
+  _partitionsOf(sub) {
+    const topics = sub.topic ? [this.topics.get(sub.topic)] : this.topics.list();
+    const result = [];
+    for (const topic of topics) {
+      for (let partition = 0; partition < topic.partitions; partition++) {
+        result.push({ topic: topic.name, partition });
+      }
+    }
+    return result;
+  }
+
+  _describe(sub) {
+    return [sub.topic && `topic=${sub.topic}`, sub.keyPrefix && `keyPrefix=${sub.keyPrefix}`].filter(Boolean).join(' ');
+  }
+
+  // ─── Cursor: "<topic>/<partition>:<nextOffset>,..." ─────────────────────────
+  static parseCursor(cursor) {
+    const positions = new Map();
+    if (!cursor) return positions;
+
+    for (const entry of String(cursor).split(',')) {
+      const match = /^([A-Za-z0-9._-]+)\/(\d+):(\d+)$/.exec(entry.trim());
+      if (!match) {
+        throw new SubscriptionError(`Invalid cursor entry "${entry}" (expected <topic>/<partition>:<offset>)`, 400);
+      }
+      positions.set(`${match[1]}/${match[2]}`, Number(match[3]));
+    }
+    return positions;
+  }
+
+  static formatCursor(positions) {
+    return [...positions].map(([id, offset]) => `${id}:${offset}`).join(',');
+  }
+}
+
+module.exports = { SubscriptionManager, SubscriptionError };
@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { AccessControl } = require('../accessControl');
+const { LocalCluster } = require('../../chaos/cluster');
+
+const key = grants => ({ name: 'k', superuser: false, grants });
+
+test('grants match exact names and prefixes per action', () => {
+  const access = new AccessControl({ adminKey: 'admin', clusterToken: 'token' });
+  const reader = key([{ resource: 'topic', pattern: 'orders.*', actions: ['consume'] }, { resource: 'key', pattern: 'user_1', actions: ['produce'] }]);
+
+  assert.equal(access.can(reader, 'consume', { type: 'topic', name: 'orders.eu' }), true);
+  assert.equal(access.can(reader, 'consume', { type: 'topic', name: 'billing' }), false);
+  assert.equal(access.can(reader, 'produce', { type: 'topic', name: 'orders.eu' }), false);
+  assert.equal(access.can(reader, 'produce', { type: 'key', name: 'user_12' }), false);
+
+  assert.equal(access.canReach(reader, { type: 'key', name: 'user_1' }), true);
+  assert.equal(access.canReach(reader, { type: 'topic', name: 'billing' }), false);
+  assert.equal(access.canReach(key([{ resource: 'cluster', actions: ['admin'] }]), { type: 'topic', name: 'billing' }), true);
+
+  assert.throws(() => access.authorize(reader, 'consume', [{ type: 'topic', name: 'orders.eu' }, { type: 'topic', name: 'billing' }]),
+    { status: 403, message: 'Key "k" is not allowed to consume topic "billing"' });
+  assert.doesNotThrow(() => access.authorizeAny(reader, 'consume'));
+  assert.throws(() => access.authorizeAny(key([{ resource: 'topic', pattern: '*', actions: ['produce'] }]), 'consume'), { status: 403 });
+});
+
+test('refuses malformed grants', () => {
+  for (const grants of [[], [{ resource: 'queue', pattern: '*', actions: ['consume'] }], [{ resource: 'topic', pattern: '*', actions: ['read'] }],
+    [{ resource: 'cluster', actions: ['consume'] }], [{ resource: 'topic', actions: ['consume'] }]]) {
+    assert.throws(() => AccessControl.validateGrants(grants), { status: 400 });
+  }
+});
+
+// ─── Routes, on a coordinator with authentication on ──────────────────────────
+const ADMIN_KEY = 'admin-secret';
+const cluster = new LocalCluster({ brokers: 1, replicationFactor: 1, basePort: 17700, coordinatorEnv: { ADMIN_API_KEY: ADMIN_KEY } });
+const coordinator = cluster.coordinator.url;
+const as = secret => ({ headers: { Authorization: `Bearer ${secret}` } });
+const keys = {};
+
+before(async () => {
+  await cluster.start();
+  for (const name of ['orders', 'billing']) {
+    assert.equal((await cluster.http.post(`${coordinator}/topics`, { name, partitions: 1 }, as(ADMIN_KEY))).status, 201);
+  }
+  const grants = {
+    ordersReader: [{ resource: 'topic', pattern: 'orders', actions: ['consume'] }],
+    billingWriter: [{ resource: 'topic', pattern: 'billing', actions: ['produce'] }],
+  };
+  for (const [name, granted] of Object.entries(grants)) {
+    keys[name] = (await cluster.http.post(`${coordinator}/auth/keys`, { name, grants: granted }, as(ADMIN_KEY))).data.apiKey;
+  }
+});
+after(async () => {
+  await cluster.stop();
+  cluster.removeData();
+});
+
+const get = (path, secret) => cluster.http.get(`${coordinator}${path}`, secret ? as(secret) : { headers: { 'X-Cluster-Token': '' } });
+
+test('lists only the topics a key may use', async () => {
+  const names = async secret => (await get('/topics', secret)).data.topics.map(t => t.name).sort();
+  assert.deepEqual(await names(keys.ordersReader), ['orders']);
+  assert.deepEqual(await names(keys.billingWriter), ['billing']);
+  assert.deepEqual(await names(ADMIN_KEY), ['billing', 'orders']);
+  assert.equal((await get('/topics')).status, 401);
+});
+
+test('topic and schema details need consume rights on the topic', async () => {
+  for (const path of ['/topics/billing', '/topics/billing/schemas', '/topics/billing/schemas/latest']) {
+    const res = await get(path, keys.ordersReader);
+    assert.equal(res.status, 403, path);
+    assert.match(res.data.error, /not allowed to consume topic "billing"/);
+  }
+  assert.equal((await get('/topics/orders', keys.ordersReader)).status, 200);
+  // Allowed through, then answered by the route: no schema yet
+  assert.equal((await get('/topics/orders/schemas', keys.ordersReader)).status, 404);
+  assert.equal((await get('/topics/orders', keys.billingWriter)).status, 403);
+});
+
+test('ring layout and routing need a key that may consume something', async () => {
+  for (const path of ['/ring', '/route/user_1']) {
+    assert.equal((await get(path, keys.ordersReader)).status, 200, path);
+    assert.equal((await get(path, keys.billingWriter)).status, 403, path);
+    assert.equal((await get(path)).status, 401, path);
+  }
+});
@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const HashRing = require('../hashRing');
+const FailoverManager = require('../failoverManager');
+
+const NODES = ['node-1', 'node-2', 'node-3', 'node-4'];
+
+function setup() {
+  const ring = new HashRing(50);
+  for (const name of NODES) ring.addNode(name, `http://${name}`);
+  return { ring, failover: new FailoverManager({ ring, replicationFactor: 3 }) };
+}
+
+const healthyExcept = (...down) => new Set(NODES.filter(n => !down.includes(n)));
+
+// A routing key whose range has nodeName as its primary
+function keyOwnedBy(ring, nodeName) {
+  for (let i = 0; ; i++) {
+    if (ring.getNodesForKey(`key-${i}`, 3).primary === nodeName) return `key-${i}`;
+  }
+}
+
+test('a failed node stays out of replica lists until it has caught up', () => {
+  const { ring, failover } = setup();
+  const key = keyOwnedBy(ring, 'node-1');
+  failover.failNode('node-1', healthyExcept('node-1'));
+
+  const route = failover.route(key);
+  assert.notEqual(route.primary, 'node-1');
+  assert.equal(route.rawPrimary, 'node-1');
+  assert.ok(!route.replicas.includes('node-1'));
+
+  failover.markAvailable('node-1');
+  assert.ok(failover.route(key).replicas.includes('node-1'));
+  assert.equal(failover.route(key).primary, route.primary);
+});
+
+test('failback holds writes while handing back, then restores the original primary', () => {
+  const { ring, failover } = setup();
+  const key = keyOwnedBy(ring, 'node-1');
+  const { promoted } = failover.failNode('node-1', healthyExcept('node-1'));
+  failover.markAvailable('node-1');
+
+  const handed = failover.startFailBack('node-1');
+  assert.equal(handed.length, promoted.length);
+  assert.equal(failover.route(key).handingBack, true);
+  assert.deepEqual(failover.getStatus().failingBack, ['node-1']);
+
+  // Aborted: the promoted nodes keep the ranges and take writes again
+  failover.abortFailBack('node-1');
+  assert.equal(failover.route(key).handingBack, false);
+  assert.notEqual(failover.route(key).primary, 'node-1');
+
+  failover.startFailBack('node-1');
+  assert.equal(failover.failBack('node-1').length, promoted.length);
+  const route = failover.route(key);
+  assert.deepEqual([route.primary, route.promotion, route.handingBack], ['node-1', null, false]);
+  assert.equal(failover.getStatus().promotedRanges, 0);
+});
+
+test('failing again during failback calls the failback off', () => {
+  const { ring, failover } = setup();
+  const key = keyOwnedBy(ring, 'node-1');
+  failover.failNode('node-1', healthyExcept('node-1'));
+  failover.markAvailable('node-1');
+  failover.startFailBack('node-1');
+
+  failover.failNode('node-1', healthyExcept('node-1'));
+  assert.deepEqual(failover.getStatus().failingBack, []);
+  assert.equal(failover.route(key).handingBack, false);
+  assert.deepEqual(failover.getStatus().unavailableNodes, ['node-1']);
+});
+
+test('forgetting a removed node drops its promotions', () => {
+  const { failover } = setup();
+  failover.failNode('node-1', healthyExcept('node-1'));
+  assert.ok(failover.promotionsFor('node-1').length > 0);
+
+  failover.forget('node-1');
+  assert.deepEqual(failover.promotionsFor('node-1'), []);
+  assert.deepEqual(failover.getStatus().unavailableNodes, []);
+});
+
+test('each range of a failed node goes to the first healthy node of its own list', () => {
+  const { ring, failover } = setup();
+  const { promoted, unassigned } = failover.failNode('node-1', healthyExcept('node-1'));
+  assert.deepEqual(unassigned, []);
+
+  const ranges = ring.getRanges(3).filter(r => r.nodes[0] === 'node-1');
+  assert.equal(promoted.length, ranges.length);
+  for (const { end, nodes } of ranges) {
+    assert.equal(promoted.find(p => p.end === end).to, nodes[1]);
+  }
+  // The load is spread over the failed node's successors, not one of them
+  assert.ok(new Set(promoted.map(p => p.to)).size > 1);
+});
+
+test('skips unhealthy candidates and reports ranges with none left', () => {
+  const { ring, failover } = setup();
+  const { promoted, unassigned } = failover.failNode('node-1', healthyExcept('node-1', 'node-2', 'node-3'));
+
+  for (const { to } of promoted) assert.equal(to, 'node-4');
+  const withoutNode4 = ring.getRanges(3).filter(r => r.nodes[0] === 'node-1' && !r.nodes.includes('node-4'));
+  assert.equal(unassigned.length, withoutNode4.length);
+  assert.equal(promoted.length + unassigned.length, ring.getRanges(3).filter(r => r.nodes[0] === 'node-1').length);
+});
+
+test('a promoted node that fails passes the range on, back to a caught-up primary', () => {
+  const { ring, failover } = setup();
+  const key = keyOwnedBy(ring, 'node-1');
+  const [, second, third] = [ring.getNodesForKey(key, 3).primary, ...ring.getNodesForKey(key, 3).replicas];
+
+  failover.failNode('node-1', healthyExcept('node-1'));
+  assert.equal(failover.route(key).primary, second);
+
+  failover.failNode(second, healthyExcept('node-1', second));
+  assert.equal(failover.route(key).primary, third);
+  assert.equal(failover.route(key).promotion.failedNode, 'node-1');
+
+  // node-1 caught up meanwhile: the range goes straight back to it
+  failover.markAvailable('node-1');
+  failover.failNode(third, healthyExcept(second, third));
+  assert.deepEqual([failover.route(key).primary, failover.route(key).promotion], ['node-1', null]);
+});
+
+test('ranges the node was not serving stay where they are', () => {
+  const { ring, failover } = setup();
+  const key = keyOwnedBy(ring, 'node-2');
+  failover.failNode('node-1', healthyExcept('node-1'));
+  assert.equal(failover.route(key).primary, 'node-2');
+  assert.equal(failover.route(key).promotion, null);
+});
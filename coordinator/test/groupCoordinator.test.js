@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { GroupCoordinator, GroupError } = require('../groupCoordinator');
+
+// Offsets saved as the brokers would keep them: "group|topic/partition" → offset
+function setup({ topics = { orders: 3 }, saved = new Map() } = {}) {
+  const topicMap = new Map(Object.entries(topics).map(([name, partitions]) => [name, { name, partitions }]));
+  const groups = new GroupCoordinator({
+    topics: topicMap,
+    offsetStore: {
+      load: async (group, topic, partition) => saved.get(`${group}|${topic}/${partition}`) ?? null,
+      save: async (group, topic, partition, offset) => saved.set(`${group}|${topic}/${partition}`, offset),
+    },
+    sessionTimeoutMs: 1000,
+  });
+  return { groups, topics: topicMap, saved };
+}
+
+const partitionsOf = view => view.assignment.map(p => `${p.topic}/${p.partition}`);
+
+async function refused(promise, status) {
+  await assert.rejects(promise, err => err instanceof GroupError && err.status === status);
+}
+
+test('spreads partitions round-robin over the members and bumps the generation', async () => {
+  const { groups } = setup();
+  const a = await groups.join('billing', { memberId: 'a', topics: ['orders'] });
+  assert.equal(a.generation, 1);
+  assert.deepEqual(partitionsOf(a), ['orders/0', 'orders/1', 'orders/2']);
+
+  await groups.join('billing', { memberId: 'b', topics: ['orders'] });
+  const [viewA, viewB] = [await groups.heartbeat('billing', 'a', 1), await groups.heartbeat('billing', 'b', 2)];
+  assert.equal(viewA.rebalance, true);
+  assert.equal(viewB.rebalance, false);
+  assert.deepEqual([partitionsOf(viewA), partitionsOf(viewB)], [['orders/0', 'orders/2'], ['orders/1']]);
+
+  // Joining again with the same topics is not a change
+  await groups.join('billing', { memberId: 'a', topics: ['orders'] });
+  assert.equal((await groups.describe('billing')).generation, 2);
+
+  groups.leave('billing', 'b');
+  assert.deepEqual(partitionsOf(await groups.heartbeat('billing', 'a', 3)), ['orders/0', 'orders/1', 'orders/2']);
+});
+
+test('only members subscribed to a topic get its partitions', async () => {
+  const { groups } = setup({ topics: { orders: 2, payments: 1 } });
+  await groups.join('g', { memberId: 'a', topics: ['orders', 'payments'] });
+  const b = await groups.join('g', { memberId: 'b', topics: ['orders'] });
+  const a = await groups.heartbeat('g', 'a', b.generation);
+
+  assert.deepEqual(partitionsOf(a), ['orders/0', 'payments/0']);
+  assert.deepEqual(partitionsOf(b), ['orders/1']);
+  assert.deepEqual(groups.topicsOf('g').sort(), ['orders', 'payments']);
+});
+
+test('accepts commits only from the owner in the current generation', async () => {
+  const { groups, saved } = setup({ topics: { orders: 2 } });
+  await groups.join('g', { memberId: 'a', topics: ['orders'] });
+  const { generation } = await groups.join('g', { memberId: 'b', topics: ['orders'] });
+
+  assert.deepEqual(await groups.commit('g', 'a', generation, [{ topic: 'orders', partition: 0, offset: 5 }]), [{ topic: 'orders', partition: 0, offset: 5 }]);
+  assert.equal(saved.get('g|orders/0'), 5);
+
+  await refused(groups.commit('g', 'a', generation, [{ topic: 'orders', partition: 1, offset: 1 }]), 409);
+  await refused(groups.commit('g', 'a', generation - 1, [{ topic: 'orders', partition: 0, offset: 6 }]), 409);
+  await refused(groups.commit('g', 'a', generation, [{ topic: 'orders', partition: 0, offset: -1 }]), 400);
+  await refused(groups.commit('g', 'nobody', generation, []), 404);
+  assert.equal(saved.get('g|orders/0'), 5);
+});
+
+test('a member joining after a restart resumes from the stored offsets', async () => {
+  const saved = new Map([['g|orders/1', 42]]);
+  const { groups } = setup({ saved });
+  const view = await groups.join('g', { memberId: 'a', topics: ['orders'] });
+  assert.deepEqual(view.assignment.map(p => p.committedOffset), [null, 42, null]);
+
+  // reset() forgets the group; the next join reads the offsets back
+  groups.reset();
+  await refused(groups.heartbeat('g', 'a', view.generation), 404);
+  assert.equal((await groups.join('g', { memberId: 'a', topics: ['orders'] })).assignment[1].committedOffset, 42);
+});
+
+test('evicts members whose session expired and rebalances on new partitions', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const { groups, topics } = setup({ topics: { orders: 2 } });
+  await groups.join('g', { memberId: 'a', topics: ['orders'] });
+  await groups.join('g', { memberId: 'b', topics: ['orders'] });
+
+  t.mock.timers.tick(800);
+  await groups.heartbeat('g', 'a', 2);
+  t.mock.timers.tick(400);
+  groups._checkGroups();
+  const described = await groups.describe('g');
+  assert.deepEqual(described.members.map(m => m.memberId), ['a']);
+  assert.equal(described.generation, 3);
+
+  topics.set('orders', { name: 'orders', partitions: 4 });
+  groups._checkGroups();
+  const view = await groups.heartbeat('g', 'a', 3);
+  assert.equal(view.rebalance, true);
+  assert.equal(view.assignment.length, 4);
+});
+
+test('refuses a join without topics and a leave by a non-member', async () => {
+  const { groups } = setup();
+  await refused(groups.join('g', { topics: [] }), 400);
+  assert.throws(() => groups.leave('g', 'a'), err => err.status === 404);
+});
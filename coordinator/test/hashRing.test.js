@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const HashRing = require('../hashRing');
+
+const KEYS = Array.from({ length: 2000 }, (_, i) => `key-${i}`);
+
+function ring(nodes, options) {
+  const r = new HashRing(150, options);
+  for (const [name, settings] of Object.entries(nodes)) r.addNode(name, `http://${name}`, settings);
+  return r;
+}
+
+function primaries(r) {
+  const counts = {};
+  for (const key of KEYS) {
+    const { primary } = r.getNodesForKey(key, 1);
+    counts[primary] = (counts[primary] || 0) + 1;
+  }
+  return counts;
+}
+
+test('places a key on the same nodes every time', () => {
+  const a = ring({ 'node-1': {}, 'node-2': {}, 'node-3': {} });
+  const b = ring({ 'node-1': {}, 'node-2': {}, 'node-3': {} });
+  for (const key of KEYS.slice(0, 100)) assert.deepEqual(a.getNodesForKey(key), b.getNodesForKey(key));
+});
+
+test('returns distinct nodes, primary first, and the range holding the key', () => {
+  const r = ring({ 'node-1': {}, 'node-2': {}, 'node-3': {}, 'node-4': {} });
+  const { primary, replicas, keyHash, range } = r.getNodesForKey('orders-42', 3);
+
+  assert.equal(new Set([primary, ...replicas]).size, 3);
+  assert.equal(keyHash, r.hash('orders-42'));
+  const inRange = range.start < range.end ? keyHash > range.start && keyHash <= range.end : keyHash > range.start || keyHash <= range.end;
+  assert.ok(inRange, `${keyHash} not in (${range.start}, ${range.end}]`);
+});
+
+test('never returns more nodes than the ring has', () => {
+  const r = ring({ 'node-1': {}, 'node-2': {} });
+  const { primary, replicas } = r.getNodesForKey('k', 3);
+  assert.deepEqual([primary, ...replicas].sort(), ['node-1', 'node-2']);
+});
+
+test('refuses an empty ring and invalid weights', () => {
+  assert.throws(() => new HashRing().getNodesForKey('k'), /empty/);
+  for (const weight of [0, -1, NaN, Infinity, '2']) {
+    assert.throws(() => new HashRing().addNode('node-1', 'http://node-1', { weight }), /Invalid weight/);
+  }
+});
+
+test('a jump ring refuses weights too far apart and stays as it was', () => {
+  const r = ring({ 'node-1': { weight: 1000 } }, { partitioner: 'jump', slotCount: 64 });
+  assert.throws(() => r.addNode('node-2', 'http://node-2', { weight: 0.001 }), /at most 1000 times apart/);
+  assert.deepEqual(r.getAllNodeNames(), ['node-1']);
+  assert.equal(r.getNodesForKey('k', 3).primary, 'node-1');
+});
+
+test('puts replicas in other zones before doubling up', () => {
+  const r = ring({
+    'a-1': { zone: 'a' }, 'a-2': { zone: 'a' },
+    'b-1': { zone: 'b' }, 'b-2': { zone: 'b' },
+    'c-1': { zone: 'c' },
+  });
+  for (const key of KEYS.slice(0, 200)) {
+    const { primary, replicas } = r.getNodesForKey(key, 3);
+    const zones = [primary, ...replicas].map(name => r.getNodeZone(name));
+    assert.equal(new Set(zones).size, 3, `${key} → ${zones}`);
+  }
+});
+
+test('covers the whole hash space with its ranges', () => {
+  for (const partitioner of ['consistent', 'rendezvous', 'jump']) {
+    const r = ring({ 'node-1': {}, 'node-2': {}, 'node-3': {} }, { partitioner, slotCount: 64 });
+    const ranges = r.getRanges(2);
+    for (let i = 0; i < ranges.length; i++) {
+      assert.equal(ranges[i].start, ranges[(i - 1 + ranges.length) % ranges.length].end, `${partitioner} range ${i}`);
+    }
+    assert.equal(r.getRingInfo(2).zoneSpread, '100.0%');
+  }
+});
+
+test('moves only the keys of a removed node', () => {
+  const before = ring({ 'node-1': {}, 'node-2': {}, 'node-3': {}, 'node-4': {} });
+  const after = before.clone();
+  after.removeNode('node-4');
+
+  for (const key of KEYS) {
+    const was = before.getNodesForKey(key, 1).primary;
+    if (was !== 'node-4') assert.equal(after.getNodesForKey(key, 1).primary, was, key);
+  }
+  assert.deepEqual(before.getAllNodeNames(), ['node-1', 'node-2', 'node-3', 'node-4']);
+});
+
+test('gives a node of weight 2 about twice the keys', () => {
+  for (const partitioner of ['consistent', 'rendezvous', 'jump']) {
+    const counts = primaries(ring({ 'node-1': { weight: 2 }, 'node-2': {}, 'node-3': {} }, { partitioner }));
+    const share = counts['node-1'] / KEYS.length;
+    assert.ok(share > 0.4 && share < 0.6, `${partitioner}: node-1 got ${share}`);
+  }
+});
+
+test('keeps members and weights when switching partitioner', () => {
+  const r = ring({ 'node-1': { zone: 'a', weight: 2 }, 'node-2': { zone: 'b' } });
+  const jump = r.withPartitioner('jump');
+  assert.equal(jump.getRingInfo().partitioner, 'jump');
+  assert.deepEqual(jump.nodes, r.nodes);
+});
@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const HealthMonitor = require('../healthMonitor');
+
+// A broker whose /health answers 200 while `up`, 503 otherwise
+async function fakeBroker(t) {
+  const broker = { up: true };
+  const server = http.createServer((req, res) => {
+    res.writeHead(broker.up ? 200 : 503).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  broker.url = `http://127.0.0.1:${server.address().port}`;
+  return broker;
+}
+
+async function setup(t, { onFailure = async () => {}, onRecovery = async () => {}, retryDelayMs = 20 } = {}) {
+  const broker = await fakeBroker(t);
+  const calls = [];
+  const monitor = new HealthMonitor({
+    ring: { getAllNodeNames: () => ['node-1'], getNodeUrl: () => broker.url },
+    onFailure: nodeName => {
+      calls.push(['failure', nodeName]);
+      return onFailure(nodeName);
+    },
+    onRecovery: nodeName => {
+      calls.push(['recovery', nodeName]);
+      return onRecovery(nodeName);
+    },
+    failureThreshold: 2,
+    retryDelayMs,
+  });
+  monitor.init();
+  t.after(() => monitor.stop());
+  return { monitor, broker, calls };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('declares a node failed after the threshold and walks it back through catch-up', async (t) => {
+  const { monitor, broker, calls } = await setup(t);
+
+  broker.up = false;
+  await monitor._checkAll();
+  assert.equal(monitor.getNodeStatus('node-1'), 'HEALTHY');
+  await monitor._checkAll();
+  assert.equal(monitor.getNodeStatus('node-1'), 'FAILED');
+  await monitor._checkAll();
+  assert.deepEqual(calls, [['failure', 'node-1']]);
+
+  monitor.markFailedOver('node-1');
+  broker.up = true;
+  await monitor._checkAll();
+  assert.equal(monitor.getNodeStatus('node-1'), 'CATCHING_UP');
+  assert.deepEqual(calls.at(-1), ['recovery', 'node-1']);
+
+  assert.equal(monitor.markInSync('node-1', { keysPulled: 3 }), true);
+  const status = monitor.getStatus()['node-1'];
+  assert.equal(status.status, 'HEALTHY');
+  assert.equal(status.lastCatchUp.keysPulled, 3);
+  assert.equal(monitor.markInSync('node-1', {}), false);
+});
+
+test('a node failing again during catch-up goes back to failed over', async (t) => {
+  const { monitor, broker } = await setup(t);
+  broker.up = false;
+  await monitor._checkAll();
+  await monitor._checkAll();
+  monitor.markFailedOver('node-1');
+
+  broker.up = true;
+  await monitor._checkAll();
+  broker.up = false;
+  await monitor._checkAll();
+  await monitor._checkAll();
+  assert.equal(monitor.getNodeStatus('node-1'), 'FAILED_OVER');
+});
+
+test('retries a handler that rejects while the node stays in that state', async (t) => {
+  let attempts = 0;
+  const { monitor, broker } = await setup(t, {
+    onFailure: async () => {
+      if (++attempts < 3) throw new Error('metadata log unavailable');
+    },
+  });
+
+  broker.up = false;
+  await monitor._checkAll();
+  await monitor._checkAll();
+  await sleep(150);
+  assert.equal(attempts, 3);
+});
+
+test('stops retrying once the node left that state', async (t) => {
+  const { monitor, broker, calls } = await setup(t, {
+    onFailure: async () => {
+      throw new Error('metadata log unavailable');
+    },
+    retryDelayMs: 300,
+  });
+
+  broker.up = false;
+  await monitor._checkAll();
+  await monitor._checkAll();
+
+  // Back before the retry is due: it recovers instead of failing over
+  broker.up = true;
+  await monitor._checkAll();
+  await sleep(400);
+  assert.deepEqual(calls, [['failure', 'node-1'], ['recovery', 'node-1']]);
+});
+
+test('a handler that throws is retried too, and stop() cancels the retry', async (t) => {
+  let attempts = 0;
+  const { monitor, broker } = await setup(t, {
+    onRecovery: () => {
+      attempts++;
+      throw new Error('boom');
+    },
+  });
+  broker.up = false;
+  await monitor._checkAll();
+  await monitor._checkAll();
+
+  broker.up = true;
+  await monitor._checkAll();
+  await sleep(50);
+  assert.ok(attempts >= 2);
+
+  monitor.stop();
+  const stoppedAt = attempts;
+  await sleep(60);
+  assert.equal(attempts, stoppedAt);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const axios = require('axios');
+const Metrics = require('../../shared/metrics');
+
+// The series lines of a rendered registry, without HELP and TYPE
+const series = text => text.split('\n').filter(line => line && !line.startsWith('#'));
+
+test('renders counters and gauges with their HELP, TYPE and labels', async () => {
+  const metrics = new Metrics({ defaultLabels: { node: 'c1' } });
+  const produced = metrics.counter('produced_total', 'Messages produced');
+  metrics.gauge('queue_depth', 'Messages waiting', { collect: () => [[{ queue: 'jobs' }, 3]] }).set({ queue: 'mail' }, 1);
+
+  produced.inc({ topic: 'orders' });
+  produced.inc({ topic: 'orders' }, 2);
+  produced.inc({ topic: 'say "hi"\n' });
+
+  const text = await metrics.render();
+  assert.ok(text.includes('# HELP dmq_produced_total Messages produced\n# TYPE dmq_produced_total counter\n'));
+  assert.deepEqual(series(text), [
+    'dmq_produced_total{node="c1",topic="orders"} 3',
+    'dmq_produced_total{node="c1",topic="say \\"hi\\"\\n"} 1',
+    'dmq_queue_depth{node="c1",queue="jobs"} 3',
+    'dmq_queue_depth{node="c1",queue="mail"} 1',
+  ]);
+});
+
+test('label order does not split a series, and names register once', async () => {
+  const metrics = new Metrics({ prefix: '' });
+  const counter = metrics.counter('calls_total', 'Calls');
+  counter.inc({ a: '1', b: '2' });
+  counter.inc({ b: '2', a: '1' });
+  metrics.gauge('ratio', 'Ratio', { collect: async () => [[{}, Infinity], [{ x: 'y' }, NaN]] });
+
+  assert.deepEqual(series(await metrics.render()), ['calls_total{a="1",b="2"} 2', 'ratio +Inf', 'ratio{x="y"} NaN']);
+  assert.throws(() => metrics.gauge('calls_total', 'Again'), /already registered/);
+});
+
+test('histograms count observations into cumulative buckets', async () => {
+  const metrics = new Metrics({ prefix: '' });
+  const latency = metrics.histogram('latency_seconds', 'Latency', { buckets: [0.1, 1] });
+  for (const value of [0.05, 0.5, 2]) latency.observe({ op: 'read' }, value);
+  const seconds = latency.startTimer({ op: 'write' })();
+  assert.ok(seconds >= 0 && seconds < 1);
+
+  const lines = series(await metrics.render());
+  assert.deepEqual(lines.slice(0, 5), [
+    'latency_seconds_bucket{op="read",le="0.1"} 1',
+    'latency_seconds_bucket{op="read",le="1"} 2',
+    'latency_seconds_bucket{op="read",le="+Inf"} 3',
+    'latency_seconds_sum{op="read"} 2.55',
+    'latency_seconds_count{op="read"} 3',
+  ]);
+  assert.ok(lines.includes('latency_seconds_count{op="write"} 1'));
+});
+
+test('the HTTP middleware labels requests by route pattern', async (t) => {
+  const metrics = new Metrics({ prefix: '' });
+  const app = express();
+  app.use(metrics.httpMiddleware());
+  app.get('/consume/:key', (req, res) => res.json({ key: req.params.key }));
+  app.get('/metrics', async (req, res) => res.set('Content-Type', Metrics.CONTENT_TYPE).send(await metrics.render()));
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => server.close());
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+
+  await http.get('/consume/a');
+  await http.get('/consume/b');
+  await http.get('/nowhere');
+  const res = await http.get('/metrics');
+
+  assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+  const lines = series(res.data);
+  assert.ok(lines.includes('http_requests_total{method="GET",route="/consume/:key",status="200"} 2'));
+  assert.ok(lines.includes('http_requests_total{method="GET",route="unmatched",status="404"} 1'));
+  assert.ok(lines.includes('http_request_duration_seconds_count{method="GET",route="/consume/:key"} 2'));
+});
@@ -0,0 +1,172 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const HashRing = require('../hashRing');
+const { createPartitioner, hash32, HASH_SPACE, PARTITIONER_NAMES } = require('../partitioners');
+const { simulate } = require('../partitionSimulator');
+
+function primaryShares(partitioner) {
+  const counts = {};
+  for (let i = 0; i < partitioner.positions.length; i++) {
+    const [primary] = partitioner.preference(i);
+    counts[primary] = (counts[primary] || 0) + 1;
+  }
+  for (const name of Object.keys(counts)) counts[name] /= partitioner.positions.length;
+  return counts;
+}
+
+test('hash32 is stable and inside the hash space', () => {
+  assert.equal(hash32('orders'), hash32('orders'));
+  for (const key of ['', 'a', 'node-1:vnode0', 'ü']) {
+    const position = hash32(key);
+    assert.ok(Number.isInteger(position) && position >= 0 && position < HASH_SPACE);
+  }
+});
+
+test('refuses an unknown partitioner', () => {
+  assert.deepEqual(PARTITIONER_NAMES, ['consistent', 'rendezvous', 'jump']);
+  assert.throws(() => createPartitioner('modulo'), /Unknown partitioner "modulo"/);
+});
+
+test('every preference list names each node once', () => {
+  for (const name of PARTITIONER_NAMES) {
+    const partitioner = createPartitioner(name, { virtualNodeCount: 20, slotCount: 64 });
+    for (const node of ['node-1', 'node-2', 'node-3']) partitioner.addNode(node);
+    for (let i = 0; i < partitioner.positions.length; i++) {
+      assert.deepEqual([...partitioner.preference(i)].sort(), ['node-1', 'node-2', 'node-3'], `${name} range ${i}`);
+    }
+  }
+});
+
+test('positions are sorted range ends inside the hash space', () => {
+  for (const name of PARTITIONER_NAMES) {
+    const partitioner = createPartitioner(name, { virtualNodeCount: 20, slotCount: 64 });
+    partitioner.addNode('node-1');
+    partitioner.addNode('node-2');
+    const { positions } = partitioner;
+    assert.ok(positions.every((p, i) => i === 0 || p > positions[i - 1]), name);
+    assert.ok(positions[0] >= 0 && positions[positions.length - 1] < HASH_SPACE, name);
+  }
+});
+
+test('a clone is independent of the original', () => {
+  for (const name of PARTITIONER_NAMES) {
+    const partitioner = createPartitioner(name, { virtualNodeCount: 20, slotCount: 64 });
+    partitioner.addNode('node-1');
+    partitioner.addNode('node-2');
+    const before = [...partitioner.preference(5)];
+
+    const copy = partitioner.clone();
+    copy.removeNode('node-1');
+    copy.addNode('node-3');
+
+    assert.deepEqual([...partitioner.preference(5)], before, name);
+    assert.ok(![...copy.preference(5)].includes('node-1'), name);
+  }
+});
+
+test('consistent hashing scales virtual nodes with weight', () => {
+  const partitioner = createPartitioner('consistent', { virtualNodeCount: 100 });
+  partitioner.addNode('node-1', { weight: 1 });
+  partitioner.addNode('node-2', { weight: 2.5 });
+  partitioner.addNode('node-3', { weight: 0.001 });
+  assert.equal(partitioner.describeNode('node-1').virtualNodeCount, 100);
+  assert.equal(partitioner.describeNode('node-2').virtualNodeCount, 250);
+  assert.equal(partitioner.describeNode('node-3').virtualNodeCount, 1);
+  assert.equal(partitioner.describe().totalVirtualNodes, 351);
+
+  partitioner.removeNode('node-2');
+  assert.equal(partitioner.positions.length, 101);
+});
+
+test('adding a node only moves slots to it', () => {
+  for (const name of ['rendezvous', 'jump']) {
+    const before = createPartitioner(name, { slotCount: 512 });
+    for (const node of ['node-1', 'node-2', 'node-3']) before.addNode(node);
+    const after = before.clone();
+    after.addNode('node-4');
+
+    let moved = 0;
+    for (let i = 0; i < 512; i++) {
+      const [was] = before.preference(i);
+      const [now] = after.preference(i);
+      if (now !== was) {
+        assert.equal(now, 'node-4', `${name} slot ${i} moved from ${was} to ${now}`);
+        moved++;
+      }
+    }
+    assert.ok(moved > 512 * 0.15 && moved < 512 * 0.35, `${name} moved ${moved} slots`);
+  }
+});
+
+test('slot strategies split the slots by weight', () => {
+  for (const name of ['rendezvous', 'jump']) {
+    const partitioner = createPartitioner(name, { slotCount: 4096 });
+    partitioner.addNode('node-1', { weight: 3 });
+    partitioner.addNode('node-2', { weight: 1 });
+    const shares = primaryShares(partitioner);
+    assert.ok(Math.abs(shares['node-1'] - 0.75) < 0.05, `${name}: ${JSON.stringify(shares)}`);
+  }
+});
+
+test('jump hashing keeps the ratio of fractional weights', () => {
+  const cases = [
+    { weights: [1, 1.4], expected: [1 / 2.4, 1.4 / 2.4] },
+    { weights: [0.3, 1], expected: [0.3 / 1.3, 1 / 1.3] },
+    { weights: [1.5, 1, 0.25], expected: [1.5 / 2.75, 1 / 2.75, 0.25 / 2.75] },
+  ];
+  for (const { weights, expected } of cases) {
+    const partitioner = createPartitioner('jump', { slotCount: 4096 });
+    weights.forEach((weight, i) => partitioner.addNode(`node-${i}`, { weight }));
+    const shares = primaryShares(partitioner);
+    expected.forEach((share, i) => {
+      assert.ok(Math.abs(shares[`node-${i}`] - share) < 0.05, `weights ${weights}: node-${i} got ${shares[`node-${i}`]}, expected ${share}`);
+    });
+  }
+});
+
+test('jump hashing gives equal weights of any scale equal shares', () => {
+  const small = createPartitioner('jump', { slotCount: 256 });
+  const large = createPartitioner('jump', { slotCount: 256 });
+  for (const node of ['node-1', 'node-2', 'node-3']) {
+    small.addNode(node, { weight: 0.5 });
+    large.addNode(node, { weight: 7 });
+  }
+  for (let i = 0; i < 256; i++) assert.deepEqual([...small.preference(i)], [...large.preference(i)]);
+});
+
+test('jump hashing handles weights up to WEIGHT_PRECISION apart and refuses more', () => {
+  const partitioner = createPartitioner('jump', { slotCount: 1024 });
+  partitioner.addNode('node-1', { weight: 0.001 });
+  partitioner.addNode('node-2', { weight: 1 });
+  assert.ok(primaryShares(partitioner)['node-2'] > 0.99);
+
+  assert.throws(() => partitioner.addNode('node-3', { weight: 1000 }), /at most 1000 times apart/);
+  assert.throws(() => partitioner.addNode('node-3', { weight: 0.0000001 }), /out of range/);
+  assert.deepEqual([...partitioner.preference(0)].sort(), ['node-1', 'node-2']);
+});
+
+test('jump hashing prefers the owner of the bucket, then the nodes after it in join order', () => {
+  const partitioner = createPartitioner('jump', { slotCount: 64 });
+  for (const node of ['node-1', 'node-2', 'node-3', 'node-4']) partitioner.addNode(node, { weight: node === 'node-2' ? 2 : 1 });
+  const names = ['node-1', 'node-2', 'node-3', 'node-4'];
+
+  for (let i = 0; i < 64; i++) {
+    const order = [...partitioner.preference(i)];
+    const owner = names.indexOf(order[0]);
+    assert.deepEqual(order, [...names.slice(owner), ...names.slice(0, owner)]);
+  }
+
+  // Lists are rebuilt after a membership change
+  partitioner.removeNode('node-3');
+  assert.ok([...Array(64).keys()].every(i => ![...partitioner.preference(i)].includes('node-3')));
+});
+
+test('the simulator reports weights the jump partitioner refuses as a bad request', () => {
+  const ring = new HashRing(10);
+  ring.addNode('node-1', 'http://node-1', { weight: 1 });
+  ring.addNode('node-2', 'http://node-2', { weight: 1500 });
+
+  const keys = [{ key: 'a', weight: 1 }];
+  assert.throws(() => simulate(ring, { keys, changes: [], partitioners: ['jump'] }), { status: 400, message: /^jump: Weight 1500/ });
+  assert.equal(simulate(ring, { keys, changes: [], partitioners: ['consistent'] }).keys, 1);
+});
@@ -0,0 +1,162 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { QueueManager, QueueError } = require('../queueManager');
+
+// A queue over in-memory partitions: messages[topic][partition] is the log
+function setup({ partitions = 1, config = {}, messages = [] } = {}) {
+  const topics = new Map([['jobs', { name: 'jobs', partitions, config }]]);
+  const logs = { jobs: Array.from({ length: partitions }, () => []) };
+  for (const [partition, key] of messages) {
+    const log = logs.jobs[partition];
+    log.push({ offset: log.length, key, payload: { key }, timestamp: 0 });
+  }
+
+  const saved = new Map();
+  const deadLetters = [];
+  const queues = new QueueManager({
+    topics,
+    readPartition: async (topic, partition, offset, limit) => {
+      const log = logs[topic]?.[partition];
+      if (!log) return null;
+      const messages = log.filter(m => m.offset >= offset).slice(0, limit);
+      return { data: { messages, nextOffset: offset + messages.length } };
+    },
+    stateStore: {
+      load: async (group, topic, partition) => saved.get(`${group}|${topic}/${partition}`) || null,
+      save: async (group, topic, partition, state) => saved.set(`${group}|${topic}/${partition}`, structuredClone(state)),
+    },
+    deadLetter: async (dlqTopic, key, payload) => deadLetters.push({ dlqTopic, key, payload }),
+    visibilityTimeoutMs: 1000,
+    maxDeliveries: 2,
+  });
+  return { queues, topics, logs, saved, deadLetters };
+}
+
+const handles = received => received.map(m => m.receiptHandle);
+
+test('leases messages once until they are acked', async () => {
+  const { queues, saved } = setup({ messages: [[0, 'a'], [0, 'b'], [0, 'c']] });
+
+  const first = await queues.receive('jobs', { max: 2 });
+  assert.deepEqual(first.map(m => [m.offset, m.key, m.deliveries]), [[0, 'a', 1], [1, 'b', 1]]);
+  assert.deepEqual((await queues.receive('jobs', { max: 10 })).map(m => m.offset), [2]);
+  assert.deepEqual(await queues.receive('jobs'), []);
+
+  const results = await queues.ack('jobs', { receiptHandles: handles(first) });
+  assert.deepEqual(results.map(r => [r.success, r.acked, r.offset]), [[true, true, 0], [true, true, 1]]);
+  assert.equal(saved.get('default|jobs/0').ackedUpTo, 2);
+});
+
+test('redelivers a message whose lease ran out', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const { queues } = setup({ messages: [[0, 'a']] });
+
+  const [first] = await queues.receive('jobs');
+  t.mock.timers.tick(999);
+  assert.deepEqual(await queues.receive('jobs'), []);
+  t.mock.timers.tick(1);
+
+  const [again] = await queues.receive('jobs');
+  assert.equal(again.offset, 0);
+  assert.equal(again.deliveries, 2);
+  assert.notEqual(again.receiptHandle, first.receiptHandle);
+
+  // The expired lease's handle no longer settles anything
+  const [stale] = await queues.ack('jobs', { receiptHandles: [first.receiptHandle] });
+  assert.equal(stale.success, false);
+});
+
+test('nack makes a message visible again, after a delay if asked', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const { queues } = setup({ config: { maxDeliveries: 5 }, messages: [[0, 'a']] });
+
+  const [first] = await queues.receive('jobs');
+  assert.deepEqual((await queues.nack('jobs', { receiptHandles: [first.receiptHandle] }))[0].requeued, true);
+  const [second] = await queues.receive('jobs');
+  assert.equal(second.deliveries, 2);
+
+  await queues.nack('jobs', { receiptHandles: [second.receiptHandle], delayMs: 500 });
+  assert.deepEqual(await queues.receive('jobs'), []);
+  assert.deepEqual((await queues.describe('jobs')).partitions[0].delayed, 1);
+  t.mock.timers.tick(500);
+  assert.equal((await queues.receive('jobs'))[0].deliveries, 3);
+});
+
+test('dead-letters a message after maxDeliveries and replays it', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const { queues, topics, logs, deadLetters } = setup({ messages: [[0, 'a'], [0, 'b']] });
+
+  const [a1] = await queues.receive('jobs');
+  await queues.nack('jobs', { receiptHandles: [a1.receiptHandle] });
+  const [a2] = await queues.receive('jobs');
+  const [nacked] = await queues.nack('jobs', { receiptHandles: [a2.receiptHandle] });
+  assert.deepEqual([nacked.requeued, nacked.deadLettered], [false, true]);
+
+  assert.equal(deadLetters.length, 1);
+  assert.equal(deadLetters[0].dlqTopic, 'jobs.default.dlq');
+  assert.deepEqual([deadLetters[0].payload.offset, deadLetters[0].payload.deliveries, deadLetters[0].payload.reason], [0, 2, 'nacked on last delivery']);
+
+  // Offset 0 counts as done; offset 1 is next
+  const [b] = await queues.receive('jobs');
+  assert.equal(b.offset, 1);
+  await queues.ack('jobs', { receiptHandles: [b.receiptHandle] });
+  assert.equal((await queues.describe('jobs')).partitions[0].ackedUpTo, 2);
+
+  // Replay reads the dead-letter topic and reopens the original offset
+  topics.set('jobs.default.dlq', { name: 'jobs.default.dlq', partitions: 1, config: {} });
+  logs['jobs.default.dlq'] = [[{ offset: 0, key: 'a', payload: deadLetters[0].payload, timestamp: 0 }]];
+  const { replayed } = await queues.replay('jobs');
+  assert.deepEqual(replayed.map(r => [r.topic, r.partition, r.offset]), [['jobs', 0, 0]]);
+
+  const [again] = await queues.receive('jobs');
+  assert.deepEqual([again.offset, again.deliveries], [0, 1]);
+});
+
+test('dead-letters an expired lease on its last delivery at the next receive', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const { queues, deadLetters } = setup({ messages: [[0, 'a']] });
+
+  await queues.receive('jobs');
+  t.mock.timers.tick(1000);
+  await queues.receive('jobs');
+  t.mock.timers.tick(1000);
+  assert.deepEqual(await queues.receive('jobs'), []);
+  assert.equal(deadLetters[0].payload.reason, 'lease expired on last delivery');
+});
+
+test('rotates the starting partition between receives', async () => {
+  const { queues } = setup({ partitions: 3, messages: [[0, 'a'], [1, 'b'], [2, 'c'], [0, 'd'], [1, 'e'], [2, 'f']] });
+  const partitions = [];
+  for (let i = 0; i < 3; i++) partitions.push((await queues.receive('jobs'))[0].partition);
+  assert.deepEqual(partitions, [0, 1, 2]);
+});
+
+test('keeps groups apart and restores state after a reset', async () => {
+  const { queues } = setup({ messages: [[0, 'a'], [0, 'b']] });
+
+  const [a] = await queues.receive('jobs', { group: 'billing' });
+  await queues.ack('jobs', { group: 'billing', receiptHandles: [a.receiptHandle] });
+  assert.equal((await queues.receive('jobs', { group: 'audit' }))[0].offset, 0);
+
+  // A new leader loads the saved state; leases are gone, acks are kept
+  queues.reset();
+  assert.deepEqual((await queues.receive('jobs', { group: 'billing', max: 5 })).map(m => m.offset), [1]);
+  assert.deepEqual((await queues.receive('jobs', { group: 'audit', max: 5 })).map(m => m.offset), [0, 1]);
+});
+
+test('refuses bad requests with a QueueError', async () => {
+  const { queues } = setup({ messages: [[0, 'a']] });
+  const refused = async (promise, status) => {
+    await assert.rejects(promise, err => err instanceof QueueError && err.status === status);
+  };
+
+  await refused(queues.receive('nope'), 404);
+  await refused(queues.receive('jobs', { max: 0 }), 400);
+  await refused(queues.receive('jobs', { group: 'no spaces' }), 400);
+  await refused(queues.receive('jobs', { visibilityTimeoutMs: 0 }), 400);
+  await refused(queues.ack('jobs', { receiptHandles: [] }), 400);
+  await refused(queues.nack('jobs', { receiptHandles: ['x'], delayMs: -1 }), 400);
+
+  const [unknown] = await queues.ack('jobs', { receiptHandles: ['x'] });
+  assert.equal(unknown.success, false);
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { LocalCluster, sleep } = require('../../chaos/cluster');
+
+// Three brokers, every key on all of them. Failover stays out of the way
+// (brokers killed here are never declared failed) and hints are not
+// replayed on their own, so a replica left behind stays behind.
+const cluster = new LocalCluster({
+  brokers: 3,
+  replicationFactor: 3,
+  basePort: 17600,
+  failureThreshold: 1000,
+  brokerEnv: { HINT_REPLAY_INTERVAL_MS: '3600000' },
+});
+const http = cluster.http;
+const coordinator = cluster.coordinator.url;
+
+before(() => cluster.start());
+after(async () => {
+  await cluster.stop();
+  cluster.removeData();
+});
+
+async function produce(key, payload, acks) {
+  const res = await http.post(`${coordinator}/produce`, { key, payload, acks });
+  assert.equal(res.status, 201, JSON.stringify(res.data));
+}
+
+async function route(key) {
+  const { data } = await http.get(`${coordinator}/route/${key}`);
+  return { primary: data.primary, replicas: data.replicas };
+}
+
+const fetchFrom = async (nodeName, key) => (await http.get(`${cluster.brokerUrl(nodeName)}/fetch/${key}`)).data;
+
+test('a quorum read returns the newest version and repairs the stale replica', async () => {
+  await produce('k1', 'v1', 'all');
+  const { primary, replicas: [behind, current] } = await route('k1');
+
+  // The second write never reaches one replica
+  await http.post(`${cluster.brokerUrl(primary)}/faults`, { type: 'drop_replication', peers: [cluster.brokerUrl(behind)] });
+  await produce('k1', 'v2', '1');
+  await http.delete(`${cluster.brokerUrl(primary)}/faults`);
+  assert.equal((await fetchFrom(behind, 'k1')).payload, 'v1');
+
+  // The newest copy wins even when the primary does not answer
+  await cluster.killBroker(primary);
+  const read = await http.get(`${coordinator}/consume/k1`, { params: { consistency: 'quorum' } });
+  assert.equal(read.status, 200);
+  assert.equal(read.data.payload, 'v2');
+  assert.equal(read.data.servedBy, current);
+  assert.deepEqual(read.data.readRepair, [behind]);
+
+  let repaired;
+  for (let i = 0; i < 50 && repaired?.payload !== 'v2'; i++) {
+    await sleep(100);
+    repaired = await fetchFrom(behind, 'k1');
+  }
+  assert.equal(repaired.payload, 'v2');
+  assert.deepEqual(repaired.version, (await fetchFrom(current, 'k1')).version);
+  await cluster.restartBroker(primary);
+});
+
+test('refuses a read that too few replicas answered', async () => {
+  await produce('k2', 'v1', 'all');
+  const { replicas } = await route('k2');
+
+  await cluster.killBroker(replicas[0]);
+  const all = await http.get(`${coordinator}/consume/k2`, { params: { consistency: 'all' } });
+  assert.equal(all.status, 503);
+  assert.match(all.data.error, /Only 2 of 3 required replicas responded/);
+  assert.equal((await http.get(`${coordinator}/consume/k2`, { params: { consistency: 'quorum' } })).status, 200);
+
+  await cluster.killBroker(replicas[1]);
+  const quorum = await http.get(`${coordinator}/consume/k2`, { params: { consistency: 'quorum' } });
+  assert.equal(quorum.status, 503);
+  assert.match(quorum.data.error, /Only 1 of 2 required replicas responded/);
+
+  // A key no replica holds is a 404, not a stale read
+  await cluster.restartBroker(replicas[0]);
+  await cluster.restartBroker(replicas[1]);
+  assert.equal((await http.get(`${coordinator}/consume/missing`, { params: { consistency: 'quorum' } })).status, 404);
+});
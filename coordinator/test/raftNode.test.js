@@ -0,0 +1,201 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RaftNode, NotLeaderError } = require('../raftNode');
+
+// Elections are started by hand: the timeout only has to outlast a test
+const NEVER = [60000, 60000];
+
+const nodes = [];
+const dirs = [];
+
+afterEach(() => {
+  for (const node of nodes.splice(0)) node.stop();
+  for (const dir of dirs.splice(0)) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'raft-test-'));
+  dirs.push(dir);
+  return dir;
+}
+
+function startNode({ dataDir = tempDir(), peers = [], applied = [], ...options } = {}) {
+  const node = new RaftNode({
+    id: 'c1',
+    peers,
+    dataDir,
+    electionTimeoutMs: NEVER,
+    apply: command => {
+      applied.push(command);
+      return { applied: command.type };
+    },
+    ...options,
+  });
+  node.start();
+  nodes.push(node);
+  return node;
+}
+
+const entry = (index, term, type = `cmd-${index}`) => ({ index, term, command: { type } });
+
+test('a single node elects itself, becomes ready and commits proposals', async () => {
+  const applied = [];
+  let ready = 0;
+  const node = startNode({ applied, onLeaderReady: () => ready++ });
+
+  await assert.rejects(node.propose({ type: 'x' }), NotLeaderError);
+  await node._startElection();
+
+  assert.equal(node.isLeader(), true);
+  assert.equal(node.currentTerm, 1);
+  assert.equal(node.ready, true);
+  assert.equal(ready, 1);
+
+  assert.deepEqual(await node.propose({ type: 'topic_created' }), { applied: 'topic_created' });
+  assert.deepEqual(applied, [{ type: 'topic_created' }]);
+  assert.deepEqual([node.commitIndex, node.lastApplied], [2, 2]);
+});
+
+test('rejects a proposal whose apply throws, and keeps going', async () => {
+  const node = startNode({
+    apply: command => {
+      if (command.type === 'bad') throw new Error('refused');
+      return command.type;
+    },
+  });
+  await node._startElection();
+
+  await assert.rejects(node.propose({ type: 'bad' }), /refused/);
+  assert.equal(await node.propose({ type: 'good' }), 'good');
+});
+
+test('restores term, vote and log after a restart', async () => {
+  const dataDir = tempDir();
+  const first = startNode({ dataDir });
+  await first._startElection();
+  await first.propose({ type: 'a' });
+  first.stop();
+
+  const applied = [];
+  const second = startNode({ dataDir, applied });
+  assert.equal(second.currentTerm, 1);
+  assert.equal(second.votedFor, 'c1');
+  assert.deepEqual(second.log.map(e => e.command.type), ['noop', 'a']);
+
+  // Committed entries are applied again once it leads
+  await second._startElection();
+  assert.equal(second.currentTerm, 2);
+  assert.deepEqual(applied, [{ type: 'a' }]);
+});
+
+test('drops a torn write at the tail of the log', () => {
+  const dataDir = tempDir();
+  fs.writeFileSync(path.join(dataDir, 'raft-log.jsonl'), JSON.stringify(entry(1, 1)) + '\n{"index":2,"te');
+
+  const node = startNode({ dataDir });
+  assert.deepEqual(node.log, [entry(1, 1)]);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'raft-log.jsonl'), 'utf8'), JSON.stringify(entry(1, 1)) + '\n');
+});
+
+test('grants one vote per term, only to an up-to-date candidate', () => {
+  const node = startNode({ peers: [{ id: 'c2', url: 'http://c2' }, { id: 'c3', url: 'http://c3' }] });
+  node.handleAppendEntries({ term: 2, leaderId: 'c2', prevLogIndex: 0, prevLogTerm: 0, entries: [entry(1, 1), entry(2, 2)], leaderCommit: 0 });
+
+  // Behind on the last log term
+  assert.deepEqual(node.handleRequestVote({ term: 3, candidateId: 'c3', lastLogIndex: 5, lastLogTerm: 1 }), { term: 3, voteGranted: false });
+  assert.deepEqual(node.handleRequestVote({ term: 3, candidateId: 'c2', lastLogIndex: 2, lastLogTerm: 2 }), { term: 3, voteGranted: true });
+  assert.deepEqual(node.handleRequestVote({ term: 3, candidateId: 'c3', lastLogIndex: 2, lastLogTerm: 2 }), { term: 3, voteGranted: false });
+  // The same candidate may ask again
+  assert.equal(node.handleRequestVote({ term: 3, candidateId: 'c2', lastLogIndex: 2, lastLogTerm: 2 }).voteGranted, true);
+  // A stale term gets nothing
+  assert.equal(node.handleRequestVote({ term: 2, candidateId: 'c3', lastLogIndex: 9, lastLogTerm: 9 }).voteGranted, false);
+});
+
+test('follows a leader: appends, applies committed entries and refuses stale terms', () => {
+  const applied = [];
+  const node = startNode({ applied, peers: [{ id: 'c2', url: 'http://c2' }] });
+
+  const ok = node.handleAppendEntries({ term: 1, leaderId: 'c2', prevLogIndex: 0, prevLogTerm: 0, entries: [entry(1, 1), entry(2, 1)], leaderCommit: 1 });
+  assert.deepEqual(ok, { term: 1, success: true, matchIndex: 2 });
+  assert.deepEqual(applied, [{ type: 'cmd-1' }]);
+  assert.equal(node.leaderId, 'c2');
+  assert.equal(node.leaderUrl(), 'http://c2');
+
+  // Re-delivered entries are not appended twice
+  node.handleAppendEntries({ term: 1, leaderId: 'c2', prevLogIndex: 0, prevLogTerm: 0, entries: [entry(1, 1), entry(2, 1)], leaderCommit: 2 });
+  assert.equal(node.log.length, 2);
+  assert.deepEqual(applied, [{ type: 'cmd-1' }, { type: 'cmd-2' }]);
+
+  assert.deepEqual(node.handleAppendEntries({ term: 0, leaderId: 'c3', prevLogIndex: 2, prevLogTerm: 1, entries: [], leaderCommit: 2 }), { term: 1, success: false });
+});
+
+test('asks the leader to walk back when the previous entry does not match', () => {
+  const node = startNode({ peers: [{ id: 'c2', url: 'http://c2' }] });
+  node.handleAppendEntries({ term: 1, leaderId: 'c2', prevLogIndex: 0, prevLogTerm: 0, entries: [entry(1, 1)], leaderCommit: 0 });
+
+  const gap = node.handleAppendEntries({ term: 1, leaderId: 'c2', prevLogIndex: 5, prevLogTerm: 1, entries: [], leaderCommit: 0 });
+  assert.deepEqual(gap, { term: 1, success: false, lastIndex: 1 });
+  const mismatch = node.handleAppendEntries({ term: 2, leaderId: 'c2', prevLogIndex: 1, prevLogTerm: 2, entries: [], leaderCommit: 0 });
+  assert.deepEqual(mismatch, { term: 2, success: false, lastIndex: 0 });
+});
+
+test('replaces an uncommitted suffix from a deposed leader, on disk too', () => {
+  const dataDir = tempDir();
+  const node = startNode({ dataDir, peers: [{ id: 'c2', url: 'http://c2' }] });
+  node.handleAppendEntries({ term: 1, leaderId: 'c2', prevLogIndex: 0, prevLogTerm: 0, entries: [entry(1, 1), entry(2, 1, 'lost'), entry(3, 1, 'lost')], leaderCommit: 1 });
+  node.handleAppendEntries({ term: 2, leaderId: 'c3', prevLogIndex: 1, prevLogTerm: 1, entries: [entry(2, 2, 'kept')], leaderCommit: 2 });
+
+  assert.deepEqual(node.log.map(e => e.command.type), ['cmd-1', 'kept']);
+  const onDisk = fs.readFileSync(path.join(dataDir, 'raft-log.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line).command.type);
+  assert.deepEqual(onDisk, ['cmd-1', 'kept']);
+});
+
+test('a leader steps down on a higher term and fails its pending proposals', async () => {
+  let steppedDown = 0;
+  const node = startNode({ peers: [{ id: 'c2', url: 'http://c2' }], onStepDown: () => steppedDown++ });
+  // The peer never answers
+  node._replicateTo = async () => {};
+  node._becomeLeader();
+  assert.equal(node.isLeader(), true);
+
+  // No majority without the peer, so the proposal stays pending
+  const pending = node.propose({ type: 'a' });
+  node.handleAppendEntries({ term: 5, leaderId: 'c2', prevLogIndex: 0, prevLogTerm: 0, entries: [], leaderCommit: 0 });
+
+  await assert.rejects(pending, NotLeaderError);
+  assert.equal(node.role, 'follower');
+  assert.equal(node.currentTerm, 5);
+  assert.equal(steppedDown, 1);
+});
+
+test('compacts a committed entry in memory and on disk', async () => {
+  const dataDir = tempDir();
+  const first = startNode({
+    dataDir,
+    apply: (command, index) => {
+      if (command.type === 'done') first.compact(command.of, { type: 'big', payload: null });
+      return index;
+    },
+  });
+  await first._startElection();
+
+  const index = await first.propose({ type: 'big', payload: 'x'.repeat(100) });
+  assert.equal(index, 2);
+  // Not committed yet: nothing to compact
+  assert.equal(first.compact(9, { type: 'big' }), false);
+
+  await first.propose({ type: 'done', of: index });
+  assert.deepEqual(first.log[index - 1], { index, term: 1, command: { type: 'big', payload: null } });
+  first.stop();
+
+  const onDisk = fs.readFileSync(path.join(dataDir, 'raft-log.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line).command);
+  assert.deepEqual(onDisk[index - 1], { type: 'big', payload: null });
+
+  const applied = [];
+  const second = startNode({ dataDir, applied });
+  await second._startElection();
+  assert.deepEqual(applied[0], { type: 'big', payload: null });
+});
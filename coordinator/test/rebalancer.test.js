@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const HashRing = require('../hashRing');
+const { Rebalancer } = require('../rebalancer');
+
+const RF = 3;
+
+// Brokers that answer /catch-up for every node at <url>/<node>; report(node) builds the answer
+async function fakeBrokers(t, report = () => ({ keysPulled: 2, keysPushed: 0, errors: [] })) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const node = req.url.split('/')[1];
+      calls.push({ node, replicaSets: JSON.parse(body).replicaSets });
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ report: report(node) }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { base: `http://127.0.0.1:${server.address().port}`, calls };
+}
+
+function buildRing(base, names) {
+  const ring = new HashRing(20);
+  for (const name of names) ring.addNode(name, `${base}/${name}`);
+  return ring;
+}
+
+// Ranges run from start (exclusive) to end (inclusive) and may wrap around
+const inRange = (position, { start, end }) => (start < end ? position > start && position <= end : position > start || position <= end);
+
+function setup(base, { isHealthy = () => true } = {}) {
+  const ring = buildRing(base, ['node-1', 'node-2', 'node-3', 'node-4']);
+  return { ring, rebalancer: new Rebalancer({ ring, replicationFactor: RF, isHealthy }) };
+}
+
+async function settle(rebalancer) {
+  for (let i = 0; i < 100 && rebalancer.getStatus().inProgress; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return rebalancer.getStatus().history[0];
+}
+
+test('a joining node pulls exactly the ranges it gains, from their previous owners', () => {
+  const { ring, rebalancer } = setup('http://unused');
+  const after = ring.clone();
+  after.addNode('node-5', 'http://unused/node-5');
+
+  const transfers = rebalancer.plan(ring, after);
+  assert.ok(transfers.length > 0);
+  for (const { target } of transfers) assert.equal(target, 'node-5');
+
+  for (let i = 0; i < 200; i++) {
+    const position = after.hash(`key-${i}`);
+    const { primary, replicas } = after.getNodesForPosition(position, RF);
+    const transfer = transfers.find(t => t.ranges.some(r => inRange(position, r)));
+
+    if ([primary, ...replicas].includes('node-5')) {
+      const { primary: oldPrimary, replicas: oldReplicas } = ring.getNodesForPosition(position, RF);
+      assert.ok(transfer, `no transfer covers key-${i}`);
+      assert.deepEqual(transfer.sources, [oldPrimary, ...oldReplicas]);
+    } else {
+      assert.equal(transfer, undefined);
+    }
+  }
+});
+
+test('a leaving node hands its ranges to the remaining nodes and receives nothing', () => {
+  const { ring, rebalancer } = setup('http://unused');
+  const after = ring.clone();
+  after.removeNode('node-2');
+
+  const transfers = rebalancer.plan(ring, after);
+  assert.ok(transfers.length > 0);
+  for (const { target, sources } of transfers) {
+    assert.notEqual(target, 'node-2');
+    assert.ok(sources.includes('node-2'));
+  }
+  assert.deepEqual(rebalancer.plan(ring, ring.clone()), []);
+});
+
+test('switches routing only after every transfer, then runs a final round', async (t) => {
+  const brokers = await fakeBrokers(t);
+  const { ring, rebalancer } = setup(brokers.base);
+  const after = ring.clone();
+  after.addNode('node-5', `${brokers.base}/node-5`);
+
+  let callsAtApply = null;
+  const started = rebalancer.start('join', 'node-5', after, async () => {
+    callsAtApply = brokers.calls.length;
+  });
+  assert.equal(started.state, 'STREAMING');
+  assert.throws(() => rebalancer.start('join', 'node-6', after, async () => {}), { status: 409 });
+
+  const done = await settle(rebalancer);
+  const transfers = done.progress.transfersTotal;
+  assert.equal(done.state, 'COMPLETED');
+  assert.equal(callsAtApply, transfers);
+  assert.equal(brokers.calls.length, 2 * transfers);
+  assert.equal(done.keysMoved, 2 * 2 * transfers);
+  assert.ok(brokers.calls.every(c => c.node === 'node-5'));
+
+  // The target is told who holds its ranges
+  const [{ members }] = brokers.calls[0].replicaSets;
+  assert.equal(members[0].node, 'node-5');
+  assert.equal(members[1].url, `${brokers.base}/${members[1].node}`);
+});
+
+test('a failed transfer leaves routing unchanged', async (t) => {
+  const brokers = await fakeBrokers(t, () => ({ keysPulled: 0, keysPushed: 0, errors: [{ peer: 'node-1', error: 'timeout' }] }));
+  const { ring, rebalancer } = setup(brokers.base);
+  const after = ring.clone();
+  after.addNode('node-5', `${brokers.base}/node-5`);
+
+  let applied = false;
+  rebalancer.start('join', 'node-5', after, async () => { applied = true; });
+  const done = await settle(rebalancer);
+
+  assert.equal(done.state, 'FAILED');
+  assert.match(done.error, /node-5: node-1: timeout/);
+  assert.equal(applied, false);
+  assert.equal(brokers.calls.length, 1);
+
+  // The next change may start right away
+  assert.equal(rebalancer.getStatus().inProgress, false);
+});
+
+test('fails a transfer none of whose sources is healthy', async (t) => {
+  const brokers = await fakeBrokers(t);
+  const { ring, rebalancer } = setup(brokers.base, { isHealthy: () => false });
+  const after = ring.clone();
+  after.removeNode('node-1');
+
+  rebalancer.start('remove', 'node-1', after, async () => {});
+  const done = await settle(rebalancer);
+  assert.equal(done.state, 'FAILED');
+  assert.match(done.error, /No healthy source holds these ranges/);
+  assert.deepEqual(brokers.calls, []);
+});
@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SchemaRegistry, SchemaError } = require('../schemaRegistry');
+
+const ORDER_V1 = {
+  type: 'object',
+  properties: { id: { type: 'string' }, amount: { type: 'number', minimum: 0 } },
+  required: ['id'],
+};
+
+// Registers through the state machine, as a committed metadata log entry would
+function register(registry, topic, schema) {
+  const { command, existing } = registry.register(topic, schema);
+  return existing || registry.apply(command);
+}
+
+function problemOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof SchemaError);
+    return err;
+  }
+  assert.fail('expected a SchemaError');
+}
+
+test('numbers versions from 1 and returns the latest for an unchanged schema', () => {
+  const registry = new SchemaRegistry();
+  assert.equal(register(registry, 'orders', ORDER_V1).version, 1);
+
+  // Same schema with its keys in another order
+  const same = { required: ['id'], properties: ORDER_V1.properties, type: 'object' };
+  assert.deepEqual(registry.register('orders', same), { existing: registry.get('orders', 'latest') });
+
+  const v2 = { ...ORDER_V1, properties: { ...ORDER_V1.properties, note: { type: 'string' } } };
+  assert.equal(register(registry, 'orders', v2).version, 2);
+  assert.deepEqual(registry.describe('orders').versions.map(v => v.version), [1, 2]);
+  assert.deepEqual(registry.get('orders', 1).schema, ORDER_V1);
+});
+
+test('ignores a registration that lost the race to another version', () => {
+  const registry = new SchemaRegistry({ defaultCompatibility: 'none' });
+  const first = registry.register('orders', ORDER_V1).command;
+  const second = registry.register('orders', { type: 'object' }).command;
+  assert.ok(registry.apply(first));
+  assert.equal(registry.apply(second), null);
+  assert.equal(registry.latest('orders').version, 1);
+});
+
+test('refuses unsupported keywords and malformed schemas', () => {
+  const err = problemOf(() => SchemaRegistry.validateSchema({
+    type: 'strin',
+    oneOf: [],
+    minLength: -1,
+    pattern: '(',
+    items: [{ type: 'string' }],
+    properties: { 'a/b': 5 },
+  }));
+  assert.equal(err.status, 400);
+  assert.deepEqual(err.details.map(d => d.path).sort(), ['', '', '', '', '', '/properties/a~1b']);
+  assert.ok(err.details.some(d => d.message === 'unsupported keyword "oneOf"'));
+  assert.doesNotThrow(() => SchemaRegistry.validateSchema({ title: 'Order', description: 'annotations pass', format: 'uuid' }));
+});
+
+test('validates payloads against the latest version', () => {
+  const registry = new SchemaRegistry();
+  assert.equal(registry.validate('orders', { anything: true }), null);
+  register(registry, 'orders', { ...ORDER_V1, additionalProperties: false });
+
+  assert.deepEqual(registry.validate('orders', { id: 'o-1', amount: 3 }), { version: 1, errors: [] });
+  assert.deepEqual(registry.validate('orders', { amount: -1, extra: 1 }).errors, [
+    { path: '', message: 'missing required property "id"' },
+    { path: '/amount', message: 'must be >= 0' },
+    { path: '/extra', message: 'is not an allowed property' },
+  ]);
+  assert.deepEqual(registry.validate('orders', 'o-1').errors, [{ path: '', message: 'must be object, got string' }]);
+});
+
+test('checks strings, numbers, arrays and enums', () => {
+  const registry = new SchemaRegistry();
+  register(registry, 't', {
+    type: 'object',
+    properties: {
+      code: { type: 'string', minLength: 2, maxLength: 3, pattern: '^[A-Z]+$' },
+      count: { type: 'integer', exclusiveMaximum: 10 },
+      tags: { type: 'array', maxItems: 2, items: { enum: ['a', 'b'] } },
+      kind: { const: 'x' },
+    },
+  });
+  const errors = registry.validate('t', { code: 'abcd', count: 10.5, tags: ['a', 'c', 'b'], kind: 'y' }).errors;
+  assert.deepEqual(errors.map(e => `${e.path} ${e.message}`), [
+    '/code must be at most 3 characters long',
+    '/code must match pattern ^[A-Z]+$',
+    '/count must be integer, got number',
+    '/tags must have at most 2 items',
+    '/tags/1 must be one of "a", "b"',
+    '/kind must be "x"',
+  ]);
+  assert.deepEqual(registry.validate('t', { code: 'ÄB', count: 9, tags: [], kind: 'x' }).errors, [
+    { path: '/code', message: 'must match pattern ^[A-Z]+$' },
+  ]);
+});
+
+test('backward mode: an added optional property passes, an added required one does not', () => {
+  const registry = new SchemaRegistry();
+  register(registry, 'orders', ORDER_V1);
+
+  const optional = { ...ORDER_V1, properties: { ...ORDER_V1.properties, note: { type: 'string' } } };
+  assert.deepEqual(registry.check('orders', optional), []);
+
+  const required = { ...optional, required: ['id', 'note'] };
+  const err = problemOf(() => registry.register('orders', required));
+  assert.equal(err.status, 409);
+  assert.deepEqual(err.details, [{ path: '/properties/note', message: 'new schema cannot read version 1 data: property "note" is required but may be missing' }]);
+});
+
+test('forward and full modes check the other direction', () => {
+  const registry = new SchemaRegistry();
+  register(registry, 'orders', ORDER_V1);
+  const widened = { ...ORDER_V1, properties: { ...ORDER_V1.properties, amount: { type: 'number' } } };
+
+  assert.deepEqual(registry.check('orders', widened), []);
+  registry.apply(registry.setCompatibility('orders', 'forward'));
+  assert.deepEqual(registry.check('orders', widened).map(p => p.path), ['/properties/amount']);
+  registry.apply(registry.setCompatibility('orders', 'full'));
+  assert.equal(registry.check('orders', widened).length, 1);
+  registry.apply(registry.setCompatibility('orders', 'none'));
+  assert.deepEqual(registry.check('orders', { type: 'string' }), []);
+
+  assert.equal(problemOf(() => registry.setCompatibility('orders', 'sideways')).status, 400);
+  assert.equal(registry.compatibilityOf('other'), 'backward');
+});
+
+test('compares numeric bounds, including exclusive ones', () => {
+  const registry = new SchemaRegistry();
+  register(registry, 'n', { type: 'number', minimum: 0 });
+  assert.deepEqual(registry.check('n', { type: 'number', minimum: -1 }), []);
+  assert.equal(registry.check('n', { type: 'number', exclusiveMinimum: 0 }).length, 1);
+  assert.equal(registry.check('n', { type: 'integer', minimum: 0 }).length, 1);
+
+  register(registry, 'i', { type: 'integer' });
+  assert.deepEqual(registry.check('i', { type: 'number' }), []);
+});
+
+test('an enum writer only needs its values accepted', () => {
+  const registry = new SchemaRegistry();
+  register(registry, 'status', { enum: ['new', 'paid'] });
+  assert.deepEqual(registry.check('status', { type: 'string', maxLength: 4 }), []);
+  assert.deepEqual(registry.check('status', { enum: ['new'] }).map(p => p.message), [
+    'new schema cannot read version 1 data: value "paid" is not accepted',
+  ]);
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const TopicRegistry = require('../topicRegistry');
+const { SubscriptionManager } = require('../subscriptionManager');
+
+// Partitions held in memory, read the way the brokers answer /read
+function setup(t, { batchSize = 100 } = {}) {
+  const topics = new TopicRegistry();
+  topics.create('orders', { partitions: 2 });
+  topics.create('audit', { partitions: 1 });
+
+  const cluster = { logs: new Map(), aborted: new Set(), servedBy: 'node-1' };
+  const append = (topic, partition, key, payload) => {
+    const id = `${topic}/${partition}`;
+    if (!cluster.logs.has(id)) cluster.logs.set(id, []);
+    const log = cluster.logs.get(id);
+    log.push({ offset: log.length, key, payload, timestamp: new Date().toISOString() });
+  };
+
+  const readPartition = async (topic, partition, offset, limit) => {
+    if (!cluster.servedBy) return null;
+    const log = cluster.logs.get(`${topic}/${partition}`) || [];
+    const isAborted = m => cluster.aborted.has(`${topic}/${partition}:${m.offset}`);
+    const from = log.filter(m => m.offset >= offset);
+    const messages = from.filter(m => !isAborted(m)).slice(0, limit);
+    const abortedOffsets = from.filter(isAborted).map(m => m.offset);
+    return { data: { messages, nextOffset: log.length, abortedOffsets }, servedBy: cluster.servedBy };
+  };
+
+  const manager = new SubscriptionManager({ topics, readPartition, pollIntervalMs: 3600000, batchSize });
+  const events = [];
+  const open = async (options) => {
+    const sub = await manager.open(options, (event, data, cursor) => events.push({ event, data, cursor }));
+    t.after(() => manager.close(sub.id));
+    return sub;
+  };
+  return { manager, cluster, append, events, open };
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+const delivered = events => events.filter(e => e.event === 'message').map(e => `${e.data.topic}/${e.data.partition}:${e.data.payload}`);
+
+test('rejects subscriptions it cannot serve', async (t) => {
+  const { open } = setup(t);
+  await assert.rejects(open({}), { status: 400, message: 'topic or keyPrefix is required' });
+  await assert.rejects(open({ topic: 'nope' }), { status: 404 });
+  await assert.rejects(open({ topic: 'orders', from: 'middle' }), { status: 400 });
+  await assert.rejects(open({ topic: 'orders', cursor: 'orders-0-5' }), { status: 400, message: /Invalid cursor entry/ });
+});
+
+test('from latest delivers only what is produced after opening, in order', async (t) => {
+  const { manager, append, events, open } = setup(t);
+  append('orders', 0, 'a', 'old');
+
+  const { cursor } = await open({ topic: 'orders' });
+  assert.equal(cursor, 'orders/0:1,orders/1:0');
+  await tick();
+  assert.deepEqual(events, []);
+
+  append('orders', 0, 'a', 'm1');
+  append('orders', 1, 'b', 'm2');
+  append('audit', 0, 'c', 'elsewhere');
+  manager.notify('orders');
+  await tick();
+  assert.deepEqual(delivered(events), ['orders/0:m1', 'orders/1:m2']);
+  assert.equal(events.at(-1).cursor, 'orders/0:2,orders/1:1');
+  assert.equal(manager.getStatus()[0].delivered, 2);
+});
+
+test('a cursor resumes right after the last delivery, in pages', async (t) => {
+  const { append, events, open } = setup(t, { batchSize: 2 });
+  for (let i = 0; i < 5; i++) append('orders', 0, 'a', `m${i}`);
+
+  await open({ topic: 'orders', cursor: 'orders/0:3', from: 'earliest' });
+  await tick();
+  assert.deepEqual(delivered(events), ['orders/0:m3', 'orders/0:m4']);
+
+  events.length = 0;
+  await open({ topic: 'orders', from: 'earliest' });
+  await tick();
+  assert.equal(delivered(events).length, 5);
+});
+
+test('a key prefix filters every topic and moves past aborted messages', async (t) => {
+  const { manager, cluster, append, events, open } = setup(t);
+  append('orders', 0, 'user-1', 'kept');
+  append('orders', 0, 'order-9', 'filtered');
+  append('audit', 0, 'user-1', 'aborted');
+  append('audit', 0, 'user-2', 'also kept');
+  append('audit', 0, 'user-3', 'aborted last');
+  cluster.aborted = new Set(['audit/0:0', 'audit/0:2']);
+
+  await open({ keyPrefix: 'user-', from: 'earliest' });
+  await tick();
+  assert.deepEqual(delivered(events), ['orders/0:kept', 'audit/0:also kept']);
+  assert.equal(manager.getStatus()[0].cursor, 'orders/0:2,orders/1:0,audit/0:3');
+});
+
+test('tells the subscriber when a partition moves to another broker or has none', async (t) => {
+  const { manager, cluster, events, open } = setup(t);
+  await open({ topic: 'audit' });
+  await tick();
+
+  cluster.servedBy = null;
+  manager.notify('audit');
+  await tick();
+  cluster.servedBy = 'node-2';
+  manager.notify('audit');
+  await tick();
+
+  assert.deepEqual(events.map(e => [e.event, e.data.from, e.data.to]), [['unavailable', 'node-1', null], ['route', null, 'node-2']]);
+  assert.deepEqual(manager.getStatus()[0].servedBy, { 'audit/0': 'node-2' });
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const axios = require('axios');
+const Tracer = require('../../shared/tracing');
+
+async function listen(t, app) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+const spansOf = (tracer, traceId) => tracer.export(traceId).resourceSpans[0]?.scopeSpans[0].spans || [];
+const attributesOf = span => Object.fromEntries(span.attributes.map(({ key, value }) => [key, value.intValue ?? value.stringValue]));
+
+// A front service calling a back service, each with its own tracer
+async function setup(t, { ignore } = {}) {
+  const back = new Tracer({ serviceName: 'broker', instanceId: 'node-1' });
+  const backApp = express();
+  backApp.use(back.httpMiddleware());
+  backApp.get('/fetch/:key', (req, res) => res.json({ traceId: back.currentTraceId() }));
+  backApp.get('/fail', (req, res) => res.status(503).json({ error: 'no replica' }));
+  const backUrl = await listen(t, backApp);
+
+  const front = new Tracer({ serviceName: 'coordinator', instanceId: 'c1', maxTraces: 2 });
+  const client = axios.create({ baseURL: backUrl });
+  front.instrument(client);
+  const frontApp = express();
+  frontApp.use(front.httpMiddleware({ ignore }));
+  frontApp.get('/consume/:key', async (req, res) => {
+    const { data } = await client.get(`/fetch/${req.params.key}`);
+    res.json({ traceId: front.currentTraceId(), backTraceId: data.traceId });
+  });
+  frontApp.get('/broken', async (req, res) => {
+    await client.get('/fail').catch(() => {});
+    res.status(500).end();
+  });
+  frontApp.get('/health', async (req, res) => res.json(await client.get('/fetch/h').then(r => r.data)));
+
+  const http = axios.create({ baseURL: await listen(t, frontApp), validateStatus: () => true });
+  return { front, back, http };
+}
+
+test('one trace follows a request into the services it calls', async (t) => {
+  const { front, back, http } = await setup(t);
+
+  const res = await http.get('/consume/a');
+  const { traceId, backTraceId } = res.data;
+  assert.match(traceId, /^[0-9a-f]{32}$/);
+  assert.equal(backTraceId, traceId);
+  assert.equal(res.headers['x-trace-id'], traceId);
+
+  const spans = spansOf(front, traceId);
+  const server = spans.find(s => s.kind === 2);
+  const client = spans.find(s => s.kind === 3);
+  const [backServer] = spansOf(back, traceId);
+  assert.deepEqual([server.name, server.kind, server.parentSpanId], ['GET /consume/:key', 2, undefined]);
+  assert.deepEqual([client.name, client.kind, client.parentSpanId], ['GET /fetch/a', 3, server.spanId]);
+  assert.deepEqual([backServer.name, backServer.parentSpanId], ['GET /fetch/:key', client.spanId]);
+  assert.equal(attributesOf(server)['http.status_code'], '200');
+  assert.match(attributesOf(client)['http.url'], /\/fetch\/a$/);
+
+  const [resource] = front.export(traceId).resourceSpans;
+  assert.deepEqual(resource.resource.attributes.map(a => a.value.stringValue), ['coordinator', 'c1']);
+  assert.deepEqual(front.export('0'.repeat(32)), { resourceSpans: [] });
+});
+
+test('joins the trace a caller names, by traceparent or X-Trace-Id', async (t) => {
+  const { front, http } = await setup(t);
+  const parentTraceId = 'a'.repeat(32);
+
+  const joined = await http.get('/consume/a', { headers: { traceparent: `00-${parentTraceId}-${'b'.repeat(16)}-01` } });
+  assert.equal(joined.data.traceId, parentTraceId);
+  assert.equal(spansOf(front, parentTraceId).find(s => s.kind === 2).parentSpanId, 'b'.repeat(16));
+
+  const named = await http.get('/consume/a', { headers: { 'X-Trace-Id': 'C'.repeat(32) } });
+  assert.equal(named.data.traceId, 'c'.repeat(32));
+
+  const invalid = await http.get('/consume/a', { headers: { traceparent: 'garbage', 'X-Trace-Id': 'short' } });
+  assert.notEqual(invalid.data.traceId, 'short');
+  assert.match(invalid.data.traceId, /^[0-9a-f]{32}$/);
+});
+
+test('marks failed calls and 5xx answers as errors', async (t) => {
+  const { front, http } = await setup(t);
+  const res = await http.get('/broken');
+
+  const spans = spansOf(front, res.headers['x-trace-id']);
+  const client = spans.find(s => s.kind === 3);
+  assert.deepEqual(client.status, { code: 2, message: 'no replica' });
+  assert.equal(attributesOf(client)['http.status_code'], '503');
+  assert.equal(spans.find(s => s.kind === 2).status.code, 2);
+});
+
+test('leaves ignored routes untraced and keeps only the newest traces', async (t) => {
+  const { front, back, http } = await setup(t, { ignore: [/^\/health$/] });
+
+  const health = await http.get('/health');
+  assert.equal(health.headers['x-trace-id'], undefined);
+  assert.equal(front.traces.size, 0);
+  // The call it made starts its own trace on the other side
+  assert.equal(spansOf(back, health.data.traceId)[0].parentSpanId, undefined);
+
+  const ids = [];
+  for (let i = 0; i < 3; i++) ids.push((await http.get('/consume/a')).data.traceId);
+  assert.deepEqual([...front.traces.keys()], ids.slice(1));
+});
@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { TransactionManager } = require('../transactionManager');
+
+// Brokers at <url>/<node>; fail(node, path) → an error body to answer 409 with
+async function fakeBrokers(t, fail = () => null) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const [, node, ...rest] = req.url.split('/');
+      const path = `/${rest.join('/')}`;
+      const request = JSON.parse(body);
+      calls.push({ node, path, body: request });
+
+      const error = fail(node, path);
+      if (error) return res.writeHead(409, { 'Content-Type': 'application/json' }).end(JSON.stringify(error));
+      const results = (request.entries || []).map(({ index, topic }) => ({ index, ...(topic !== undefined && { offset: 10 + index }) }));
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ success: true, results }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { base: `http://127.0.0.1:${server.address().port}`, calls };
+}
+
+// A metadata log applied on the spot, as a single coordinator would
+function setup(base, { routes = {}, ...options } = {}) {
+  const log = [];
+  const manager = new TransactionManager({
+    propose: async command => {
+      log.push(command);
+      return manager.apply(command, log.length);
+    },
+    compact: (index, command) => { log[index - 1] = command; },
+    isLeader: () => true,
+    route: routingKey => routes[routingKey] || { primary: 'node-1', replicas: ['node-2'], epoch: 1, handingBack: false },
+    nodeUrl: node => `${base}/${node}`,
+    epoch: () => 1,
+    ...options,
+  });
+  return { manager, log };
+}
+
+const ROUTES = {
+  a: { primary: 'node-1', replicas: ['node-2'], epoch: 1 },
+  'orders/0': { primary: 'node-2', replicas: ['node-3'], epoch: 2 },
+};
+const ENTRIES = [
+  { key: 'a', payload: 'secret', routingKey: 'a' },
+  { topic: 'orders', partition: 0, key: 'o', payload: 'big', routingKey: 'orders/0' },
+];
+
+test('prepares on every primary, commits on every copy and completes', async (t) => {
+  const brokers = await fakeBrokers(t);
+  const { manager } = setup(brokers.base, { routes: ROUTES });
+
+  const result = await manager.run(ENTRIES, 'all');
+  assert.equal(result.state, 'COMMITTED');
+  assert.equal(result.completed, true);
+  assert.deepEqual(result.participants.map(p => [p.primary, p.prepared, p.entries]), [['node-1', true, 1], ['node-2', true, 1]]);
+  assert.deepEqual(result.results.map(r => [r.index, r.primary, r.offset]), [[0, 'node-1', undefined], [1, 'node-2', 11]]);
+
+  const prepares = brokers.calls.filter(c => c.path === '/txn/prepare').sort((x, y) => x.node.localeCompare(y.node));
+  assert.deepEqual(prepares.map(c => [c.node, c.body.epoch, c.body.entries[0].payload]), [['node-1', 1, 'secret'], ['node-2', 2, 'big']]);
+  assert.deepEqual(prepares[0].body.entries[0].replicateTo, [`${brokers.base}/node-2`]);
+
+  // Each node holding a copy learns the outcome; the primaries get their entries
+  const commits = Object.fromEntries(brokers.calls.filter(c => c.path === '/txn/commit').map(c => [c.node, c.body.entries.map(e => e.index)]));
+  assert.deepEqual(commits, { 'node-1': [0], 'node-2': [1], 'node-3': [] });
+
+  assert.deepEqual(manager.get(result.txnId), { ...manager.getStatus().recent[0], completed: true });
+  assert.deepEqual(manager.targets(result.txnId), [{ key: 'a' }, { topic: 'orders' }]);
+});
+
+test('keeps payloads out of the metadata log once the transaction completed', async (t) => {
+  const brokers = await fakeBrokers(t);
+  const { manager, log } = setup(brokers.base, { routes: ROUTES });
+  await manager.run(ENTRIES, 'all');
+
+  assert.deepEqual(log.map(c => c.type), ['txn_begun', 'txn_decided', 'txn_completed']);
+  assert.deepEqual(log[0].entries, [
+    { key: 'a', routingKey: 'a', index: 0 },
+    { topic: 'orders', partition: 0, key: 'o', routingKey: 'orders/0', index: 1 },
+  ]);
+  assert.ok(!JSON.stringify(log).includes('secret'));
+
+  // Replaying the compacted log gives the same history
+  const replayed = setup(brokers.base).manager;
+  for (const [i, command] of log.entries()) replayed.apply(command, i + 1);
+  assert.deepEqual(replayed.getStatus(), manager.getStatus());
+});
+
+test('aborts everywhere when one primary cannot prepare', async (t) => {
+  const brokers = await fakeBrokers(t, (node, path) =>
+    node === 'node-2' && path === '/txn/prepare' ? { conflict: true, error: 'key "o" is locked by transaction t0' } : null);
+  const { manager } = setup(brokers.base, { routes: ROUTES });
+
+  const result = await manager.run(ENTRIES, '1');
+  assert.deepEqual([result.state, result.completed, result.conflict], ['ABORTED', true, true]);
+  assert.equal(result.reason, 'node-2: key "o" is locked by transaction t0');
+  assert.deepEqual(brokers.calls.filter(c => c.path === '/txn/abort').map(c => c.node).sort(), ['node-1', 'node-2', 'node-3']);
+  assert.equal(brokers.calls.filter(c => c.path === '/txn/commit').length, 0);
+});
+
+test('refuses a transaction on a range that is failing back', async (t) => {
+  const brokers = await fakeBrokers(t);
+  const { manager, log } = setup(brokers.base, { routes: { a: { primary: 'node-1', replicas: [], epoch: 1, handingBack: true } } });
+
+  await assert.rejects(manager.run([ENTRIES[0]], '1'), { status: 503, message: /failing back/ });
+  assert.deepEqual(log, []);
+});
+
+test('resume retries an unconfirmed commit and aborts one left undecided', async (t) => {
+  let down = true;
+  const brokers = await fakeBrokers(t, (node, path) => (down && node === 'node-2' && path === '/txn/commit' ? { error: 'busy' } : null));
+  const { manager } = setup(brokers.base, { timeoutMs: 0 });
+
+  const result = await manager.run([ENTRIES[0]], '1');
+  assert.deepEqual([result.state, result.completed], ['COMMITTED', false]);
+
+  // An earlier leader began this one and never decided it
+  await manager.propose({ type: 'txn_begun', txnId: 'orphan', entries: [{ ...ENTRIES[0], index: 0 }], nodes: ['node-1'], acks: '1', createdAt: new Date(0).toISOString() });
+
+  down = false;
+  await manager.resume();
+  assert.deepEqual(manager.getStatus().open, []);
+  assert.equal(manager.get(result.txnId).state, 'COMMITTED');
+  assert.deepEqual([manager.get('orphan').state, manager.get('orphan').reason], ['ABORTED', 'no decision within the transaction timeout']);
+});
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+const ACK_LEVELS = ['0', '1', 'quorum', 'all'];
+const CLEANUP_POLICIES = ['delete', 'compact'];
+const RETENTION_KEYS = ['retentionMs', 'retentionMessages', 'retentionBytes', 'cleanupPolicy'];
+
+/**
+ * TopicRegistry — named topics split into a fixed number of partitions.
+ *
+ * Each partition is an ordered, append-only log. Partitions are placed on the
+ * hash ring by their routing key ("<topic>-<partition>"), so a partition's
+ * primary and replicas are chosen exactly like a plain key's.
+ * Messages with a key always land in the same partition (hash(key) % count);
+ * messages without a key are spread round-robin.
+ *
+ * Per-topic config (all optional, cluster defaults apply when unset):
+ *   acks                — write acknowledgement level: "0", "1", "quorum" or "all"
+ *   visibilityTimeoutMs — how long a received queue message stays leased
+ *   maxDeliveries       — deliveries without an ack before a message is dead-lettered
+ *   retentionMs         — messages older than this are deleted
+ *   retentionMessages   — at most this many of the newest offsets are kept per partition
+ *   retentionBytes      — payload bytes kept per partition (oldest messages go first)
+ *   cleanupPolicy       — "delete" (default) or "compact": keep only the latest message per key
+ * Retention is enforced by the brokers; see retentionPolicies().
+ */
+class TopicRegistry {
+  constructor({ defaultPartitions = 3 } = {}) {
+    this.defaultPartitions = defaultPartitions;
+
+    // topicName → { name, partitions, config, createdAt, roundRobin }
+    this.topics = new Map();
+  }
+
+  // ─── Create a topic (throws if it already exists) ───────────────────────────
+  create(name, { partitions = this.defaultPartitions, config = {}, createdAt = new Date().toISOString() } = {}) {
+    if (!TopicRegistry.isValidName(name)) {
+      throw new Error(`Invalid topic name "${name}" (use letters, digits, ".", "_" and "-")`);
+    }
+    if (this.topics.has(name)) {
+      throw new Error(`Topic "${name}" already exists`);
+    }
+    if (!Number.isInteger(partitions) || partitions < 1) {
+      throw new Error('partitions must be a positive integer');
+    }
+
+    const topic = {
+      name,
+      partitions,
+      config: TopicRegistry.validateConfig(config),
+      createdAt,
+      roundRobin: 0,
+    };
+    this.topics.set(name, topic);
+    return topic;
+  }
+
+  // ─── Get a topic, creating it with default settings on first use ───────────
+  getOrCreate(name) {
+    return this.topics.get(name) || this.create(name);
+  }
+
+  get(name) {
+    return this.topics.get(name);
+  }
+
+  // ─── Merge new settings into a topic's config ───────────────────────────────
+  updateConfig(name, config) {
+    const topic = this.topics.get(name);
+    if (!topic) throw new Error(`Unknown topic "${name}"`);
+
+    topic.config = TopicRegistry.validateConfig({ ...topic.config, ...config });
+    return topic;
+  }
+
+  list() {
+    return [...this.topics.values()];
+  }
+
+  // ─── Retention settings of every topic that has any, for the brokers ───────
+  retentionPolicies() {
+    const policies = {};
+    for (const topic of this.topics.values()) {
+      const policy = Object.fromEntries(RETENTION_KEYS.filter(k => topic.config[k] !== undefined).map(k => [k, topic.config[k]]));
+      if (Object.keys(policy).length > 0) policies[topic.name] = policy;
+    }
+    return policies;
+  }
+
+  // ─── Pick the partition a message belongs to ────────────────────────────────
+  selectPartition(name, key) {
+    const topic = this.topics.get(name);
+    if (!topic) throw new Error(`Unknown topic "${name}"`);
+
+    if (key === undefined || key === null) {
+      const partition = topic.roundRobin % topic.partitions;
+      topic.roundRobin++;
+      return partition;
+    }
+
+    const hex = crypto.createHash('sha256').update(String(key)).digest('hex');
+    return parseInt(hex.substring(0, 8), 16) % topic.partitions;
+  }
+
+  // ─── Key used to place a partition on the hash ring ─────────────────────────
+  static routingKey(topic, partition) {
+    return `${topic}-${partition}`;
+  }
+
+  static validateConfig(config) {
+    const { acks, visibilityTimeoutMs, maxDeliveries, retentionMs, retentionMessages, retentionBytes, cleanupPolicy } = config;
+
+    if (acks !== undefined && !ACK_LEVELS.includes(String(acks))) {
+      throw new Error(`acks must be one of ${ACK_LEVELS.join(', ')}`);
+    }
+    if (visibilityTimeoutMs !== undefined && (!Number.isInteger(visibilityTimeoutMs) || visibilityTimeoutMs < 1)) {
+      throw new Error('visibilityTimeoutMs must be a positive integer');
+    }
+    if (maxDeliveries !== undefined && (!Number.isInteger(maxDeliveries) || maxDeliveries < 1)) {
+      throw new Error('maxDeliveries must be a positive integer');
+    }
+    for (const [name, value] of Object.entries({ retentionMs, retentionMessages, retentionBytes })) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+        throw new Error(`${name} must be a positive integer`);
+      }
+    }
+    if (cleanupPolicy !== undefined && !CLEANUP_POLICIES.includes(cleanupPolicy)) {
+      throw new Error(`cleanupPolicy must be one of ${CLEANUP_POLICIES.join(', ')}`);
+    }
+
+    return {
+      ...(acks !== undefined && { acks: String(acks) }),
+      ...(visibilityTimeoutMs !== undefined && { visibilityTimeoutMs }),
+      ...(maxDeliveries !== undefined && { maxDeliveries }),
+      ...(retentionMs !== undefined && { retentionMs }),
+      ...(retentionMessages !== undefined && { retentionMessages }),
+      ...(retentionBytes !== undefined && { retentionBytes }),
+      ...(cleanupPolicy !== undefined && { cleanupPolicy }),
+    };
+  }
+
+  static isValidName(name) {
+    return typeof name === 'string' && /^[A-Za-z0-9._-]{1,200}$/.test(name);
+  }
+}
+
+TopicRegistry.ACK_LEVELS = ACK_LEVELS;
+
+module.exports = TopicRegistry;
@@ -0,0 +1,314 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+const BROKER_TIMEOUT_MS = 10000;
+
+class TransactionError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * TransactionManager — atomic writes across brokers with two-phase commit.
+ *
+ * A transaction is a set of entries (keyed messages and topic messages) that
+ * may belong to different primaries. Its life is recorded in the metadata
+ * log, so every coordinator knows it and a new leader can finish it:
+ *
+ *   txn_begun   — entries and the nodes holding copies of them   (PREPARING)
+ *   txn_decided — commit or abort; the first decision wins      (COMMITTED / ABORTED)
+ *   txn_completed — every node holding a copy knows the outcome (moved to history)
+ *
+ * Payloads are needed in the log only until then: a completed transaction's
+ * txn_begun entry is compacted down to routing keys and indexes.
+ *
+ * Phase one asks each primary to prepare its entries: topic entries are
+ * appended but stay invisible to read_committed readers, keyed entries are
+ * staged and locked. Commit is decided only when every primary prepared.
+ * Phase two sends the outcome to every node that held a copy at prepare time
+ * or holds one now, with the entries each current primary must write, and
+ * is retried until all of them confirmed. A transaction found PREPARING by a
+ * new leader, or left PREPARING for longer than timeoutMs, is aborted.
+ */
+class TransactionManager {
+  constructor({ propose, compact = () => {}, isLeader, route, nodeUrl, epoch, ackTimeoutMs = 5000, retryIntervalMs = 5000, timeoutMs = 30000, historySize = 100 }) {
+    // propose(command) → result of applying it once committed in the metadata log
+    this.propose = propose;
+    // compact(logIndex, command) → replace a committed log entry with a smaller command
+    this.compact = compact;
+    this.isLeader = isLeader;
+    // route(routingKey) → { primary, replicas, epoch, handingBack } as currently served
+    this.route = route;
+    this.nodeUrl = nodeUrl;
+    // epoch() → the cluster's current leadership epoch
+    this.epoch = epoch;
+    this.ackTimeoutMs = ackTimeoutMs;
+    this.retryIntervalMs = retryIntervalMs;
+    this.timeoutMs = timeoutMs;
+    this.historySize = historySize;
+
+    // txnId → { txnId, state, entries, nodes, acks, reason, createdAt, decidedAt, logIndex }
+    this.transactions = new Map();
+    this.history = [];
+    // txnId → [{ topic } | { key }] written by each transaction in history
+    this.historyTargets = new Map();
+    // txnIds whose phase two is running on this coordinator
+    this.completing = new Set();
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      if (this.isLeader()) this.resume();
+    }, this.retryIntervalMs);
+    this.timer.unref();
+  }
+
+  // ─── State machine: called for committed metadata log commands ─────────────
+  apply(command, logIndex) {
+    switch (command.type) {
+      case 'txn_begun': {
+        const txn = {
+          txnId: command.txnId,
+          state: 'PREPARING',
+          entries: command.entries,
+          nodes: command.nodes,
+          acks: command.acks,
+          reason: null,
+          createdAt: command.createdAt,
+          decidedAt: null,
+          logIndex,
+        };
+        this.transactions.set(txn.txnId, txn);
+        return txn;
+      }
+
+      case 'txn_decided': {
+        const txn = this.transactions.get(command.txnId);
+        if (txn?.state === 'PREPARING') {
+          txn.state = command.decision === 'commit' ? 'COMMITTED' : 'ABORTED';
+          txn.reason = command.reason || null;
+          txn.decidedAt = command.decidedAt;
+        }
+        return txn || null;
+      }
+
+      case 'txn_completed': {
+        const txn = this.transactions.get(command.txnId);
+        if (!txn) return null;
+        this.transactions.delete(txn.txnId);
+        this.compact(txn.logIndex, {
+          type: 'txn_begun',
+          txnId: txn.txnId,
+          entries: txn.entries.map(({ payload, ...entry }) => entry),
+          nodes: txn.nodes,
+          acks: txn.acks,
+          createdAt: txn.createdAt,
+        });
+        this.history.push({ ...this._describe(txn), completedAt: command.completedAt });
+        this.historyTargets.set(txn.txnId, targetsOf(txn.entries));
+        if (this.history.length > this.historySize) this.historyTargets.delete(this.history.shift().txnId);
+        return txn;
+      }
+    }
+    return null;
+  }
+
+  // ─── Run a transaction: entries are [{ key, payload } | { topic, partition, key?, payload }] plus routingKey ─
+  async run(entries, acks) {
+    const txnId = crypto.randomUUID();
+    const indexed = entries.map((entry, index) => ({ ...entry, index }));
+
+    // primary → entries it prepares, and the oldest epoch they were routed
+    // under (a primary that lost a range since then refuses the prepare)
+    const participants = new Map();
+    const epochs = new Map();
+    const nodes = new Set();
+    for (const entry of indexed) {
+      const { primary, replicas, epoch, handingBack } = this.route(entry.routingKey);
+      if (handingBack) throw new TransactionError(`The range of ${entry.routingKey} is failing back to its primary — retry shortly`, 503);
+      if (!participants.has(primary)) participants.set(primary, []);
+      participants.get(primary).push(entry);
+      epochs.set(primary, Math.min(epochs.get(primary) ?? epoch, epoch));
+      for (const node of [primary, ...replicas]) nodes.add(node);
+    }
+
+    await this.propose({ type: 'txn_begun', txnId, entries: indexed, nodes: [...nodes], acks, createdAt: new Date().toISOString() });
+    console.log(`[Transactions] ${txnId} begun: ${indexed.length} entr${indexed.length === 1 ? 'y' : 'ies'} on ${[...participants.keys()].join(', ')}`);
+
+    const prepared = await Promise.all([...participants].map(([primary, owned]) => this._prepare(txnId, primary, owned, acks, epochs.get(primary))));
+    const failed = prepared.find(p => !p.prepared);
+    const decision = failed ? 'abort' : 'commit';
+    const reason = failed ? `${failed.primary}: ${failed.error}` : null;
+
+    let txn;
+    try {
+      txn = await this.propose({ type: 'txn_decided', txnId, decision, reason, decidedAt: new Date().toISOString() });
+    } catch (err) {
+      // Not decided here: a new leader finds it PREPARING and aborts it
+      throw new TransactionError(`Transaction ${txnId} could not be decided: ${err.message}`, 503);
+    }
+    console.log(`[Transactions] ${txnId} ${txn.state}${txn.reason ? ` (${txn.reason})` : ''}`);
+
+    const completed = await this._complete(txn);
+    return {
+      ...this._describe(txn),
+      completed,
+      conflict: prepared.some(p => p.conflict),
+      staleEpoch: prepared.some(p => p.staleEpoch),
+      participants: prepared.map(({ primary, prepared: ok, results }) => ({ primary, prepared: ok, entries: results.length })),
+      results: prepared.flatMap(p => p.results).sort((a, b) => a.index - b.index),
+    };
+  }
+
+  get(txnId) {
+    const txn = this.transactions.get(txnId);
+    if (txn) return { ...this._describe(txn), completed: false };
+    const done = this.history.find(t => t.txnId === txnId);
+    return done ? { ...done, completed: true } : null;
+  }
+
+  // Topics and keys an open or recent transaction writes to, for access checks
+  targets(txnId) {
+    const txn = this.transactions.get(txnId);
+    return txn ? targetsOf(txn.entries) : this.historyTargets.get(txnId) || [];
+  }
+
+  getStatus() {
+    return {
+      open: [...this.transactions.values()].map(txn => this._describe(txn)),
+      recent: this.history.slice().reverse(),
+    };
+  }
+
+  // ─── Leader duty: finish what an earlier leader (or attempt) left open ─────
+  async resume({ abortPreparing = false } = {}) {
+    const now = Date.now();
+    for (const txn of [...this.transactions.values()]) {
+      if (txn.state === 'PREPARING') {
+        if (!abortPreparing && now - Date.parse(txn.createdAt) < this.timeoutMs) continue;
+        try {
+          const reason = abortPreparing ? 'coordinator leader changed before a decision' : 'no decision within the transaction timeout';
+          await this.propose({ type: 'txn_decided', txnId: txn.txnId, decision: 'abort', reason, decidedAt: new Date().toISOString() });
+          console.log(`[Transactions] ${txn.txnId} ABORTED (${reason})`);
+        } catch (err) {
+          console.log(`[Transactions] Could not abort ${txn.txnId}: ${err.message}`);
+          continue;
+        }
+      }
+      await this._complete(txn);
+    }
+  }
+
+  // ─── Phase one on one primary ──────────────────────────────────────────────
+  async _prepare(txnId, primary, entries, acks, epoch = this.epoch()) {
+    const results = entries.map(({ index, key, topic, partition }) => ({ index, key, topic, partition, primary }));
+    const url = this.nodeUrl(primary);
+    if (!url) return { primary, prepared: false, error: 'not in the ring', results };
+
+    try {
+      const response = await axios.post(`${url}/txn/prepare`, {
+        txnId,
+        entries: entries.map(entry => this._brokerEntry(entry)),
+        acks,
+        ackTimeoutMs: this.ackTimeoutMs,
+        epoch,
+      }, { timeout: this.ackTimeoutMs + BROKER_TIMEOUT_MS });
+
+      for (const { index, offset } of response.data.results || []) {
+        const result = results.find(r => r.index === index);
+        if (result && offset !== undefined) result.offset = offset;
+      }
+      return { primary, prepared: true, results };
+    } catch (err) {
+      const data = err.response?.data;
+      console.log(`[Transactions] ${txnId} prepare on ${primary} failed: ${data?.error || err.message}`);
+      return {
+        primary,
+        prepared: false,
+        conflict: Boolean(data?.conflict),
+        staleEpoch: Boolean(data?.staleEpoch),
+        error: data?.error || (err.response ? err.message : 'unreachable'),
+        results,
+      };
+    }
+  }
+
+  // ─── Phase two: tell every node holding a copy; true once all confirmed ────
+  async _complete(txn) {
+    if (txn.state === 'PREPARING' || !this.transactions.has(txn.txnId) || this.completing.has(txn.txnId)) return false;
+    this.completing.add(txn.txnId);
+
+    try {
+      const commit = txn.state === 'COMMITTED';
+      // node → entries it is primary for now (commit only)
+      const targets = new Map(txn.nodes.map(node => [node, []]));
+      for (const entry of txn.entries) {
+        const { primary, replicas } = this.route(entry.routingKey);
+        for (const node of [primary, ...replicas]) {
+          if (!targets.has(node)) targets.set(node, []);
+        }
+        targets.get(primary).push(entry);
+      }
+
+      const outcomes = await Promise.all([...targets].map(async ([node, entries]) => {
+        const url = this.nodeUrl(node);
+        // Removed from the cluster: its copies are gone with it
+        if (!url) return true;
+        try {
+          if (commit) {
+            await axios.post(`${url}/txn/commit`, { txnId: txn.txnId, entries: entries.map(entry => this._brokerEntry(entry)) }, { timeout: BROKER_TIMEOUT_MS });
+          } else {
+            await axios.post(`${url}/txn/abort`, { txnId: txn.txnId }, { timeout: BROKER_TIMEOUT_MS });
+          }
+          return true;
+        } catch (err) {
+          console.log(`[Transactions] ${txn.txnId} ${commit ? 'commit' : 'abort'} on ${node} failed: ${err.response?.data?.error || err.message} — will retry`);
+          return false;
+        }
+      }));
+
+      if (!outcomes.every(Boolean)) return false;
+      await this.propose({ type: 'txn_completed', txnId: txn.txnId, completedAt: new Date().toISOString() });
+      console.log(`[Transactions] ${txn.txnId} completed on ${targets.size} node(s)`);
+      return true;
+    } catch (err) {
+      console.log(`[Transactions] ${txn.txnId} could not be completed: ${err.message}`);
+      return false;
+    } finally {
+      this.completing.delete(txn.txnId);
+    }
+  }
+
+  _brokerEntry({ index, key, topic, partition, payload, schemaVersion, routingKey }) {
+    const { replicas } = this.route(routingKey);
+    return {
+      index,
+      key,
+      ...(topic !== undefined && { topic, partition }),
+      payload,
+      ...(schemaVersion !== undefined && { schemaVersion }),
+      replicateTo: replicas.map(node => this.nodeUrl(node)).filter(Boolean),
+    };
+  }
+
+  _describe(txn) {
+    return {
+      txnId: txn.txnId,
+      state: txn.state,
+      reason: txn.reason,
+      entries: txn.entries.length,
+      nodes: txn.nodes,
+      createdAt: txn.createdAt,
+      decidedAt: txn.decidedAt,
+    };
+  }
+}
+
+function targetsOf(entries) {
+  return entries.map(({ topic, key }) => (topic !== undefined ? { topic } : { key }));
+}
+
+module.exports = { TransactionManager, TransactionError };
@@ -1,19 +1,44 @@
 const axios = require('axios');
 
-const COORDINATOR_URL = process.env.COORDINATOR_URL || 'http://localhost:7000';
+// Any coordinator works (followers forward to the leader); COORDINATOR_URLS
+// lists several so the client moves on when one is down
+const COORDINATOR_URLS = (process.env.COORDINATOR_URLS || process.env.COORDINATOR_URL || 'http://localhost:7000')
+  .split(',')
+  .map(url => url.trim());
+const COORDINATOR_URL = COORDINATOR_URLS.join(', ');
+
+// API_KEY is needed when the cluster has authentication enabled
+const API_KEY = process.env.API_KEY;
+const coordinator = axios.create({ baseURL: COORDINATOR_URLS[0], headers: API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {} });
+coordinator.interceptors.response.use(null, (err) => {
+  const config = err.config;
+  config.attempts = (config.attempts || 1) + 1;
+  if (err.response || config.attempts > COORDINATOR_URLS.length) throw err;
+
+  // Connection failed — try the next coordinator and stick with it
+  const next = COORDINATOR_URLS[(COORDINATOR_URLS.indexOf(config.baseURL) + 1) % COORDINATOR_URLS.length];
+  coordinator.defaults.baseURL = next;
+  return coordinator.request({ ...config, baseURL: next });
+});
 
 // ─── Messages to produce ─────────────────────────────────────────────────────
+// Each message is appended to its topic; the key picks the partition, so all
+// events for the same key stay in order.
 const messages = [
-  { key: 'order_1',        payload: { event: 'order_placed',   userId: 42,  amount: 199.99, item: 'Laptop' } },
-  { key: 'order_2',        payload: { event: 'order_placed',   userId: 17,  amount: 49.99,  item: 'Mouse' } },
-  { key: 'order_3',        payload: { event: 'order_placed',   userId: 88,  amount: 299.00, item: 'Monitor' } },
-  { key: 'payment_1',      payload: { event: 'payment_done',   userId: 42,  amount: 199.99, status: 'confirmed' } },
-  { key: 'payment_2',      payload: { event: 'payment_done',   userId: 17,  amount: 49.99,  status: 'confirmed' } },
-  { key: 'user_signup_5',  payload: { event: 'user_registered', userId: 5,  email: 'alice@example.com' } },
-  { key: 'user_signup_12', payload: { event: 'user_registered', userId: 12, email: 'bob@example.com' } },
-  { key: 'inventory_101',  payload: { event: 'stock_updated',  productId: 101, stock: 50 } },
+  { topic: 'orders',    key: 'order_1',        payload: { event: 'order_placed',   userId: 42,  amount: 199.99, item: 'Laptop' } },
+  { topic: 'orders',    key: 'order_2',        payload: { event: 'order_placed',   userId: 17,  amount: 49.99,  item: 'Mouse' } },
+  { topic: 'orders',    key: 'order_3',        payload: { event: 'order_placed',   userId: 88,  amount: 299.00, item: 'Monitor' } },
+  { topic: 'payments',  key: 'payment_1',      payload: { event: 'payment_done',   userId: 42,  amount: 199.99, status: 'confirmed' } },
+  { topic: 'payments',  key: 'payment_2',      payload: { event: 'payment_done',   userId: 17,  amount: 49.99,  status: 'confirmed' } },
+  { topic: 'users',     key: 'user_signup_5',  payload: { event: 'user_registered', userId: 5,  email: 'alice@example.com' } },
+  { topic: 'users',     key: 'user_signup_12', payload: { event: 'user_registered', userId: 12, email: 'bob@example.com' } },
+  { topic: 'inventory', key: 'inventory_101',  payload: { event: 'stock_updated',  productId: 101, stock: 50 } },
 ];
 
+// A failed batch is retried with the same sequence numbers; brokers answer
+// messages they already stored with duplicate=true instead of storing them twice
+const MAX_ATTEMPTS = parseInt(process.env.MAX_ATTEMPTS || '3');
+
 function printSeparator() {
   console.log('─'.repeat(70));
 }
@@ -28,7 +53,7 @@ async function produce() {
 
   // First, show the ring layout
   try {
-    const ringRes = await axios.get(`${COORDINATOR_URL}/ring`);
+    const ringRes = await coordinator.get('/ring');
     console.log('📍 Hash Ring State:');
     const { nodes } = ringRes.data;
     for (const [name, info] of Object.entries(nodes)) {
@@ -36,53 +61,69 @@ async function produce() {
     }
     console.log();
   } catch (err) {
-    console.error('Could not reach coordinator. Is Docker Compose running?');
-    process.exit(1);
+    // The ring is only shown to keys that may consume
+    if (err.response?.status !== 403) {
+      console.error('Could not reach coordinator. Is Docker Compose running?');
+      process.exit(1);
+    }
   }
 
-  console.log('📨 Producing messages:\n');
+  console.log('📨 Producing messages (one batch):\n');
   printSeparator();
 
-  const results = [];
+  // Idempotent producer: one id for this run, one sequence number per message
+  const { producerId } = (await coordinator.post('/producers', { name: 'demo-producer' })).data;
+  const sequenced = messages.map((msg, sequence) => ({ ...msg, sequence }));
+  console.log(`Producer id : ${producerId}`);
 
-  for (const msg of messages) {
+  // One request for all messages; the coordinator sends one /store per primary
+  let results;
+  for (let attempt = 1; ; attempt++) {
     try {
-      const res = await axios.post(`${COORDINATOR_URL}/produce`, {
-        key: msg.key,
-        payload: msg.payload,
-      });
-
-      const { primary, replicas, keyHash, replicationResults } = res.data;
-      const replicaStatus = replicationResults
-        .map(r => `${r.node.split('//')[1]?.split(':')[0] || r.node} (${r.status})`)
-        .join(', ');
-
-      console.log(`Key     : ${msg.key}`);
-      console.log(`Hash    : ${keyHash}`);
-      console.log(`Primary : ${primary}`);
-      console.log(`Replicas: ${replicas.join(', ')}`);
-      console.log(`RepStatus: ${replicaStatus}`);
+      const res = await coordinator.post('/produce/batch', { producerId, messages: sequenced }, { validateStatus: status => status === 201 || status === 207 });
+      const { batches } = res.data;
+      results = res.data.results;
+      console.log(`Batched into ${batches.length} broker call(s): ${batches.map(b => `${b.primary} (${b.messages})`).join(', ')}`);
+      console.log(`Trace id : ${res.headers['x-trace-id']} (GET /trace/<id> on the coordinator)`);
       printSeparator();
-
-      results.push({ key: msg.key, primary, replicas, success: true });
+      break;
     } catch (err) {
-      console.log(`Key     : ${msg.key}`);
-      console.log(`ERROR   : ${err.response?.data?.error || err.message}`);
+      const retryable = !err.response || err.response.status >= 500;
+      const traceId = err.response?.headers['x-trace-id'];
+      console.error(`Batch attempt ${attempt} failed: ${err.response?.data?.error || err.message}${traceId ? ` (trace ${traceId})` : ''}`);
+      if (!retryable || attempt >= MAX_ATTEMPTS) process.exit(1);
+      await new Promise(r => setTimeout(r, 1000 * attempt));
+    }
+  }
+
+  for (const [i, msg] of messages.entries()) {
+    const { success, primary, replicas, partition, offset, replicationResults, error, details = [] } = results[i];
+
+    console.log(`Key     : ${msg.key}`);
+    if (!success) {
+      console.log(`ERROR   : ${error}`);
+      for (const detail of details) console.log(`          ${detail.path || '(payload)'}: ${detail.message}`);
       printSeparator();
-      results.push({ key: msg.key, success: false });
+      continue;
     }
 
-    // Small delay so logs are readable
-    await new Promise(r => setTimeout(r, 300));
+    const replicaStatus = replicationResults
+      .map(r => `${r.node.split('//')[1]?.split(':')[0] || r.node} (${r.status})`)
+      .join(', ');
+    console.log(`Topic   : ${msg.topic}  partition=${partition}  offset=${offset}${results[i].duplicate ? '  (duplicate — stored earlier)' : ''}`);
+    console.log(`Primary : ${primary}`);
+    console.log(`Replicas: ${replicas.join(', ')}`);
+    console.log(`RepStatus: ${replicaStatus}`);
+    printSeparator();
   }
 
   console.log('\n✅ All messages produced.\n');
   console.log('Summary:');
-  for (const r of results) {
+  for (const [i, r] of results.entries()) {
     const status = r.success
       ? `Primary=${r.primary}  Replicas=[${r.replicas?.join(', ')}]`
       : 'FAILED';
-    console.log(`  ${r.key.padEnd(20)} → ${status}`);
+    console.log(`  ${messages[i].key.padEnd(20)} → ${status}`);
   }
   console.log();
 }
@@ -0,0 +1,142 @@
+/**
+ * Metrics — a small Prometheus registry rendered in the text exposition
+ * format (version 0.0.4), served from GET /metrics.
+ *
+ * Counters and histograms are updated where things happen. Values that
+ * already live in service state (queue sizes, failover history, …) are
+ * registered with collect(), which is called at scrape time and returns
+ * [labels, value] pairs.
+ *
+ * Shared by the broker and the coordinator; their images copy shared/ next
+ * to the service (see the Dockerfiles).
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class Metrics {
+  constructor({ prefix = 'dmq_', defaultLabels = {} } = {}) {
+    this.prefix = prefix;
+    this.defaultLabels = defaultLabels;
+    // name → { name, type, help, buckets, values: Map(labelKey → { labels, value | counts, sum, count }), collect }
+    this.metrics = new Map();
+  }
+
+  counter(name, help, { collect } = {}) {
+    const metric = this._register(name, 'counter', help, { collect });
+    return {
+      inc: (labels = {}, value = 1) => {
+        this._series(metric, labels, () => ({ value: 0 })).value += value;
+      },
+    };
+  }
+
+  gauge(name, help, { collect } = {}) {
+    const metric = this._register(name, 'gauge', help, { collect });
+    return {
+      set: (labels, value) => {
+        this._series(metric, labels, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+
+  histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+    const metric = this._register(name, 'histogram', help, { buckets });
+    return {
+      observe: (labels, value) => this._observe(metric, labels, value),
+      // Returns a function that records the seconds elapsed since startTimer()
+      startTimer: (labels = {}) => {
+        const start = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+          this._observe(metric, { ...labels, ...moreLabels }, seconds);
+          return seconds;
+        };
+      },
+    };
+  }
+
+  // ─── Express middleware: request count and latency per route ───────────────
+  // Routes are labelled by their pattern (/consume/:key), never the raw path;
+  // a handler outside the router can name itself in res.locals.metricsRoute
+  httpMiddleware() {
+    const requests = this.counter('http_requests_total', 'HTTP requests handled, by method, route and status code');
+    const duration = this.histogram('http_request_duration_seconds', 'HTTP request latency in seconds, by method and route');
+
+    return (req, res, next) => {
+      const stop = duration.startTimer();
+      res.on('finish', () => {
+        const route = req.route ? req.baseUrl + req.route.path : res.locals.metricsRoute || 'unmatched';
+        requests.inc({ method: req.method, route, status: String(res.statusCode) });
+        stop({ method: req.method, route });
+      });
+      next();
+    };
+  }
+
+  // ─── Text exposition of every metric ───────────────────────────────────────
+  async render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      const name = this.prefix + metric.name;
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+
+      if (metric.collect) {
+        for (const [labels, value] of await metric.collect()) {
+          lines.push(`${name}${this._labels(labels)} ${formatValue(value)}`);
+        }
+      }
+
+      for (const { labels, value, counts, sum, count } of metric.values.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${name}${this._labels(labels)} ${formatValue(value)}`);
+          continue;
+        }
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${this._labels({ ...labels, le: String(bound) })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${this._labels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${this._labels(labels)} ${formatValue(sum)}`);
+        lines.push(`${name}_count${this._labels(labels)} ${count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  _register(name, type, help, { collect, buckets } = {}) {
+    if (this.metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+    const metric = { name, type, help, buckets, collect, values: new Map() };
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  _series(metric, labels, create) {
+    const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+    if (!metric.values.has(key)) metric.values.set(key, { labels, ...create() });
+    return metric.values.get(key);
+  }
+
+  _observe(metric, labels, value) {
+    const series = this._series(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+    metric.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  _labels(labels) {
+    const all = { ...this.defaultLabels, ...labels };
+    const pairs = Object.entries(all).map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+Metrics.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = Metrics;
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Tracer — request tracing across the coordinator and brokers.
+ *
+ * Every incoming request joins the trace named by its traceparent (W3C
+ * Trace Context) or X-Trace-Id header, or starts a new one, and gets a
+ * server span. The trace follows the request through async code, so each
+ * axios call made while handling it carries a traceparent header and is
+ * recorded as a client span — the next service continues the same trace.
+ *
+ * Finished spans are kept in memory, for the most recent maxTraces traces,
+ * and exported in the OTLP/JSON layout (resourceSpans → scopeSpans → spans).
+ *
+ * Shared by the broker and the coordinator, like shared/metrics.js.
+ */
+const TRACE_ID = /^[0-9a-f]{32}$/;
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+const SPAN_KIND = { internal: 1, server: 2, client: 3 };
+const STATUS_CODE = { unset: 0, ok: 1, error: 2 };
+
+class Tracer {
+  constructor({ serviceName, instanceId, maxTraces = 1000, maxSpansPerTrace = 1000 }) {
+    this.serviceName = serviceName;
+    this.instanceId = instanceId;
+    this.maxTraces = maxTraces;
+    this.maxSpansPerTrace = maxSpansPerTrace;
+    // traceId → finished spans, oldest trace first
+    this.traces = new Map();
+    // { traceId, spanId } of the span the current async code runs in
+    this.context = new AsyncLocalStorage();
+  }
+
+  currentTraceId() {
+    return this.context.getStore()?.traceId || null;
+  }
+
+  // ─── Express middleware: one server span per request ──────────────────────
+  // Requests whose path matches one of ignore (health checks, scrapes, …) are
+  // not traced; neither are the calls made while handling them.
+  httpMiddleware({ ignore = [] } = {}) {
+    return (req, res, next) => {
+      if (ignore.some(pattern => pattern.test(req.path))) return next();
+
+      const parent = parseTraceparent(req.get('traceparent'));
+      const clientTraceId = String(req.get('X-Trace-Id') || '').toLowerCase();
+      const traceId = parent?.traceId || (TRACE_ID.test(clientTraceId) ? clientTraceId : newId(16));
+
+      const span = this._start(`${req.method} ${req.path}`, SPAN_KIND.server, { traceId, parentSpanId: parent?.spanId });
+      res.set('X-Trace-Id', traceId);
+      res.on('finish', () => {
+        const route = req.route ? req.baseUrl + req.route.path : req.path;
+        span.name = `${req.method} ${route}`;
+        this._end(span, res.statusCode >= 500 ? STATUS_CODE.error : STATUS_CODE.unset, {
+          'http.method': req.method,
+          'http.route': route,
+          'http.target': req.originalUrl,
+          'http.status_code': res.statusCode,
+        });
+      });
+      this.context.run({ traceId, spanId: span.spanId }, next);
+    };
+  }
+
+  // ─── axios interceptors: one client span per call made inside a trace ──────
+  instrument(axios) {
+    axios.interceptors.request.use(config => {
+      const current = this.context.getStore();
+      if (!current) return config;
+
+      const url = new URL(config.url, config.baseURL);
+      const method = (config.method || 'get').toUpperCase();
+      const span = this._start(`${method} ${url.pathname}`, SPAN_KIND.client, { traceId: current.traceId, parentSpanId: current.spanId });
+      span.attributes = { 'http.method': method, 'http.url': url.href, 'server.address': url.host };
+      config.headers.traceparent = `00-${span.traceId}-${span.spanId}-01`;
+      config.traceSpan = span;
+      return config;
+    });
+
+    axios.interceptors.response.use(response => {
+      const span = response.config.traceSpan;
+      if (span) this._end(span, STATUS_CODE.unset, { 'http.status_code': response.status });
+      return response;
+    }, err => {
+      const span = err.config?.traceSpan;
+      if (span) {
+        this._end(span, STATUS_CODE.error, {
+          ...(err.response ? { 'http.status_code': err.response.status } : { 'error.type': err.code || 'error' }),
+        }, err.response?.data?.error || err.message);
+      }
+      return Promise.reject(err);
+    });
+  }
+
+  // ─── Spans of one trace recorded here, as an OTLP/JSON export ──────────────
+  export(traceId) {
+    const spans = this.traces.get(traceId) || [];
+    return {
+      resourceSpans: spans.length === 0 ? [] : [{
+        resource: {
+          attributes: [
+            attribute('service.name', this.serviceName),
+            attribute('service.instance.id', this.instanceId),
+          ],
+        },
+        scopeSpans: [{ scope: { name: 'dmq-tracing' }, spans }],
+      }],
+    };
+  }
+
+  _start(name, kind, { traceId, parentSpanId }) {
+    return {
+      traceId,
+      spanId: newId(8),
+      ...(parentSpanId && { parentSpanId }),
+      name,
+      kind,
+      startedAt: process.hrtime.bigint(),
+      startTimeUnixNano: nowUnixNano(),
+      attributes: {},
+    };
+  }
+
+  _end(span, code, attributes, message) {
+    const durationNano = process.hrtime.bigint() - span.startedAt;
+    const { startedAt, attributes: startAttributes, ...rest } = span;
+    const finished = {
+      ...rest,
+      endTimeUnixNano: (BigInt(span.startTimeUnixNano) + durationNano).toString(),
+      attributes: Object.entries({ ...startAttributes, ...attributes }).map(([key, value]) => attribute(key, value)),
+      status: { code, ...(message && { message }) },
+    };
+
+    if (!this.traces.has(span.traceId)) {
+      this.traces.set(span.traceId, []);
+      if (this.traces.size > this.maxTraces) this.traces.delete(this.traces.keys().next().value);
+    }
+    const spans = this.traces.get(span.traceId);
+    if (spans.length < this.maxSpansPerTrace) spans.push(finished);
+  }
+}
+
+function parseTraceparent(header) {
+  const match = TRACEPARENT.exec(String(header || '').toLowerCase());
+  return match ? { traceId: match[1], spanId: match[2] } : null;
+}
+
+function newId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function nowUnixNano() {
+  return (BigInt(Date.now()) * 1000000n).toString();
+}
+
+function attribute(key, value) {
+  if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+  return { key, value: { stringValue: String(value) } };
+}
+
+module.exports = Tracer;